@@ -0,0 +1,101 @@
+/**
+ * Downloader Database
+ *
+ * Shared SQLite connection for the download queue, playlist manifests
+ * and the post-download review queue.
+ */
+
+import Database from 'better-sqlite3';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+let downloadDb = null;
+
+/**
+ * Initialize download database
+ */
+export function initDownloadDatabase() {
+    if (downloadDb) return downloadDb;
+
+    // DATA_PATH keeps the database out of the repository (tests use a temporary folder)
+    const dbPath = path.join(process.env.DATA_PATH || path.join(__dirname, '../../data'), 'downloads.db');
+    const dbDir = path.dirname(dbPath);
+
+    if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    downloadDb = new Database(dbPath);
+
+    downloadDb.exec(`
+        CREATE TABLE IF NOT EXISTS download_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            playlist_url TEXT NOT NULL,
+            output_path TEXT NOT NULL,
+            cookies_path TEXT,
+            options TEXT,
+            status TEXT NOT NULL DEFAULT 'queued',
+            position INTEGER NOT NULL DEFAULT 0,
+            progress TEXT,
+            error TEXT,
+            attempts INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_jobs_status ON download_jobs(status);
+        CREATE INDEX IF NOT EXISTS idx_jobs_position ON download_jobs(position);
+
+        CREATE TABLE IF NOT EXISTS queue_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS playlist_manifest (
+            playlist_id TEXT NOT NULL,
+            video_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            title TEXT,
+            output_path TEXT,
+            error_type TEXT,
+            error_message TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (playlist_id, video_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_manifest_status ON playlist_manifest(playlist_id, status);
+
+        CREATE TABLE IF NOT EXISTS review_queue (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id INTEGER,
+            file_path TEXT NOT NULL,
+            staging_path TEXT NOT NULL,
+            live_library_path TEXT NOT NULL,
+            category TEXT NOT NULL,
+            confidence INTEGER DEFAULT 0,
+            reason TEXT,
+            match_result TEXT,
+            status TEXT NOT NULL DEFAULT 'pending',
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            resolved_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_review_status ON review_queue(status);
+
+        CREATE TABLE IF NOT EXISTS ingest_skipped (
+            file_path TEXT PRIMARY KEY,
+            size INTEGER NOT NULL,
+            mtime_ms REAL NOT NULL,
+            reason TEXT,
+            skipped_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+
+    console.log('[Downloader] Database initialized:', dbPath);
+    return downloadDb;
+}
@@ -0,0 +1,495 @@
+/**
+ * Download Job Queue
+ *
+ * Durable queue for yt-dlp download jobs. Jobs are stored in SQLite so
+ * they survive browser reloads and server restarts; progress is
+ * broadcast to any number of SSE subscribers per job.
+ */
+
+import { initDownloadDatabase } from './database.js';
+import { runYtDlp } from './ytdlp-runner.js';
+import { getPlaylistId, recordTrack, preparePlaylistSync, finishPlaylistSync } from './playlist-manifest.js';
+import { runPipeline } from './pipeline.js';
+
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    FAILED: 'failed',
+    COMPLETED: 'completed'
+};
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.DOWNLOAD_CONCURRENCY) || 1;
+const MAX_CONCURRENCY = 5;
+const PROGRESS_PERSIST_INTERVAL = 2000; // ms
+const RECENT_EVENT_LIMIT = 100;
+
+// Fields that are only useful live and should not be stored in the snapshot
+const TRANSIENT_FIELDS = ['rawOutput', 'debug', 'status', 'error', 'warning'];
+
+let queueLog = (message, level = 'INFO') => console.log(`[Download Queue] [${level}] ${message}`);
+let queueDebug = true;
+
+// Runtime state (not persisted)
+const runningJobs = new Map();   // jobId -> { process, stopReason }
+const subscribers = new Map();   // jobId -> Set<listener>
+const liveProgress = new Map();  // jobId -> { snapshot, recent, lastPersist }
+
+/**
+ * Convert a database row to a job object
+ */
+function rowToJob(row) {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        playlistUrl: row.playlist_url,
+        outputPath: row.output_path,
+        cookiesPath: row.cookies_path,
+        options: row.options ? JSON.parse(row.options) : {},
+        status: row.status,
+        position: row.position,
+        progress: liveProgress.get(row.id)?.snapshot || (row.progress ? JSON.parse(row.progress) : null),
+        error: row.error,
+        attempts: row.attempts,
+        createdAt: row.created_at,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at
+    };
+}
+
+/**
+ * Get the configured concurrency limit
+ */
+export function getConcurrency() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get('concurrency');
+    return row ? parseInt(row.value) : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Set the concurrency limit (1-5) and start more jobs if allowed
+ */
+export function setConcurrency(concurrency) {
+    const value = Math.max(1, Math.min(MAX_CONCURRENCY, parseInt(concurrency) || 1));
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run('concurrency', String(value));
+    queueLog(`Concurrency set to ${value}`);
+    processQueue();
+    return value;
+}
+
+/**
+ * Add a job to the end of the queue
+ * @param {Object} params - { playlistUrl, outputPath, cookiesPath, options }
+ *   options.sync - Skip tracks already recorded as downloaded (default true)
+ *   options.removedAction - 'flag', 'archive' or 'ignore' for tracks removed upstream
+ * @returns {Object} Created job
+ */
+export function createJob({ playlistUrl, outputPath, cookiesPath = null, options = {} }) {
+    const db = initDownloadDatabase();
+    const { maxPosition } = db.prepare('SELECT COALESCE(MAX(position), 0) AS maxPosition FROM download_jobs').get();
+
+    const result = db.prepare(`
+        INSERT INTO download_jobs (playlist_url, output_path, cookies_path, options, status, position)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(playlistUrl, outputPath, cookiesPath || null, JSON.stringify(options), JOB_STATUS.QUEUED, maxPosition + 1);
+
+    const job = getJob(result.lastInsertRowid);
+    queueLog(`Queued job ${job.id}: ${playlistUrl}`);
+
+    processQueue();
+    return getJob(job.id);
+}
+
+/**
+ * Get a single job
+ */
+export function getJob(jobId) {
+    const db = initDownloadDatabase();
+    return rowToJob(db.prepare('SELECT * FROM download_jobs WHERE id = ?').get(jobId));
+}
+
+/**
+ * List all jobs in queue order
+ */
+export function listJobs() {
+    const db = initDownloadDatabase();
+    return db.prepare('SELECT * FROM download_jobs ORDER BY position ASC, id ASC').all().map(rowToJob);
+}
+
+/**
+ * Reorder jobs. Listed jobs are placed first in the given order,
+ * remaining jobs keep their relative order after them.
+ * @param {number[]} jobIds - Job IDs in the desired order
+ */
+export function reorderJobs(jobIds) {
+    const db = initDownloadDatabase();
+    const ordered = jobIds.map(id => parseInt(id));
+    const rest = db.prepare('SELECT id FROM download_jobs ORDER BY position ASC, id ASC').all()
+        .map(row => row.id)
+        .filter(id => !ordered.includes(id));
+
+    const update = db.prepare('UPDATE download_jobs SET position = ? WHERE id = ?');
+    db.transaction(() => {
+        [...ordered, ...rest].forEach((id, index) => update.run(index + 1, id));
+    })();
+
+    processQueue();
+    return listJobs();
+}
+
+/**
+ * Requeue a failed, paused or completed job
+ */
+export function retryJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) throw new Error(`Job ${jobId} not found`);
+    if (job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.QUEUED) {
+        throw new Error(`Job ${jobId} is already ${job.status}`);
+    }
+
+    const db = initDownloadDatabase();
+    db.prepare(`
+        UPDATE download_jobs SET status = ?, error = NULL, progress = NULL, finished_at = NULL WHERE id = ?
+    `).run(JOB_STATUS.QUEUED, job.id);
+    liveProgress.delete(job.id);
+
+    queueLog(`Retrying job ${job.id}`);
+    processQueue();
+    return getJob(job.id);
+}
+
+/**
+ * Pause a queued or running job. Running jobs are stopped; yt-dlp
+ * skips already downloaded files when the job is resumed.
+ */
+export function pauseJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) throw new Error(`Job ${jobId} not found`);
+
+    if (job.status === JOB_STATUS.RUNNING) {
+        stopRunningJob(job.id, 'paused');
+    } else if (job.status === JOB_STATUS.QUEUED) {
+        setJobStatus(job.id, JOB_STATUS.PAUSED);
+        broadcast(job.id, { status: 'Download paused', jobStatus: JOB_STATUS.PAUSED, completed: true, cancelled: true });
+    } else {
+        throw new Error(`Job ${jobId} cannot be paused while ${job.status}`);
+    }
+
+    return getJob(job.id);
+}
+
+/**
+ * Resume a paused job by putting it back in the queue
+ */
+export function resumeJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) throw new Error(`Job ${jobId} not found`);
+    if (job.status !== JOB_STATUS.PAUSED) {
+        throw new Error(`Job ${jobId} is not paused`);
+    }
+
+    setJobStatus(job.id, JOB_STATUS.QUEUED);
+    processQueue();
+    return getJob(job.id);
+}
+
+/**
+ * Delete a job, stopping it first if it is running
+ */
+export function deleteJob(jobId) {
+    const job = getJob(jobId);
+    if (!job) throw new Error(`Job ${jobId} not found`);
+
+    if (runningJobs.has(job.id)) {
+        stopRunningJob(job.id, 'deleted');
+    }
+
+    const db = initDownloadDatabase();
+    db.prepare('DELETE FROM download_jobs WHERE id = ?').run(job.id);
+
+    broadcast(job.id, { status: 'Download removed from queue', completed: true, cancelled: true, deleted: true });
+    subscribers.delete(job.id);
+    liveProgress.delete(job.id);
+
+    queueLog(`Deleted job ${job.id}`);
+    processQueue();
+    return true;
+}
+
+/**
+ * Subscribe to progress events for a job
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(jobId, listener) {
+    const id = parseInt(jobId);
+    if (!subscribers.has(id)) {
+        subscribers.set(id, new Set());
+    }
+    subscribers.get(id).add(listener);
+
+    return () => {
+        const listeners = subscribers.get(id);
+        if (listeners) {
+            listeners.delete(listener);
+            if (listeners.size === 0) subscribers.delete(id);
+        }
+    };
+}
+
+/**
+ * Recent status/warning/error events for a job, used to replay the
+ * log when a client reattaches to a running job
+ */
+export function getRecentEvents(jobId) {
+    return liveProgress.get(parseInt(jobId))?.recent || [];
+}
+
+/**
+ * Start the queue: recover jobs interrupted by a restart and begin processing
+ * @param {Object} options - { log, debug }
+ */
+export function startDownloadQueue({ log, debug } = {}) {
+    if (log) queueLog = log;
+    if (debug !== undefined) queueDebug = debug;
+
+    const db = initDownloadDatabase();
+    const interrupted = db.prepare('UPDATE download_jobs SET status = ? WHERE status = ?')
+        .run(JOB_STATUS.QUEUED, JOB_STATUS.RUNNING);
+
+    if (interrupted.changes > 0) {
+        queueLog(`Requeued ${interrupted.changes} job(s) interrupted by server restart`);
+    }
+
+    processQueue();
+}
+
+function setJobStatus(jobId, status, fields = {}) {
+    const db = initDownloadDatabase();
+    db.prepare(`
+        UPDATE download_jobs
+        SET status = ?,
+            error = COALESCE(?, error),
+            started_at = COALESCE(?, started_at),
+            finished_at = COALESCE(?, finished_at)
+        WHERE id = ?
+    `).run(status, fields.error || null, fields.startedAt || null, fields.finishedAt || null, jobId);
+}
+
+function persistProgress(jobId, force = false) {
+    const state = liveProgress.get(jobId);
+    if (!state) return;
+
+    const now = Date.now();
+    if (!force && now - state.lastPersist < PROGRESS_PERSIST_INTERVAL) return;
+
+    state.lastPersist = now;
+    const db = initDownloadDatabase();
+    db.prepare('UPDATE download_jobs SET progress = ? WHERE id = ?').run(JSON.stringify(state.snapshot), jobId);
+}
+
+function broadcast(jobId, data) {
+    const listeners = subscribers.get(jobId);
+    if (!listeners) return;
+
+    const event = { ...data, downloadId: jobId, jobId };
+    for (const listener of listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            queueLog(`Subscriber error for job ${jobId}: ${error.message}`, 'WARN');
+        }
+    }
+}
+
+function recordProgress(jobId, data) {
+    if (!liveProgress.has(jobId)) {
+        liveProgress.set(jobId, { snapshot: {}, recent: [], lastPersist: 0 });
+    }
+    const state = liveProgress.get(jobId);
+
+    const snapshotData = { ...data };
+    TRANSIENT_FIELDS.forEach(field => delete snapshotData[field]);
+    Object.assign(state.snapshot, snapshotData);
+    if (data.status) state.snapshot.lastStatus = data.status;
+
+    if (data.status || data.error || data.warning) {
+        state.recent.push({
+            status: data.status,
+            error: data.error,
+            warning: data.warning,
+            timestamp: new Date().toISOString()
+        });
+        if (state.recent.length > RECENT_EVENT_LIMIT) {
+            state.recent.shift();
+        }
+    }
+
+    persistProgress(jobId);
+}
+
+function stopRunningJob(jobId, reason) {
+    const running = runningJobs.get(jobId);
+    if (!running) return;
+
+    queueLog(`Stopping job ${jobId} (${reason})`);
+    running.stopReason = reason;
+
+    // Jobs still preparing their sync have no process yet; they stop before spawning
+    if (running.process) {
+        running.process.kill('SIGTERM');
+    }
+}
+
+/**
+ * Start queued jobs until the concurrency limit is reached
+ */
+function processQueue() {
+    const db = initDownloadDatabase();
+    const limit = getConcurrency();
+
+    while (runningJobs.size < limit) {
+        const next = db.prepare(`
+            SELECT * FROM download_jobs WHERE status = ? ORDER BY position ASC, id ASC LIMIT 1
+        `).get(JOB_STATUS.QUEUED);
+
+        if (!next) break;
+        startJob(rowToJob(next));
+    }
+}
+
+function startJob(job) {
+    const db = initDownloadDatabase();
+    db.prepare(`
+        UPDATE download_jobs
+        SET status = ?, attempts = attempts + 1, started_at = CURRENT_TIMESTAMP, finished_at = NULL, error = NULL
+        WHERE id = ?
+    `).run(JOB_STATUS.RUNNING, job.id);
+
+    queueLog(`Starting job ${job.id}: ${job.playlistUrl}`);
+    liveProgress.set(job.id, { snapshot: {}, recent: [], lastPersist: 0 });
+
+    // Reserve the slot before any async work so the concurrency limit holds
+    const running = { process: null, stopReason: null };
+    runningJobs.set(job.id, running);
+
+    const onProgress = (data) => {
+        recordProgress(job.id, data);
+        broadcast(job.id, { ...data, jobStatus: JOB_STATUS.RUNNING });
+    };
+
+    const playlistId = getPlaylistId(job.playlistUrl);
+    const downloadedPaths = [];
+    const onTrack = (track) => {
+        recordTrack(playlistId, track);
+        if (track.status === 'completed' && track.outputPath) {
+            downloadedPaths.push(track.outputPath);
+        }
+    };
+
+    onProgress({ status: 'Starting download...', progress: 0 });
+
+    prepareSync(job, onProgress).then(async (sync) => {
+        if (running.stopReason) {
+            await finishPlaylistSync(sync);
+            finishJob(job, { outcome: 'cancelled', summary: {} });
+            return;
+        }
+
+        const { process: child, done } = runYtDlp(job, {
+            onProgress,
+            onTrack,
+            log: queueLog,
+            debug: queueDebug,
+            archivePath: sync?.archivePath
+        });
+        running.process = child;
+
+        const result = await done;
+        await finishPlaylistSync(sync);
+
+        if (sync) {
+            result.summary = { ...result.summary, syncSkipped: sync.alreadyComplete, removedCount: sync.removed.length };
+        }
+
+        // Organize what was downloaded, even when some items failed
+        if (job.options?.pipeline && result.outcome !== 'cancelled' && !running.stopReason) {
+            const pipeline = await runPipeline(job, downloadedPaths, { log: queueLog, onProgress });
+            result.summary = { ...result.summary, pipeline };
+        }
+        finishJob(job, result);
+    }).catch((error) => {
+        queueLog(`Job ${job.id} failed: ${error.message}`, 'ERROR');
+        try {
+            finishJob(job, { outcome: 'failed', summary: {}, error: error.message });
+        } catch (finishError) {
+            // The job can't be updated, but its slot must still be freed
+            queueLog(`Could not record the failure of job ${job.id}: ${finishError.message}`, 'ERROR');
+            runningJobs.delete(job.id);
+            processQueue();
+        }
+    });
+}
+
+/**
+ * Prepare an incremental playlist sync unless the job opted out
+ */
+async function prepareSync(job, onProgress) {
+    if (job.options?.sync === false) return null;
+
+    try {
+        onProgress({ status: 'Checking playlist manifest...' });
+        const sync = await preparePlaylistSync(job, queueLog);
+
+        onProgress({
+            status: `Sync: ${sync.alreadyComplete} track(s) already downloaded, ${sync.removed.length} removed upstream`,
+            syncSkipped: sync.alreadyComplete,
+            removedCount: sync.removed.length
+        });
+        return sync;
+    } catch (error) {
+        queueLog(`Playlist sync preparation failed for job ${job.id}: ${error.message}`, 'WARN');
+        onProgress({ warning: `Manifest unavailable, downloading full playlist: ${error.message}` });
+        return null;
+    }
+}
+
+/**
+ * Record the final state of a job and start the next one
+ */
+function finishJob(job, { outcome, summary, error }) {
+    const { stopReason } = runningJobs.get(job.id) || {};
+    runningJobs.delete(job.id);
+
+    if (stopReason === 'deleted') {
+        // Events that arrived after the delete recreated it
+        liveProgress.delete(job.id);
+        processQueue();
+        return;
+    }
+
+    let finalStatus;
+    let finalEvent;
+
+    if (outcome === 'completed') {
+        finalStatus = JOB_STATUS.COMPLETED;
+        finalEvent = { ...summary, status: 'Download completed successfully!', progress: 100, completed: true };
+    } else if (outcome === 'cancelled' || stopReason === 'paused') {
+        queueLog(`Job ${job.id} paused`);
+        finalStatus = JOB_STATUS.PAUSED;
+        finalEvent = { ...summary, status: 'Download cancelled', completed: true, cancelled: true };
+    } else {
+        finalStatus = JOB_STATUS.FAILED;
+        finalEvent = { ...summary, error, completed: true };
+    }
+
+    setJobStatus(job.id, finalStatus, { error: finalStatus === JOB_STATUS.FAILED ? error : null, finishedAt: new Date().toISOString() });
+    recordProgress(job.id, finalEvent);
+    persistProgress(job.id, true);
+    // The saved progress serves the job from now on
+    liveProgress.delete(job.id);
+    broadcast(job.id, { ...finalEvent, jobStatus: finalStatus });
+
+    processQueue();
+}
@@ -0,0 +1,150 @@
+/**
+ * Output Profiles
+ *
+ * Named audio output formats for the downloader and the upgrader. Each
+ * profile carries its yt-dlp arguments, the codec/container it produces
+ * (used to verify downloads) and its own filename template.
+ */
+
+import { initDownloadDatabase } from './database.js';
+
+const DEFAULT_TEMPLATE = '%(album_artist,artist)s/%(album)s/%(title)s.%(ext)s';
+
+export const DEFAULT_PROFILE = 'flac';
+
+/**
+ * How downloaded files are named:
+ * - plex: Artist/Album (Year)/01 - Title.ext, the same naming the Simple Organizer uses
+ * - template: the profile's yt-dlp filename template
+ */
+export const OUTPUT_LAYOUTS = ['plex', 'template'];
+export const DEFAULT_LAYOUT = 'plex';
+
+export const OUTPUT_PROFILES = {
+    flac: {
+        id: 'flac',
+        label: 'FLAC',
+        description: 'Lossless container, re-encoded from the best YouTube audio',
+        extension: 'flac',
+        codecPattern: /^FLAC$/i,
+        lossless: true,
+        embedThumbnail: true,
+        targetQuality: { codec: 'flac', bitrate: 1411 },
+        // YouTube doesn't provide FLAC natively, so we download best audio and convert
+        ytdlpArgs: ['-f', 'bestaudio/best', '-x', '--audio-format', 'flac', '--audio-quality', '0'],
+        filenameTemplate: DEFAULT_TEMPLATE
+    },
+    alac: {
+        id: 'alac',
+        label: 'ALAC (M4A)',
+        description: 'Apple Lossless in an M4A container, for devices without FLAC support',
+        extension: 'm4a',
+        codecPattern: /^ALAC$/i,
+        lossless: true,
+        embedThumbnail: true,
+        targetQuality: { codec: 'alac', bitrate: 1411 },
+        ytdlpArgs: ['-f', 'bestaudio/best', '-x', '--audio-format', 'alac', '--audio-quality', '0'],
+        filenameTemplate: DEFAULT_TEMPLATE
+    },
+    opus: {
+        id: 'opus',
+        label: 'Opus (passthrough)',
+        description: "YouTube's Opus stream remuxed without re-encoding",
+        extension: 'opus',
+        codecPattern: /^Opus$/i,
+        lossless: false,
+        embedThumbnail: true,
+        targetQuality: { codec: 'opus', bitrate: 160 },
+        // yt-dlp copies the stream when the source codec already matches --audio-format
+        ytdlpArgs: ['-f', 'bestaudio[acodec=opus]/bestaudio', '-x', '--audio-format', 'opus'],
+        filenameTemplate: DEFAULT_TEMPLATE
+    },
+    mp3: {
+        id: 'mp3',
+        label: 'MP3 V0',
+        description: 'LAME VBR V0 for maximum device compatibility',
+        extension: 'mp3',
+        codecPattern: /^MPEG 1 Layer 3$/i,
+        lossless: false,
+        embedThumbnail: true,
+        targetQuality: { codec: 'mp3', bitrate: 245 },
+        ytdlpArgs: ['-f', 'bestaudio/best', '-x', '--audio-format', 'mp3', '--audio-quality', '0'],
+        filenameTemplate: DEFAULT_TEMPLATE
+    },
+    original: {
+        id: 'original',
+        label: 'Original container',
+        description: 'Best audio stream exactly as YouTube serves it (WebM/Opus or M4A/AAC)',
+        extension: null,  // Decided by yt-dlp
+        codecPattern: /^(Opus|AAC|MPEG-4\/AAC|Vorbis)/i,
+        lossless: false,
+        // yt-dlp cannot embed thumbnails into WebM
+        embedThumbnail: false,
+        targetQuality: { codec: 'opus', bitrate: 160 },
+        ytdlpArgs: ['-f', 'bestaudio/best'],
+        filenameTemplate: DEFAULT_TEMPLATE
+    }
+};
+
+/**
+ * Get a profile by ID, with any saved filename template applied
+ * @param {string} profileId - Profile ID (defaults to FLAC)
+ * @returns {Object} Profile
+ */
+export function getOutputProfile(profileId = DEFAULT_PROFILE) {
+    const profile = OUTPUT_PROFILES[profileId];
+    if (!profile) {
+        throw new Error(`Unknown output profile: ${profileId}`);
+    }
+
+    const db = initDownloadDatabase();
+    const saved = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(`template:${profile.id}`);
+
+    return {
+        ...profile,
+        filenameTemplate: saved?.value || profile.filenameTemplate
+    };
+}
+
+/**
+ * List all profiles (serializable, for the API)
+ */
+export function listOutputProfiles() {
+    return Object.keys(OUTPUT_PROFILES).map(id => {
+        const { codecPattern, ytdlpArgs, ...profile } = getOutputProfile(id);
+        return { ...profile, defaultTemplate: OUTPUT_PROFILES[id].filenameTemplate };
+    });
+}
+
+/**
+ * Save a custom filename template for a profile (empty resets to default)
+ * @param {string} profileId
+ * @param {string} template - yt-dlp output template, relative to the output directory
+ */
+export function setProfileTemplate(profileId, template) {
+    if (!OUTPUT_PROFILES[profileId]) {
+        throw new Error(`Unknown output profile: ${profileId}`);
+    }
+    if (template && (!template.includes('%(ext)s') || template.startsWith('/') || template.includes('..'))) {
+        throw new Error('Template must be relative, stay inside the output directory and end with %(ext)s');
+    }
+
+    const db = initDownloadDatabase();
+    if (template) {
+        db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(`template:${profileId}`, template);
+    } else {
+        db.prepare('DELETE FROM queue_settings WHERE key = ?').run(`template:${profileId}`);
+    }
+
+    return getOutputProfile(profileId);
+}
+
+/**
+ * Check a downloaded file's music-metadata format against a profile
+ * @param {Object} profile - Output profile
+ * @param {Object} format - music-metadata `format` object
+ * @returns {boolean}
+ */
+export function formatMatchesProfile(profile, format) {
+    return Boolean(format?.codec) && profile.codecPattern.test(format.codec);
+}
@@ -0,0 +1,332 @@
+/**
+ * Post-Download Pipeline
+ *
+ * Runs "Path 1" from ROADMAP_V2.md when a download job finishes (and for
+ * files dropped into the watched staging folder): scan the new files,
+ * match them against MusicBrainz, rename the auto-approved ones, move
+ * them into the live library (skipping duplicates and downgrades of tracks
+ * already in Plex) and refresh Plex. Files below the auto-approve
+ * threshold are parked in the review queue.
+ */
+
+import { existsSync, statSync } from 'fs';
+import path from 'path';
+import { processAudioFile } from '../organizer/scanner.js';
+import { batchMatchFiles, generateRenamePath, executeRename } from '../organizer/matcher.js';
+import { planMoveOperations, executeMoveOperations, triggerPlexRefresh } from '../organizer/organizer.js';
+import { createBatch, finishBatch } from '../organizer/journal.js';
+import { applyArtwork } from '../organizer/artwork.js';
+import { applyLyrics, getLyricsSettings } from '../organizer/lyrics.js';
+import { replayGainAfterMove } from '../organizer/loudness.js';
+import { fetchLibraryTracks } from '../organizer/plex.js';
+import { relocateTrack } from './playlist-manifest.js';
+import { REVIEW_STATUS, addReviewItem, getReviewItem, resolveReviewItem } from './review-queue.js';
+
+const defaultLog = (message, level = 'INFO') => console.log(`[Pipeline] [${level}] ${message}`);
+
+/**
+ * Whether enough Plex settings were given to compare against and refresh the library
+ * @param {Object} plex - { serverIp, port, token, libraryId }
+ */
+export function hasPlexConfig(plex) {
+    return Boolean(plex?.serverIp && plex?.port && plex?.token && plex?.libraryId);
+}
+
+/**
+ * Fetch Plex tracks for duplicate and quality checks; the move goes ahead without them on failure
+ */
+async function loadPlexTracks(plex, log) {
+    try {
+        const tracks = await fetchLibraryTracks(plex.serverIp, plex.port, plex.token, plex.libraryId);
+        // planMoveOperations compares against `path`
+        return tracks.map(track => ({ ...track, path: track.filePath }));
+    } catch (error) {
+        log(`Could not load Plex tracks, skipping duplicate check: ${error.message}`, 'WARN');
+        return null;
+    }
+}
+
+/**
+ * Rename matched files inside the download folder, then move them into the live library
+ * @param {Array} matchResults - Results from batchMatchFiles()
+ * @param {Map} scannedByPath - Scanned files by path, for codec and bitrate
+ * @param {Object} options - { stagingPath, liveLibraryPath, plexTracks, log }
+ * @returns {Promise<Object>} { placed: [{ originalPath, finalPath }], skipped, errors }
+ */
+export async function organizeMatches(matchResults, scannedByPath, { stagingPath, liveLibraryPath, plexTracks = null, log = defaultLog }) {
+    const skipped = [];
+    const errors = [];
+    // Renames and moves of one run are rolled back together
+    const batchId = createBatch('pipeline', `Organize ${matchResults.length} file(s) from ${stagingPath}`);
+
+    // Rename first so the path relative to the download folder is Plex compliant
+    const renameItems = matchResults.map(result => ({ ...result, renamePreview: generateRenamePath(result, stagingPath) }));
+    const renameResults = await executeRename(renameItems, false, true, null, batchId);
+
+    const files = [];
+    renameResults.forEach((result, index) => {
+        const match = matchResults[index];
+
+        if (result.status === 'error') {
+            errors.push({ filePath: match.filePath, error: result.message });
+            return;
+        }
+
+        const scanned = scannedByPath.get(match.filePath);
+        const bitrate = scanned?.metadata?.bitrate;
+
+        files.push({
+            filePath: result.proposedPath,
+            relativePath: path.relative(stagingPath, result.proposedPath),
+            originalPath: match.filePath,
+            artist: match.mbMatch?.artist || match.originalMetadata.artist,
+            album: match.mbMatch?.releases?.[0]?.title || match.originalMetadata.album,
+            title: match.mbMatch?.title || match.originalMetadata.title,
+            codec: scanned?.fileExtension || path.extname(result.proposedPath).slice(1),
+            bitrate: bitrate ? Math.round(bitrate / 1000) : null
+        });
+    });
+
+    const plan = planMoveOperations(files, liveLibraryPath, plexTracks, 'move');
+
+    for (const operation of [...plan.downgrades, ...plan.sameQuality]) {
+        skipped.push({ filePath: operation.sourcePath, reason: operation.reason });
+    }
+    for (const failure of plan.skipped) {
+        errors.push({ filePath: failure.sourcePath, error: failure.error });
+    }
+
+    const moveResults = await executeMoveOperations([...plan.newFiles, ...plan.upgrades], false, true, null, batchId);
+    finishBatch(batchId);
+    const originalBySource = new Map(files.map(file => [file.filePath, file.originalPath]));
+
+    const matchByOriginal = new Map(matchResults.map(match => [match.filePath, match]));
+
+    const placed = [];
+    const artworkTracks = [];
+    const lyricsTracks = [];
+    for (const result of moveResults) {
+        if (result.status === 'success') {
+            const originalPath = originalBySource.get(result.sourcePath);
+            placed.push({ originalPath, finalPath: result.destinationPath });
+            relocateTrack(originalPath, result.destinationPath);
+
+            const match = matchByOriginal.get(originalPath);
+            const release = match?.mbMatch?.releases?.[0];
+            const scanned = scannedByPath.get(originalPath);
+            artworkTracks.push({
+                filePath: result.destinationPath,
+                releaseId: release?.id,
+                releaseGroupId: release?.releaseGroupId,
+                hasArtwork: scanned?.metadata?.hasArtwork
+            });
+            lyricsTracks.push({
+                filePath: result.destinationPath,
+                artist: match?.mbMatch?.artist || match?.originalMetadata?.artist,
+                title: match?.mbMatch?.title || match?.originalMetadata?.title,
+                album: release?.title || match?.originalMetadata?.album,
+                duration: scanned?.metadata?.duration
+            });
+        } else if (result.status === 'error') {
+            errors.push({ filePath: result.sourcePath, error: result.error });
+        }
+    }
+
+    log(`Moved ${placed.length} file(s) to ${liveLibraryPath}, skipped ${skipped.length}, ${errors.length} error(s)`);
+
+    if (artworkTracks.length > 0) {
+        const artwork = await applyArtwork(artworkTracks);
+        if (artwork.coversWritten > 0 || artwork.embedded > 0) {
+            log(`Artwork: ${artwork.coversWritten} cover(s) written, ${artwork.embedded} file(s) embedded`);
+        }
+    }
+
+    const lyricsSettings = getLyricsSettings();
+    if (lyricsSettings.autoFetch && lyricsTracks.length > 0) {
+        const lyrics = await applyLyrics(lyricsTracks, lyricsSettings);
+        log(`Lyrics: ${lyrics.synced} synced, ${lyrics.plain} plain, ${lyrics.embedded} embedded, ${lyrics.notFound} not found`);
+    }
+
+    const replayGain = await replayGainAfterMove(placed.map(file => file.finalPath));
+    if (replayGain) {
+        log(`ReplayGain: ${replayGain.tagged} file(s) tagged in ${replayGain.albums.length} album(s)`);
+    }
+
+    return { placed, skipped, errors };
+}
+
+/**
+ * Refresh the Plex library section, logging instead of failing
+ * @returns {Promise<boolean>} Whether the refresh was triggered
+ */
+async function refreshPlex(plex, log) {
+    try {
+        await triggerPlexRefresh(plex.serverIp, plex.port, plex.token, plex.libraryId);
+        log(`Plex library ${plex.libraryId} refresh triggered`);
+        return true;
+    } catch (error) {
+        log(error.message, 'WARN');
+        return false;
+    }
+}
+
+/**
+ * Match scanned files and move the auto-approved ones into the live library
+ *
+ * Shared by the download pipeline and the staging folder watcher.
+ * @param {Array} scannedFiles - Files from the scanner (processAudioFile shape)
+ * @param {Object} options - { stagingPath, liveLibraryPath, plex, jobId, log, onProgress }
+ * @returns {Promise<Object>} Summary: autoApproved, review, moved, skipped, errors, plexRefreshed,
+ *   placed, skippedFiles ([{ filePath, reason }] left in the staging folder)
+ */
+export async function ingestFiles(scannedFiles, { stagingPath, liveLibraryPath, plex = null, jobId = null, log = defaultLog, onProgress = () => {} }) {
+    const summary = { scanned: scannedFiles.length, autoApproved: 0, review: 0, moved: 0, skipped: 0, errors: 0, plexRefreshed: false, placed: [], skippedFiles: [] };
+
+    onProgress({ status: `Pipeline: matching ${scannedFiles.length} file(s) against MusicBrainz...`, pipelineStage: 'match' });
+    const matchResults = await batchMatchFiles(scannedFiles, (update) => {
+        onProgress({ status: `Pipeline: matching ${path.basename(update.currentFile || '')}`, pipelineStage: 'match', pipelineProgress: update.progress });
+    }, {
+        onAlbumAligned: (report) => {
+            if (report.missing.length > 0) {
+                log(`Pipeline: ${report.artist} - ${report.album} is missing ${report.missing.length}/${report.trackCount} track(s)`, 'WARN');
+            }
+        }
+    });
+
+    const approved = matchResults.filter(result => result.status === 'matched' && result.category === 'auto_approve');
+    const parked = matchResults.filter(result => !approved.includes(result));
+
+    for (const matchResult of parked) {
+        addReviewItem({ jobId, stagingPath, liveLibraryPath, matchResult });
+    }
+    summary.autoApproved = approved.length;
+    summary.review = parked.length;
+
+    if (approved.length > 0) {
+        onProgress({ status: `Pipeline: moving ${approved.length} file(s) into the live library...`, pipelineStage: 'move' });
+
+        const plexTracks = hasPlexConfig(plex) ? await loadPlexTracks(plex, log) : null;
+        const result = await organizeMatches(approved, new Map(scannedFiles.map(file => [file.filePath, file])), {
+            stagingPath,
+            liveLibraryPath,
+            plexTracks,
+            log
+        });
+
+        summary.moved = result.placed.length;
+        summary.skipped = result.skipped.length;
+        summary.errors = result.errors.length;
+        summary.placed = result.placed;
+        summary.skippedFiles = result.skipped;
+    }
+
+    if (summary.moved > 0 && hasPlexConfig(plex)) {
+        onProgress({ status: 'Pipeline: refreshing Plex library...', pipelineStage: 'refresh' });
+        summary.plexRefreshed = await refreshPlex(plex, log);
+    }
+
+    return summary;
+}
+
+/**
+ * Run the pipeline for the files a download job produced
+ * @param {Object} job - Download job with options.pipeline { liveLibraryPath, plex }
+ * @param {string[]} downloadedPaths - Files written by this run
+ * @param {Object} handlers - { log, onProgress }
+ * @returns {Promise<Object>} Pipeline summary (never rejects; failures are in `error`)
+ */
+export async function runPipeline(job, downloadedPaths, { log = defaultLog, onProgress = () => {} } = {}) {
+    const { liveLibraryPath, plex } = job.options.pipeline;
+    let summary = { scanned: 0, autoApproved: 0, review: 0, moved: 0, skipped: 0, errors: 0, plexRefreshed: false };
+
+    if (downloadedPaths.length === 0) {
+        onProgress({ status: 'Pipeline: no new files to organize', pipeline: summary });
+        return summary;
+    }
+
+    try {
+        onProgress({ status: 'Pipeline: scanning downloaded files...', pipelineStage: 'scan' });
+        const scanned = [];
+        for (const filePath of new Set(downloadedPaths)) {
+            try {
+                scanned.push(await processAudioFile(filePath, statSync(filePath), job.outputPath));
+            } catch (error) {
+                log(`Could not read ${path.basename(filePath)}: ${error.message}`, 'WARN');
+            }
+        }
+
+        const { placed, skippedFiles, ...result } = await ingestFiles(scanned, {
+            stagingPath: job.outputPath,
+            liveLibraryPath,
+            plex,
+            jobId: job.id,
+            log,
+            onProgress
+        });
+        summary = result;
+
+        onProgress({
+            status: `Pipeline: ${summary.moved} moved, ${summary.review} waiting for review, ${summary.skipped} already in Plex`,
+            pipelineStage: 'done',
+            pipeline: summary
+        });
+    } catch (error) {
+        log(`Pipeline failed for job ${job.id}: ${error.message}`, 'ERROR');
+        summary.error = error.message;
+        onProgress({ warning: `Pipeline failed: ${error.message}`, pipeline: summary });
+    }
+
+    return summary;
+}
+
+/**
+ * Approve a parked file: rename it with its stored match and move it into the live library.
+ * Only items with a MusicBrainz match can be approved, the match names the album folder.
+ * A file the library already has in the same or better quality is not moved and the item
+ * becomes 'skipped'; on errors it stays pending.
+ * @param {number} itemId - Review item ID
+ * @param {Object} options - { plex, log }
+ * @returns {Promise<Object>} { item, status ('approved' or 'skipped'), placed, skipped, errors, plexRefreshed }
+ */
+export async function approveReviewItem(itemId, { plex = null, log = defaultLog } = {}) {
+    const item = getReviewItem(itemId);
+
+    if (!item) {
+        throw new Error('Review item not found');
+    }
+    if (item.status !== REVIEW_STATUS.PENDING) {
+        throw new Error(`Review item is already ${item.status}`);
+    }
+    if (!existsSync(item.filePath)) {
+        throw new Error(`File no longer exists: ${item.filePath}`);
+    }
+    if (!item.approvable) {
+        throw new Error('Review item has no MusicBrainz match; match it in the organizer or dismiss it');
+    }
+
+    const plexTracks = hasPlexConfig(plex) ? await loadPlexTracks(plex, log) : null;
+    const result = await organizeMatches([item.matchResult], new Map(), {
+        stagingPath: item.stagingPath,
+        liveLibraryPath: item.liveLibraryPath,
+        plexTracks,
+        log
+    });
+
+    if (result.errors.length > 0) {
+        throw new Error(result.errors[0].error);
+    }
+
+    const status = result.placed.length > 0 ? REVIEW_STATUS.APPROVED : REVIEW_STATUS.SKIPPED;
+    if (status === REVIEW_STATUS.SKIPPED) {
+        log(`Not moved ${path.basename(item.filePath)}: ${result.skipped[0]?.reason || 'already in the library'}`, 'WARN');
+    }
+
+    const plexRefreshed = status === REVIEW_STATUS.APPROVED && hasPlexConfig(plex) ? await refreshPlex(plex, log) : false;
+
+    return {
+        item: resolveReviewItem(itemId, status),
+        status,
+        ...result,
+        plexRefreshed
+    };
+}
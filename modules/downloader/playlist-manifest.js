@@ -0,0 +1,241 @@
+/**
+ * Playlist Manifest
+ *
+ * Remembers every video of a playlist with its download status, output
+ * path and error, so re-running a playlist becomes an incremental sync
+ * that only fetches new or previously failed items.
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { initDownloadDatabase } from './database.js';
+
+const YTDLP_BINARY = process.env.YTDLP_PATH || 'yt-dlp';
+
+export const TRACK_STATUS = {
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    REMOVED: 'removed',    // Gone from the playlist upstream, file kept in place
+    ARCHIVED: 'archived'   // Gone from the playlist upstream, file moved to _Removed
+};
+
+// What to do with tracks that disappeared from the playlist upstream
+export const REMOVED_ACTIONS = ['flag', 'archive', 'ignore'];
+
+const ARCHIVE_FOLDER = '_Removed';
+
+/**
+ * Derive a stable manifest key from a playlist URL
+ * @param {string} url - Playlist or video URL
+ * @returns {string} Playlist ID, "video:<id>" for single videos, or the URL itself
+ */
+export function getPlaylistId(url) {
+    try {
+        const parsed = new URL(url);
+        const list = parsed.searchParams.get('list');
+        if (list) return list;
+
+        const video = parsed.searchParams.get('v');
+        if (video) return `video:${video}`;
+    } catch (error) {
+        // Not a URL (e.g. ytsearch:), fall through
+    }
+    return url;
+}
+
+/**
+ * Insert or update a manifest entry
+ * @param {string} playlistId
+ * @param {Object} track - { videoId, status, title, outputPath, errorType, errorMessage }
+ */
+export function recordTrack(playlistId, { videoId, status, title = null, outputPath = null, errorType = null, errorMessage = null }) {
+    if (!videoId) return;
+
+    const db = initDownloadDatabase();
+    db.prepare(`
+        INSERT INTO playlist_manifest (playlist_id, video_id, status, title, output_path, error_type, error_message, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(playlist_id, video_id) DO UPDATE SET
+            status = excluded.status,
+            title = COALESCE(excluded.title, title),
+            output_path = COALESCE(excluded.output_path, output_path),
+            error_type = excluded.error_type,
+            error_message = excluded.error_message,
+            updated_at = CURRENT_TIMESTAMP
+    `).run(playlistId, videoId, status, title, outputPath, errorType, errorMessage);
+}
+
+/**
+ * Point manifest entries at a file's new location after it was moved
+ * (e.g. into the live library), so the next sync still finds it on disk
+ * @param {string} oldPath - Path recorded at download time
+ * @param {string} newPath - Current path
+ */
+export function relocateTrack(oldPath, newPath) {
+    const db = initDownloadDatabase();
+    db.prepare(`
+        UPDATE playlist_manifest SET output_path = ?, updated_at = CURRENT_TIMESTAMP WHERE output_path = ?
+    `).run(newPath, oldPath);
+}
+
+/**
+ * Get all manifest entries for a playlist with a per-status summary
+ */
+export function getManifest(playlistId) {
+    const db = initDownloadDatabase();
+    const entries = db.prepare(`
+        SELECT video_id, status, title, output_path, error_type, error_message, updated_at
+        FROM playlist_manifest WHERE playlist_id = ? ORDER BY updated_at DESC
+    `).all(playlistId).map(row => ({
+        videoId: row.video_id,
+        status: row.status,
+        title: row.title,
+        outputPath: row.output_path,
+        errorType: row.error_type,
+        errorMessage: row.error_message,
+        updatedAt: row.updated_at
+    }));
+
+    const summary = Object.fromEntries(Object.values(TRACK_STATUS).map(status => [status, 0]));
+    entries.forEach(entry => summary[entry.status]++);
+
+    return { playlistId, entries, summary };
+}
+
+/**
+ * List the video IDs currently in a playlist (flat, no downloads)
+ * @returns {Promise<string[]|null>} Video IDs, or null if the listing failed
+ */
+function fetchPlaylistVideoIds(job) {
+    // Release handoff jobs download a fixed list of videos
+    if (job.options?.release) {
+        return Promise.resolve(job.options.release.tracks.map(track => track.videoId));
+    }
+
+    return new Promise((resolve) => {
+        const args = ['--flat-playlist', '--print', 'id', '--no-warnings', '--extractor-args', 'youtube:player_client=tv'];
+        if (job.cookiesPath) {
+            args.push('--cookies', job.cookiesPath);
+        }
+        args.push(job.playlistUrl);
+
+        const ytdlp = spawn(YTDLP_BINARY, args);
+        let stdout = '';
+
+        ytdlp.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        ytdlp.on('close', (code) => {
+            const ids = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+            // yt-dlp exits non-zero when some entries are unavailable, the listing is still usable
+            resolve(ids.length > 0 || code === 0 ? ids : null);
+        });
+
+        ytdlp.on('error', () => resolve(null));
+    });
+}
+
+async function fileExists(filePath) {
+    return fs.access(filePath).then(() => true).catch(() => false);
+}
+
+/**
+ * Move a track that was removed upstream into the _Removed folder
+ */
+async function archiveTrack(entry, outputPath) {
+    const relativePath = path.relative(outputPath, entry.outputPath);
+    const safeRelative = relativePath.startsWith('..') ? path.basename(entry.outputPath) : relativePath;
+    const archivePath = path.join(outputPath, ARCHIVE_FOLDER, safeRelative);
+
+    await fs.mkdir(path.dirname(archivePath), { recursive: true });
+    await fs.rename(entry.outputPath, archivePath);
+    return archivePath;
+}
+
+/**
+ * Prepare an incremental sync for a job
+ *
+ * Flags (or archives) tracks removed upstream and writes a temporary
+ * yt-dlp download archive listing every track that is already complete
+ * on disk, so yt-dlp only fetches new or previously failed items.
+ *
+ * @param {Object} job - Download job
+ * @param {Function} log - log(message, level)
+ * @returns {Promise<Object>} { playlistId, archivePath, removed, alreadyComplete }
+ */
+export async function preparePlaylistSync(job, log) {
+    const playlistId = getPlaylistId(job.playlistUrl);
+    const removedAction = REMOVED_ACTIONS.includes(job.options?.removedAction) ? job.options.removedAction : 'flag';
+    const { entries } = getManifest(playlistId);
+    const removed = [];
+
+    const currentIds = await fetchPlaylistVideoIds(job);
+
+    if (currentIds) {
+        const current = new Set(currentIds);
+        const known = new Set(entries.map(entry => entry.videoId));
+
+        // New items start out pending
+        currentIds.filter(id => !known.has(id)).forEach(videoId => {
+            recordTrack(playlistId, { videoId, status: TRACK_STATUS.PENDING });
+        });
+
+        // Items that disappeared upstream
+        if (removedAction !== 'ignore') {
+            for (const entry of entries) {
+                if (current.has(entry.videoId)) continue;
+                if (entry.status === TRACK_STATUS.REMOVED || entry.status === TRACK_STATUS.ARCHIVED) continue;
+
+                let status = TRACK_STATUS.REMOVED;
+                let outputPath = entry.outputPath;
+
+                if (removedAction === 'archive' && entry.outputPath && await fileExists(entry.outputPath)) {
+                    try {
+                        outputPath = await archiveTrack(entry, job.outputPath);
+                        status = TRACK_STATUS.ARCHIVED;
+                    } catch (error) {
+                        log(`Could not archive ${entry.outputPath}: ${error.message}`, 'WARN');
+                    }
+                }
+
+                initDownloadDatabase().prepare(`
+                    UPDATE playlist_manifest SET status = ?, output_path = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE playlist_id = ? AND video_id = ?
+                `).run(status, outputPath, playlistId, entry.videoId);
+                removed.push({ ...entry, status, outputPath });
+            }
+        }
+    } else {
+        log(`Could not list playlist ${playlistId}, skipping removed-track detection`, 'WARN');
+    }
+
+    // Tracks already on disk go into a temporary download archive
+    const alreadyComplete = [];
+    for (const entry of entries) {
+        if (entry.status !== TRACK_STATUS.COMPLETED) continue;
+        if (currentIds && !currentIds.includes(entry.videoId)) continue;
+        if (entry.outputPath && await fileExists(entry.outputPath)) {
+            alreadyComplete.push(entry.videoId);
+        }
+    }
+
+    const archivePath = path.join(os.tmpdir(), `yt-music-dl-archive-${job.id}-${Date.now()}.txt`);
+    await fs.writeFile(archivePath, alreadyComplete.map(id => `youtube ${id}`).join('\n') + '\n');
+
+    log(`Sync ${playlistId}: ${alreadyComplete.length} already downloaded, ${removed.length} removed upstream`, 'INFO');
+
+    return { playlistId, archivePath, removed, alreadyComplete: alreadyComplete.length };
+}
+
+/**
+ * Remove the temporary archive file created by preparePlaylistSync
+ */
+export async function finishPlaylistSync(sync) {
+    if (sync?.archivePath) {
+        await fs.unlink(sync.archivePath).catch(() => {});
+    }
+}
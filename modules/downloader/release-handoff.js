@@ -0,0 +1,249 @@
+/**
+ * Release Handoff
+ *
+ * Turns an Artist Radar entry (artist, title, release-group MBID) into a
+ * download plan: resolve the MusicBrainz release and its tracklist, find
+ * the matching YouTube Music album (or individual tracks when there is no
+ * album) and map each MusicBrainz track to a video. The plan travels with
+ * the download job so files are tagged and numbered from MusicBrainz.
+ */
+
+import { spawn } from 'child_process';
+import { searchRelease, getReleaseGroupReleases, getReleaseDetails, normalizeString, calculateSimilarity } from '../organizer/musicbrainz.js';
+import { searchYouTubeMusicForTrack } from '../organizer/upgrader.js';
+
+const YTDLP_BINARY = process.env.YTDLP_PATH || 'yt-dlp';
+
+// YouTube Music albums checked against the tracklist
+const ALBUM_CANDIDATES = 3;
+// Minimum title similarity for a video to count as a MusicBrainz track
+const TRACK_MATCH_THRESHOLD = 70;
+// Share of the tracklist an album must cover to be used instead of per-track searches
+const ALBUM_MATCH_RATIO = 0.7;
+// Release search confidence needed when the radar entry has no MBID
+const RELEASE_SEARCH_THRESHOLD = 70;
+
+const defaultLog = (message, level = 'INFO') => console.log(`[Release Handoff] [${level}] ${message}`);
+
+/**
+ * Run yt-dlp and parse its single JSON document (-J)
+ * @returns {Promise<Object|null>} Parsed output, or null on failure
+ */
+function runYtDlpJson(args, cookiesPath) {
+    return new Promise((resolve) => {
+        const fullArgs = ['--no-warnings', '--extractor-args', 'youtube:player_client=tv', ...args];
+        if (cookiesPath) {
+            fullArgs.unshift('--cookies', cookiesPath);
+        }
+
+        const ytdlp = spawn(YTDLP_BINARY, fullArgs);
+        let stdout = '';
+
+        ytdlp.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        ytdlp.on('close', () => {
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (error) {
+                resolve(null);
+            }
+        });
+
+        ytdlp.on('error', () => resolve(null));
+    });
+}
+
+/**
+ * Pick the edition most likely to match YouTube Music: official, digital, earliest
+ */
+function pickRelease(releases) {
+    const rank = (release) => [
+        release.status === 'Official' ? 0 : 1,
+        release.formats?.includes('Digital Media') ? 0 : 1,
+        release.date || '9999'
+    ];
+
+    return [...releases].sort((a, b) => {
+        const [rankA, rankB] = [rank(a), rank(b)];
+        for (let i = 0; i < rankA.length; i++) {
+            if (rankA[i] < rankB[i]) return -1;
+            if (rankA[i] > rankB[i]) return 1;
+        }
+        return 0;
+    })[0];
+}
+
+/**
+ * Resolve a radar entry to a MusicBrainz release with its tracklist
+ * @param {Object} entry - { artist, title, releaseGroupId, releaseId }
+ * @returns {Promise<Object>} { releaseId, releaseGroupId, artist, album, year, totalTracks, discCount, tracks }
+ */
+export async function resolveRelease({ artist, title, releaseGroupId = null, releaseId = null }) {
+    if (!releaseId) {
+        const releases = releaseGroupId
+            ? await getReleaseGroupReleases(releaseGroupId)
+            : (await searchRelease(artist, title)).filter(release => release.confidence >= RELEASE_SEARCH_THRESHOLD);
+
+        if (releases.length === 0) {
+            throw new Error(`No MusicBrainz release found for ${artist} - ${title}`);
+        }
+        releaseId = pickRelease(releases).id;
+    }
+
+    const details = await getReleaseDetails(releaseId);
+    const albumArtist = details['artist-credit']?.[0]?.name || artist;
+    const media = details.media || [];
+
+    const tracks = media.flatMap(medium => (medium.tracks || []).map(track => ({
+        disc: medium.position || 1,
+        number: track.position,
+        trackTotal: medium['track-count'] || medium.tracks.length,
+        title: track.title,
+        artist: track['artist-credit']?.[0]?.name || albumArtist,
+        recordingId: track.recording?.id || null,
+        lengthMs: track.length || track.recording?.length || null
+    })));
+
+    if (tracks.length === 0) {
+        throw new Error(`MusicBrainz release ${releaseId} has no tracklist`);
+    }
+
+    return {
+        releaseId,
+        releaseGroupId: releaseGroupId || details['release-group']?.id || null,
+        artist: albumArtist,
+        album: details.title,
+        year: details.date ? details.date.slice(0, 4) : null,
+        totalTracks: tracks.length,
+        discCount: media.length,
+        tracks
+    };
+}
+
+/**
+ * Title similarity between a MusicBrainz track and a video, ignoring "(feat. ...)" and similar suffixes
+ */
+function titleSimilarity(track, video) {
+    const strip = (title) => normalizeString(title.replace(/\s*[([](feat|ft|with)\.?\s[^)\]]*[)\]]/gi, ''));
+    return calculateSimilarity(strip(track.title), strip(video.title));
+}
+
+/**
+ * Map MusicBrainz tracks to album videos
+ * @returns {Array} Per MusicBrainz track: { videoId, title } or null
+ */
+function alignTracks(mbTracks, videos) {
+    const used = new Set();
+
+    return mbTracks.map((track, index) => {
+        let best = null;
+
+        videos.forEach((video, videoIndex) => {
+            if (used.has(video.videoId)) return;
+
+            const similarity = titleSimilarity(track, video);
+            if (similarity < TRACK_MATCH_THRESHOLD) return;
+
+            let score = similarity;
+            // Album playlists follow the tracklist order
+            if (videoIndex === index) score += 10;
+            // Same title, different length: probably another version
+            if (track.lengthMs && video.duration && Math.abs(track.lengthMs / 1000 - video.duration) > 15) score -= 30;
+
+            if (!best || score > best.score) {
+                best = { videoId: video.videoId, title: video.title, score };
+            }
+        });
+
+        if (!best) return null;
+        used.add(best.videoId);
+        return { videoId: best.videoId, title: best.title };
+    });
+}
+
+/**
+ * Search YouTube Music albums for a release
+ * @returns {Promise<Array>} [{ url, title }]
+ */
+async function searchYouTubeMusicAlbums(release, cookiesPath) {
+    const query = `${release.artist} ${release.album}`;
+    const url = `https://music.youtube.com/search?q=${encodeURIComponent(query)}#albums`;
+    const result = await runYtDlpJson(['--flat-playlist', '-J', '--playlist-end', String(ALBUM_CANDIDATES), url], cookiesPath);
+
+    return (result?.entries || []).filter(entry => entry.url).map(entry => ({ url: entry.url, title: entry.title || '' }));
+}
+
+/**
+ * List the videos of a YouTube Music album
+ */
+async function listAlbumVideos(albumUrl, cookiesPath) {
+    const result = await runYtDlpJson(['--flat-playlist', '-J', albumUrl], cookiesPath);
+
+    return (result?.entries || []).filter(entry => entry.id).map(entry => ({
+        videoId: entry.id,
+        title: entry.title || '',
+        duration: entry.duration || null
+    }));
+}
+
+/**
+ * Build a download plan for a radar entry
+ * @param {Object} entry - { artist, title, releaseGroupId, releaseId }
+ * @param {Object} options - { cookiesPath, log }
+ * @returns {Promise<Object>} { release (tracks carry videoId), albumUrl, missing }
+ */
+export async function planReleaseDownload(entry, { cookiesPath = null, log = defaultLog } = {}) {
+    const release = await resolveRelease(entry);
+    log(`Resolved ${release.artist} - ${release.album}: release ${release.releaseId}, ${release.totalTracks} tracks`);
+
+    let best = null;
+    for (const album of await searchYouTubeMusicAlbums(release, cookiesPath)) {
+        const aligned = alignTracks(release.tracks, await listAlbumVideos(album.url, cookiesPath));
+        const matched = aligned.filter(Boolean).length;
+        log(`YouTube Music album "${album.title}": ${matched}/${release.totalTracks} tracks match`, 'DEBUG');
+
+        if (!best || matched > best.matched) {
+            best = { album, aligned, matched };
+        }
+        if (matched === release.totalTracks) break;
+    }
+
+    const useAlbum = best && best.matched / release.totalTracks >= ALBUM_MATCH_RATIO;
+    const usedIds = new Set();
+    const tracks = [];
+    const missing = [];
+
+    for (let i = 0; i < release.tracks.length; i++) {
+        const track = release.tracks[i];
+        let match = useAlbum && best.aligned[i] ? { ...best.aligned[i], source: 'album' } : null;
+
+        if (!match) {
+            // Not on the album (or no album): search for the track on its own
+            const found = await searchYouTubeMusicForTrack({ artist: track.artist, title: track.title }, cookiesPath, null).catch(() => null);
+            if (found && !usedIds.has(found.videoId)) {
+                match = { videoId: found.videoId, title: found.title, source: 'search' };
+            }
+        }
+
+        if (match) {
+            usedIds.add(match.videoId);
+            tracks.push({ ...track, videoId: match.videoId, youtubeTitle: match.title, source: match.source });
+        } else {
+            missing.push(track);
+        }
+    }
+
+    if (tracks.length === 0) {
+        throw new Error(`Could not find ${release.artist} - ${release.album} on YouTube Music`);
+    }
+
+    log(`Plan for ${release.artist} - ${release.album}: ${tracks.length} track(s)${useAlbum ? ` from ${best.album.url}` : ' from search'}, ${missing.length} not found`);
+
+    return {
+        release: { ...release, tracks },
+        albumUrl: useAlbum ? best.album.url : null,
+        missing
+    };
+}
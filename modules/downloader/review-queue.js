@@ -0,0 +1,119 @@
+/**
+ * Pipeline Review Queue
+ *
+ * Downloads whose MusicBrainz match is below the auto-approve threshold
+ * are parked here by the post-download pipeline instead of being moved
+ * into the live library. They stay in the download folder until approved
+ * or dismissed.
+ */
+
+import { initDownloadDatabase } from './database.js';
+
+export const REVIEW_STATUS = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    // Approved, but not moved: the library already has the track in the same or better quality
+    SKIPPED: 'skipped',
+    DISMISSED: 'dismissed'
+};
+
+/**
+ * Whether a review item carries a MusicBrainz match to rename and place the file with
+ * (items parked as 'no_match' or 'skipped' by the matcher have none)
+ * @param {Object} item - Review item
+ */
+function isApprovable(item) {
+    return item.matchResult?.status === 'matched' && Boolean(item.matchResult.mbMatch);
+}
+
+/**
+ * Convert a database row to a review item
+ */
+function rowToItem(row) {
+    if (!row) return null;
+
+    const item = {
+        id: row.id,
+        jobId: row.job_id,
+        filePath: row.file_path,
+        stagingPath: row.staging_path,
+        liveLibraryPath: row.live_library_path,
+        category: row.category,
+        confidence: row.confidence,
+        reason: row.reason,
+        matchResult: row.match_result ? JSON.parse(row.match_result) : null,
+        status: row.status,
+        createdAt: row.created_at,
+        resolvedAt: row.resolved_at
+    };
+    item.approvable = isApprovable(item);
+    return item;
+}
+
+/**
+ * Park a match result for manual review
+ * @param {Object} item - { jobId, stagingPath, liveLibraryPath, matchResult }
+ * @returns {Object} Review item
+ */
+export function addReviewItem({ jobId = null, stagingPath, liveLibraryPath, matchResult }) {
+    const db = initDownloadDatabase();
+
+    // A re-run of the same playlist replaces the pending entry for the file
+    db.prepare('DELETE FROM review_queue WHERE file_path = ? AND status = ?').run(matchResult.filePath, REVIEW_STATUS.PENDING);
+
+    const info = db.prepare(`
+        INSERT INTO review_queue (job_id, file_path, staging_path, live_library_path, category, confidence, reason, match_result)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        jobId,
+        matchResult.filePath,
+        stagingPath,
+        liveLibraryPath,
+        matchResult.category || 'manual',
+        matchResult.confidence || 0,
+        matchResult.reason || (matchResult.category === 'review' ? `Match confidence ${matchResult.confidence}% is below auto-approve` : null),
+        JSON.stringify(matchResult)
+    );
+
+    return getReviewItem(info.lastInsertRowid);
+}
+
+/**
+ * Get a review item by ID
+ */
+export function getReviewItem(itemId) {
+    const db = initDownloadDatabase();
+    return rowToItem(db.prepare('SELECT * FROM review_queue WHERE id = ?').get(itemId));
+}
+
+/**
+ * List review items, newest first
+ * @param {string} status - Optional status filter
+ */
+export function listReviewItems(status = null) {
+    const db = initDownloadDatabase();
+    const rows = status
+        ? db.prepare('SELECT * FROM review_queue WHERE status = ? ORDER BY id DESC').all(status)
+        : db.prepare('SELECT * FROM review_queue ORDER BY id DESC').all();
+    return rows.map(rowToItem);
+}
+
+/**
+ * Whether a file already sits in the review queue: pending, or left in the download
+ * folder after it was skipped or dismissed
+ * @param {string} filePath
+ */
+export function isInReviewQueue(filePath) {
+    const db = initDownloadDatabase();
+    return Boolean(db.prepare('SELECT 1 FROM review_queue WHERE file_path = ? AND status IN (?, ?, ?)')
+        .get(filePath, REVIEW_STATUS.PENDING, REVIEW_STATUS.SKIPPED, REVIEW_STATUS.DISMISSED));
+}
+
+/**
+ * Mark a review item as approved, skipped or dismissed
+ */
+export function resolveReviewItem(itemId, status) {
+    const db = initDownloadDatabase();
+    db.prepare('UPDATE review_queue SET status = ?, resolved_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, itemId);
+    return getReviewItem(itemId);
+}
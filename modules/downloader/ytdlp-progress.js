@@ -0,0 +1,149 @@
+/**
+ * yt-dlp Structured Progress
+ *
+ * yt-dlp is asked to print JSON through --progress-template and --print,
+ * one prefixed line per event, instead of its human-readable output.
+ * This module builds those arguments and parses the resulting lines.
+ */
+
+export const ITEM_PREFIX = '[ytdl:item] ';
+export const PROGRESS_PREFIX = '[ytdl:progress] ';
+export const DONE_PREFIX = '[ytdl:done] ';
+
+// Fields printed once per video before it is downloaded
+const ITEM_FIELDS = [
+    'id', 'title', 'track', 'artist', 'album_artist', 'album', 'uploader', 'channel',
+    'duration', 'track_number', 'release_year', 'upload_date', 'playlist_index',
+    'n_entries', 'playlist_count', 'webpage_url'
+];
+
+// Fields printed after the final file has been moved into place
+const DONE_FIELDS = ['id', 'title', 'filepath', 'ext', 'acodec', 'abr', 'filesize', 'filesize_approx', 'duration'];
+
+// Progress hook fields (see yt-dlp progress_hooks)
+const PROGRESS_FIELDS = [
+    'status', 'downloaded_bytes', 'total_bytes', 'total_bytes_estimate',
+    'speed', 'eta', 'elapsed', 'fragment_index', 'fragment_count'
+];
+
+/**
+ * yt-dlp arguments that switch its output to prefixed JSON lines.
+ * --print implies --quiet; --progress keeps the progress template output.
+ */
+export const STRUCTURED_OUTPUT_ARGS = [
+    '--newline',
+    '--progress',
+    '--progress-template', `download:${PROGRESS_PREFIX}{"id":%(info.id)j,"progress":%(progress.{${PROGRESS_FIELDS.join(',')}})j}`,
+    '--print', `video:${ITEM_PREFIX}%(.{${ITEM_FIELDS.join(',')}})j`,
+    '--print', `after_move:${DONE_PREFIX}%(.{${DONE_FIELDS.join(',')}})j`
+];
+
+/**
+ * Classify a yt-dlp error message
+ * @returns {string} unavailable, private, removed, forbidden or unknown
+ */
+export function classifyError(message) {
+    if (message.includes('Video unavailable')) return 'unavailable';
+    if (message.includes('Private video')) return 'private';
+    if (message.includes('removed by the uploader')) return 'removed';
+    if (message.includes('403: Forbidden')) return 'forbidden';
+    return 'unknown';
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse a single line of yt-dlp output
+ * @param {string} line - One line of stdout or stderr
+ * @returns {Object|null} { type: 'item'|'progress'|'done'|'error'|'warning'|'log', ... }
+ */
+export function parseYtDlpLine(line) {
+    const text = line.replace(/\r$/, '');
+    if (!text.trim()) return null;
+
+    if (text.startsWith(ITEM_PREFIX)) {
+        const info = parseJson(text.slice(ITEM_PREFIX.length));
+        if (info) return { type: 'item', info };
+    }
+
+    if (text.startsWith(PROGRESS_PREFIX)) {
+        const data = parseJson(text.slice(PROGRESS_PREFIX.length));
+        if (data) return { type: 'progress', videoId: data.id, progress: data.progress || {} };
+    }
+
+    if (text.startsWith(DONE_PREFIX)) {
+        const info = parseJson(text.slice(DONE_PREFIX.length));
+        if (info) return { type: 'done', info };
+    }
+
+    if (text.startsWith('ERROR:')) {
+        return {
+            type: 'error',
+            message: text.trim(),
+            videoId: text.match(/\[youtube\] ([\w-]{11}):/)?.[1] || null,
+            errorType: classifyError(text)
+        };
+    }
+
+    if (text.startsWith('WARNING:')) {
+        return { type: 'warning', message: text.trim() };
+    }
+
+    return { type: 'log', message: text };
+}
+
+/**
+ * Split a stream of chunks into complete lines
+ * @param {Function} onLine - Called with each complete line
+ * @returns {{ push: Function, flush: Function }}
+ */
+export function createLineSplitter(onLine) {
+    let buffer = '';
+
+    return {
+        push(chunk) {
+            buffer += chunk.toString();
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(onLine);
+        },
+        flush() {
+            if (buffer) onLine(buffer);
+            buffer = '';
+        }
+    };
+}
+
+/**
+ * Percentage of the current file downloaded, or null when unknown
+ */
+export function getDownloadPercent(progress) {
+    const total = progress.total_bytes || progress.total_bytes_estimate;
+    if (!total || progress.downloaded_bytes === undefined || progress.downloaded_bytes === null) {
+        return progress.status === 'finished' ? 100 : null;
+    }
+    return Math.min((progress.downloaded_bytes / total) * 100, 100);
+}
+
+/**
+ * Normalize a printed item into the track info sent to the frontend
+ */
+export function toTrackInfo(info) {
+    return {
+        videoId: info.id,
+        title: info.track || info.title || '',
+        artist: info.album_artist || info.artist || info.uploader || '',
+        album: info.album || '',
+        uploader: info.uploader || info.channel || '',
+        duration: info.duration || null,
+        trackNumber: info.track_number || null,
+        playlistIndex: info.playlist_index || null,
+        url: info.webpage_url || null
+    };
+}
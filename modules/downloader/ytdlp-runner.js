@@ -0,0 +1,527 @@
+/**
+ * yt-dlp Runner
+ *
+ * Spawns yt-dlp for a single download job and translates its output
+ * into progress events for the download queue.
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+    STRUCTURED_OUTPUT_ARGS,
+    parseYtDlpLine,
+    createLineSplitter,
+    getDownloadPercent,
+    toTrackInfo
+} from './ytdlp-progress.js';
+import { getOutputProfile, DEFAULT_LAYOUT } from './output-profiles.js';
+import { generatePlexPath } from '../organizer/simple-organizer.js';
+import { applyArtwork } from '../organizer/artwork.js';
+
+const YTDLP_BINARY = process.env.YTDLP_PATH || 'yt-dlp';
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Plex layout downloads land here first, named by video ID, and are moved
+// into Artist/Album (Year)/ once yt-dlp has finished with them
+const STAGING_DIR = '.incoming';
+
+// Extensions any output profile can produce
+const AUDIO_EXTENSIONS = ['flac', 'm4a', 'opus', 'mp3', 'webm', 'ogg'];
+
+/**
+ * Build the yt-dlp argument list for a job
+ * @param {Object} job - Download job (playlistUrl, outputPath, cookiesPath, options.profile, options.layout)
+ * @param {string} archivePath - Optional download archive of already synced tracks
+ * @returns {string[]} Arguments for spawn
+ */
+function buildYtDlpArgs(job, archivePath) {
+    const profile = getOutputProfile(job.options?.profile);
+    const plexLayout = (job.options?.layout || DEFAULT_LAYOUT) === 'plex';
+    const outputTemplate = plexLayout
+        ? path.join(job.outputPath, STAGING_DIR, '%(id)s.%(ext)s')
+        : path.join(job.outputPath, profile.filenameTemplate);
+
+    // Using TV client to bypass signature extraction issues
+    const args = [
+        ...profile.ytdlpArgs,  // Format selection and conversion for the output profile
+        '--output', outputTemplate,
+        '--add-metadata',  // Add metadata from video
+        '--yes-playlist',  // Explicitly download whole playlist
+        '--ignore-errors',  // Continue on download errors
+        '--no-warnings',  // Reduce output noise
+        '--no-check-certificates',  // Sometimes helps with auth issues
+        '--extractor-args', 'youtube:player_client=tv',  // Use TV client to bypass signature issues
+        ...STRUCTURED_OUTPUT_ARGS  // JSON lines for item metadata, progress and final paths
+    ];
+
+    if (profile.embedThumbnail) {
+        args.push(
+            '--embed-thumbnail',  // Embed thumbnail as cover art
+            '--convert-thumbnails', 'jpg',  // Convert WebP to JPG (FLAC-compatible)
+            // Crop 16:9 video frames to the centred square; square thumbnails pass unchanged
+            '--ppa', `ThumbnailsConvertor+ffmpeg_o:-c:v mjpeg -qmin 1 -qscale:v 1 -vf crop="'if(gt(ih,iw),iw,ih)':'if(gt(iw,ih),ih,iw)'"`
+        );
+    }
+
+    if (plexLayout) {
+        // Fall back to the playlist position so the embedded track number matches the filename
+        args.push('--parse-metadata', '%(track_number,playlist_index)s:%(track_number)s');
+    }
+
+    if (archivePath) {
+        args.push('--download-archive', archivePath);
+    }
+
+    if (job.cookiesPath) {
+        args.push('--cookies', job.cookiesPath);
+    }
+
+    // Don't use PO token - it appears to require special format we don't have
+
+    if (job.options?.release) {
+        // Release handoff: the videos mapped to the MusicBrainz tracklist, in tracklist order
+        args.push(...job.options.release.tracks.map(track => `https://music.youtube.com/watch?v=${track.videoId}`));
+    } else {
+        args.push(job.playlistUrl);
+    }
+    return args;
+}
+
+/**
+ * Write MusicBrainz release metadata into a downloaded file (stream copy, no re-encode)
+ * @param {string} filepath - Downloaded file
+ * @param {Object} release - job.options.release
+ * @param {Object} track - The release track this video was mapped to
+ */
+function writeReleaseTags(filepath, release, track) {
+    return new Promise((resolve, reject) => {
+        const extension = path.extname(filepath);
+        const tempPath = `${filepath}.tags${extension}`;
+        const tags = {
+            artist: track.artist,
+            album_artist: release.artist,
+            album: release.album,
+            title: track.title,
+            track: `${track.number}/${track.trackTotal}`,
+            disc: `${track.disc}/${release.discCount}`,
+            date: release.year,
+            MUSICBRAINZ_ALBUMID: release.releaseId,
+            MUSICBRAINZ_RELEASEGROUPID: release.releaseGroupId,
+            MUSICBRAINZ_TRACKID: track.recordingId
+        };
+
+        const args = ['-i', filepath, '-map', '0', '-c', 'copy', '-map_metadata', '0'];
+        for (const [key, value] of Object.entries(tags)) {
+            if (value) args.push('-metadata', `${key}=${value}`);
+        }
+        if (extension === '.m4a') {
+            // MP4 drops custom keys (the MusicBrainz IDs) without this
+            args.push('-movflags', 'use_metadata_tags');
+        }
+        args.push('-y', tempPath);
+
+        const ffmpeg = spawn(FFMPEG_BINARY, args);
+        let stderr = '';
+
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        ffmpeg.on('close', async (code) => {
+            if (code === 0) {
+                try {
+                    await fs.rename(tempPath, filepath);
+                    resolve();
+                } catch (error) {
+                    reject(error);
+                }
+            } else {
+                await fs.unlink(tempPath).catch(() => {});
+                reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            }
+        });
+
+        ffmpeg.on('error', reject);
+    });
+}
+
+/**
+ * Move a finished download out of the staging folder into the Plex layout
+ * @param {string} filepath - Staged file
+ * @param {Object} info - Printed item info for the video
+ * @param {string} outputPath - Job output directory
+ * @param {Object} release - Optional release handoff metadata; names come from MusicBrainz instead of YouTube
+ * @returns {Promise<string>} Final path
+ * @throws {Error} With code EEXIST when a file is already at the final path
+ */
+async function moveToPlexLayout(filepath, info, outputPath, release = null) {
+    const trackInfo = toTrackInfo(info);
+    const extension = path.extname(filepath);
+    const releaseTrack = release?.tracks.find(track => track.videoId === info.id);
+
+    const finalPath = generatePlexPath(releaseTrack
+        ? {
+            artist: releaseTrack.artist,
+            albumArtist: release.artist,
+            album: release.album,
+            title: releaseTrack.title,
+            trackNumber: releaseTrack.number,
+            trackTotal: releaseTrack.trackTotal,
+            discNumber: releaseTrack.disc,
+            discTotal: release.discCount,
+            year: release.year,
+            recordingId: releaseTrack.recordingId,
+            releaseId: release.releaseId,
+            extension
+        }
+        : {
+            artist: trackInfo.artist || 'Unknown Artist',
+            album: trackInfo.album || 'Unknown Album',
+            title: trackInfo.title || path.basename(filepath, extension),
+            trackNumber: trackInfo.trackNumber || trackInfo.playlistIndex,
+            year: info.release_year || null,
+            extension
+        }, outputPath);
+
+    // rename() would silently replace it; the download stays in staging instead
+    if (await fs.access(finalPath).then(() => true).catch(() => false)) {
+        const error = new Error(`${path.relative(outputPath, finalPath)} already exists`);
+        error.code = 'EEXIST';
+        throw error;
+    }
+
+    await fs.mkdir(path.dirname(finalPath), { recursive: true });
+    await fs.rename(filepath, finalPath);
+
+    // Thumbnails and other leftovers of the same video
+    const stagingDir = path.dirname(filepath);
+    const leftovers = (await fs.readdir(stagingDir)).filter(name => name.startsWith(`${info.id}.`));
+    await Promise.all(leftovers.map(name => fs.unlink(path.join(stagingDir, name)).catch(() => {})));
+
+    return finalPath;
+}
+
+/**
+ * Remove leftover JPG thumbnails and an empty NA folder after a download
+ */
+async function cleanupOutput(outputPath, log) {
+    try {
+        const fg = (await import('fast-glob')).default;
+
+        // Find and remove JPG files next to downloaded audio files
+        const jpgFiles = await fg('**/*.jpg', { cwd: outputPath, absolute: true });
+        for (const jpgFile of jpgFiles) {
+            const siblings = AUDIO_EXTENSIONS.map(ext => jpgFile.replace(/\.jpg$/, `.${ext}`));
+            for (const audioFile of siblings) {
+                if (await fs.access(audioFile).then(() => true).catch(() => false)) {
+                    await fs.unlink(jpgFile);
+                    log(`Cleaned up thumbnail: ${path.basename(jpgFile)}`, 'DEBUG');
+                    break;
+                }
+            }
+        }
+
+        // Remove NA folder ONLY if it exists and is truly empty
+        // IMPORTANT: Never delete if it contains files - they may have artist info in filenames
+        const naFolder = path.join(outputPath, 'NA');
+        if (await fs.access(naFolder).then(() => true).catch(() => false)) {
+            try {
+                const naContents = await fs.readdir(naFolder);
+                if (naContents.length === 0) {
+                    await fs.rmdir(naFolder);
+                    log('Cleaned up empty NA folder', 'DEBUG');
+                } else {
+                    log(`NA folder contains ${naContents.length} items - preserving for manual processing`, 'INFO');
+                }
+            } catch (err) {
+                log(`Could not check/remove NA folder: ${err.message}`, 'DEBUG');
+            }
+        }
+    } catch (cleanupError) {
+        log(`Cleanup error: ${cleanupError.message}`, 'WARN');
+    }
+}
+
+/**
+ * Run yt-dlp for a download job
+ *
+ * The returned promise resolves once yt-dlp exits with an outcome of
+ * 'completed', 'cancelled' or 'failed'. It never rejects.
+ *
+ * @param {Object} job - Download job
+ * @param {Object} handlers
+ * @param {Function} handlers.onProgress - Called with each progress event
+ * @param {Function} handlers.onTrack - Called with { videoId, status, title, outputPath, errorType, errorMessage }
+ * @param {Function} handlers.log - log(message, level)
+ * @param {string} handlers.archivePath - Optional yt-dlp download archive for incremental sync
+ * @returns {{ process: ChildProcess, done: Promise<Object> }}
+ */
+export function runYtDlp(job, { onProgress, onTrack = () => {}, log = (message) => console.log(`[Downloader] ${message}`), debug = true, archivePath = null }) {
+    const sendProgress = (data) => {
+        if (debug && data.debug) {
+            log(data.debug, 'DEBUG');
+        }
+        onProgress(data);
+    };
+
+    const args = buildYtDlpArgs(job, archivePath);
+    const plexLayout = (job.options?.layout || DEFAULT_LAYOUT) === 'plex';
+    const release = job.options?.release || null;
+    log(`Executing command: ${`yt-dlp ${args.join(' ')}`.substring(0, 200)}...`, 'DEBUG');
+    sendProgress({ debug: `Command: yt-dlp with ${args.length} arguments`, progress: 2 });
+    sendProgress({ status: 'Fetching playlist information...', progress: 5 });
+
+    const ytdlp = spawn(YTDLP_BINARY, args);
+
+    // Tracking variables for status dashboard
+    let totalTracks = release ? release.tracks.length : 0;
+    let currentTrack = 0;
+    let completedTracks = 0;
+    let skippedTracks = 0;
+    let failedTracks = [];
+    let unavailableVideos = [];
+    let currentTrackInfo = null;
+    const downloadingIds = new Set();  // Videos that actually transferred data
+    const itemsById = new Map();  // Printed item info, needed to name files in the Plex layout
+    let placement = Promise.resolve();  // Staged files are moved one at a time, in order
+
+    const overallProgress = () => {
+        const processed = completedTracks + failedTracks.length;
+        return totalTracks > 0 ? Math.min(Math.round((processed / totalTracks) * 100), 99) : null;
+    };
+
+    const handleEvent = (event, stream) => {
+        switch (event.type) {
+            case 'item': {
+                itemsById.set(event.info.id, event.info);
+                currentTrackInfo = toTrackInfo(event.info);
+                currentTrack = event.info.playlist_index || currentTrack + 1;
+                totalTracks = event.info.n_entries || event.info.playlist_count || totalTracks || 1;
+
+                sendProgress({
+                    currentTrack,
+                    totalTracks,
+                    remaining: Math.max(totalTracks - currentTrack, 0),
+                    currentTrackInfo,
+                    downloadProgress: 0,
+                    status: `Downloading track ${currentTrack} of ${totalTracks}: ${currentTrackInfo.artist ? `${currentTrackInfo.artist} - ` : ''}${currentTrackInfo.title}`
+                });
+                break;
+            }
+
+            case 'progress': {
+                const { progress } = event;
+                if (progress.status === 'downloading') {
+                    downloadingIds.add(event.videoId);
+                }
+
+                const percent = getDownloadPercent(progress);
+                const update = {
+                    videoId: event.videoId,
+                    downloadedBytes: progress.downloaded_bytes ?? null,
+                    totalBytes: progress.total_bytes || progress.total_bytes_estimate || null,
+                    speed: progress.speed ?? null,
+                    eta: progress.eta ?? null
+                };
+                if (percent !== null) {
+                    update.downloadProgress = percent;
+                }
+                const overall = overallProgress();
+                if (overall !== null) {
+                    update.progress = overall;
+                }
+                sendProgress(update);
+                break;
+            }
+
+            case 'done': {
+                const { info } = event;
+                placement = placement.then(async () => {
+                    // A track that can't be placed fails on its own, the rest of the run goes on
+                    try {
+                        await placeTrack(info);
+                    } catch (error) {
+                        failTrack({
+                            videoId: info.id,
+                            errorType: 'unknown',
+                            message: `Could not process ${path.basename(info.filepath || info.id)}: ${error.message}`
+                        });
+                    }
+                }).catch((error) => {
+                    log(`Could not record track ${info.id}: ${error.message}`, 'ERROR');
+                });
+                break;
+            }
+
+            case 'error': {
+                const videoId = event.videoId || currentTrackInfo?.videoId || null;
+                if (event.errorType === 'unavailable' && videoId) {
+                    unavailableVideos.push({ videoId, message: event.message });
+                }
+                failTrack({ videoId, errorType: event.errorType, message: event.message });
+                break;
+            }
+
+            case 'warning': {
+                log(`yt-dlp warning: ${event.message}`, 'WARN');
+                const hiddenMatch = event.message.match(/(\d+) unavailable videos? (?:is|are) hidden/);
+                sendProgress(hiddenMatch
+                    ? { unavailableCount: parseInt(hiddenMatch[1]), warning: `${hiddenMatch[1]} unavailable video(s) in playlist` }
+                    : { warning: event.message });
+                break;
+            }
+
+            default: {
+                log(`[yt-dlp ${stream}] ${event.message}`, 'DEBUG');
+                if (debug) {
+                    sendProgress({ rawOutput: stream === 'stderr' ? `[stderr] ${event.message}` : event.message });
+                }
+            }
+        }
+    };
+
+    // Tag, move and cover a finished download, then count it
+    const placeTrack = async (info) => {
+        let outputPath = info.filepath;
+        const releaseTrack = release?.tracks.find(track => track.videoId === info.id);
+        if (releaseTrack && info.filepath) {
+            try {
+                await writeReleaseTags(info.filepath, release, releaseTrack);
+            } catch (error) {
+                log(`Could not write MusicBrainz tags to ${path.basename(info.filepath)}: ${error.message}`, 'WARN');
+            }
+        }
+        if (plexLayout && info.filepath) {
+            try {
+                outputPath = await moveToPlexLayout(info.filepath, { ...info, ...itemsById.get(info.id) }, job.outputPath, release);
+            } catch (error) {
+                // Taken by another file: the track fails rather than being counted in the wrong place
+                if (error.code === 'EEXIST') throw error;
+                log(`Could not move ${path.basename(info.filepath)} into the Plex layout: ${error.message}`, 'WARN');
+            }
+        }
+        if (releaseTrack && plexLayout && outputPath !== info.filepath) {
+            // The release's own cover replaces the YouTube thumbnail
+            try {
+                const artwork = await applyArtwork([{
+                    filePath: outputPath,
+                    releaseId: release.releaseId,
+                    releaseGroupId: release.releaseGroupId,
+                    hasArtwork: false
+                }]);
+                for (const failure of artwork.errors) {
+                    log(`Artwork: ${failure.error}`, 'WARN');
+                }
+            } catch (error) {
+                log(`Could not apply cover art to ${path.basename(outputPath)}: ${error.message}`, 'WARN');
+            }
+        }
+        finishTrack(info, outputPath);
+    };
+
+    const failTrack = ({ videoId, errorType, message }) => {
+        onTrack({ videoId, status: 'failed', errorType, errorMessage: message });
+
+        failedTracks.push({
+            type: errorType,
+            videoId,
+            message,
+            timestamp: new Date().toISOString()
+        });
+
+        log(`yt-dlp error: ${message}`, 'ERROR');
+        sendProgress({
+            error: message,
+            failedCount: failedTracks.length,
+            failedTracks: failedTracks,
+            unavailableCount: unavailableVideos.length,
+            unavailableVideos: unavailableVideos.map(v => v.videoId)
+        });
+    };
+
+    const finishTrack = (info, outputPath) => {
+        const fileName = path.basename(outputPath || '');
+        const skipped = !downloadingIds.has(info.id);
+
+        completedTracks++;
+        if (skipped) skippedTracks++;
+
+        onTrack({ videoId: info.id, status: 'completed', title: info.title, outputPath });
+        log(`${skipped ? 'Already downloaded' : 'Processed'} track ${completedTracks}: ${fileName}`, 'INFO');
+
+        sendProgress({
+            completedTracks,
+            skippedTracks,
+            downloadedCount: completedTracks,
+            lastCompleted: fileName,
+            format: (info.ext || '').toUpperCase(),
+            status: skipped
+                ? `Skipped already downloaded: ${fileName}`
+                : `Completed ${completedTracks}${totalTracks > 0 ? ` of ${totalTracks}` : ''} track(s)`,
+            progress: overallProgress() ?? 50
+        });
+    };
+
+    const splitters = ['stdout', 'stderr'].map(stream => {
+        const splitter = createLineSplitter((line) => {
+            const event = parseYtDlpLine(line);
+            if (event) handleEvent(event, stream);
+        });
+        ytdlp[stream].on('data', (data) => splitter.push(data));
+        return splitter;
+    });
+
+    const getSummary = () => ({
+        totalTracks,
+        completedTracks,
+        skippedTracks,
+        downloadedCount: completedTracks,
+        failedCount: failedTracks.length,
+        failedTracks: failedTracks,
+        unavailableCount: unavailableVideos.length,
+        unavailableVideos: unavailableVideos.map(v => v.videoId)
+    });
+
+    const done = new Promise((resolve) => {
+        ytdlp.on('close', async (code, signal) => {
+            // Whatever goes wrong while finishing up, the job must still get an outcome
+            try {
+                splitters.forEach(splitter => splitter.flush());
+                await placement;
+
+                // Remove the staging folder once everything has been moved out (partial downloads keep it)
+                if (plexLayout) {
+                    await fs.rmdir(path.join(job.outputPath, STAGING_DIR)).catch(() => {});
+                }
+                log(`yt-dlp process exited with code ${code}`, code === 0 ? 'INFO' : 'ERROR');
+
+                if (code === 0) {
+                    log(`Download completed successfully. Total tracks: ${completedTracks}`, 'INFO');
+                    await cleanupOutput(job.outputPath, log);
+                    resolve({ outcome: 'completed', code, summary: getSummary() });
+                } else if (code === null || code === 143 || code === 15 || signal === 'SIGTERM') {
+                    // SIGTERM or killed by user
+                    resolve({ outcome: 'cancelled', code, summary: getSummary() });
+                } else {
+                    resolve({ outcome: 'failed', code, summary: getSummary(), error: `Download failed with exit code ${code}` });
+                }
+            } catch (error) {
+                log(`Could not finish the download: ${error.message}`, 'ERROR');
+                resolve({ outcome: 'failed', code, summary: getSummary(), error: `Could not finish the download: ${error.message}` });
+            }
+        });
+
+        ytdlp.on('error', (error) => {
+            log(`Failed to start yt-dlp: ${error.message}`, 'ERROR');
+            resolve({
+                outcome: 'failed',
+                code: null,
+                summary: {},
+                error: `Failed to start yt-dlp: ${error.message}. Make sure yt-dlp is installed.`
+            });
+        });
+    });
+
+    return { process: ytdlp, done };
+}
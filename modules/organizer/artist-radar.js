@@ -23,6 +23,15 @@ const RATING_TIERS = {
     1: { scanFrequency: 'never', newReleaseWindow: 0, trackMajorAlbums: false, trackAllAlbums: false }
 };
 
+// Scan frequency in milliseconds
+const SCAN_INTERVALS = {
+    'daily': 24 * 60 * 60 * 1000,
+    'weekly': 7 * 24 * 60 * 60 * 1000,
+    'monthly': 30 * 24 * 60 * 60 * 1000,
+    'quarterly': 90 * 24 * 60 * 60 * 1000,
+    'never': Infinity
+};
+
 /**
  * Normalize server IP (handle common hostnames like plex.local)
  */
@@ -72,7 +81,7 @@ let radarDb = null;
 function initRadarDatabase() {
     if (radarDb) return radarDb;
 
-    const dbPath = path.join(__dirname, '../../data/radar.db');
+    const dbPath = path.join(process.env.DATA_PATH || path.join(__dirname, '../../data'), 'radar.db');
     const dbDir = path.dirname(dbPath);
 
     // Create data directory if it doesn't exist
@@ -112,10 +121,38 @@ function initRadarDatabase() {
             UNIQUE(artist_name, album_title)
         );
 
+        CREATE TABLE IF NOT EXISTS radar_results (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            artist_name TEXT NOT NULL,
+            artist_rating INTEGER NOT NULL,
+            release_title TEXT NOT NULL,
+            release_mbid TEXT,
+            release_type TEXT,
+            release_date TEXT,
+            category TEXT NOT NULL,
+            first_seen INTEGER NOT NULL,
+            last_seen INTEGER NOT NULL,
+            resolved_at INTEGER,
+            UNIQUE(artist_name, release_title)
+        );
+
+        CREATE TABLE IF NOT EXISTS radar_artist_scans (
+            artist_name TEXT PRIMARY KEY,
+            rating INTEGER NOT NULL,
+            last_scanned INTEGER NOT NULL,
+            last_error TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS radar_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT NOT NULL
+        );
+
         CREATE INDEX IF NOT EXISTS idx_artist_name ON ignored_releases(artist_name);
         CREATE INDEX IF NOT EXISTS idx_release_mbid ON ignored_releases(release_mbid);
         CREATE INDEX IF NOT EXISTS idx_artist_cache_name ON artist_cache(artist_name);
         CREATE INDEX IF NOT EXISTS idx_plex_albums_artist ON plex_albums_cache(artist_name);
+        CREATE INDEX IF NOT EXISTS idx_radar_results_open ON radar_results(resolved_at, category);
     `);
 
     console.log('[Artist Radar] Database initialized');
@@ -169,16 +206,7 @@ function getCachedArtist(artistName, rating) {
     const db = initRadarDatabase();
     const tierConfig = RATING_TIERS[rating];
 
-    // Calculate scan frequency in milliseconds
-    const scanIntervals = {
-        'daily': 24 * 60 * 60 * 1000,
-        'weekly': 7 * 24 * 60 * 60 * 1000,
-        'monthly': 30 * 24 * 60 * 60 * 1000,
-        'quarterly': 90 * 24 * 60 * 60 * 1000,
-        'never': Infinity
-    };
-
-    const interval = scanIntervals[tierConfig.scanFrequency];
+    const interval = SCAN_INTERVALS[tierConfig.scanFrequency];
     const now = Date.now();
 
     const stmt = db.prepare('SELECT * FROM artist_cache WHERE artist_name = ?');
@@ -257,8 +285,9 @@ function cachePlexAlbums(artistName, albums) {
 
 /**
  * Fetch complete discography for an artist from MusicBrainz (with caching)
+ * @param {Object} options - { rethrow: throw MusicBrainz errors instead of returning [] }
  */
-async function fetchMusicBrainzDiscography(artistName, rating, artistMbid = null) {
+async function fetchMusicBrainzDiscography(artistName, rating, artistMbid = null, { rethrow = false } = {}) {
     // Check cache first
     const cached = getCachedArtist(artistName, rating);
     if (cached) {
@@ -319,14 +348,18 @@ async function fetchMusicBrainzDiscography(artistName, rating, artistMbid = null
         return discography;
     } catch (error) {
         console.error(`[Artist Radar] Error fetching MusicBrainz data for ${artistName}:`, error);
+        if (rethrow) {
+            throw error;
+        }
         return [];
     }
 }
 
 /**
  * Fetch all tracks by an artist from Plex
+ * @param {Object} options - { rethrow: throw Plex errors instead of returning no albums }
  */
-async function fetchArtistTracks(plexConfig, artistRatingKey) {
+async function fetchArtistTracks(plexConfig, artistRatingKey, { rethrow = false } = {}) {
     const { serverIp, port, token } = plexConfig;
 
     try {
@@ -339,6 +372,9 @@ async function fetchArtistTracks(plexConfig, artistRatingKey) {
         return { tracks, albums };
     } catch (error) {
         console.error(`[Artist Radar] Error fetching tracks:`, error);
+        if (rethrow) {
+            throw error;
+        }
         return { tracks: [], albums: [] };
     }
 }
@@ -375,6 +411,9 @@ function ignoreRelease(artistName, releaseTitle, releaseMbid = null, releaseType
     const ignoredAt = Date.now();
     stmt.run(artistName, releaseTitle, releaseMbid, releaseType, ignoredAt);
 
+    // Drop it from the stored results right away instead of waiting for the next scan
+    db.prepare('DELETE FROM radar_results WHERE artist_name = ? AND release_title = ?').run(artistName, releaseTitle);
+
     console.log(`[Artist Radar] Ignored: ${artistName} - ${releaseTitle}`);
     return { success: true, ignoredAt };
 }
@@ -391,6 +430,274 @@ function unignoreRelease(id) {
     return { success: true };
 }
 
+/**
+ * Compare one artist's MusicBrainz discography with their albums in Plex
+ * @param {Object} plexConfig - { serverIp, port, token, libraryKey }
+ * @param {Object} artist - Rated artist from fetchRatedArtists()
+ * @param {Object} options - { rethrow: fail on MusicBrainz/Plex errors instead of treating them as empty }
+ * @returns {Promise<Object>} { newReleases, missingAlbums }
+ */
+async function scanArtist(plexConfig, artist, { rethrow = false } = {}) {
+    const tierConfig = RATING_TIERS[artist.rating];
+    const newReleases = [];
+    const missingAlbums = [];
+
+    // Fetch MusicBrainz discography (with caching, using Plex-provided MBID if available)
+    const discography = await fetchMusicBrainzDiscography(artist.name, artist.rating, artist.mbid, { rethrow });
+
+    // Fetch existing Plex tracks
+    const { albums: plexAlbums } = await fetchArtistTracks(plexConfig, artist.ratingKey, { rethrow });
+
+    // Cache Plex albums for future comparisons
+    cachePlexAlbums(artist.name, plexAlbums);
+
+    // Find the earliest studio album release date for this artist
+    const studioAlbums = discography.filter(r => r.type === 'Album' && r.releaseDate);
+    const earliestAlbumDate = studioAlbums.length > 0
+        ? studioAlbums.reduce((earliest, album) => {
+            const albumDate = new Date(album.releaseDate);
+            return albumDate < earliest ? albumDate : earliest;
+        }, new Date(studioAlbums[0].releaseDate))
+        : null;
+
+    // Process each release
+    for (const release of discography) {
+        // Skip if ignored
+        if (isReleaseIgnored(artist.name, release.title)) {
+            continue;
+        }
+
+        // Filter out Singles/EPs released before the first studio album
+        if (earliestAlbumDate && release.releaseDate) {
+            const releaseDate = new Date(release.releaseDate);
+            if ((release.type === 'Single' || release.type === 'EP') && releaseDate < earliestAlbumDate) {
+                console.log(`[Artist Radar] Filtering out ${release.type} "${release.title}" by ${artist.name} (released before first album)`);
+                continue;
+            }
+        }
+
+        // Skip live albums and compilations for missing albums section
+        const isLiveOrCompilation = release.secondaryTypes.includes('Live') ||
+                                   release.secondaryTypes.includes('Compilation');
+
+        // Check if in library
+        const inLibrary = plexAlbums.some(album =>
+            album.toLowerCase() === release.title.toLowerCase()
+        );
+
+        if (!inLibrary) {
+            // Check if it's a new release
+            if (release.releaseDate) {
+                const releaseDate = new Date(release.releaseDate);
+                const daysAgo = Math.floor((Date.now() - releaseDate.getTime()) / (1000 * 60 * 60 * 24));
+
+                if (daysAgo <= tierConfig.newReleaseWindow) {
+                    newReleases.push({
+                        artist: artist.name,
+                        artistRating: artist.rating,
+                        title: release.title,
+                        releaseDate: release.releaseDate,
+                        daysAgo,
+                        type: release.type,
+                        mbid: release.mbid
+                    });
+                    continue; // Don't add to missing albums if it's new
+                }
+            }
+
+            // Add to missing albums (if not live/compilation for lower tiers)
+            if (tierConfig.trackAllAlbums || (!isLiveOrCompilation && tierConfig.trackMajorAlbums)) {
+                // Only include studio albums and major EPs
+                if (release.type === 'Album' || release.type === 'EP') {
+                    missingAlbums.push({
+                        artist: artist.name,
+                        artistRating: artist.rating,
+                        title: release.title,
+                        releaseDate: release.releaseDate || 'Unknown',
+                        type: release.type,
+                        mbid: release.mbid
+                    });
+                }
+            }
+        }
+    }
+
+    return { newReleases, missingAlbums };
+}
+
+/**
+ * Store an artist's scan results, keeping when each release was first seen.
+ * Releases that no longer show up (now in Plex, ignored, out of the tier) are marked resolved.
+ */
+function saveArtistResults(artist, { newReleases, missingAlbums }) {
+    const db = initRadarDatabase();
+    const now = Date.now();
+
+    const upsert = db.prepare(`
+        INSERT INTO radar_results (artist_name, artist_rating, release_title, release_mbid, release_type, release_date, category, first_seen, last_seen)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(artist_name, release_title) DO UPDATE SET
+            artist_rating = excluded.artist_rating,
+            release_mbid = excluded.release_mbid,
+            release_type = excluded.release_type,
+            release_date = excluded.release_date,
+            category = excluded.category,
+            first_seen = CASE WHEN radar_results.resolved_at IS NOT NULL THEN excluded.first_seen ELSE radar_results.first_seen END,
+            last_seen = excluded.last_seen,
+            resolved_at = NULL
+    `);
+
+    db.transaction(() => {
+        const entries = [
+            ...newReleases.map(release => ['new_release', release]),
+            ...missingAlbums.map(album => ['missing', album])
+        ];
+
+        for (const [category, release] of entries) {
+            upsert.run(artist.name, artist.rating, release.title, release.mbid || null, release.type, release.releaseDate, category, now, now);
+        }
+
+        db.prepare('UPDATE radar_results SET resolved_at = ? WHERE artist_name = ? AND resolved_at IS NULL AND last_seen < ?')
+            .run(now, artist.name, now);
+
+        db.prepare(`
+            INSERT OR REPLACE INTO radar_artist_scans (artist_name, rating, last_scanned, last_error)
+            VALUES (?, ?, ?, NULL)
+        `).run(artist.name, artist.rating, now);
+    })();
+}
+
+/**
+ * Record a failed artist scan (results are left untouched)
+ */
+function recordArtistScanError(artist, error) {
+    const db = initRadarDatabase();
+    db.prepare(`
+        INSERT INTO radar_artist_scans (artist_name, rating, last_scanned, last_error) VALUES (?, ?, 0, ?)
+        ON CONFLICT(artist_name) DO UPDATE SET rating = excluded.rating, last_error = excluded.last_error
+    `).run(artist.name, artist.rating, error.message);
+}
+
+/**
+ * Resolve results for artists that are no longer rated (or dropped to 1 star)
+ * @param {string[]} artistNames - Artists that are still scanned
+ */
+function resolveUnratedArtists(artistNames) {
+    const db = initRadarDatabase();
+    const keep = new Set(artistNames);
+    const open = db.prepare('SELECT DISTINCT artist_name FROM radar_results WHERE resolved_at IS NULL').all();
+    const resolve = db.prepare('UPDATE radar_results SET resolved_at = ? WHERE artist_name = ? AND resolved_at IS NULL');
+    const now = Date.now();
+
+    for (const { artist_name } of open) {
+        if (!keep.has(artist_name)) {
+            resolve.run(now, artist_name);
+        }
+    }
+}
+
+/**
+ * Whether an artist is due for a scan according to their rating tier
+ */
+function isArtistDue(artist, now = Date.now()) {
+    const interval = SCAN_INTERVALS[RATING_TIERS[artist.rating]?.scanFrequency || 'never'];
+    if (interval === Infinity) {
+        return false;
+    }
+
+    const db = initRadarDatabase();
+    const row = db.prepare('SELECT last_scanned FROM radar_artist_scans WHERE artist_name = ?').get(artist.name);
+    return !row || now - row.last_scanned >= interval;
+}
+
+/**
+ * Read a radar setting (JSON)
+ */
+function getRadarSetting(key, fallback = null) {
+    const db = initRadarDatabase();
+    const row = db.prepare('SELECT value FROM radar_settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : fallback;
+}
+
+/**
+ * Save a radar setting (JSON)
+ */
+function setRadarSetting(key, value) {
+    const db = initRadarDatabase();
+    db.prepare('INSERT OR REPLACE INTO radar_settings (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+}
+
+/**
+ * Convert a radar_results row to a release, flagging releases found since the last visit
+ */
+function rowToRelease(row, lastVisit) {
+    const release = {
+        artist: row.artist_name,
+        artistRating: row.artist_rating,
+        title: row.release_title,
+        releaseDate: row.release_date,
+        type: row.release_type,
+        mbid: row.release_mbid,
+        firstSeen: row.first_seen,
+        isNew: lastVisit === null || row.first_seen > lastVisit
+    };
+
+    if (row.category === 'new_release') {
+        release.daysAgo = Math.floor((Date.now() - new Date(row.release_date).getTime()) / (1000 * 60 * 60 * 24));
+    }
+    if (row.resolved_at) {
+        release.resolvedAt = row.resolved_at;
+    }
+
+    return release;
+}
+
+/**
+ * Load stored radar results with the diff since the last visit
+ * @returns {Object} { newReleases, missingAlbums, resolvedSinceVisit, newSinceVisit, lastVisit, lastScan }
+ */
+function getRadarResults() {
+    const db = initRadarDatabase();
+    const lastVisit = getRadarSetting('last_visit');
+
+    const open = db.prepare('SELECT * FROM radar_results WHERE resolved_at IS NULL').all();
+    const resolved = lastVisit === null
+        ? []
+        : db.prepare('SELECT * FROM radar_results WHERE resolved_at > ? ORDER BY resolved_at DESC').all(lastVisit);
+
+    const newReleases = open.filter(row => row.category === 'new_release').map(row => rowToRelease(row, lastVisit));
+    const missingAlbums = open.filter(row => row.category === 'missing').map(row => rowToRelease(row, lastVisit));
+
+    // Same ordering as buildDashboard()
+    newReleases.sort((a, b) => new Date(b.releaseDate) - new Date(a.releaseDate));
+    missingAlbums.sort((a, b) => {
+        if (a.artistRating !== b.artistRating) {
+            return b.artistRating - a.artistRating;
+        }
+        return new Date(b.releaseDate) - new Date(a.releaseDate);
+    });
+
+    const lastScan = db.prepare('SELECT MAX(last_scanned) AS lastScan FROM radar_artist_scans').get().lastScan || null;
+
+    return {
+        newReleases,
+        missingAlbums,
+        resolvedSinceVisit: resolved.map(row => rowToRelease(row, lastVisit)),
+        newSinceVisit: [...newReleases, ...missingAlbums].filter(release => release.isNew).length,
+        lastVisit,
+        lastScan
+    };
+}
+
+/**
+ * Remember that the user has seen the current results
+ */
+function markRadarVisited() {
+    const now = Date.now();
+    setRadarSetting('last_visit', now);
+    return now;
+}
+
 /**
  * Build dashboard data: new releases and missing albums
  */
@@ -438,8 +745,6 @@ async function buildDashboard(plexConfig, progressCallback = null) {
             continue;
         }
 
-        const tierConfig = RATING_TIERS[artist.rating];
-
         // Check if we can use cached discography
         const cached = getCachedArtist(artist.name, artist.rating);
         if (cached) {
@@ -448,85 +753,11 @@ async function buildDashboard(plexConfig, progressCallback = null) {
             cacheMisses++;
         }
 
-        // Fetch MusicBrainz discography (with caching, using Plex-provided MBID if available)
-        const discography = await fetchMusicBrainzDiscography(artist.name, artist.rating, artist.mbid);
+        const results = await scanArtist(plexConfig, artist);
+        saveArtistResults(artist, results);
 
-        // Fetch existing Plex tracks
-        const { albums: plexAlbums } = await fetchArtistTracks(plexConfig, artist.ratingKey);
-
-        // Cache Plex albums for future comparisons
-        cachePlexAlbums(artist.name, plexAlbums);
-
-        // Find the earliest studio album release date for this artist
-        const studioAlbums = discography.filter(r => r.type === 'Album' && r.releaseDate);
-        const earliestAlbumDate = studioAlbums.length > 0
-            ? studioAlbums.reduce((earliest, album) => {
-                const albumDate = new Date(album.releaseDate);
-                return albumDate < earliest ? albumDate : earliest;
-            }, new Date(studioAlbums[0].releaseDate))
-            : null;
-
-        // Process each release
-        for (const release of discography) {
-            // Skip if ignored
-            if (isReleaseIgnored(artist.name, release.title)) {
-                continue;
-            }
-
-            // Filter out Singles/EPs released before the first studio album
-            if (earliestAlbumDate && release.releaseDate) {
-                const releaseDate = new Date(release.releaseDate);
-                if ((release.type === 'Single' || release.type === 'EP') && releaseDate < earliestAlbumDate) {
-                    console.log(`[Artist Radar] Filtering out ${release.type} "${release.title}" by ${artist.name} (released before first album)`);
-                    continue;
-                }
-            }
-
-            // Skip live albums and compilations for missing albums section
-            const isLiveOrCompilation = release.secondaryTypes.includes('Live') ||
-                                       release.secondaryTypes.includes('Compilation');
-
-            // Check if in library
-            const inLibrary = plexAlbums.some(album =>
-                album.toLowerCase() === release.title.toLowerCase()
-            );
-
-            if (!inLibrary) {
-                // Check if it's a new release
-                if (release.releaseDate) {
-                    const releaseDate = new Date(release.releaseDate);
-                    const daysAgo = Math.floor((Date.now() - releaseDate.getTime()) / (1000 * 60 * 60 * 24));
-
-                    if (daysAgo <= tierConfig.newReleaseWindow) {
-                        newReleases.push({
-                            artist: artist.name,
-                            artistRating: artist.rating,
-                            title: release.title,
-                            releaseDate: release.releaseDate,
-                            daysAgo,
-                            type: release.type,
-                            mbid: release.mbid
-                        });
-                        continue; // Don't add to missing albums if it's new
-                    }
-                }
-
-                // Add to missing albums (if not live/compilation for lower tiers)
-                if (tierConfig.trackAllAlbums || (!isLiveOrCompilation && tierConfig.trackMajorAlbums)) {
-                    // Only include studio albums and major EPs
-                    if (release.type === 'Album' || release.type === 'EP') {
-                        missingAlbums.push({
-                            artist: artist.name,
-                            artistRating: artist.rating,
-                            title: release.title,
-                            releaseDate: release.releaseDate || 'Unknown',
-                            type: release.type,
-                            mbid: release.mbid
-                        });
-                    }
-                }
-            }
-        }
+        newReleases.push(...results.newReleases);
+        missingAlbums.push(...results.missingAlbums);
 
         // Rate limit to avoid MusicBrainz throttling (1 request per second)
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -569,5 +800,14 @@ export default {
     isReleaseIgnored,
     ignoreRelease,
     unignoreRelease,
+    scanArtist,
+    saveArtistResults,
+    recordArtistScanError,
+    resolveUnratedArtists,
+    isArtistDue,
+    getRadarSetting,
+    setRadarSetting,
+    getRadarResults,
+    markRadarVisited,
     buildDashboard
 };
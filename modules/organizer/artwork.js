@@ -0,0 +1,198 @@
+/**
+ * Album Artwork
+ *
+ * Fetches front covers of matched releases from the Cover Art Archive,
+ * writes them as cover.jpg into the album folder (the layout Plex reads)
+ * and optionally embeds them into the tracks. Set COVERART_API_URL to use
+ * a mirror or a local stub.
+ */
+
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { initDownloadDatabase } from '../downloader/database.js';
+import { validMbid } from './musicbrainz.js';
+import { getAlbumFolder } from './naming.js';
+import { isTaggable, readTags, writeTags } from './tag-writer.js';
+
+const COVERART_API_URL = (process.env.COVERART_API_URL || 'https://coverartarchive.org').replace(/\/$/, '');
+const SETTINGS_KEY = 'artwork:settings';
+
+export const COVER_FILENAME = 'cover.jpg';
+
+// Thumbnail widths the Cover Art Archive serves (JPEG)
+export const COVER_SIZES = [250, 500, 1200];
+
+// cover.jpg size: large enough for Plex, without multi-megabyte originals
+const FOLDER_COVER_SIZE = 1200;
+
+export const DEFAULT_ARTWORK_SETTINGS = {
+    // Write cover.jpg into album folders
+    folderCover: true,
+    // Embed the cover into the tracks
+    embed: false,
+    embedSize: 500,
+    // Replace existing cover.jpg files and embedded art (YouTube thumbnails of downloads are always replaced)
+    replaceExisting: false
+};
+
+// Recently fetched covers, so the tracks of one album share one request
+const coverCache = new Map();
+const COVER_CACHE_SIZE = 20;
+
+/**
+ * Load the saved artwork settings
+ * @returns {Object} Settings merged over the defaults
+ */
+export function getArtworkSettings() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(SETTINGS_KEY);
+    return { ...DEFAULT_ARTWORK_SETTINGS, ...(row ? JSON.parse(row.value) : {}) };
+}
+
+/**
+ * Validate and save the artwork settings
+ * @param {Object} changes - Any subset of the settings
+ * @returns {Object} The saved settings
+ */
+export function setArtworkSettings(changes) {
+    const settings = { ...getArtworkSettings(), ...changes };
+
+    settings.embedSize = parseInt(settings.embedSize, 10);
+    if (!COVER_SIZES.includes(settings.embedSize)) {
+        throw new Error(`embedSize must be one of: ${COVER_SIZES.join(', ')}`);
+    }
+    for (const key of ['folderCover', 'embed', 'replaceExisting']) {
+        settings[key] = settings[key] === true || settings[key] === 'true';
+    }
+
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Download one Cover Art Archive image
+ * @returns {Promise<Buffer|null>} null when the entity has no front cover
+ */
+async function downloadCover(url) {
+    const response = await fetch(url, { headers: { 'User-Agent': 'claude-yt-music-dl/2.0.0' } });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Cover Art Archive returned ${response.status} for ${url}`);
+    }
+    if (!(response.headers.get('content-type') || '').startsWith('image/')) {
+        throw new Error(`Cover Art Archive returned ${response.headers.get('content-type') || 'no content type'} for ${url}`);
+    }
+
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Front cover of a release, falling back to its release group's
+ * @param {string} releaseId - MusicBrainz release ID
+ * @param {Object} options - { size: one of COVER_SIZES, releaseGroupId }
+ * @returns {Promise<Buffer|null>} JPEG data, null when neither has a front cover
+ */
+export async function fetchFrontCover(releaseId, { size = FOLDER_COVER_SIZE, releaseGroupId = null } = {}) {
+    const key = `${releaseId}:${size}`;
+    if (!coverCache.has(key)) {
+        const image = (async () => {
+            const cover = await downloadCover(`${COVERART_API_URL}/release/${releaseId}/front-${size}`);
+            if (cover || !validMbid(releaseGroupId)) return cover;
+            return downloadCover(`${COVERART_API_URL}/release-group/${releaseGroupId}/front-${size}`);
+        })();
+
+        coverCache.set(key, image);
+        if (coverCache.size > COVER_CACHE_SIZE) {
+            coverCache.delete(coverCache.keys().next().value);
+        }
+        // Failed requests are retried next time
+        image.catch(() => coverCache.delete(key));
+    }
+
+    return coverCache.get(key);
+}
+
+/**
+ * Whether a track already has embedded art (read from the file when the scanner didn't say)
+ */
+function hasEmbeddedArt(track) {
+    if (typeof track.hasArtwork === 'boolean') return track.hasArtwork;
+    try {
+        return readTags(track.filePath, ['cover']).cover !== null;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Write cover.jpg into the album folders of matched tracks and embed the covers
+ * @param {Array} tracks - [{ filePath, releaseId, releaseGroupId, hasArtwork }]; tracks without
+ *                         a valid releaseId are ignored, hasArtwork false replaces embedded art
+ * @param {Object} settings - Defaults to the saved settings
+ * @returns {Promise<Object>} { albums, coversWritten, embedded, notFound, errors: [{ path, error }] }
+ */
+export async function applyArtwork(tracks, settings = getArtworkSettings()) {
+    const summary = { albums: 0, coversWritten: 0, embedded: 0, notFound: 0, errors: [] };
+
+    // One folder cover per album folder, from its first track's release
+    const albums = new Map();
+    for (const track of tracks) {
+        const releaseId = validMbid(track.releaseId);
+        if (!releaseId || !track.filePath) continue;
+
+        const folder = getAlbumFolder(track.filePath);
+        if (!albums.has(folder)) {
+            albums.set(folder, { releaseId, releaseGroupId: track.releaseGroupId, tracks: [] });
+        }
+        albums.get(folder).tracks.push(track);
+    }
+
+    for (const [folder, album] of albums) {
+        summary.albums++;
+        const coverPath = path.join(folder, COVER_FILENAME);
+
+        try {
+            if (settings.folderCover && (settings.replaceExisting || !existsSync(coverPath))) {
+                const image = await fetchFrontCover(album.releaseId, { size: FOLDER_COVER_SIZE, releaseGroupId: album.releaseGroupId });
+                if (!image) {
+                    summary.notFound++;
+                    console.log(`[Artwork] No front cover for release ${album.releaseId} (${path.basename(folder)})`);
+                    continue;
+                }
+                await fs.writeFile(coverPath, image);
+                summary.coversWritten++;
+                console.log(`[Artwork] Wrote ${coverPath}`);
+            }
+
+            if (!settings.embed) continue;
+
+            const toEmbed = album.tracks.filter(track =>
+                isTaggable(track.filePath) && (settings.replaceExisting || !hasEmbeddedArt(track)));
+            if (toEmbed.length === 0) continue;
+
+            const image = await fetchFrontCover(album.releaseId, { size: settings.embedSize, releaseGroupId: album.releaseGroupId });
+            if (!image) {
+                summary.notFound++;
+                continue;
+            }
+
+            for (const track of toEmbed) {
+                try {
+                    await writeTags(track.filePath, { cover: image });
+                    summary.embedded++;
+                } catch (error) {
+                    summary.errors.push({ path: track.filePath, error: error.message });
+                    console.error(`[Artwork] Could not embed cover into ${path.basename(track.filePath)}: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            summary.errors.push({ path: folder, error: error.message });
+            console.error(`[Artwork] ${path.basename(folder)}: ${error.message}`);
+        }
+    }
+
+    return summary;
+}
@@ -0,0 +1,473 @@
+/**
+ * Audio Analysis
+ *
+ * Decodes files with ffmpeg to check what the audio really holds instead
+ * of trusting the container and bitrate labels: FLAC MD5 verification,
+ * decode errors, truncation, clipping and the effective bandwidth.
+ *
+ * Lossy encoders low-pass the signal (LAME at 128 kbps cuts around
+ * 16 kHz, YouTube's AAC streams about the same), so a spectral cutoff
+ * well below 20 kHz in a lossless file marks it as transcoded from a
+ * lossy source. The cutoff is estimated from the averaged spectrum of
+ * windows spread across the track. Results are cached in
+ * data/analysis.db by path, size and modification time.
+ */
+
+import Database from 'better-sqlite3';
+import { spawn } from 'child_process';
+import { existsSync, mkdirSync, statSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFile } from 'music-metadata';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const FFT_SIZE = 4096;
+// Spectrum windows taken across the track
+const WINDOW_COUNT = 64;
+// Width of the frequency bands the cutoff is searched in (Hz)
+const BAND_WIDTH = 250;
+// Bands more than this far below the 1-6 kHz median count as empty (dB)
+const CUTOFF_THRESHOLD_DB = 50;
+// Windows quieter than this (RMS, full scale = 1) say nothing about the bandwidth
+const SILENCE_RMS = 0.001;
+
+// Lossless files cut below this were made from a lossy source (Hz)
+export const LOSSY_CUTOFF_HZ = 19000;
+// Runs of at least this many full-scale samples count as clipping
+const CLIP_RUN_LENGTH = 3;
+// Clipped runs a track needs before it is flagged
+const CLIPPED_RUNS_THRESHOLD = 10;
+// Decoded audio this much shorter than the header says is truncated (seconds)
+const TRUNCATION_TOLERANCE = 1;
+
+// Lowpass of common lossy encoders at each bitrate (LAME defaults), highest first
+const CUTOFF_BITRATES = [
+    { cutoff: 19500, bitrate: 320 },
+    { cutoff: 18500, bitrate: 256 },
+    { cutoff: 17000, bitrate: 192 },
+    { cutoff: 15500, bitrate: 128 },
+    { cutoff: 13000, bitrate: 96 }
+];
+
+const LOSSLESS_EXTENSIONS = ['.flac', '.wav', '.aiff', '.aif', '.ape', '.wv'];
+
+let analysisDb = null;
+let available = null;
+
+/**
+ * Initialize analysis cache database
+ */
+export function initAnalysisDatabase() {
+    if (analysisDb) return analysisDb;
+
+    const dbPath = path.join(process.env.DATA_PATH || path.join(__dirname, '../../data'), 'analysis.db');
+    const dbDir = path.dirname(dbPath);
+
+    if (!existsSync(dbDir)) {
+        mkdirSync(dbDir, { recursive: true });
+    }
+
+    analysisDb = new Database(dbPath);
+
+    analysisDb.exec(`
+        CREATE TABLE IF NOT EXISTS audio_analysis (
+            file_path TEXT PRIMARY KEY,
+            size INTEGER NOT NULL,
+            mtime INTEGER NOT NULL,
+            result TEXT NOT NULL,
+            analyzed_at INTEGER NOT NULL
+        );
+    `);
+
+    console.log('[Analysis] Database initialized:', dbPath);
+    return analysisDb;
+}
+
+/**
+ * Read STREAMINFO from the start of a FLAC file (ID3v2 tags in front are skipped)
+ * @param {Buffer} buffer - At least the first 42 bytes after any ID3v2 tag
+ * @returns {Object|null} { sampleRate, channels, bitsPerSample, totalSamples, md5 }; md5 is null when unset
+ */
+export function readFlacStreamInfo(buffer) {
+    let offset = 0;
+    if (buffer.toString('latin1', 0, 3) === 'ID3' && buffer.length >= 10) {
+        // Syncsafe tag size
+        offset = 10 + ((buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9]);
+    }
+    if (buffer.length < offset + 42 || buffer.toString('latin1', offset, offset + 4) !== 'fLaC') return null;
+    if ((buffer[offset + 4] & 0x7F) !== 0) return null;
+
+    const info = offset + 8;
+    const packed = buffer.readUInt32BE(info + 10);
+    const md5 = buffer.subarray(info + 18, info + 34);
+
+    return {
+        sampleRate: packed >>> 12,
+        channels: ((packed >>> 9) & 0x07) + 1,
+        bitsPerSample: ((packed >>> 4) & 0x1F) + 1,
+        totalSamples: (packed & 0x0F) * 0x100000000 + buffer.readUInt32BE(info + 14),
+        md5: md5.every(byte => byte === 0) ? null : md5.toString('hex')
+    };
+}
+
+/**
+ * Bitrate of a lossy encoding that cuts at this frequency
+ * @param {number} cutoffHz - Estimated cutoff
+ * @returns {number} kbps
+ */
+export function sourceBitrateForCutoff(cutoffHz) {
+    const match = CUTOFF_BITRATES.find(entry => cutoffHz >= entry.cutoff);
+    return match ? match.bitrate : 64;
+}
+
+// Hann window and bit-reversal table for FFT_SIZE, built on first use
+let fftTables = null;
+
+function getFftTables() {
+    if (fftTables) return fftTables;
+
+    const window = new Float64Array(FFT_SIZE);
+    const reversed = new Uint32Array(FFT_SIZE);
+    const bits = Math.log2(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+        window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FFT_SIZE - 1));
+        let r = 0;
+        for (let b = 0; b < bits; b++) r = (r << 1) | ((i >>> b) & 1);
+        reversed[i] = r;
+    }
+
+    fftTables = { window, reversed };
+    return fftTables;
+}
+
+/**
+ * Power spectrum of one window (Hann window, radix-2 FFT)
+ * @param {Float64Array} samples - FFT_SIZE (4096) mono samples, full scale = 1
+ * @returns {Float64Array} Power of bins 0 to FFT_SIZE / 2
+ */
+export function powerSpectrum(samples) {
+    const { window, reversed } = getFftTables();
+    const re = new Float64Array(FFT_SIZE);
+    const im = new Float64Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+        re[reversed[i]] = (samples[i] || 0) * window[i];
+    }
+
+    for (let size = 2; size <= FFT_SIZE; size *= 2) {
+        const half = size / 2;
+        const step = (-2 * Math.PI) / size;
+        for (let start = 0; start < FFT_SIZE; start += size) {
+            for (let k = 0; k < half; k++) {
+                const cos = Math.cos(step * k);
+                const sin = Math.sin(step * k);
+                const a = start + k;
+                const b = a + half;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+
+    const power = new Float64Array(FFT_SIZE / 2 + 1);
+    for (let i = 0; i < power.length; i++) {
+        power[i] = re[i] * re[i] + im[i] * im[i];
+    }
+    return power;
+}
+
+/**
+ * Estimate where the audio stops: the top of the highest band that is still
+ * within CUTOFF_THRESHOLD_DB of the 1-6 kHz level
+ * @param {Float64Array} spectrum - Power spectrum (averaged over windows)
+ * @param {number} sampleRate - Hz
+ * @returns {number|null} Cutoff in Hz, null for silence
+ */
+export function estimateCutoff(spectrum, sampleRate) {
+    const binWidth = sampleRate / 2 / (spectrum.length - 1);
+    const binsPerBand = Math.max(1, Math.round(BAND_WIDTH / binWidth));
+
+    const bands = [];
+    for (let start = 1; start + binsPerBand <= spectrum.length; start += binsPerBand) {
+        let sum = 0;
+        for (let i = start; i < start + binsPerBand; i++) sum += spectrum[i];
+        bands.push({ top: (start + binsPerBand) * binWidth, level: 10 * Math.log10(sum / binsPerBand + 1e-20) });
+    }
+
+    const reference = bands
+        .filter(band => band.top > 1000 && band.top <= 6000)
+        .map(band => band.level)
+        .sort((a, b) => a - b);
+    if (reference.length === 0) return null;
+
+    const median = reference[Math.floor(reference.length / 2)];
+    if (median <= -150) return null;
+
+    for (let i = bands.length - 1; i >= 0; i--) {
+        if (bands[i].level > median - CUTOFF_THRESHOLD_DB) {
+            return Math.round(Math.min(bands[i].top, sampleRate / 2));
+        }
+    }
+    return null;
+}
+
+/**
+ * Streaming analysis of interleaved s16le stereo PCM: clipping runs and
+ * the averaged spectrum of windows spread across the expected length
+ */
+function createPcmAnalyzer(sampleRate, expectedFrames) {
+    const step = Math.max(FFT_SIZE, Math.floor((expectedFrames || sampleRate * 240) / WINDOW_COUNT));
+    const spectrum = new Float64Array(FFT_SIZE / 2 + 1);
+    const window = new Float64Array(FFT_SIZE);
+    let windows = 0;
+    let windowStart = Math.floor(step / 2);
+    let windowFill = 0;
+
+    const runs = [0, 0];
+    let clippedRuns = 0;
+    let frames = 0;
+    let leftover = null;
+
+    function checkClipping(channel, sample) {
+        if (sample >= 32767 || sample <= -32768) {
+            runs[channel]++;
+            if (runs[channel] === CLIP_RUN_LENGTH) clippedRuns++;
+        } else {
+            runs[channel] = 0;
+        }
+    }
+
+    function addFrame(left, right) {
+        checkClipping(0, left);
+        checkClipping(1, right);
+
+        if (frames >= windowStart) {
+            window[windowFill++] = (left + right) / 65536;
+            if (windowFill === FFT_SIZE) {
+                let energy = 0;
+                for (let i = 0; i < FFT_SIZE; i++) energy += window[i] * window[i];
+                if (Math.sqrt(energy / FFT_SIZE) >= SILENCE_RMS) {
+                    const power = powerSpectrum(window);
+                    for (let i = 0; i < power.length; i++) spectrum[i] += power[i];
+                    windows++;
+                }
+                windowFill = 0;
+                windowStart += step;
+            }
+        }
+        frames++;
+    }
+
+    return {
+        push(chunk) {
+            const data = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = data.length - (data.length % 4);
+            for (let offset = 0; offset < usable; offset += 4) {
+                addFrame(data.readInt16LE(offset), data.readInt16LE(offset + 2));
+            }
+            leftover = usable < data.length ? Buffer.from(data.subarray(usable)) : null;
+        },
+        finish() {
+            return {
+                frames,
+                clippedRuns,
+                cutoffHz: windows > 0 ? estimateCutoff(spectrum, sampleRate) : null
+            };
+        }
+    };
+}
+
+/**
+ * Whether ffmpeg runs, which every analysis decodes with (checked once)
+ * @returns {Promise<boolean>}
+ */
+export async function isAnalysisAvailable() {
+    if (available !== null) return available;
+
+    available = await new Promise((resolve) => {
+        const ffmpeg = spawn(FFMPEG_BINARY, ['-version']);
+        ffmpeg.on('close', code => resolve(code === 0));
+        ffmpeg.on('error', () => resolve(false));
+    });
+
+    if (!available) {
+        console.log(`[Analysis] ${FFMPEG_BINARY} not found, audio verification disabled`);
+    }
+    return available;
+}
+
+function isLossless(filePath, format) {
+    if (typeof format?.lossless === 'boolean') return format.lossless;
+    return LOSSLESS_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Decode a file and check its integrity and effective quality
+ * @param {string} filePath - Audio file
+ * @param {Object} options - { force: analyze again even when cached }
+ * @returns {Promise<Object>} { codec, lossless, duration, decodedDuration, decodeErrors, truncated,
+ *          md5 ('ok'|'mismatch'|'unset'|null when not FLAC), clippedRuns, clipped, cutoffHz,
+ *          sourceBitrate (kbps of the lossy source, null for full-band lossless), lossySourced, damaged }
+ */
+export async function analyzeAudio(filePath, { force = false } = {}) {
+    if (!force) {
+        const cached = getCachedAnalysis(filePath);
+        if (cached) return cached;
+    }
+
+    const stats = await fs.stat(filePath);
+    const { format } = await parseFile(filePath, { duration: true, skipCovers: true }).catch(() => ({ format: {} }));
+    const lossless = isLossless(filePath, format);
+    const sampleRate = format.sampleRate || 44100;
+
+    let streamInfo = null;
+    if (path.extname(filePath).toLowerCase() === '.flac') {
+        const handle = await fs.open(filePath, 'r');
+        try {
+            const header = Buffer.alloc(64 * 1024);
+            const { bytesRead } = await handle.read(header, 0, header.length, 0);
+            streamInfo = readFlacStreamInfo(header.subarray(0, bytesRead));
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // FLAC's MD5 covers the samples at their own bit depth
+    const md5Codec = { 16: 'pcm_s16le', 24: 'pcm_s24le' }[streamInfo?.bitsPerSample];
+    const checkMd5 = Boolean(streamInfo?.md5 && md5Codec);
+
+    const args = ['-hide_banner', '-nostats', '-v', 'error', '-i', filePath];
+    if (checkMd5) {
+        args.push('-map', '0:a:0', '-c:a', md5Codec, '-f', 'md5', 'pipe:1');
+    }
+    args.push('-map', '0:a:0', '-ac', '2', '-c:a', 'pcm_s16le', '-f', 's16le', 'pipe:3');
+
+    const expectedFrames = format.duration ? Math.round(format.duration * sampleRate) : null;
+    const analyzer = createPcmAnalyzer(sampleRate, expectedFrames);
+
+    const { code, stdout, errors } = await new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_BINARY, args, { stdio: ['ignore', 'pipe', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        ffmpeg.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+        ffmpeg.stdio[3].on('data', chunk => analyzer.push(chunk));
+
+        ffmpeg.on('close', (code) => {
+            resolve({ code, stdout, errors: stderr.split('\n').map(line => line.trim()).filter(Boolean) });
+        });
+        ffmpeg.on('error', reject);
+    });
+
+    const pcm = analyzer.finish();
+    const decodedDuration = pcm.frames / sampleRate;
+    const duration = format.duration || null;
+
+    let md5 = null;
+    if (streamInfo) {
+        if (!streamInfo.md5) {
+            md5 = 'unset';
+        } else if (checkMd5) {
+            const decoded = stdout.match(/MD5=([0-9a-f]{32})/i);
+            md5 = decoded && decoded[1].toLowerCase() === streamInfo.md5 ? 'ok' : 'mismatch';
+        }
+    }
+
+    const truncated = Boolean(duration && duration - decodedDuration > TRUNCATION_TOLERANCE);
+    const lossySourced = lossless && pcm.cutoffHz !== null && pcm.cutoffHz < LOSSY_CUTOFF_HZ;
+
+    const result = {
+        codec: format.codec || path.extname(filePath).slice(1).toLowerCase(),
+        lossless,
+        duration,
+        decodedDuration: Math.round(decodedDuration * 100) / 100,
+        decodeErrors: errors.slice(0, 10),
+        truncated,
+        md5,
+        clippedRuns: pcm.clippedRuns,
+        clipped: pcm.clippedRuns >= CLIPPED_RUNS_THRESHOLD,
+        cutoffHz: pcm.cutoffHz,
+        sourceBitrate: pcm.cutoffHz !== null && (lossySourced || !lossless) ? sourceBitrateForCutoff(pcm.cutoffHz) : null,
+        lossySourced,
+        damaged: code !== 0 || errors.length > 0 || truncated || md5 === 'mismatch'
+    };
+
+    const db = initAnalysisDatabase();
+    db.prepare(`
+        INSERT OR REPLACE INTO audio_analysis (file_path, size, mtime, result, analyzed_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(filePath, stats.size, Math.floor(stats.mtimeMs), JSON.stringify(result), Date.now());
+
+    return result;
+}
+
+/**
+ * Stored analysis of a file, if it hasn't changed since
+ * @param {string} filePath - Audio file
+ * @returns {Object|null} analyzeAudio() result
+ */
+export function getCachedAnalysis(filePath) {
+    if (!filePath) return null;
+
+    let stats;
+    try {
+        stats = statSync(filePath);
+    } catch (error) {
+        return null;
+    }
+
+    const db = initAnalysisDatabase();
+    const row = db.prepare('SELECT size, mtime, result FROM audio_analysis WHERE file_path = ?').get(filePath);
+    if (!row || row.size !== stats.size || row.mtime !== Math.floor(stats.mtimeMs)) return null;
+
+    return JSON.parse(row.result);
+}
+
+/**
+ * Analyze a set of files
+ * @param {Array<string>} filePaths - Audio files
+ * @param {Object} options - { force, progressCallback }
+ * @returns {Promise<Object>} { analyzed, damaged, lossySourced, clipped, results: [{ path, analysis }], errors: [{ path, error }] }
+ */
+export async function verifyAudioFiles(filePaths, { force = false, progressCallback = null } = {}) {
+    const summary = { analyzed: 0, damaged: 0, lossySourced: 0, clipped: 0, results: [], errors: [] };
+
+    for (const [index, filePath] of filePaths.entries()) {
+        try {
+            const analysis = await analyzeAudio(filePath, { force });
+            summary.analyzed++;
+            if (analysis.damaged) summary.damaged++;
+            if (analysis.lossySourced) summary.lossySourced++;
+            if (analysis.clipped) summary.clipped++;
+            summary.results.push({ path: filePath, analysis });
+        } catch (error) {
+            summary.errors.push({ path: filePath, error: error.message });
+            console.error(`[Analysis] ${path.basename(filePath)}: ${error.message}`);
+        }
+
+        if (progressCallback) {
+            progressCallback({
+                processed: index + 1,
+                total: filePaths.length,
+                progress: Math.round(((index + 1) / filePaths.length) * 100),
+                currentFile: filePath
+            });
+        }
+    }
+
+    console.log(`[Analysis] ${summary.analyzed} file(s): ${summary.damaged} damaged, ${summary.lossySourced} lossy-sourced, ${summary.clipped} clipped`);
+    return summary;
+}
@@ -0,0 +1,307 @@
+/**
+ * Audio Fingerprinting (Chromaprint / AcoustID)
+ *
+ * Identifies files by their audio instead of their tags: fpcalc computes a
+ * Chromaprint fingerprint, AcoustID maps it to MusicBrainz recordings.
+ * Used by the matcher for files with missing or garbage tags. Needs fpcalc
+ * (chromaprint) on the PATH and an AcoustID application key in
+ * ACOUSTID_API_KEY; without either, fingerprinting is skipped.
+ */
+
+import { spawn } from 'child_process';
+import pLimit from 'p-limit';
+import { normalizeString, calculateSimilarity } from './musicbrainz.js';
+
+const FPCALC_BINARY = process.env.FPCALC_PATH || 'fpcalc';
+const ACOUSTID_API_URL = process.env.ACOUSTID_API_URL || 'https://api.acoustid.org/v2/lookup';
+const ACOUSTID_API_KEY = process.env.ACOUSTID_API_KEY || '';
+
+// AcoustID allows 3 requests per second
+const limit = pLimit(1);
+const RATE_LIMIT_DELAY = 340;
+
+// Lookup results below this AcoustID score are ignored
+const MIN_ACOUSTID_SCORE = 0.5;
+// Allowed difference between the file and the recording length (seconds)
+const DURATION_TOLERANCE = 7;
+
+// Fingerprints of the same recording agree on at least this share of bits (random audio: about half)
+const MIN_FINGERPRINT_SIMILARITY = 0.7;
+// Fingerprint items compared at most this far apart (one item is about 0.124 s)
+const MAX_FINGERPRINT_OFFSET = 80;
+const MIN_FINGERPRINT_OVERLAP = 50;
+
+let available = null;
+let fpcalcAvailable = null;
+
+/**
+ * Whether fpcalc runs (checked once); local fingerprint comparison needs no AcoustID key
+ * @returns {Promise<boolean>}
+ */
+export async function isFpcalcAvailable() {
+    if (fpcalcAvailable !== null) return fpcalcAvailable;
+
+    fpcalcAvailable = await new Promise((resolve) => {
+        const fpcalc = spawn(FPCALC_BINARY, ['-version']);
+        fpcalc.on('close', code => resolve(code === 0));
+        fpcalc.on('error', () => resolve(false));
+    });
+
+    if (!fpcalcAvailable) {
+        console.log(`[Fingerprint] ${FPCALC_BINARY} not found, fingerprinting disabled`);
+    }
+    return fpcalcAvailable;
+}
+
+/**
+ * Whether fpcalc runs and an AcoustID key is configured (checked once)
+ * @returns {Promise<boolean>}
+ */
+export async function isFingerprintingAvailable() {
+    if (available !== null) return available;
+
+    if (!ACOUSTID_API_KEY) {
+        console.log('[Fingerprint] ACOUSTID_API_KEY is not set, fingerprint matching disabled');
+        available = false;
+        return available;
+    }
+
+    available = await isFpcalcAvailable();
+    return available;
+}
+
+/**
+ * Compute the Chromaprint fingerprint of a file
+ * @param {Object} options - { raw: fingerprint as an array of 32-bit integers, for compareFingerprints() }
+ * @returns {Promise<Object|null>} { duration, fingerprint }, or null when fpcalc fails
+ */
+export function computeFingerprint(filePath, { raw = false } = {}) {
+    return new Promise((resolve) => {
+        const fpcalc = spawn(FPCALC_BINARY, ['-json', ...(raw ? ['-raw'] : []), filePath]);
+        let stdout = '';
+        let stderr = '';
+
+        fpcalc.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        fpcalc.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        fpcalc.on('close', (code) => {
+            try {
+                const result = JSON.parse(stdout);
+                if (code === 0 && result.fingerprint) {
+                    resolve({ duration: result.duration, fingerprint: result.fingerprint });
+                    return;
+                }
+            } catch (error) {
+                // Falls through to the failure below
+            }
+            console.error(`[Fingerprint] fpcalc failed for ${filePath}: ${stderr.trim() || `exit code ${code}`}`);
+            resolve(null);
+        });
+
+        fpcalc.on('error', (error) => {
+            console.error(`[Fingerprint] Failed to start fpcalc: ${error.message}`);
+            resolve(null);
+        });
+    });
+}
+
+function countBits(value) {
+    let bits = value - ((value >>> 1) & 0x55555555);
+    bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+    return (((bits + (bits >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * How far two raw fingerprints agree: the share of matching bits at the best
+ * alignment, so leading silence or a longer intro doesn't hide a match
+ * @param {Array<number>} a - Raw fingerprint
+ * @param {Array<number>} b - Raw fingerprint
+ * @returns {number|null} 0 to 1, about 0.5 for unrelated audio; null when too short to compare
+ */
+export function compareFingerprints(a, b) {
+    let best = null;
+
+    for (let offset = -MAX_FINGERPRINT_OFFSET; offset <= MAX_FINGERPRINT_OFFSET; offset++) {
+        let differing = 0;
+        let compared = 0;
+        for (let i = Math.max(0, -offset); i < a.length && i + offset < b.length; i++) {
+            differing += countBits((a[i] ^ b[i + offset]) >>> 0);
+            compared++;
+        }
+        if (compared < MIN_FINGERPRINT_OVERLAP) continue;
+        best = Math.max(best ?? 0, 1 - differing / (compared * 32));
+    }
+
+    return best;
+}
+
+/**
+ * Whether two files hold the same recording, by fingerprint
+ * @returns {Promise<Object|null>} { similarity, match }, null when either file can't be fingerprinted
+ */
+export async function fingerprintsMatch(filePathA, filePathB) {
+    const [a, b] = await Promise.all([computeFingerprint(filePathA, { raw: true }), computeFingerprint(filePathB, { raw: true })]);
+    if (!Array.isArray(a?.fingerprint) || !Array.isArray(b?.fingerprint)) return null;
+
+    const similarity = compareFingerprints(a.fingerprint, b.fingerprint);
+    if (similarity === null) return null;
+    return { similarity: Math.round(similarity * 1000) / 1000, match: similarity >= MIN_FINGERPRINT_SIMILARITY };
+}
+
+/**
+ * Format an AcoustID date object ({ year, month, day }) like MusicBrainz does
+ */
+function formatDate(date) {
+    if (!date?.year) return '';
+    return [date.year, date.month, date.day]
+        .filter(Boolean)
+        .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+        .join('-');
+}
+
+/**
+ * Releases of an AcoustID recording, studio albums first, then oldest first
+ */
+function collectReleases(recording) {
+    const releases = [];
+
+    // With meta=releasegroups the releases are nested in their release group
+    for (const group of recording.releasegroups || []) {
+        const isStudioAlbum = group.type === 'Album' && !(group.secondarytypes || []).length;
+        for (const release of group.releases || [{ id: null, title: group.title }]) {
+            releases.push({ id: release.id, title: release.title || group.title, date: formatDate(release.date), releaseGroupId: group.id || '', isStudioAlbum });
+        }
+    }
+    for (const release of recording.releases || []) {
+        releases.push({ id: release.id, title: release.title, date: formatDate(release.date), releaseGroupId: '', isStudioAlbum: false });
+    }
+
+    return releases
+        .sort((a, b) => (b.isStudioAlbum - a.isStudioAlbum) || (a.date || '9999').localeCompare(b.date || '9999'))
+        .map(({ id, title, date, releaseGroupId }) => ({ id, title, date, releaseGroupId }));
+}
+
+/**
+ * Look a fingerprint up on AcoustID
+ * @param {Object} fingerprint - { duration, fingerprint } from computeFingerprint()
+ * @returns {Promise<Array>} Recordings [{ id, title, artist, artistId, length, releases, acoustidScore }], best first
+ */
+export async function lookupFingerprint({ duration, fingerprint }) {
+    return limit(async () => {
+        const body = new URLSearchParams({
+            client: ACOUSTID_API_KEY,
+            duration: String(Math.round(duration)),
+            fingerprint,
+            meta: 'recordings releasegroups releases',
+            format: 'json'
+        });
+
+        try {
+            const response = await fetch(ACOUSTID_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body
+            });
+            const data = await response.json();
+
+            if (data.status !== 'ok') {
+                throw new Error(data.error?.message || `AcoustID returned status ${response.status}`);
+            }
+
+            const recordings = [];
+            for (const result of data.results || []) {
+                if (result.score < MIN_ACOUSTID_SCORE) continue;
+
+                for (const recording of result.recordings || []) {
+                    // Recordings without metadata are bare IDs
+                    if (!recording.title) continue;
+
+                    recordings.push({
+                        id: recording.id,
+                        title: recording.title,
+                        artist: recording.artists?.map(artist => artist.name).join(', ') || '',
+                        artistId: recording.artists?.[0]?.id || '',
+                        length: recording.duration ? Math.round(recording.duration * 1000) : null,
+                        releases: collectReleases(recording),
+                        acoustidScore: result.score
+                    });
+                }
+            }
+
+            return recordings.sort((a, b) => b.acoustidScore - a.acoustidScore);
+        } finally {
+            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
+        }
+    });
+}
+
+/**
+ * Confidence (0-100) of a fingerprint match, on the same scale as the tag search
+ *
+ * Starts from the AcoustID score. A recording length far from the file's
+ * costs 15 points; tags that agree with the recording add up to 5.
+ * @param {Object} recording - From lookupFingerprint()
+ * @param {number} fileDuration - Seconds
+ * @param {Object} tags - { artist, title } as read from the file (may be placeholders)
+ */
+export function calculateFingerprintConfidence(recording, fileDuration, tags = {}) {
+    let confidence = Math.round(recording.acoustidScore * 100);
+
+    if (recording.length && fileDuration && Math.abs(recording.length / 1000 - fileDuration) > DURATION_TOLERANCE) {
+        confidence -= 15;
+    }
+
+    const agrees = (tag, value) => tag && value && calculateSimilarity(normalizeString(tag), normalizeString(value)) >= 80;
+    if (agrees(tags.title, recording.title)) confidence += 3;
+    if (agrees(tags.artist, recording.artist)) confidence += 2;
+
+    return Math.max(0, Math.min(100, confidence));
+}
+
+/**
+ * Identify a file by fingerprint
+ * @param {string} filePath
+ * @param {Object} tags - { artist, album, title } from the file, used to break ties
+ * @returns {Promise<Object|null>} Best recording with `confidence`, or null
+ */
+export async function identifyByFingerprint(filePath, tags = {}) {
+    const fingerprint = await computeFingerprint(filePath);
+    if (!fingerprint) return null;
+
+    let recordings;
+    try {
+        recordings = await lookupFingerprint(fingerprint);
+    } catch (error) {
+        console.error(`[Fingerprint] AcoustID lookup failed for ${filePath}: ${error.message}`);
+        return null;
+    }
+
+    if (recordings.length === 0) {
+        console.log(`[Fingerprint] No AcoustID match for ${filePath}`);
+        return null;
+    }
+
+    const scored = recordings.map(recording => ({
+        ...recording,
+        confidence: calculateFingerprintConfidence(recording, fingerprint.duration, tags)
+    }));
+    scored.sort((a, b) => b.confidence - a.confidence);
+    const best = scored[0];
+
+    // Prefer the release named in the album tag, if any
+    if (tags.album) {
+        const albumKey = normalizeString(tags.album);
+        const tagged = best.releases.find(release => normalizeString(release.title) === albumKey);
+        if (tagged) {
+            best.releases = [tagged, ...best.releases.filter(release => release !== tagged)];
+        }
+    }
+
+    console.log(`[Fingerprint] ${filePath} → ${best.artist} - ${best.title} (AcoustID ${best.acoustidScore}, ${best.confidence}% confidence)`);
+    return best;
+}
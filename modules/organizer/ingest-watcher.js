@@ -0,0 +1,322 @@
+/**
+ * Staging Folder Watcher
+ *
+ * Watches a staging folder for new audio files (fs.watch, inotify on
+ * Linux), waits until they stop changing, groups them by album folder
+ * and pushes each album through processAudioFile → matcher →
+ * planMoveOperations via the post-download pipeline. Matches below the
+ * auto-approve threshold land in the review queue.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import fg from 'fast-glob';
+import { AUDIO_EXTENSIONS, processAudioFile } from './scanner.js';
+import { ingestFiles } from '../downloader/pipeline.js';
+import { isInReviewQueue } from '../downloader/review-queue.js';
+import { initDownloadDatabase } from '../downloader/database.js';
+
+const CONFIG_KEY = 'ingest:config';
+const DEFAULT_SETTLE_SECONDS = 15;
+const ACTIVITY_LIMIT = 200;
+
+// Runtime state
+let watcher = null;
+let config = null;
+let checkTimer = null;
+let processing = Promise.resolve();
+let currentAlbum = null;
+const pendingFiles = new Map();  // filePath -> { size, mtimeMs, lastChange }
+const activity = [];
+const stats = { albumsProcessed: 0, filesMoved: 0, filesParked: 0, errors: 0 };
+
+/**
+ * Record an activity entry (shown in the Ingest tab)
+ */
+function logActivity(message, level = 'INFO') {
+    console.log(`[Ingest] [${level}] ${message}`);
+    activity.push({ time: new Date().toISOString(), level, message });
+    if (activity.length > ACTIVITY_LIMIT) {
+        activity.shift();
+    }
+}
+
+/**
+ * Whether a path (relative to the staging folder) should be picked up
+ */
+function isIngestCandidate(relativePath) {
+    const ext = path.extname(relativePath).slice(1).toLowerCase();
+    if (!AUDIO_EXTENSIONS.includes(ext)) return false;
+
+    // Skip hidden folders (e.g. the downloader's .incoming) and archived playlist tracks
+    return !relativePath.split(path.sep).some(part => part.startsWith('.') || part === '_Removed');
+}
+
+/**
+ * Remember files left in staging because the library already has them
+ * @param {Array} skippedFiles - [{ filePath, reason }] from ingestFiles()
+ */
+function recordSkipped(skippedFiles) {
+    const db = initDownloadDatabase();
+    const insert = db.prepare('INSERT OR REPLACE INTO ingest_skipped (file_path, size, mtime_ms, reason) VALUES (?, ?, ?, ?)');
+
+    for (const { filePath, reason } of skippedFiles) {
+        try {
+            const stat = fs.statSync(filePath);
+            insert.run(filePath, stat.size, stat.mtimeMs, reason || null);
+        } catch (error) {
+            // Moved away in the meantime, nothing to skip
+        }
+    }
+}
+
+/**
+ * Whether a file was skipped before and has not changed since
+ */
+function wasSkipped(filePath) {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT size, mtime_ms FROM ingest_skipped WHERE file_path = ?').get(filePath);
+    if (!row) return false;
+
+    try {
+        const stat = fs.statSync(filePath);
+        if (stat.size === row.size && stat.mtimeMs === row.mtime_ms) return true;
+    } catch (error) {
+        // Gone: forget it below
+    }
+    // A new or changed file under the same name gets another look
+    db.prepare('DELETE FROM ingest_skipped WHERE file_path = ?').run(filePath);
+    return false;
+}
+
+/**
+ * Whether a file was already handled: parked for review, or skipped and unchanged
+ */
+function isAlreadyHandled(filePath) {
+    return isInReviewQueue(filePath) || wasSkipped(filePath);
+}
+
+/**
+ * Note a change to a file; it is processed once it has been quiet for the settle time
+ */
+function trackChange(filePath) {
+    try {
+        const stat = fs.statSync(filePath);
+        if (!stat.isFile()) return;
+
+        const previous = pendingFiles.get(filePath);
+        if (!previous) {
+            logActivity(`Detected ${path.relative(config.stagingPath, filePath)}`, 'DEBUG');
+        }
+        pendingFiles.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, lastChange: Date.now() });
+    } catch (error) {
+        // Deleted or moved away before it settled
+        pendingFiles.delete(filePath);
+    }
+}
+
+/**
+ * Move settled album folders to the processing chain
+ */
+function checkSettledFiles() {
+    const settleMs = (config.settleSeconds || DEFAULT_SETTLE_SECONDS) * 1000;
+    const now = Date.now();
+    const byAlbum = new Map();
+
+    for (const [filePath, entry] of pendingFiles) {
+        // Re-stat: some writers do not trigger an event for every chunk
+        trackChangeIfModified(filePath, entry);
+
+        const albumDir = path.dirname(filePath);
+        if (!byAlbum.has(albumDir)) {
+            byAlbum.set(albumDir, []);
+        }
+        byAlbum.get(albumDir).push(filePath);
+    }
+
+    for (const [albumDir, files] of byAlbum) {
+        // Wait for the whole folder, a rip is one album
+        const settled = files.every(filePath => {
+            const entry = pendingFiles.get(filePath);
+            return entry && now - entry.lastChange >= settleMs;
+        });
+        if (!settled) continue;
+
+        files.forEach(filePath => pendingFiles.delete(filePath));
+        processing = processing.then(() => processAlbum(albumDir, files));
+    }
+}
+
+function trackChangeIfModified(filePath, entry) {
+    try {
+        const stat = fs.statSync(filePath);
+        if (stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs) {
+            pendingFiles.set(filePath, { size: stat.size, mtimeMs: stat.mtimeMs, lastChange: Date.now() });
+        }
+    } catch (error) {
+        pendingFiles.delete(filePath);
+    }
+}
+
+/**
+ * Read, match and move one album folder
+ */
+async function processAlbum(albumDir, settledFiles) {
+    const { stagingPath, liveLibraryPath, plex } = config;
+    // Renames of the previous run settle after it finished
+    const files = settledFiles.filter(filePath => !isAlreadyHandled(filePath));
+    if (files.length === 0) return;
+
+    const albumLabel = path.relative(stagingPath, albumDir) || '.';
+    currentAlbum = albumLabel;
+    logActivity(`Processing ${files.length} file(s) in ${albumLabel}`);
+
+    try {
+        const scanned = [];
+        for (const filePath of files) {
+            try {
+                const stat = fs.statSync(filePath);
+                scanned.push(await processAudioFile(filePath, stat, stagingPath));
+            } catch (error) {
+                stats.errors++;
+                logActivity(`Could not read ${path.basename(filePath)}: ${error.message}`, 'WARN');
+            }
+        }
+
+        if (scanned.length === 0) return;
+
+        const summary = await ingestFiles(scanned, {
+            stagingPath,
+            liveLibraryPath,
+            plex,
+            log: (message, level = 'INFO') => logActivity(message, level)
+        });
+
+        recordSkipped(summary.skippedFiles);
+
+        stats.albumsProcessed++;
+        stats.filesMoved += summary.moved;
+        stats.filesParked += summary.review;
+        stats.errors += summary.errors;
+
+        logActivity(`${albumLabel}: ${summary.moved} moved, ${summary.review} waiting for review, ${summary.skipped} already in Plex, ${summary.errors} error(s)`,
+            summary.errors > 0 ? 'WARN' : 'INFO');
+    } catch (error) {
+        stats.errors++;
+        logActivity(`Failed to process ${albumLabel}: ${error.message}`, 'ERROR');
+    } finally {
+        currentAlbum = null;
+    }
+}
+
+/**
+ * Queue audio files already in the staging folder (dropped while the watcher was off)
+ */
+async function sweepExistingFiles() {
+    const existing = await fg(AUDIO_EXTENSIONS.map(ext => `**/*.${ext}`), {
+        cwd: config.stagingPath,
+        absolute: true,
+        onlyFiles: true,
+        caseSensitiveMatch: false
+    });
+
+    const candidates = existing.filter(filePath =>
+        isIngestCandidate(path.relative(config.stagingPath, filePath)) && !isAlreadyHandled(filePath)
+    );
+
+    candidates.forEach(trackChange);
+    if (candidates.length > 0) {
+        logActivity(`Found ${candidates.length} file(s) already in staging`);
+    }
+}
+
+/**
+ * Load the saved watcher configuration
+ * @returns {Object|null} { stagingPath, liveLibraryPath, plex, settleSeconds, enabled }
+ */
+export function getIngestConfig() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(CONFIG_KEY);
+    return row ? JSON.parse(row.value) : null;
+}
+
+/**
+ * Save the watcher configuration and (re)start or stop the watcher
+ * @param {Object} newConfig - { stagingPath, liveLibraryPath, plex, settleSeconds, enabled }
+ */
+export async function configureIngestWatcher(newConfig) {
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(CONFIG_KEY, JSON.stringify(newConfig));
+
+    stopIngestWatcher();
+    if (newConfig.enabled) {
+        await startIngestWatcher(newConfig);
+    }
+    return getIngestStatus();
+}
+
+/**
+ * Start watching the staging folder
+ * @param {Object} watchConfig - Defaults to the saved configuration
+ */
+export async function startIngestWatcher(watchConfig = getIngestConfig()) {
+    if (!watchConfig?.enabled || !watchConfig.stagingPath) return;
+
+    stopIngestWatcher();
+    config = watchConfig;
+
+    try {
+        watcher = fs.watch(config.stagingPath, { recursive: true }, (eventType, filename) => {
+            if (!filename || !isIngestCandidate(filename)) return;
+            const filePath = path.join(config.stagingPath, filename);
+            if (isAlreadyHandled(filePath)) return;
+            trackChange(filePath);
+        });
+        watcher.on('error', (error) => {
+            logActivity(`Watcher error: ${error.message}`, 'ERROR');
+            stopIngestWatcher();
+        });
+    } catch (error) {
+        watcher = null;
+        logActivity(`Could not watch ${config.stagingPath}: ${error.message}`, 'ERROR');
+        return;
+    }
+
+    checkTimer = setInterval(checkSettledFiles, 2000);
+    logActivity(`Watching ${config.stagingPath} → ${config.liveLibraryPath}`);
+
+    await sweepExistingFiles();
+}
+
+/**
+ * Stop watching (albums already being processed finish)
+ */
+export function stopIngestWatcher() {
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+        logActivity('Watcher stopped');
+    }
+    clearInterval(checkTimer);
+    checkTimer = null;
+    pendingFiles.clear();
+}
+
+/**
+ * Watcher state for the UI
+ */
+export function getIngestStatus() {
+    const saved = getIngestConfig();
+
+    return {
+        running: Boolean(watcher),
+        config: saved
+            ? { ...saved, plex: saved.plex ? { ...saved.plex, token: saved.plex.token ? '********' : '' } : null }
+            : null,
+        // The watcher may never have been started
+        pending: config ? Array.from(pendingFiles.keys()).map(filePath => path.relative(config.stagingPath, filePath)) : [],
+        processing: currentAlbum,
+        stats,
+        activity: activity.slice().reverse()
+    };
+}
@@ -0,0 +1,393 @@
+/**
+ * Organizer Journal
+ *
+ * Durable record of the file operations done by the organizers: moves,
+ * copies, renames, tag edits and replacements. Operations are grouped in
+ * batches (one per run) and stored in data/journal.db, so any past batch
+ * can be rolled back, fully or entry by entry, after a restart too.
+ * Library files replaced by an upgrade are moved to the quarantine folder
+ * instead of being deleted.
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs/promises';
+import { existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// DATA_PATH moves the journal and the quarantine out of the repository's data folder
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, '../../data');
+
+/**
+ * Where replaced files are kept, one subfolder per batch
+ */
+export const QUARANTINE_PATH = process.env.QUARANTINE_PATH || path.join(DATA_PATH, 'quarantine');
+
+/**
+ * Journal entry types
+ *
+ * move/rename: source → destination, undone by moving it back
+ * copy:        destination is a copy, undone by deleting it
+ * replace:     library file at source was moved to backup (quarantine)
+ * tag:         tags of the file at destination changed, details.previous holds the old values
+ */
+export const ENTRY_TYPES = ['move', 'copy', 'rename', 'replace', 'tag'];
+
+let journalDb = null;
+
+/**
+ * Initialize journal database
+ */
+export function initJournalDatabase() {
+    if (journalDb) return journalDb;
+
+    const dbPath = path.join(DATA_PATH, 'journal.db');
+    const dbDir = path.dirname(dbPath);
+
+    if (!existsSync(dbDir)) {
+        mkdirSync(dbDir, { recursive: true });
+    }
+
+    journalDb = new Database(dbPath);
+
+    journalDb.exec(`
+        CREATE TABLE IF NOT EXISTS journal_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            kind TEXT NOT NULL,
+            description TEXT,
+            created_at INTEGER NOT NULL,
+            finished_at INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS journal_entries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            batch_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            source_path TEXT,
+            destination_path TEXT,
+            backup_path TEXT,
+            details TEXT,
+            created_at INTEGER NOT NULL,
+            rolled_back_at INTEGER,
+            rollback_error TEXT,
+            purged_at INTEGER,
+            FOREIGN KEY (batch_id) REFERENCES journal_batches(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_journal_entries_batch ON journal_entries(batch_id);
+    `);
+
+    console.log('[Journal] Database initialized');
+    return journalDb;
+}
+
+/**
+ * Start a batch
+ * @param {string} kind - What produced it ('move', 'rename', 'rename-artists', 'pipeline', ...)
+ * @param {string} description - Shown in the History tab
+ * @returns {number} Batch ID
+ */
+export function createBatch(kind, description = null) {
+    const db = initJournalDatabase();
+    const result = db.prepare('INSERT INTO journal_batches (kind, description, created_at) VALUES (?, ?, ?)')
+        .run(kind, description, Date.now());
+    return result.lastInsertRowid;
+}
+
+/**
+ * Record one operation of a batch
+ * @param {number} batchId
+ * @param {Object} entry - { type, sourcePath, destinationPath, backupPath, details }
+ */
+export function recordEntry(batchId, { type, sourcePath = null, destinationPath = null, backupPath = null, details = null }) {
+    if (!ENTRY_TYPES.includes(type)) {
+        throw new Error(`Unknown journal entry type: ${type}`);
+    }
+
+    const db = initJournalDatabase();
+    db.prepare(`
+        INSERT INTO journal_entries (batch_id, type, source_path, destination_path, backup_path, details, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(batchId, type, sourcePath, destinationPath, backupPath, details ? JSON.stringify(details) : null, Date.now());
+}
+
+/**
+ * Close a batch; batches without entries (nothing changed) are dropped
+ */
+export function finishBatch(batchId) {
+    const db = initJournalDatabase();
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM journal_entries WHERE batch_id = ?').get(batchId);
+
+    if (count === 0) {
+        db.prepare('DELETE FROM journal_batches WHERE id = ?').run(batchId);
+        return;
+    }
+
+    db.prepare('UPDATE journal_batches SET finished_at = ? WHERE id = ?').run(Date.now(), batchId);
+}
+
+/**
+ * Move a file, copying across devices
+ */
+async function relocate(fromPath, toPath) {
+    await fs.mkdir(path.dirname(toPath), { recursive: true });
+
+    try {
+        await fs.rename(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+
+        await fs.copyFile(fromPath, toPath);
+        const stats = await fs.stat(fromPath);
+        await fs.utimes(toPath, stats.atime, stats.mtime);
+        await fs.unlink(fromPath);
+    }
+}
+
+/**
+ * Move a file about to be replaced into the batch's quarantine folder and journal it
+ * @returns {Promise<string>} Quarantine path
+ */
+export async function quarantineFile(batchId, filePath) {
+    const batchDir = path.join(QUARANTINE_PATH, String(batchId));
+    const ext = path.extname(filePath);
+    const base = path.basename(filePath, ext);
+
+    let backupPath = path.join(batchDir, `${base}${ext}`);
+    for (let counter = 1; existsSync(backupPath); counter++) {
+        backupPath = path.join(batchDir, `${base} (${counter})${ext}`);
+    }
+
+    await relocate(filePath, backupPath);
+    recordEntry(batchId, { type: 'replace', sourcePath: filePath, backupPath });
+    console.log(`[Journal] Quarantined ${filePath} → ${backupPath}`);
+
+    return backupPath;
+}
+
+function formatEntry(row) {
+    return {
+        id: row.id,
+        batchId: row.batch_id,
+        type: row.type,
+        sourcePath: row.source_path,
+        destinationPath: row.destination_path,
+        backupPath: row.backup_path,
+        details: row.details ? JSON.parse(row.details) : null,
+        createdAt: row.created_at,
+        rolledBackAt: row.rolled_back_at,
+        rollbackError: row.rollback_error,
+        purgedAt: row.purged_at
+    };
+}
+
+function formatBatch(row) {
+    const status = row.rolled_back === 0
+        ? 'applied'
+        : row.rolled_back === row.entries ? 'rolled_back' : 'partial';
+
+    return {
+        id: row.id,
+        kind: row.kind,
+        description: row.description,
+        createdAt: row.created_at,
+        finishedAt: row.finished_at,
+        entries: row.entries,
+        rolledBack: row.rolled_back,
+        counts: Object.fromEntries(ENTRY_TYPES.map(type => [type, row[`${type}_count`] || 0])),
+        status
+    };
+}
+
+const BATCH_SELECT = `
+    SELECT b.*,
+        COUNT(e.id) AS entries,
+        COUNT(e.rolled_back_at) AS rolled_back,
+        ${ENTRY_TYPES.map(type => `SUM(e.type = '${type}') AS ${type}_count`).join(',\n        ')}
+    FROM journal_batches b
+    LEFT JOIN journal_entries e ON e.batch_id = b.id
+`;
+
+/**
+ * List batches, newest first
+ * @param {number} limit
+ */
+export function listBatches(limit = 50) {
+    const db = initJournalDatabase();
+    const rows = db.prepare(`${BATCH_SELECT} GROUP BY b.id ORDER BY b.id DESC LIMIT ?`).all(limit);
+    return rows.map(formatBatch);
+}
+
+/**
+ * Get a batch with its entries
+ * @returns {Object|null}
+ */
+export function getBatch(batchId) {
+    const db = initJournalDatabase();
+    const row = db.prepare(`${BATCH_SELECT} WHERE b.id = ? GROUP BY b.id`).get(batchId);
+    if (!row) return null;
+
+    const entries = db.prepare('SELECT * FROM journal_entries WHERE batch_id = ? ORDER BY id').all(batchId);
+    return { ...formatBatch(row), items: entries.map(formatEntry) };
+}
+
+/**
+ * Whether an entry can still be rolled back without a retry: not rolled back,
+ * no failed attempt and, for replacements, not purged from the quarantine
+ */
+export function isPendingEntry(entry) {
+    return !entry.rolledBackAt && !entry.rollbackError && !entry.purgedAt;
+}
+
+/**
+ * ID of the newest finished batch that still has pending entries. Batches still being
+ * written are left out, and so are entries whose rollback already failed, so one that
+ * can't be undone doesn't block older batches.
+ * @returns {number|null}
+ */
+export function getLatestBatchId() {
+    const db = initJournalDatabase();
+    const row = db.prepare(`
+        SELECT e.batch_id FROM journal_entries e
+        JOIN journal_batches b ON b.id = e.batch_id
+        WHERE b.finished_at IS NOT NULL
+            AND e.rolled_back_at IS NULL AND e.rollback_error IS NULL AND e.purged_at IS NULL
+        ORDER BY e.batch_id DESC LIMIT 1
+    `).get();
+    return row ? row.batch_id : null;
+}
+
+/**
+ * Undo one entry
+ * @returns {Promise<Object>} { action, path }
+ */
+async function undoEntry(entry) {
+    switch (entry.type) {
+        case 'move':
+        case 'rename': {
+            if (!existsSync(entry.destinationPath)) {
+                throw new Error(`No longer at ${entry.destinationPath}`);
+            }
+            if (existsSync(entry.sourcePath)) {
+                throw new Error(`Original location is taken: ${entry.sourcePath}`);
+            }
+            await relocate(entry.destinationPath, entry.sourcePath);
+            return { action: 'restored', path: entry.sourcePath };
+        }
+
+        case 'copy': {
+            if (existsSync(entry.destinationPath)) {
+                await fs.unlink(entry.destinationPath);
+            }
+            return { action: 'deleted', path: entry.destinationPath };
+        }
+
+        case 'replace': {
+            if (entry.purgedAt || !existsSync(entry.backupPath)) {
+                throw new Error(`Quarantined file is gone: ${entry.backupPath}`);
+            }
+            if (existsSync(entry.sourcePath)) {
+                throw new Error(`Replacement is still at ${entry.sourcePath}, roll back its move first`);
+            }
+            await relocate(entry.backupPath, entry.sourcePath);
+            return { action: 'restored', path: entry.sourcePath };
+        }
+
+        case 'tag': {
+            if (!existsSync(entry.destinationPath)) {
+                throw new Error(`No longer at ${entry.destinationPath}`);
+            }
+            const { restoreTags } = await import('./metadata-updater.js');
+            await restoreTags(entry.destinationPath, entry.details.previous);
+            return { action: 'tags_restored', path: entry.destinationPath };
+        }
+
+        default:
+            throw new Error(`Unknown journal entry type: ${entry.type}`);
+    }
+}
+
+/**
+ * Roll back a batch, newest entry first. A failed entry keeps its error, which makes it
+ * terminal for getLatestBatchId(); selecting it again retries it.
+ * @param {number} batchId
+ * @param {Array<number>|null} entryIds - Only these entries (default: all not yet rolled back
+ *                                        and not purged, failed ones included)
+ * @returns {Promise<Array>} [{ entryId, type, success, action, path, error }]
+ */
+export async function rollbackBatch(batchId, entryIds = null) {
+    const batch = getBatch(batchId);
+    if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+    }
+
+    const selected = batch.items
+        .filter(entry => !entry.rolledBackAt)
+        .filter(entry => (entryIds ? entryIds.includes(entry.id) : !entry.purgedAt))
+        .reverse();
+
+    if (selected.length === 0) {
+        throw new Error(`Nothing left to roll back in batch ${batchId}`);
+    }
+
+    const db = initJournalDatabase();
+    const markDone = db.prepare('UPDATE journal_entries SET rolled_back_at = ?, rollback_error = NULL WHERE id = ?');
+    const markFailed = db.prepare('UPDATE journal_entries SET rollback_error = ? WHERE id = ?');
+    const results = [];
+
+    for (const entry of selected) {
+        try {
+            const { action, path: restoredPath } = await undoEntry(entry);
+            markDone.run(Date.now(), entry.id);
+            results.push({ entryId: entry.id, type: entry.type, success: true, action, path: restoredPath });
+        } catch (error) {
+            markFailed.run(error.message, entry.id);
+            results.push({
+                entryId: entry.id,
+                type: entry.type,
+                success: false,
+                error: error.message,
+                path: entry.sourcePath || entry.destinationPath
+            });
+        }
+    }
+
+    // Drop the quarantine folder once everything in it went back
+    await fs.rmdir(path.join(QUARANTINE_PATH, String(batchId))).catch(() => {});
+
+    const restored = results.filter(result => result.success).length;
+    console.log(`[Journal] Rolled back batch ${batchId}: ${restored}/${results.length} entries`);
+
+    return results;
+}
+
+/**
+ * Delete the quarantined files of a batch; its replacements can no longer be undone
+ * @returns {Promise<number>} Files deleted
+ */
+export async function purgeQuarantine(batchId) {
+    const batch = getBatch(batchId);
+    if (!batch) {
+        throw new Error(`Batch ${batchId} not found`);
+    }
+
+    const db = initJournalDatabase();
+    const markPurged = db.prepare('UPDATE journal_entries SET purged_at = ? WHERE id = ?');
+    let deleted = 0;
+
+    for (const entry of batch.items) {
+        if (entry.type !== 'replace' || entry.rolledBackAt || entry.purgedAt) continue;
+
+        await fs.unlink(entry.backupPath).catch(() => {});
+        markPurged.run(Date.now(), entry.id);
+        deleted++;
+    }
+
+    await fs.rm(path.join(QUARANTINE_PATH, String(batchId)), { recursive: true, force: true });
+    console.log(`[Journal] Purged ${deleted} quarantined file(s) of batch ${batchId}`);
+
+    return deleted;
+}
@@ -0,0 +1,260 @@
+/**
+ * Loudness Analysis
+ *
+ * Measures EBU R128 loudness with ffmpeg's ebur128 filter and writes
+ * ReplayGain 2.0 track and album gain/peak tags through the metadata
+ * updater, so players level YouTube downloads, CD rips and old MP3s alike.
+ *
+ * Album loudness is the duration-weighted energy mean of the track
+ * loudness values, which avoids decoding the album a second time. Peaks
+ * are true peaks, stored as linear ratios as ReplayGain expects.
+ */
+
+import { spawn } from 'child_process';
+import fg from 'fast-glob';
+import path from 'path';
+import { initDownloadDatabase } from '../downloader/database.js';
+import { createBatch, finishBatch } from './journal.js';
+import { updateTrackMetadata } from './metadata-updater.js';
+import { getAlbumFolder } from './naming.js';
+import { isTaggable, TAGGABLE_EXTENSIONS } from './tag-writer.js';
+
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+const SETTINGS_KEY = 'loudness:settings';
+
+// ReplayGain 2.0 reference level (LUFS)
+export const REPLAYGAIN_REFERENCE = -18;
+
+export const DEFAULT_LOUDNESS_SETTINGS = {
+    // Tag files moved into the live library by the organizer and the pipeline
+    afterMove: false
+};
+
+let available = null;
+
+/**
+ * Load the saved loudness settings
+ * @returns {Object} Settings merged over the defaults
+ */
+export function getLoudnessSettings() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(SETTINGS_KEY);
+    return { ...DEFAULT_LOUDNESS_SETTINGS, ...(row ? JSON.parse(row.value) : {}) };
+}
+
+/**
+ * Save the loudness settings
+ * @param {Object} changes - Any subset of the settings
+ * @returns {Object} The saved settings
+ */
+export function setLoudnessSettings(changes) {
+    const settings = { ...getLoudnessSettings(), ...changes };
+    settings.afterMove = settings.afterMove === true || settings.afterMove === 'true';
+
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Whether ffmpeg runs (checked once)
+ * @returns {Promise<boolean>}
+ */
+export async function isLoudnessAvailable() {
+    if (available !== null) return available;
+
+    available = await new Promise((resolve) => {
+        const ffmpeg = spawn(FFMPEG_BINARY, ['-version']);
+        ffmpeg.on('close', code => resolve(code === 0));
+        ffmpeg.on('error', () => resolve(false));
+    });
+
+    if (!available) {
+        console.log(`[Loudness] ${FFMPEG_BINARY} not found, loudness analysis disabled`);
+    }
+    return available;
+}
+
+/**
+ * Read the ebur128 summary (and the input duration) from ffmpeg's log
+ * @returns {Object|null} { integrated (LUFS), range (LU), truePeak (dBTP), duration (s) }
+ */
+function parseEbur128Summary(stderr) {
+    const summaryStart = stderr.lastIndexOf('Summary:');
+    if (summaryStart === -1) return null;
+
+    const summary = stderr.slice(summaryStart);
+    const integrated = summary.match(/I:\s+(-?[\d.]+|-inf)\s+LUFS/);
+    const range = summary.match(/LRA:\s+(-?[\d.]+)\s+LU\b/);
+    const peak = summary.match(/Peak:\s+(-?[\d.]+|-inf)\s+dBFS/);
+    const duration = stderr.match(/Duration:\s+(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+    if (!integrated || !peak) return null;
+
+    const toNumber = value => (value === '-inf' ? -Infinity : parseFloat(value));
+    return {
+        integrated: toNumber(integrated[1]),
+        range: range ? parseFloat(range[1]) : null,
+        truePeak: toNumber(peak[1]),
+        duration: duration ? parseInt(duration[1], 10) * 3600 + parseInt(duration[2], 10) * 60 + parseFloat(duration[3]) : null
+    };
+}
+
+/**
+ * Measure the loudness of one file (decodes the whole file)
+ * @returns {Promise<Object>} { integrated (LUFS), range (LU), truePeak (dBTP), duration (s) }
+ */
+export function measureLoudness(filePath) {
+    return new Promise((resolve, reject) => {
+        const args = [
+            '-hide_banner', '-nostats',
+            '-i', filePath,
+            '-map', '0:a:0',
+            // Only the summary: per-frame values go to the verbose log level
+            '-filter:a', 'ebur128=peak=true:framelog=verbose',
+            '-f', 'null', '-'
+        ];
+        const ffmpeg = spawn(FFMPEG_BINARY, args);
+        let stderr = '';
+
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        ffmpeg.on('close', (code) => {
+            const result = code === 0 ? parseEbur128Summary(stderr) : null;
+            if (result) {
+                resolve(result);
+            } else {
+                reject(new Error(`ffmpeg loudness analysis failed: ${stderr.trim().split('\n').pop() || `exit code ${code}`}`));
+            }
+        });
+
+        ffmpeg.on('error', reject);
+    });
+}
+
+/**
+ * ReplayGain values from measured loudness
+ * @param {Array} measurements - Track measurements of one album
+ * @returns {Object} { tracks: [{ gain, peak }], album: { loudness, gain, peak } }
+ */
+export function computeReplayGain(measurements) {
+    const peakRatio = dBTP => (Number.isFinite(dBTP) ? Math.pow(10, dBTP / 20) : 0);
+    // Silence measures -70 LUFS at most (the absolute gate)
+    const loudness = value => Math.max(value, -70);
+
+    const weighted = measurements.map(track => ({ loudness: loudness(track.integrated), weight: track.duration || 1 }));
+    const totalWeight = weighted.reduce((sum, track) => sum + track.weight, 0);
+    const energy = weighted.reduce((sum, track) => sum + track.weight * Math.pow(10, track.loudness / 10), 0) / totalWeight;
+    const albumLoudness = 10 * Math.log10(energy);
+
+    return {
+        tracks: measurements.map(track => ({
+            gain: REPLAYGAIN_REFERENCE - loudness(track.integrated),
+            peak: peakRatio(track.truePeak)
+        })),
+        album: {
+            loudness: albumLoudness,
+            gain: REPLAYGAIN_REFERENCE - albumLoudness,
+            peak: Math.max(...measurements.map(track => peakRatio(track.truePeak)))
+        }
+    };
+}
+
+/**
+ * Analyse files album by album and write ReplayGain tags
+ * Tracks are grouped by album folder ("Disc N" folders belong to their album).
+ * @param {Array<string>} filePaths - Audio files
+ * @param {Object} options - { batchId: journal batch (one is created otherwise), progressCallback }
+ * @returns {Promise<Object>} { albums: [{ folder, tracks, loudness, gain, peak, range }], tagged, errors: [{ path, error }] }
+ */
+export async function applyReplayGain(filePaths, { batchId = null, progressCallback = null } = {}) {
+    const summary = { albums: [], tagged: 0, errors: [] };
+
+    const albums = new Map();
+    for (const filePath of filePaths.filter(isTaggable)) {
+        const folder = getAlbumFolder(filePath);
+        if (!albums.has(folder)) albums.set(folder, []);
+        albums.get(folder).push(filePath);
+    }
+
+    const total = Array.from(albums.values()).reduce((sum, files) => sum + files.length, 0);
+    const journalBatchId = batchId || createBatch('loudness', `ReplayGain for ${total} file(s)`);
+    let processed = 0;
+
+    for (const [folder, files] of albums) {
+        const measured = [];
+        for (const filePath of files) {
+            try {
+                measured.push({ filePath, ...await measureLoudness(filePath) });
+            } catch (error) {
+                summary.errors.push({ path: filePath, error: error.message });
+                console.error(`[Loudness] ${path.basename(filePath)}: ${error.message}`);
+            }
+
+            processed++;
+            if (progressCallback) {
+                progressCallback({
+                    processed,
+                    total,
+                    progress: Math.round((processed / total) * 100),
+                    currentFile: filePath
+                });
+            }
+        }
+        if (measured.length === 0) continue;
+
+        // Album values only cover the tracks that could be measured
+        const gains = computeReplayGain(measured);
+        for (const [index, track] of measured.entries()) {
+            const written = await updateTrackMetadata(track.filePath, {
+                replayGainTrackGain: gains.tracks[index].gain,
+                replayGainTrackPeak: gains.tracks[index].peak,
+                replayGainAlbumGain: gains.album.gain,
+                replayGainAlbumPeak: gains.album.peak
+            }, { batchId: journalBatchId });
+
+            if (written) {
+                summary.tagged++;
+            } else {
+                summary.errors.push({ path: track.filePath, error: 'Could not write ReplayGain tags' });
+            }
+        }
+
+        const ranges = measured.map(track => track.range).filter(range => range !== null);
+        summary.albums.push({
+            folder,
+            tracks: measured.length,
+            loudness: Math.round(gains.album.loudness * 10) / 10,
+            gain: Math.round(gains.album.gain * 100) / 100,
+            peak: Math.round(gains.album.peak * 1e6) / 1e6,
+            range: ranges.length > 0 ? Math.max(...ranges) : null
+        });
+        console.log(`[Loudness] ${path.basename(folder)}: ${gains.album.loudness.toFixed(1)} LUFS, album gain ${gains.album.gain.toFixed(2)} dB`);
+    }
+
+    if (!batchId) finishBatch(journalBatchId);
+    return summary;
+}
+
+/**
+ * Optional step after files were moved into the library: tag every track of the
+ * albums they landed in, so album gain covers the whole album and not just the new files
+ * @param {Array<string>} destinationPaths - Moved files
+ * @param {Object} options - { progressCallback }
+ * @returns {Promise<Object|null>} applyReplayGain() summary, null when turned off or ffmpeg is missing
+ */
+export async function replayGainAfterMove(destinationPaths, { progressCallback = null } = {}) {
+    if (destinationPaths.length === 0 || !getLoudnessSettings().afterMove || !(await isLoudnessAvailable())) {
+        return null;
+    }
+
+    const extensions = TAGGABLE_EXTENSIONS.map(extension => extension.slice(1)).join(',');
+    const folders = [...new Set(destinationPaths.map(getAlbumFolder))];
+    const files = [];
+    for (const folder of folders) {
+        files.push(...await fg(`**/*.{${extensions}}`, { cwd: folder, absolute: true, onlyFiles: true, caseSensitiveMatch: false, deep: 2 }));
+    }
+
+    return applyReplayGain([...new Set(files)], { progressCallback });
+}
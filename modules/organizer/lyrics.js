@@ -0,0 +1,219 @@
+/**
+ * Lyrics
+ *
+ * Looks up lyrics by artist, title, album and duration from a provider
+ * (LRCLIB by default) and stores them next to the track, where Plex picks
+ * them up: synced lyrics as a .lrc sidecar, plain lyrics as a .txt
+ * sidecar. Unsynced lyrics can also be embedded in the tags. Set
+ * LYRICS_API_URL to use a mirror or a local stub.
+ */
+
+import fs from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { initDownloadDatabase } from '../downloader/database.js';
+import { isTaggable, writeTags } from './tag-writer.js';
+
+const LYRICS_API_URL = (process.env.LYRICS_API_URL || 'https://lrclib.net/api').replace(/\/$/, '');
+const SETTINGS_KEY = 'lyrics:settings';
+
+// "[mm:ss.xx]" line timestamps of LRC files
+const LRC_TIMESTAMP = /^\[\d{1,3}:\d{2}(?:[.:]\d{1,3})?\]/m;
+
+export const DEFAULT_LYRICS_SETTINGS = {
+    provider: 'lrclib',
+    // Look up lyrics for files the pipeline and the staging watcher move into the library
+    autoFetch: false,
+    // .lrc (synced) or .txt (plain) next to the track
+    sidecar: true,
+    // Unsynced lyrics in the tags
+    embed: false,
+    // Look up tracks that already have lyrics
+    overwrite: false
+};
+
+/**
+ * LRCLIB-style API: GET /get?artist_name&track_name&album_name&duration,
+ * 404 when the track is unknown
+ */
+async function lookupLrclib({ artist, title, album, duration }) {
+    const params = new URLSearchParams({ artist_name: artist, track_name: title });
+    if (album) params.set('album_name', album);
+    if (duration) params.set('duration', String(Math.round(duration)));
+
+    const response = await fetch(`${LYRICS_API_URL}/get?${params}`, {
+        headers: { 'User-Agent': 'claude-yt-music-dl/2.0.0' }
+    });
+
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`Lyrics API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+        synced: data.syncedLyrics || null,
+        plain: data.plainLyrics || null,
+        instrumental: data.instrumental === true
+    };
+}
+
+// Providers by name: lookup(track) resolves to { synced, plain, instrumental } or null
+const providers = new Map([
+    ['lrclib', { label: 'LRCLIB', lookup: lookupLrclib }]
+]);
+
+/**
+ * Add a lyrics provider
+ * @param {string} name - Key stored in the settings
+ * @param {Object} provider - { label, lookup: async ({ artist, title, album, duration }) => { synced, plain, instrumental } | null }
+ */
+export function registerLyricsProvider(name, provider) {
+    if (typeof provider?.lookup !== 'function') {
+        throw new Error('A lyrics provider needs a lookup function');
+    }
+    providers.set(name, { label: provider.label || name, lookup: provider.lookup });
+}
+
+/**
+ * Registered providers for the settings form
+ * @returns {Array} [{ name, label }]
+ */
+export function listLyricsProviders() {
+    return Array.from(providers, ([name, provider]) => ({ name, label: provider.label }));
+}
+
+/**
+ * Load the saved lyrics settings
+ * @returns {Object} Settings merged over the defaults
+ */
+export function getLyricsSettings() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(SETTINGS_KEY);
+    return { ...DEFAULT_LYRICS_SETTINGS, ...(row ? JSON.parse(row.value) : {}) };
+}
+
+/**
+ * Validate and save the lyrics settings
+ * @param {Object} changes - Any subset of the settings
+ * @returns {Object} The saved settings
+ */
+export function setLyricsSettings(changes) {
+    const settings = { ...getLyricsSettings(), ...changes };
+
+    if (!providers.has(settings.provider)) {
+        throw new Error(`Unknown lyrics provider: ${settings.provider}`);
+    }
+    for (const key of ['autoFetch', 'sidecar', 'embed', 'overwrite']) {
+        settings[key] = settings[key] === true || settings[key] === 'true';
+    }
+
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(SETTINGS_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Look up the lyrics of one track
+ * @param {Object} track - { artist, title, album, duration (seconds) }
+ * @param {string} providerName - Defaults to the first registered provider
+ * @returns {Promise<Object|null>} { synced, plain, instrumental }, null when the provider doesn't know the track
+ */
+export async function fetchLyrics(track, providerName = DEFAULT_LYRICS_SETTINGS.provider) {
+    const provider = providers.get(providerName);
+    if (!provider) {
+        throw new Error(`Unknown lyrics provider: ${providerName}`);
+    }
+    return provider.lookup(track);
+}
+
+/**
+ * Plain text of LRC lyrics: timestamps and [ar:]-style header lines removed
+ */
+export function stripLrcTimestamps(lrc) {
+    return lrc
+        .split(/\r?\n/)
+        .filter(line => !/^\[[a-z]+:[^\]]*\]\s*$/i.test(line))
+        .map(line => line.replace(/^(?:\[\d{1,3}:\d{2}(?:[.:]\d{1,3})?\])+\s*/, ''))
+        .join('\n')
+        .trim();
+}
+
+function sidecarPaths(filePath) {
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    return { synced: `${base}.lrc`, plain: `${base}.txt` };
+}
+
+/**
+ * Lyrics a track already has, from its sidecars or embedded tags
+ * @param {string} filePath - Audio file
+ * @param {Array} embedded - music-metadata common.lyrics, when already parsed
+ * @returns {string|null} 'synced', 'plain' or null
+ */
+export function getLyricsStatus(filePath, embedded = []) {
+    const sidecars = sidecarPaths(filePath);
+    if (existsSync(sidecars.synced)) {
+        return LRC_TIMESTAMP.test(readFileSync(sidecars.synced, 'utf8')) ? 'synced' : 'plain';
+    }
+
+    const tag = embedded?.[0];
+    if (tag?.syncText?.length > 0 || LRC_TIMESTAMP.test(tag?.text || '')) return 'synced';
+    if (tag?.text || existsSync(sidecars.plain)) return 'plain';
+    return null;
+}
+
+/**
+ * Fetch and store lyrics for a set of tracks
+ * @param {Array} tracks - [{ filePath, artist, title, album, duration, lyrics }]; lyrics is the
+ *                         scanner's status, read from the files when missing
+ * @param {Object} settings - Defaults to the saved settings
+ * @returns {Promise<Object>} { tracks, synced, plain, embedded, instrumental, notFound, skipped, errors: [{ path, error }] }
+ */
+export async function applyLyrics(tracks, settings = getLyricsSettings()) {
+    const summary = { tracks: 0, synced: 0, plain: 0, embedded: 0, instrumental: 0, notFound: 0, skipped: 0, errors: [] };
+
+    for (const track of tracks) {
+        if (!track.filePath || !track.artist || !track.title) continue;
+        summary.tracks++;
+
+        const current = track.lyrics !== undefined ? track.lyrics : getLyricsStatus(track.filePath);
+        if (current && !settings.overwrite) {
+            summary.skipped++;
+            continue;
+        }
+
+        try {
+            const lyrics = await fetchLyrics(track, settings.provider);
+            if (!lyrics || (!lyrics.synced && !lyrics.plain && !lyrics.instrumental)) {
+                summary.notFound++;
+                continue;
+            }
+            if (lyrics.instrumental) {
+                summary.instrumental++;
+                continue;
+            }
+
+            if (settings.sidecar) {
+                const sidecars = sidecarPaths(track.filePath);
+                if (lyrics.synced) {
+                    await fs.writeFile(sidecars.synced, `${lyrics.synced.trim()}\n`);
+                    summary.synced++;
+                } else {
+                    await fs.writeFile(sidecars.plain, `${lyrics.plain.trim()}\n`);
+                    summary.plain++;
+                }
+            }
+
+            if (settings.embed && isTaggable(track.filePath)) {
+                await writeTags(track.filePath, { lyrics: lyrics.plain?.trim() || stripLrcTimestamps(lyrics.synced) });
+                summary.embedded++;
+            }
+        } catch (error) {
+            summary.errors.push({ path: track.filePath, error: error.message });
+            console.error(`[Lyrics] ${path.basename(track.filePath)}: ${error.message}`);
+        }
+    }
+
+    console.log(`[Lyrics] ${summary.tracks} track(s): ${summary.synced} synced, ${summary.plain} plain, ${summary.embedded} embedded, ${summary.notFound} not found`);
+    return summary;
+}
@@ -3,9 +3,16 @@
  * Batch matches scanned files to MusicBrainz metadata and generates rename previews
  */
 
-import { searchRecording, searchRelease, searchArtist } from './musicbrainz.js';
+import { searchRecording, searchRelease, searchArtist, getReleaseDetails, normalizeString, validMbid } from './musicbrainz.js';
 import { isRomaji, generateJapaneseSearchVariants } from './romaji-converter.js';
 import { parseArtistWithAI, parseAlbumWithAI, parseTrackWithAI, isClaudeCLIAvailable } from './ai-engine.js';
+import { createBatch, recordEntry, finishBatch } from './journal.js';
+import { isFingerprintingAvailable, identifyByFingerprint } from './fingerprint.js';
+import { alignAlbum } from './track-alignment.js';
+import { selectRelease, getReleasePolicy } from './release-selector.js';
+import { renderTrackPath, fillDiscTotals, getNamingSettings, joinUnderRoot } from './naming.js';
+import { updateTrackMetadata } from './metadata-updater.js';
+import { isTaggable } from './tag-writer.js';
 import path from 'path';
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
@@ -20,33 +27,175 @@ const CONFIDENCE_THRESHOLDS = {
 };
 
 /**
- * Normalize string for filename safety
+ * Categorize a match by confidence
  */
-function sanitizeFilename(str) {
-    if (!str) return '';
-
-    // Remove or replace invalid OS filename characters
-    return str
-        .replace(/[/\\:*?"<>|]/g, '_')  // Replace invalid chars with underscore
-        .replace(/\s+/g, ' ')            // Normalize whitespace
-        .replace(/\.+$/g, '')            // Remove trailing dots
-        .trim();
+function categorizeConfidence(confidence) {
+    if (confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) return 'auto_approve';
+    if (confidence >= CONFIDENCE_THRESHOLDS.REVIEW) return 'review';
+    return 'manual';
+}
+
+/**
+ * Identify a file by its audio fingerprint
+ *
+ * A fingerprint that confirms the tag match raises its confidence to the
+ * fingerprint's; a different recording replaces the tag match only when
+ * it is more confident.
+ * @param {Object} file - Grouped file ({ filePath, artist, album, title })
+ * @param {Object|null} tagMatch - Best recording from the tag search
+ * @returns {Promise<Object|null>} { match, searchMethod } or null to keep the tag match
+ */
+async function matchByFingerprint(file, tagMatch) {
+    const known = (value) => (value && value !== 'Unknown' ? value : undefined);
+    const recording = await identifyByFingerprint(file.filePath || file.path, {
+        artist: known(file.artist),
+        album: known(file.album),
+        title: known(file.title)
+    });
+
+    if (!recording) return null;
+
+    const fingerprint = { acoustidScore: recording.acoustidScore, confidence: recording.confidence };
+
+    if (tagMatch && tagMatch.id === recording.id) {
+        return {
+            match: { ...tagMatch, confidence: Math.max(tagMatch.confidence, recording.confidence), fingerprint: { ...fingerprint, confirmed: true } },
+            searchMethod: null
+        };
+    }
+
+    if (!tagMatch || recording.confidence > tagMatch.confidence) {
+        return { match: { ...recording, fingerprint: { ...fingerprint, confirmed: false } }, searchMethod: 'fingerprint' };
+    }
+
+    return null;
+}
+
+/**
+ * Release entry (as in mbMatch.releases) for an album's chosen edition
+ */
+function albumRelease(albumMatch) {
+    return {
+        id: albumMatch.id,
+        title: albumMatch.title,
+        date: albumMatch.date || '',
+        year: albumMatch.year || undefined,
+        releaseGroupId: albumMatch.releaseGroupId || '',
+        artistId: albumMatch.artistId || ''
+    };
+}
+
+/**
+ * Move the album's chosen edition to the front of a recording's releases
+ * when one of them is the same album (same release or same title)
+ */
+function preferAlbumRelease(releases = [], albumMatch) {
+    const albumTitle = normalizeString(albumMatch.title);
+    const onAlbum = releases.some(release => release.id === albumMatch.id || normalizeString(release.title) === albumTitle);
+    if (!onAlbum) return releases;
+
+    return [albumRelease(albumMatch), ...releases.filter(release => release.id !== albumMatch.id)];
+}
+
+/**
+ * Match result for a file whose tags already carry its recording and release MBIDs
+ * (written by an earlier accepted match or by Picard), built without a remote lookup
+ * @returns {Object|null} Result as pushed by batchMatchFiles(), null without valid MBIDs
+ */
+function matchFromMbidTags(file) {
+    const metadata = file.metadata || {};
+    const recordingId = validMbid(metadata.musicbrainz?.recordingId);
+    const releaseId = validMbid(metadata.musicbrainz?.releaseId);
+    if (!recordingId || !releaseId) return null;
+
+    const artist = metadata.artist || file.folderArtist || 'Unknown';
+    const album = metadata.album || file.folderAlbum || 'Unknown';
+    const title = metadata.title || file.fileName || 'Unknown';
+
+    return {
+        filePath: file.filePath || file.path,
+        relativePath: file.relativePath,
+        fileName: file.fileName,
+        folderArtist: file.folderArtist,
+        folderAlbum: file.folderAlbum,
+        status: 'matched',
+        confidence: 100,
+        category: categorizeConfidence(100),
+        originalMetadata: { artist, album, title },
+        searchMethod: 'mbid_tags',
+        fingerprint: null,
+        alignment: null,
+        mbMatch: {
+            artist: metadata.artist || artist,
+            artistId: validMbid(metadata.musicbrainz.artistId) || '',
+            title,
+            recordingId,
+            releases: [{
+                id: releaseId,
+                title: album,
+                date: metadata.year ? String(metadata.year) : '',
+                releaseGroupId: validMbid(metadata.musicbrainz.releaseGroupId) || '',
+                artistId: validMbid(metadata.musicbrainz.albumArtistId) || ''
+            }],
+            length: metadata.duration ? Math.round(metadata.duration * 1000) : null
+        },
+        fileInfo: {
+            format: metadata.format || file.fileExtension,
+            codec: metadata.codec,
+            bitrate: metadata.bitrate,
+            trackNumber: metadata.track,
+            discNumber: metadata.disk,
+            discTotal: metadata.diskTotal,
+            year: metadata.year
+        }
+    };
+}
+
+/**
+ * MusicBrainz tag fields (tag-writer names) for an accepted match
+ * Only valid identifiers are returned, so existing tags are never cleared
+ */
+export function getMusicBrainzTags(matchResult) {
+    const { mbMatch } = matchResult;
+    const release = mbMatch?.releases?.[0];
+    const tags = {
+        musicbrainzRecordingId: validMbid(mbMatch?.recordingId),
+        musicbrainzReleaseId: validMbid(release?.id),
+        musicbrainzReleaseGroupId: validMbid(release?.releaseGroupId),
+        musicbrainzArtistId: validMbid(mbMatch?.artistId),
+        musicbrainzAlbumArtistId: validMbid(release?.artistId)
+    };
+    return Object.fromEntries(Object.entries(tags).filter(([, value]) => value));
 }
 
 /**
  * Batch match scanned files to MusicBrainz
+ * Files tagged with recording and release MBIDs are matched from their tags without a lookup
  * @param {Array} files - Array of file objects from scanner (with metadata)
  * @param {Function} progressCallback - Callback for progress updates
+ * @param {Object} options - { fingerprint: false to skip AcoustID lookups,
+ *                            releasePolicy: edition preferences (defaults to the saved policy),
+ *                            onAlbumAligned: called with each album's missing/extra track report }
  * @returns {Array} Match results with confidence scores
  */
-export async function batchMatchFiles(files, progressCallback = null) {
+export async function batchMatchFiles(files, progressCallback = null, options = {}) {
     const results = [];
     let processedCount = 0;
+    // Files the tags can't place with confidence are fingerprinted when fpcalc and an AcoustID key are set up
+    const useFingerprint = options.fingerprint !== false && await isFingerprintingAvailable();
+    const releasePolicy = options.releasePolicy || getReleasePolicy();
 
     //Group files by album for efficient matching
     const albumGroups = new Map();
+    const taggedResults = [];
 
     for (const file of files) {
+        const tagged = matchFromMbidTags(file);
+        if (tagged) {
+            taggedResults.push(tagged);
+            continue;
+        }
+
         // Extract metadata - handle both flat and nested structures
         const metadata = file.metadata || file;
         const artist = metadata.albumArtist || metadata.artist || file.folderArtist || 'Unknown';
@@ -86,7 +235,23 @@ export async function batchMatchFiles(files, progressCallback = null) {
         });
     }
 
-    console.log(`[Matcher] Grouped ${files.length} files into ${albumGroups.size} albums`);
+    if (taggedResults.length > 0) {
+        console.log(`[Matcher] ${taggedResults.length} file(s) already carry MusicBrainz IDs, skipping their lookups`);
+
+        // Multi-disc totals per tagged release
+        const byRelease = new Map();
+        for (const result of taggedResults) {
+            const releaseId = result.mbMatch.releases[0].id;
+            byRelease.set(releaseId, [...(byRelease.get(releaseId) || []), result]);
+        }
+        for (const releaseResults of byRelease.values()) {
+            fillDiscTotals(releaseResults.map(result => result.fileInfo));
+        }
+        results.push(...taggedResults);
+        processedCount += taggedResults.length;
+    }
+
+    console.log(`[Matcher] Grouped ${files.length - taggedResults.length} files into ${albumGroups.size} albums`);
 
     // Step 1: Match albums first
     const matchedAlbums = new Map();
@@ -97,54 +262,67 @@ export async function batchMatchFiles(files, progressCallback = null) {
 
         console.log(`[Matcher] Matching album: ${artist} - ${album}`);
 
-        try {
-            // Try matching the album
-            let albumResults = await searchRelease(artist, album, { limit: 1 });
-            let bestAlbumMatch = albumResults && albumResults.length > 0 ? albumResults[0] : null;
-            let albumSearchMethod = 'original';
+        if (album === 'Unknown') {
+            // Nothing to search for; the tracks can still be fingerprinted
+            console.log(`[Matcher] No album tag or folder, skipping album search for ${albumGroup.files.length} file(s)`);
+        } else {
+            try {
+                // Try matching the album
+                let albumResults = await searchRelease(artist, album, { limit: 1 });
+                let bestAlbumMatch = albumResults && albumResults.length > 0 ? albumResults[0] : null;
+                let albumSearchMethod = 'original';
 
-            // If album doesn't match, try Japanese variants
-            if (!bestAlbumMatch || bestAlbumMatch.confidence < CONFIDENCE_THRESHOLDS.REVIEW) {
-                const hasRomaji = isRomaji(artist) || isRomaji(album);
+                // If album doesn't match, try Japanese variants
+                if (!bestAlbumMatch || bestAlbumMatch.confidence < CONFIDENCE_THRESHOLDS.REVIEW) {
+                    const hasRomaji = isRomaji(artist) || isRomaji(album);
 
-                if (hasRomaji) {
-                    console.log(`[Matcher] Album has romaji, trying Japanese variants...`);
-                    const variants = generateJapaneseSearchVariants({ artist, album, title: '' });
+                    if (hasRomaji) {
+                        console.log(`[Matcher] Album has romaji, trying Japanese variants...`);
+                        const variants = generateJapaneseSearchVariants({ artist, album, title: '' });
 
-                    for (let i = 1; i < variants.length; i++) {
-                        const variant = variants[i];
-                        console.log(`[Matcher] Trying album variant: ${variant.artist} - ${variant.album}`);
+                        for (let i = 1; i < variants.length; i++) {
+                            const variant = variants[i];
+                            console.log(`[Matcher] Trying album variant: ${variant.artist} - ${variant.album}`);
 
-                        const variantResults = await searchRelease(variant.artist, variant.album, { limit: 1 });
+                            const variantResults = await searchRelease(variant.artist, variant.album, { limit: 1 });
 
-                        if (variantResults && variantResults.length > 0) {
-                            const variantMatch = variantResults[0];
+                            if (variantResults && variantResults.length > 0) {
+                                const variantMatch = variantResults[0];
 
-                            if (!bestAlbumMatch || variantMatch.confidence > bestAlbumMatch.confidence) {
-                                bestAlbumMatch = variantMatch;
-                                albumSearchMethod = i === 1 ? 'hiragana' : 'katakana';
-                                console.log(`[Matcher] Found better album match with ${albumSearchMethod}: ${variantMatch.confidence}%`);
+                                if (!bestAlbumMatch || variantMatch.confidence > bestAlbumMatch.confidence) {
+                                    bestAlbumMatch = variantMatch;
+                                    albumSearchMethod = i === 1 ? 'hiragana' : 'katakana';
+                                    console.log(`[Matcher] Found better album match with ${albumSearchMethod}: ${variantMatch.confidence}%`);
 
-                                if (variantMatch.confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) {
-                                    break;
+                                    if (variantMatch.confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) {
+                                        break;
+                                    }
                                 }
                             }
                         }
                     }
                 }
-            }
 
-            if (bestAlbumMatch && bestAlbumMatch.confidence >= CONFIDENCE_THRESHOLDS.REVIEW) {
-                matchedAlbums.set(albumKey, {
-                    match: bestAlbumMatch,
-                    searchMethod: albumSearchMethod
-                });
-                console.log(`[Matcher] Album matched: ${artist} - ${album} (${bestAlbumMatch.confidence}% confidence)`);
-            } else {
-                console.log(`[Matcher] Album not matched (skipping ${albumGroup.files.length} tracks): ${artist} - ${album}`);
+                if (bestAlbumMatch && bestAlbumMatch.confidence >= CONFIDENCE_THRESHOLDS.REVIEW) {
+                    // The search finds the album; pick the edition that fits the files and the policy
+                    let edition = bestAlbumMatch;
+                    try {
+                        edition = await selectRelease(bestAlbumMatch, albumGroup.files, releasePolicy);
+                    } catch (error) {
+                        console.error(`[Matcher] Could not compare editions of ${artist} - ${album}:`, error.message);
+                    }
+
+                    matchedAlbums.set(albumKey, {
+                        match: edition,
+                        searchMethod: albumSearchMethod
+                    });
+                    console.log(`[Matcher] Album matched: ${artist} - ${album} (${bestAlbumMatch.confidence}% confidence)`);
+                } else {
+                    console.log(`[Matcher] Album not matched (skipping ${albumGroup.files.length} tracks): ${artist} - ${album}`);
+                }
+            } catch (error) {
+                console.error(`[Matcher] Error matching album ${artist} - ${album}:`, error.message);
             }
-        } catch (error) {
-            console.error(`[Matcher] Error matching album ${artist} - ${album}:`, error.message);
         }
 
         albumsProcessed++;
@@ -197,130 +375,139 @@ export async function batchMatchFiles(files, progressCallback = null) {
         }
     }
 
-    // Step 2: Match tracks only for matched albums
-    for (const [albumKey, albumGroup] of albumGroups) {
-        const albumMatchInfo = matchedAlbums.get(albumKey);
+    // Step 1.6: Align each matched release's track list with its files (one lookup per release)
+    const alignedFiles = new Map(); // filePath -> { match, alignment }
 
-        // Skip entire album if album didn't match
-        if (!albumMatchInfo) {
-            for (const file of albumGroup.files) {
-                results.push({
-                    filePath: file.filePath || file.path,
-                    relativePath: file.relativePath,
-                    fileName: file.fileName,
-                    folderArtist: file.folderArtist,
-                    folderAlbum: file.folderAlbum,
-                    status: 'skipped',
-                    reason: `Album not matched in MusicBrainz: ${albumGroup.artist} - ${albumGroup.album}`,
-                    confidence: 0,
-                    category: 'manual',
-                    originalMetadata: {
-                        artist: file.artist,
-                        album: file.album,
-                        title: file.title
+    for (const [releaseId, albumKeys] of releaseIdMap) {
+        const albumMatch = matchedAlbums.get(albumKeys[0]).match;
+        const releaseFiles = albumKeys.flatMap(key => albumGroups.get(key).files);
+
+        try {
+            const release = await getReleaseDetails(albumMatch.id);
+            const { tracks, assignments, missing, extra } = alignAlbum(releaseFiles, release);
+
+            for (const { file, track, score } of assignments) {
+                alignedFiles.set(file.filePath, {
+                    match: {
+                        id: track.recordingId,
+                        title: track.title,
+                        artist: track.artist,
+                        artistId: track.artistId,
+                        length: track.lengthMs,
+                        releases: [albumRelease(albumMatch)],
+                        confidence: Math.round((albumMatch.confidence + score) / 2)
                     },
-                    mbMatch: null
+                    alignment: { releaseId: release.id, disc: track.disc, discTotal: release.media.length, position: track.position, score }
                 });
+            }
 
-                processedCount++;
-                if (progressCallback) {
-                    progressCallback({
-                        processed: processedCount,
-                        total: files.length,
-                        progress: 50 + Math.round((processedCount / files.length) * 50), // Second 50% for tracks
-                        currentFile: file.filePath || file.path
-                    });
-                }
+            console.log(`[Matcher] Aligned ${assignments.length}/${releaseFiles.length} files to ${tracks.length} tracks of ${release.title} (${missing.length} missing, ${extra.length} extra)`);
+
+            if (options.onAlbumAligned) {
+                options.onAlbumAligned({
+                    artist: albumMatch.artist,
+                    album: release.title,
+                    releaseId,
+                    trackCount: tracks.length,
+                    matched: assignments.length,
+                    missing: missing.map(track => ({ disc: track.disc, position: track.position, title: track.title })),
+                    extra: extra.map(file => ({ filePath: file.filePath, fileName: file.fileName, title: file.title }))
+                });
             }
-            continue;
+        } catch (error) {
+            // The tracks are still searched one by one below
+            console.error(`[Matcher] Could not align ${albumMatch.title} with its track list:`, error.message);
         }
+    }
+
+    // Step 2: Match tracks of matched albums by alignment or tags, fingerprint the rest
+    for (const [albumKey, albumGroup] of albumGroups) {
+        const albumMatchInfo = matchedAlbums.get(albumKey);
+        const groupStart = results.length;
 
-        // Match tracks within this album
         for (const file of albumGroup.files) {
             try {
                 const { artist, album, title } = file;
-
-                // Skip files without title
-                if (!title || title === 'Unknown') {
-                    results.push({
-                        filePath: file.filePath || file.path,
-                        fileName: file.fileName,
-                        folderArtist: file.folderArtist,
-                        folderAlbum: file.folderAlbum,
-                        status: 'skipped',
-                        reason: 'Missing title metadata',
-                        confidence: 0,
-                        category: 'manual',
-                        originalMetadata: { artist, album, title },
-                        mbMatch: null
-                    });
-                    processedCount++;
-                    if (progressCallback) {
-                        progressCallback({
-                            processed: processedCount,
-                            total: files.length,
-                            progress: 50 + Math.round((processedCount / files.length) * 50),
-                            currentFile: file.filePath || file.path
-                        });
-                    }
-                    continue;
-                }
-
-                // Search MusicBrainz for recording
-                console.log(`[Matcher] Searching MusicBrainz: ${artist} - ${album} - ${title}`);
-                let mbResults = await searchRecording(artist, album, title, { limit: 1 });
-                let bestMatch = mbResults && mbResults.length > 0 ? mbResults[0] : null;
-                let searchMethod = albumMatchInfo.searchMethod; // Inherit from album match
-
-                // If no match found or low confidence, try Japanese variants if romaji detected
-                if ((!bestMatch || bestMatch.confidence < CONFIDENCE_THRESHOLDS.REVIEW)) {
-                    const hasRomaji = isRomaji(title);
-
-                    if (hasRomaji) {
-                        console.log(`[Matcher] Track title has romaji, generating Japanese variants...`);
-                        const variants = generateJapaneseSearchVariants({ artist, album, title });
-
-                        // Try each variant (skip first as it's the original)
-                        for (let i = 1; i < variants.length; i++) {
-                            const variant = variants[i];
-                            console.log(`[Matcher] Trying variant ${i}: ${variant.artist} - ${variant.album} - ${variant.title}`);
-
-                            const variantResults = await searchRecording(
-                                variant.artist,
-                                variant.album,
-                                variant.title,
-                                { limit: 1 }
-                            );
-
-                            if (variantResults && variantResults.length > 0) {
-                                const variantMatch = variantResults[0];
-
-                                // Use this variant if it's better than current best
-                                if (!bestMatch || variantMatch.confidence > bestMatch.confidence) {
-                                    bestMatch = variantMatch;
-                                    searchMethod = i === 1 ? 'hiragana' : 'katakana';
-                                    console.log(`[Matcher] Found better match with ${searchMethod}: ${variantMatch.confidence}% confidence`);
-
-                                    // If we found a high-confidence match, no need to try more
-                                    if (variantMatch.confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) {
-                                        break;
+                const aligned = alignedFiles.get(file.filePath);
+                let bestMatch = null;
+                let searchMethod = albumMatchInfo?.searchMethod;
+                let status = 'skipped';
+                let reason;
+
+                if (!albumMatchInfo) {
+                    reason = `Album not matched in MusicBrainz: ${albumGroup.artist} - ${albumGroup.album}`;
+                } else if (aligned) {
+                    bestMatch = aligned.match;
+                } else if (!title || title === 'Unknown') {
+                    reason = 'Missing title metadata';
+                } else {
+                    // Search MusicBrainz for recording
+                    console.log(`[Matcher] Searching MusicBrainz: ${artist} - ${album} - ${title}`);
+                    const mbResults = await searchRecording(artist, album, title, { limit: 1 });
+                    bestMatch = mbResults && mbResults.length > 0 ? mbResults[0] : null;
+
+                    // If no match found or low confidence, try Japanese variants if romaji detected
+                    if ((!bestMatch || bestMatch.confidence < CONFIDENCE_THRESHOLDS.REVIEW)) {
+                        const hasRomaji = isRomaji(title);
+
+                        if (hasRomaji) {
+                            console.log(`[Matcher] Track title has romaji, generating Japanese variants...`);
+                            const variants = generateJapaneseSearchVariants({ artist, album, title });
+
+                            // Try each variant (skip first as it's the original)
+                            for (let i = 1; i < variants.length; i++) {
+                                const variant = variants[i];
+                                console.log(`[Matcher] Trying variant ${i}: ${variant.artist} - ${variant.album} - ${variant.title}`);
+
+                                const variantResults = await searchRecording(
+                                    variant.artist,
+                                    variant.album,
+                                    variant.title,
+                                    { limit: 1 }
+                                );
+
+                                if (variantResults && variantResults.length > 0) {
+                                    const variantMatch = variantResults[0];
+
+                                    // Use this variant if it's better than current best
+                                    if (!bestMatch || variantMatch.confidence > bestMatch.confidence) {
+                                        bestMatch = variantMatch;
+                                        searchMethod = i === 1 ? 'hiragana' : 'katakana';
+                                        console.log(`[Matcher] Found better match with ${searchMethod}: ${variantMatch.confidence}% confidence`);
+
+                                        // If we found a high-confidence match, no need to try more
+                                        if (variantMatch.confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) {
+                                            break;
+                                        }
                                     }
                                 }
                             }
                         }
                     }
+
+                    if (!bestMatch) {
+                        status = 'no_match';
+                        reason = 'No MusicBrainz matches found (tried Japanese variants if applicable)';
+                    }
                 }
 
-                if (bestMatch) {
-                    // Categorize by confidence
-                    let category = 'manual';
-                    if (bestMatch.confidence >= CONFIDENCE_THRESHOLDS.AUTO_APPROVE) {
-                        category = 'auto_approve';
-                    } else if (bestMatch.confidence >= CONFIDENCE_THRESHOLDS.REVIEW) {
-                        category = 'review';
+                if (useFingerprint && (!bestMatch || bestMatch.confidence < CONFIDENCE_THRESHOLDS.AUTO_APPROVE)) {
+                    const fingerprintResult = await matchByFingerprint(file, bestMatch);
+                    if (fingerprintResult) {
+                        bestMatch = fingerprintResult.match;
+                        searchMethod = fingerprintResult.searchMethod || searchMethod;
                     }
+                }
+
+                // Name the file after the album's chosen edition when the recording appears on that album
+                if (bestMatch && albumMatchInfo && !aligned) {
+                    bestMatch = { ...bestMatch, releases: preferAlbumRelease(bestMatch.releases, albumMatchInfo.match) };
+                }
 
+                if (bestMatch) {
                     const fileMetadata = file.metadata || {};
+                    // Dropped when the fingerprint overrode the aligned track
+                    const alignment = aligned && bestMatch.id === aligned.match.id ? aligned.alignment : null;
                     results.push({
                         filePath: file.filePath || file.path,
                         relativePath: file.relativePath,
@@ -329,9 +516,11 @@ export async function batchMatchFiles(files, progressCallback = null) {
                         folderAlbum: file.folderAlbum,
                         status: 'matched',
                         confidence: bestMatch.confidence,
-                        category: category,
+                        category: categorizeConfidence(bestMatch.confidence),
                         originalMetadata: { artist, album, title },
                         searchMethod: searchMethod, // Track which method found the match
+                        fingerprint: bestMatch.fingerprint || null,
+                        alignment,
                         mbMatch: {
                             artist: bestMatch.artist,
                             artistId: bestMatch.artistId,
@@ -344,20 +533,21 @@ export async function batchMatchFiles(files, progressCallback = null) {
                             format: fileMetadata.format || file.fileExtension,
                             codec: fileMetadata.codec,
                             bitrate: fileMetadata.bitrate,
-                            trackNumber: fileMetadata.track,
+                            trackNumber: alignment?.position || fileMetadata.track,
+                            discNumber: alignment?.disc || fileMetadata.disk,
+                            discTotal: alignment?.discTotal || fileMetadata.diskTotal,
                             year: fileMetadata.year
                         }
                     });
                 } else {
-                    // No match found even after trying variants
                     results.push({
                         filePath: file.filePath || file.path,
                         relativePath: file.relativePath,
                         fileName: file.fileName,
                         folderArtist: file.folderArtist,
                         folderAlbum: file.folderAlbum,
-                        status: 'no_match',
-                        reason: 'No MusicBrainz matches found (tried Japanese variants if applicable)',
+                        status,
+                        reason,
                         confidence: 0,
                         category: 'manual',
                         originalMetadata: { artist, album, title },
@@ -370,7 +560,7 @@ export async function batchMatchFiles(files, progressCallback = null) {
                     progressCallback({
                         processed: processedCount,
                         total: files.length,
-                        progress: 50 + Math.round((processedCount / files.length) * 50),
+                        progress: 50 + Math.round((processedCount / files.length) * 50), // Second 50% for tracks
                         currentFile: file.filePath || file.path
                     });
                 }
@@ -406,6 +596,9 @@ export async function batchMatchFiles(files, progressCallback = null) {
                 }
             }
         }
+
+        // Tracks of a multi-disc album without a disc total tag still belong to a multi-disc album
+        fillDiscTotals(results.slice(groupStart).filter(result => result.fileInfo).map(result => result.fileInfo));
     }
 
     return results;
@@ -413,7 +606,7 @@ export async function batchMatchFiles(files, progressCallback = null) {
 
 /**
  * Extract track number from filename
- * Supports formats like: "01 - Title.flac", "01. Title.mp3", "Track 01.flac"
+ * Supports formats like: "01 - Title.flac", "01. Title.mp3", "1-01 - Title.flac", "Track 01.flac"
  * @param {String} filename - The filename to parse
  * @returns {Number|null} Track number or null if not found
  */
@@ -423,6 +616,14 @@ function extractTrackNumberFromFilename(filename) {
     // Remove file extension
     const nameWithoutExt = path.basename(filename, path.extname(filename));
 
+    // Pattern 0: disc-prefixed "1-01 - Title" or "2-03. Title"
+    const discPattern = /^\d{1,2}-(\d{2,3})(?=\s*[-.\s])/;
+    const discMatch = nameWithoutExt.match(discPattern);
+    if (discMatch) {
+        const trackNum = parseInt(discMatch[1], 10);
+        if (trackNum > 0 && trackNum < 100) return trackNum;
+    }
+
     // Pattern 1: "01 - Title" or "01. Title" or "01 Title"
     const pattern1 = /^(\d{1,3})\s*[-.\s]/;
     const match1 = nameWithoutExt.match(pattern1);
@@ -444,12 +645,13 @@ function extractTrackNumberFromFilename(filename) {
 
 /**
  * Generate Plex-compliant file path from MusicBrainz match
- * Format: {artist}/{album}/{track_number} - {title}.{ext}
+ * The layout comes from the naming template (see naming.js)
  * @param {Object} matchResult - Match result from batchMatchFiles()
  * @param {String} basePath - Base directory path for renamed files
+ * @param {Object} settings - Naming settings { template, filesystem } (defaults to the saved ones)
  * @returns {Object} Rename preview with before/after paths
  */
-export function generateRenamePath(matchResult, basePath) {
+export function generateRenamePath(matchResult, basePath, settings = getNamingSettings()) {
     const { mbMatch, fileInfo, originalMetadata } = matchResult;
 
     // Use filePath directly (should always be present now)
@@ -494,8 +696,10 @@ export function generateRenamePath(matchResult, basePath) {
         const primaryRelease = mbMatch.releases[0];
         album = primaryRelease.title;
 
-        // Extract year from release date (format: YYYY-MM-DD)
-        if (primaryRelease.date) {
+        // Year chosen by the release policy, else from the release date (format: YYYY-MM-DD)
+        if (primaryRelease.year) {
+            year = primaryRelease.year;
+        } else if (primaryRelease.date) {
             const yearMatch = primaryRelease.date.match(/^(\d{4})/);
             if (yearMatch) {
                 year = yearMatch[1];
@@ -503,45 +707,49 @@ export function generateRenamePath(matchResult, basePath) {
         }
     }
 
-    // Sanitize components
-    const artistSafe = sanitizeFilename(artist);
-    const albumSafe = sanitizeFilename(album);
-    const titleSafe = sanitizeFilename(title);
-
     // Track number extraction (try multiple sources)
     let trackNum = null;
 
-    // 1. Try extracting from filename (e.g., "01 - Title.flac")
-    trackNum = extractTrackNumberFromFilename(matchResult.fileName);
-
-    // 2. If not found in filename, try file metadata
-    if (!trackNum && fileInfo?.trackNumber) {
-        trackNum = fileInfo.trackNumber;
+    // 1. Position on the MusicBrainz release, when the file was aligned with its track list
+    if (matchResult.alignment) {
+        trackNum = matchResult.alignment.position;
     }
 
-    // 3. If still not found, omit track number (will use title only)
-    const trackNumPadded = trackNum ? String(trackNum).padStart(2, '0') : null;
-
-    // File extension
-    const ext = path.extname(actualFilePath);
+    // 2. Try extracting from filename (e.g., "01 - Title.flac")
+    if (!trackNum) {
+        trackNum = extractTrackNumberFromFilename(matchResult.fileName);
+    }
 
-    // Build Plex-compliant path
-    let albumFolder = albumSafe;
-    if (year) {
-        albumFolder = `${albumSafe} (${year})`;
+    // 3. If not found in filename, try file metadata
+    if (!trackNum && fileInfo?.trackNumber) {
+        trackNum = fileInfo.trackNumber;
     }
 
-    // Build filename - include track number only if we found one
-    const newFilename = trackNumPadded
-        ? `${trackNumPadded} - ${titleSafe}${ext}`
-        : `${titleSafe}${ext}`;
-    const newPath = path.join(basePath, artistSafe, albumFolder, newFilename);
+    // 4. If still not found, the template drops its track number section
+    const primaryRelease = mbMatch?.releases?.[0];
+    const relativePath = renderTrackPath({
+        artist,
+        albumArtist: artist,
+        album,
+        year,
+        discNumber: fileInfo?.discNumber,
+        discTotal: fileInfo?.discTotal,
+        trackNumber: trackNum,
+        title,
+        recordingId: mbMatch?.recordingId,
+        releaseId: primaryRelease?.id
+    }, path.extname(actualFilePath), settings);
+    const newPath = joinUnderRoot(basePath, relativePath);
+
+    // First component is the artist folder, the last the file; album (and disc) folders in between
+    const parts = relativePath.split(path.sep);
+    const newFilename = parts.pop();
 
     return {
         originalPath: actualFilePath,
         proposedPath: newPath,
-        artist: artistSafe,
-        album: albumFolder,
+        artist: parts[0] || '',
+        album: parts.slice(1).join(path.sep),
         filename: newFilename,
         changed: actualFilePath !== newPath
     };
@@ -568,6 +776,8 @@ export function generateRenamePreviews(matchResults, basePath) {
         }
     };
 
+    const namingSettings = getNamingSettings();
+
     for (const result of matchResults) {
         if (result.status === 'skipped' || result.status === 'error' || result.status === 'no_match') {
             previews.skipped.push({
@@ -578,7 +788,7 @@ export function generateRenamePreviews(matchResults, basePath) {
             continue;
         }
 
-        const renamePreview = generateRenamePath(result, basePath);
+        const renamePreview = generateRenamePath(result, basePath, namingSettings);
         const previewItem = {
             ...result,
             renamePreview
@@ -628,16 +838,29 @@ async function cleanupEmptyDirectory(dirPath, basePath) {
     }
 }
 
+/**
+ * Write an accepted match's MusicBrainz IDs into the file, journaled with its rename
+ * @returns {Promise<boolean>} Whether tags were written
+ */
+async function writeMusicBrainzTags(matchResult, filePath, batchId) {
+    const tags = getMusicBrainzTags(matchResult);
+    if (Object.keys(tags).length === 0 || !isTaggable(filePath)) return false;
+    return updateTrackMetadata(filePath, tags, { batchId });
+}
+
 /**
  * Execute file rename operations
+ * Files are tagged with the match's MusicBrainz IDs after the rename
  * @param {Array} renameItems - Items to rename (from generateRenamePreviews)
  * @param {Boolean} dryRun - If true, don't actually rename files
  * @param {Boolean} cleanupEmptyDirs - If true, remove empty directories after renaming
  * @param {Function} progressCallback - Callback for progress updates
+ * @param {Number} journalBatchId - Journal batch to record into (default: a new 'rename' batch)
  * @returns {Array} Results of rename operations
  */
-export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs = true, progressCallback = null) {
+export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs = true, progressCallback = null, journalBatchId = null) {
     const results = [];
+    const batchId = dryRun ? null : (journalBatchId || createBatch('rename', `Rename ${renameItems.length} matched file(s)`));
     let processedCount = 0;
     const sourceDirsToCleanup = new Set(); // Track source directories for cleanup
 
@@ -651,6 +874,7 @@ export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs
                     proposedPath: renamePreview?.proposedPath || item.filePath,
                     status: 'skipped',
                     message: 'No changes needed',
+                    mbidTagsWritten: dryRun ? false : await writeMusicBrainzTags(item, item.filePath, batchId),
                     dryRun
                 });
                 processedCount++;
@@ -710,6 +934,7 @@ export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs
 
                     // Rename with new path
                     await fs.rename(originalPath, newProposedPath);
+                    recordEntry(batchId, { type: 'rename', sourcePath: originalPath, destinationPath: newProposedPath });
                     results.push({
                         originalPath,
                         proposedPath: newProposedPath,
@@ -720,6 +945,7 @@ export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs
                 } else {
                     // Rename normally
                     await fs.rename(originalPath, proposedPath);
+                    recordEntry(batchId, { type: 'rename', sourcePath: originalPath, destinationPath: proposedPath });
                     results.push({
                         originalPath,
                         proposedPath,
@@ -728,6 +954,10 @@ export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs
                         dryRun: false
                     });
                 }
+
+                // Persist the match so later scans skip the lookup
+                const renamed = results[results.length - 1];
+                renamed.mbidTagsWritten = await writeMusicBrainzTags(item, renamed.proposedPath, batchId);
             }
 
             processedCount++;
@@ -781,6 +1011,10 @@ export async function executeRename(renameItems, dryRun = true, cleanupEmptyDirs
         console.log(`[Matcher] Directory cleanup complete`);
     }
 
+    if (batchId && !journalBatchId) {
+        finishBatch(batchId);
+    }
+
     return results;
 }
 
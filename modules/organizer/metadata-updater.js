@@ -1,39 +1,69 @@
 /**
  * Metadata Updater Module
  * Updates audio file metadata tags after folder/file renames
+ * Covers MP3 (ID3v2.4), M4A (MP4 atoms) and FLAC/Ogg/Opus (Vorbis comments) through tag-writer.js
  */
 
 import fg from 'fast-glob';
 import path from 'path';
-import { exec } from 'child_process';
-import { promisify } from 'util';
+import { recordEntry } from './journal.js';
+import { readTags, writeTags, isTaggable, TAGGABLE_EXTENSIONS } from './tag-writer.js';
 
-const execAsync = promisify(exec);
+/**
+ * Write tags, journaling the previous values once the write went through
+ */
+async function writeJournaledTags(batchId, filePath, changes) {
+    const previous = batchId ? readTags(filePath, Object.keys(changes)) : null;
+    const written = await writeTags(filePath, changes);
+
+    if (previous && written.length > 0) {
+        recordEntry(batchId, { type: 'tag', destinationPath: filePath, details: { previous } });
+    }
+}
 
 /**
- * Update artist metadata in all audio files within a folder
- * @param {string} folderPath - Path to artist folder
- * @param {string} newArtist - New artist name to write to metadata
- * @returns {Promise<number>} Number of files updated
+ * Put back tag values saved by the journal (rollback)
+ * @param {string} filePath - Audio file
+ * @param {Object} previous - { field: value }, null removes the field
  */
-export async function updateArtistMetadata(folderPath, newArtist) {
-    // Find all FLAC files in the folder
-    const files = await fg('**/*.flac', {
+export async function restoreTags(filePath, previous) {
+    await writeTags(filePath, previous);
+    console.log(`[Metadata] Restored ${Object.keys(previous).join(', ')} in: ${path.basename(filePath)}`);
+}
+
+/**
+ * Audio files to update: the file itself or every taggable file below a folder
+ */
+function findAudioFiles(folderPath, isSingleFile) {
+    if (isSingleFile) {
+        return Promise.resolve(isTaggable(folderPath) ? [folderPath] : []);
+    }
+
+    const extensions = TAGGABLE_EXTENSIONS.map(extension => extension.slice(1)).join(',');
+    return fg(`**/*.{${extensions}}`, {
         cwd: folderPath,
         absolute: true,
-        onlyFiles: true
+        onlyFiles: true,
+        caseSensitiveMatch: false
     });
+}
+
+/**
+ * Write the same fields to every audio file of a folder
+ * @param {Function} changesFor - (filePath) => { field: value } for that file
+ * @returns {Promise<number>} Number of files updated
+ */
+async function updateFolder(folderPath, changesFor, { isSingleFile, batchId }, label) {
+    const files = await findAudioFiles(folderPath, isSingleFile);
 
     let updatedCount = 0;
 
     for (const filePath of files) {
         try {
-            // Use metaflac (part of flac package) to update artist tag
-            // This preserves all other metadata and doesn't re-encode
-            await execAsync(`metaflac --remove-tag=ARTIST "${filePath}"`);
-            await execAsync(`metaflac --set-tag=ARTIST="${newArtist}" "${filePath}"`);
+            const changes = changesFor(filePath);
+            await writeJournaledTags(batchId, filePath, changes);
 
-            console.log(`[Metadata] Updated artist in: ${path.basename(filePath)}`);
+            console.log(`[Metadata] Updated ${label} in: ${path.basename(filePath)}`);
             updatedCount++;
         } catch (error) {
             console.error(`[Metadata] Failed to update ${path.basename(filePath)}: ${error.message}`);
@@ -44,76 +74,49 @@ export async function updateArtistMetadata(folderPath, newArtist) {
     return updatedCount;
 }
 
+/**
+ * Update artist metadata in all audio files within a folder
+ * The album artist follows along unless the album is a compilation
+ * @param {string} folderPath - Path to artist folder
+ * @param {string} newArtist - New artist name to write to metadata
+ * @param {Object} options - { isSingleFile: folderPath is one file, batchId: journal batch }
+ * @returns {Promise<number>} Number of files updated
+ */
+export async function updateArtistMetadata(folderPath, newArtist, { isSingleFile = false, batchId = null } = {}) {
+    return updateFolder(folderPath, (filePath) => {
+        const { albumArtist, compilation } = readTags(filePath, ['albumArtist', 'compilation']);
+        return albumArtist && !compilation
+            ? { artist: newArtist, albumArtist: newArtist }
+            : { artist: newArtist };
+    }, { isSingleFile, batchId }, 'artist');
+}
+
 /**
  * Update album metadata in all audio files within a folder
  * @param {string} folderPath - Path to album folder
  * @param {string} newAlbum - New album name to write to metadata
+ * @param {Object} options - { isSingleFile, batchId } as for updateArtistMetadata
  * @returns {Promise<number>} Number of files updated
  */
-export async function updateAlbumMetadata(folderPath, newAlbum) {
-    const files = await fg('**/*.flac', {
-        cwd: folderPath,
-        absolute: true,
-        onlyFiles: true
-    });
-
-    let updatedCount = 0;
-
-    for (const filePath of files) {
-        try {
-            await execAsync(`metaflac --remove-tag=ALBUM "${filePath}"`);
-            await execAsync(`metaflac --set-tag=ALBUM="${newAlbum}" "${filePath}"`);
-
-            console.log(`[Metadata] Updated album in: ${path.basename(filePath)}`);
-            updatedCount++;
-        } catch (error) {
-            console.error(`[Metadata] Failed to update ${path.basename(filePath)}: ${error.message}`);
-        }
-    }
-
-    return updatedCount;
+export async function updateAlbumMetadata(folderPath, newAlbum, { isSingleFile = false, batchId = null } = {}) {
+    return updateFolder(folderPath, () => ({ album: newAlbum }), { isSingleFile, batchId }, 'album');
 }
 
 /**
  * Update track metadata for a single file
  * @param {string} filePath - Path to audio file
- * @param {Object} metadata - Metadata to update {artist, album, title, year, track}
+ * @param {Object} metadata - Any tag-writer field (title, artist, albumArtist, album, year, track,
+ *                            trackTotal, disc, discTotal, genre, compilation, musicbrainz*Id, lyrics,
+ *                            replayGain*);
+ *                            undefined leaves a field alone, null removes it
+ * @param {Object} options - { batchId: journal batch }
  * @returns {Promise<boolean>} Success status
  */
-export async function updateTrackMetadata(filePath, metadata) {
+export async function updateTrackMetadata(filePath, metadata, { batchId = null } = {}) {
     try {
-        const commands = [];
-
-        // Remove existing tags
-        if (metadata.artist !== undefined) {
-            commands.push(`metaflac --remove-tag=ARTIST "${filePath}"`);
-            commands.push(`metaflac --set-tag=ARTIST="${metadata.artist}" "${filePath}"`);
-        }
+        const changes = Object.fromEntries(Object.entries(metadata).filter(([, value]) => value !== undefined));
 
-        if (metadata.album !== undefined) {
-            commands.push(`metaflac --remove-tag=ALBUM "${filePath}"`);
-            commands.push(`metaflac --set-tag=ALBUM="${metadata.album}" "${filePath}"`);
-        }
-
-        if (metadata.title !== undefined) {
-            commands.push(`metaflac --remove-tag=TITLE "${filePath}"`);
-            commands.push(`metaflac --set-tag=TITLE="${metadata.title}" "${filePath}"`);
-        }
-
-        if (metadata.year !== undefined && metadata.year) {
-            commands.push(`metaflac --remove-tag=DATE "${filePath}"`);
-            commands.push(`metaflac --set-tag=DATE="${metadata.year}" "${filePath}"`);
-        }
-
-        if (metadata.track !== undefined && metadata.track) {
-            commands.push(`metaflac --remove-tag=TRACKNUMBER "${filePath}"`);
-            commands.push(`metaflac --set-tag=TRACKNUMBER="${metadata.track}" "${filePath}"`);
-        }
-
-        // Execute all commands
-        for (const cmd of commands) {
-            await execAsync(cmd);
-        }
+        await writeJournaledTags(batchId, filePath, changes);
 
         console.log(`[Metadata] Updated track: ${path.basename(filePath)}`);
         return true;
@@ -6,6 +6,7 @@
 import { MusicBrainzApi } from 'musicbrainz-api';
 import Database from 'better-sqlite3';
 import pLimit from 'p-limit';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -23,8 +24,8 @@ const mbApi = new MusicBrainzApi({
 const limit = pLimit(1);
 const RATE_LIMIT_DELAY = 1000; // 1 second between requests
 
-// Initialize SQLite cache database
-const dbPath = path.join(__dirname, '..', '..', 'data', 'musicbrainz-cache.db');
+// Initialize SQLite cache database (DATA_PATH points it at another data folder)
+const dbPath = path.join(process.env.DATA_PATH || path.join(__dirname, '..', '..', 'data'), 'musicbrainz-cache.db');
 let db = null;
 
 /**
@@ -32,6 +33,7 @@ let db = null;
  */
 export function initializeCache() {
     try {
+        fs.mkdirSync(path.dirname(dbPath), { recursive: true });
         db = new Database(dbPath);
 
         // Create cache table
@@ -107,10 +109,21 @@ function cacheResponse(queryType, queryKey, response) {
     }
 }
 
+// MusicBrainz identifiers are lowercase UUIDs
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * A MusicBrainz identifier from a tag, or null when it isn't a valid MBID
+ */
+export function validMbid(value) {
+    const mbid = typeof value === 'string' ? value.trim().toLowerCase() : '';
+    return MBID_PATTERN.test(mbid) ? mbid : null;
+}
+
 /**
  * Normalize string for comparison
  */
-function normalizeString(str) {
+export function normalizeString(str) {
     if (!str) return '';
     return str.toLowerCase()
         .normalize('NFD') // Decompose combined characters
@@ -154,7 +167,7 @@ function levenshteinDistance(str1, str2) {
 /**
  * Calculate similarity score (0-100)
  */
-function calculateSimilarity(str1, str2) {
+export function calculateSimilarity(str1, str2) {
     const longer = str1.length > str2.length ? str1 : str2;
     const shorter = str1.length > str2.length ? str2 : str1;
 
@@ -260,6 +273,7 @@ export async function searchRelease(artist, album, options = {}) {
                     title: release.title,
                     artist: release['artist-credit']?.[0]?.name || '',
                     artistId: release['artist-credit']?.[0]?.artist?.id || '',
+                    releaseGroupId: release['release-group']?.id || '',
                     date: release.date || '',
                     country: release.country || '',
                     status: release.status || '',
@@ -339,7 +353,8 @@ export async function searchRecording(artist, album, title, options = {}) {
                     releases: recording.releases?.map(r => ({
                         id: r.id,
                         title: r.title,
-                        date: r.date || ''
+                        date: r.date || '',
+                        releaseGroupId: r['release-group']?.id || ''
                     })) || [],
                     confidence: confidence
                 };
@@ -359,6 +374,50 @@ export async function searchRecording(artist, album, title, options = {}) {
     });
 }
 
+/**
+ * List the releases (editions) of a release group
+ */
+export async function getReleaseGroupReleases(releaseGroupId) {
+    const queryKey = releaseGroupId;
+
+    // Check cache first
+    const cached = getCachedResponse('release-group-releases', queryKey);
+    if (cached) return cached;
+
+    // Rate-limited API call
+    return limit(async () => {
+        try {
+            console.log(`[MusicBrainz] Fetching releases of release group: ${releaseGroupId}`);
+
+            const response = await mbApi.search('release', {
+                query: `rgid:${releaseGroupId}`,
+                limit: 50
+            });
+
+            await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY));
+
+            const results = response.releases.map(release => ({
+                id: release.id,
+                title: release.title,
+                artist: release['artist-credit']?.[0]?.name || '',
+                date: release.date || '',
+                country: release.country || '',
+                status: release.status || '',
+                trackCount: release['track-count'] || 0,
+                formats: release.media?.map(medium => medium.format).filter(Boolean) || []
+            }));
+
+            // Cache response
+            cacheResponse('release-group-releases', queryKey, results);
+
+            return results;
+        } catch (error) {
+            console.error('[MusicBrainz] Release group lookup error:', error.message);
+            throw error;
+        }
+    });
+}
+
 /**
  * Get detailed release information including tracks
  */
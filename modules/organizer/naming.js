@@ -0,0 +1,440 @@
+/**
+ * Library Naming Templates
+ *
+ * One template engine for every flow that writes library paths (simple
+ * organizer, matcher renames, moves into the live library, downloader).
+ * A template such as
+ *
+ *     {albumartist}/{album}[ ({year})]/[[{disc}-]{track:02} - ]{title}
+ *
+ * turns track values into a relative path; `/` separates folders and the
+ * extension is appended. `{track:02}` pads numbers, and a `[...]` section
+ * is left out when any token inside it is empty, so optional parts need
+ * no special cases. Every path component is then cleaned for the target
+ * filesystem (POSIX, NTFS, FAT or an SMB share). "." and ".." never survive
+ * as components, so no tag value or template can leave the library root.
+ */
+
+import path from 'path';
+import { initDownloadDatabase } from '../downloader/database.js';
+
+const SETTINGS_KEY = 'naming:settings';
+
+export const NAMING_TOKENS = {
+    artist: 'Track artist',
+    albumartist: 'Album artist (falls back to the track artist)',
+    album: 'Album title',
+    year: 'Release year',
+    disc: 'Disc number, only on multi-disc albums',
+    disctotal: 'Number of discs, only on multi-disc albums',
+    track: 'Track number',
+    tracktotal: 'Number of tracks',
+    title: 'Track title',
+    mbid: 'MusicBrainz recording ID',
+    albummbid: 'MusicBrainz release ID'
+};
+
+/**
+ * Built-in templates; multi-disc albums get the disc in front of the
+ * track number (prefix) or a folder per disc (folder)
+ */
+export const NAMING_PRESETS = {
+    prefix: '{albumartist}/{album}[ ({year})]/[[{disc}-]{track:02} - ]{title}',
+    folder: '{albumartist}/{album}[ ({year})]/[Disc {disc}/][{track:02} - ]{title}'
+};
+
+// Characters and device names Windows rejects, and trailing dots/spaces it drops
+const WINDOWS_NAMES = {
+    invalid: /[\\/:*?"<>|\x00-\x1f]/g,
+    trimTrailing: true,
+    reservedNames: /^(CON|PRN|AUX|NUL|COM[1-9]|LPT[1-9])(\..*)?$/i
+};
+
+const utf8Length = text => Buffer.byteLength(text, 'utf8');
+const utf16Length = text => text.length;
+
+/**
+ * Naming rules per target filesystem. `length` measures a name the way the
+ * filesystem counts it; `maxComponent` limits one name, `maxPath` the path
+ * below the library root. Case-insensitive filesystems treat names that
+ * only differ in case as the same file (see getPathKey()).
+ */
+export const FILESYSTEMS = {
+    // ext4, APFS, ZFS local disks: only "/" and NUL are invalid, names are bytes
+    posix: {
+        invalid: /[/\x00]/g,
+        trimTrailing: false,
+        reservedNames: null,
+        caseSensitive: true,
+        length: utf8Length,
+        maxComponent: 255,
+        maxPath: 4096
+    },
+    // NTFS: Windows names, UTF-16 code units, long paths
+    ntfs: {
+        ...WINDOWS_NAMES,
+        caseSensitive: false,
+        length: utf16Length,
+        maxComponent: 255,
+        maxPath: 32767
+    },
+    // FAT32/exFAT (USB drives, SD cards, car stereos): Windows names, and
+    // players and Windows Explorer stop at MAX_PATH (260)
+    fat: {
+        ...WINDOWS_NAMES,
+        caseSensitive: false,
+        length: utf16Length,
+        maxComponent: 255,
+        maxPath: 259
+    },
+    // SMB share backed by a POSIX disk (Samba, NAS): Windows clients' names and
+    // MAX_PATH, and the server's disk limits a name to 255 bytes as well
+    smb: {
+        ...WINDOWS_NAMES,
+        caseSensitive: false,
+        length: text => Math.max(utf8Length(text), utf16Length(text)),
+        maxComponent: 255,
+        maxPath: 259
+    }
+};
+
+export const DEFAULT_NAMING_SETTINGS = {
+    template: NAMING_PRESETS.prefix,
+    filesystem: 'ntfs'
+};
+
+// Disc subfolders as written by the folder preset and common rippers ("Disc 1", "CD2", "Disk 01")
+export const DISC_FOLDER_PATTERN = /^(?:disc|disk|cd)\s*(\d{1,2})$/i;
+
+/**
+ * Parse a template into nodes: strings, { token, width } and { section: nodes }
+ * @throws {Error} On unknown tokens and unbalanced brackets or braces
+ */
+export function parseTemplate(template) {
+    const root = [];
+    const stack = [root];
+    let text = '';
+
+    const flushText = () => {
+        if (text) stack[stack.length - 1].push(text);
+        text = '';
+    };
+
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+
+        if (char === '{') {
+            const end = template.indexOf('}', i);
+            if (end === -1) throw new Error(`Unclosed "{" at position ${i + 1}`);
+
+            const [name, format] = template.slice(i + 1, end).split(':');
+            const token = name.trim().toLowerCase();
+            if (!NAMING_TOKENS[token]) throw new Error(`Unknown token {${name}}`);
+            if (format !== undefined && !/^\d+$/.test(format)) throw new Error(`Invalid format in {${name}:${format}}, use a width like {track:02}`);
+
+            flushText();
+            stack[stack.length - 1].push({ token, width: format ? parseInt(format, 10) : 0 });
+            i = end;
+        } else if (char === '}') {
+            throw new Error(`Unexpected "}" at position ${i + 1}`);
+        } else if (char === '[') {
+            flushText();
+            const section = [];
+            stack[stack.length - 1].push({ section });
+            stack.push(section);
+        } else if (char === ']') {
+            if (stack.length === 1) throw new Error(`Unexpected "]" at position ${i + 1}`);
+            flushText();
+            stack.pop();
+        } else {
+            text += char;
+        }
+    }
+
+    if (stack.length > 1) throw new Error('Unclosed "["');
+    flushText();
+    return root;
+}
+
+/**
+ * Clean one path component for a filesystem
+ * @param {string} name
+ * @param {string} filesystem - Key of FILESYSTEMS
+ * @param {number} reserve - Length to keep free (for an extension added later)
+ */
+export function sanitizeFilename(name, filesystem = DEFAULT_NAMING_SETTINGS.filesystem, reserve = 0) {
+    if (!name) return '';
+    const rules = FILESYSTEMS[filesystem] || FILESYSTEMS[DEFAULT_NAMING_SETTINGS.filesystem];
+
+    let clean = String(name)
+        .replace(rules.invalid, '_')     // Replace invalid chars with underscore
+        .replace(/\s+/g, ' ')            // Normalize whitespace
+        .trim();
+
+    if (rules.trimTrailing) {
+        clean = clean.replace(/[. ]+$/, '');   // Windows drops trailing dots and spaces
+    }
+    if (rules.reservedNames?.test(clean)) {
+        clean = clean.replace(/^([^.]+)/, '$1_');
+    }
+
+    // Cut at whole characters until it fits
+    const chars = Array.from(clean);
+    while (chars.length > 0 && rules.length(chars.join('')) > rules.maxComponent - reserve) {
+        chars.pop();
+    }
+    clean = chars.join('').trim();
+    if (rules.trimTrailing) {
+        clean = clean.replace(/[. ]+$/, '');
+    }
+
+    // "." and ".." would name the current or parent folder
+    return /^\.{1,2}$/.test(clean) ? clean.replace(/\./g, '_') : clean;
+}
+
+/**
+ * Join a relative path to a root, refusing paths that end up outside it
+ * @throws {Error} When the result is not below the root
+ */
+export function joinUnderRoot(root, relativePath) {
+    const resolvedRoot = path.resolve(root);
+    const resolved = path.resolve(resolvedRoot, relativePath);
+    const prefix = resolvedRoot.endsWith(path.sep) ? resolvedRoot : resolvedRoot + path.sep;
+
+    if (!resolved.startsWith(prefix)) {
+        throw new Error(`Path leaves the library root: ${relativePath}`);
+    }
+    return path.join(root, relativePath);
+}
+
+/**
+ * Key under which a filesystem stores a path: names differing only in case
+ * are the same file on case-insensitive filesystems
+ */
+export function getPathKey(filePath, filesystem = DEFAULT_NAMING_SETTINGS.filesystem) {
+    const rules = FILESYSTEMS[filesystem] || FILESYSTEMS[DEFAULT_NAMING_SETTINGS.filesystem];
+    const normalized = filePath.normalize('NFC');
+    return rules.caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+/**
+ * Clean every component of a relative path
+ */
+export function sanitizeRelativePath(relativePath, filesystem = DEFAULT_NAMING_SETTINGS.filesystem) {
+    const parts = relativePath.split(/[\\/]/).filter(Boolean);
+    const fileName = parts.pop() || '';
+    const extension = path.extname(fileName);
+    const baseName = sanitizeFilename(fileName.slice(0, fileName.length - extension.length), filesystem, extension.length);
+
+    return path.join(...parts.map(part => sanitizeFilename(part, filesystem)), `${baseName}${extension}`);
+}
+
+/**
+ * Album folder of a track: its folder, or the parent of a "Disc N" folder
+ */
+export function getAlbumFolder(filePath) {
+    const folder = path.dirname(filePath);
+    return DISC_FOLDER_PATTERN.test(path.basename(folder)) ? path.dirname(folder) : folder;
+}
+
+/**
+ * Whether a track belongs to a multi-disc album
+ * @param {number} discNumber
+ * @param {number} discTotal - May be unknown; a disc number above 1 implies several discs
+ */
+export function isMultiDisc(discNumber, discTotal) {
+    return (parseInt(discTotal, 10) || 0) > 1 || (parseInt(discNumber, 10) || 0) > 1;
+}
+
+/**
+ * Fill in discTotal for tracks of the same album when some know a higher disc number
+ * (tracks without a disc tag then count as disc 1)
+ * @param {Array} tracks - Objects with discNumber/discTotal, changed in place
+ */
+export function fillDiscTotals(tracks) {
+    const highest = Math.max(0, ...tracks.map(track => parseInt(track.discNumber, 10) || 0), ...tracks.map(track => parseInt(track.discTotal, 10) || 0));
+    if (highest < 2) return;
+
+    for (const track of tracks) {
+        track.discTotal = Math.max(parseInt(track.discTotal, 10) || 0, highest);
+    }
+}
+
+/**
+ * Token values of a track
+ * @param {Object} track - { artist, albumArtist, album, year, discNumber, discTotal, trackNumber, trackTotal, title, recordingId, releaseId }
+ */
+function tokenValues(track) {
+    const multiDisc = isMultiDisc(track.discNumber, track.discTotal);
+
+    return {
+        artist: track.artist,
+        albumartist: track.albumArtist || track.artist,
+        album: track.album,
+        year: track.year,
+        disc: multiDisc ? parseInt(track.discNumber, 10) || 1 : null,
+        disctotal: multiDisc ? parseInt(track.discTotal, 10) || null : null,
+        track: parseInt(track.trackNumber, 10) || null,
+        tracktotal: parseInt(track.trackTotal, 10) || null,
+        title: track.title,
+        mbid: track.recordingId,
+        albummbid: track.releaseId
+    };
+}
+
+/**
+ * Render parsed nodes; a section fails when any token inside it is empty
+ * @returns {Object} { text, complete }
+ */
+function renderNodes(nodes, values, filesystem) {
+    let text = '';
+    let complete = true;
+
+    for (const node of nodes) {
+        if (typeof node === 'string') {
+            text += node;
+        } else if (node.section) {
+            const section = renderNodes(node.section, values, filesystem);
+            if (section.complete) text += section.text;
+        } else {
+            const value = values[node.token];
+            if (value === null || value === undefined || String(value).trim() === '') {
+                complete = false;
+                continue;
+            }
+            // Values never create folders: their separators and invalid characters are replaced
+            const clean = String(value).replace(FILESYSTEMS[filesystem].invalid, '_');
+            text += node.width ? clean.padStart(node.width, '0') : clean;
+        }
+    }
+
+    return { text, complete };
+}
+
+/**
+ * Render a track's path relative to the library root
+ * The file name is shortened when the whole path exceeds the filesystem's limit.
+ * @param {Object} track - See tokenValues()
+ * @param {string} extension - With the dot, e.g. ".flac"
+ * @param {Object} settings - { template, filesystem } (defaults to the saved settings)
+ * @returns {string} Relative path
+ * @throws {Error} When the folders alone leave no room for a file name
+ */
+export function renderTrackPath(track, extension = '', settings = getNamingSettings()) {
+    const filesystem = FILESYSTEMS[settings.filesystem] ? settings.filesystem : DEFAULT_NAMING_SETTINGS.filesystem;
+    const rules = FILESYSTEMS[filesystem];
+    const { text } = renderNodes(parseTemplate(settings.template), tokenValues(track), filesystem);
+
+    const parts = text.split('/').map(part => part.trim()).filter(Boolean);
+    const name = parts.pop() || track.title || 'Unknown';
+    const folders = parts.map(part => sanitizeFilename(part, filesystem)).filter(Boolean);
+
+    const folderLength = folders.length > 0 ? rules.length(path.join(...folders)) + 1 : 0;
+    const room = Math.min(rules.maxComponent, rules.maxPath - folderLength) - extension.length;
+    if (room < 1) {
+        throw new Error(`Path too long for ${filesystem}: ${path.join(...folders)}`);
+    }
+    const fileName = sanitizeFilename(name, filesystem, rules.maxComponent - room) || 'Unknown';
+
+    return path.join(...folders, `${fileName}${extension}`);
+}
+
+/**
+ * Build the absolute path of a track under a library root
+ * @throws {Error} When the path would leave the root
+ */
+export function buildTrackPath(track, destinationRoot, extension = '', settings = getNamingSettings()) {
+    return joinUnderRoot(destinationRoot, renderTrackPath(track, extension, settings));
+}
+
+/**
+ * Load the saved naming settings
+ * @returns {Object} { template, filesystem }
+ */
+export function getNamingSettings() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(SETTINGS_KEY);
+    const saved = row ? JSON.parse(row.value) : {};
+
+    return {
+        template: saved.template || DEFAULT_NAMING_SETTINGS.template,
+        filesystem: saved.filesystem || DEFAULT_NAMING_SETTINGS.filesystem
+    };
+}
+
+/**
+ * Validate a template and filesystem
+ * @throws {Error} Describing the first problem
+ */
+export function validateNamingSettings({ template, filesystem }) {
+    if (typeof template !== 'string' || !template.trim()) {
+        throw new Error('Template is required');
+    }
+    if (!FILESYSTEMS[filesystem]) {
+        throw new Error(`filesystem must be one of: ${Object.keys(FILESYSTEMS).join(', ')}`);
+    }
+
+    const nodes = parseTemplate(template);
+    const usesTitle = JSON.stringify(nodes).includes('"token":"title"');
+    if (!usesTitle) {
+        throw new Error('Template must contain {title}');
+    }
+
+    // The template's own folders, with optional sections both in and out
+    for (const withSections of [true, false]) {
+        const skeleton = templateSkeleton(nodes, withSections);
+        if (skeleton.split('/').some(part => /^\.{1,2}$/.test(part.trim()))) {
+            throw new Error('Template must not contain "." or ".." folders');
+        }
+    }
+}
+
+/**
+ * Template text with every token filled in, to check its folder structure
+ */
+function templateSkeleton(nodes, withSections) {
+    return nodes.map((node) => {
+        if (typeof node === 'string') return node;
+        if (node.section) return withSections ? templateSkeleton(node.section, withSections) : '';
+        return 'x';
+    }).join('');
+}
+
+/**
+ * Validate and save naming settings
+ * @param {Object} changes - Any of { template, filesystem }
+ * @returns {Object} The saved settings
+ */
+export function setNamingSettings(changes) {
+    const settings = { ...getNamingSettings(), ...changes };
+    settings.template = String(settings.template).trim();
+    validateNamingSettings(settings);
+
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(SETTINGS_KEY, JSON.stringify({
+        template: settings.template,
+        filesystem: settings.filesystem
+    }));
+    return { template: settings.template, filesystem: settings.filesystem };
+}
+
+// Tracks shown in the naming preview
+const PREVIEW_TRACKS = [
+    { artist: 'Radiohead', album: 'OK Computer', year: 1997, trackNumber: 2, trackTotal: 12, title: 'Paranoid Android', recordingId: '00000000-0000-0000-0000-000000000001', releaseId: '00000000-0000-0000-0000-000000000002', extension: '.flac' },
+    { artist: 'Pink Floyd', album: 'The Wall', year: 1979, discNumber: 2, discTotal: 2, trackNumber: 5, title: 'Comfortably Numb', extension: '.flac' },
+    { artist: 'AC/DC', album: 'Who Made Who?', title: 'Hells Bells...', extension: '.mp3' },
+    { artist: 'Perfume', album: '⊿', year: 2009, trackNumber: 1, title: 'エレクトロ・ワールド', extension: '.m4a' }
+];
+
+/**
+ * Render the preview tracks with a template
+ * @returns {Array} [{ track, path }]; throws when the settings are invalid
+ */
+export function previewNaming(settings) {
+    validateNamingSettings(settings);
+
+    return PREVIEW_TRACKS.map(track => ({
+        track: `${track.artist} - ${track.title}${track.discNumber ? ` (disc ${track.discNumber})` : ''}`,
+        path: renderTrackPath(track, track.extension, settings)
+    }));
+}
@@ -7,9 +7,12 @@ import fs from 'fs/promises';
 import { existsSync, statSync } from 'fs';
 import path from 'path';
 import { calculateQualityScore } from './plex.js';
+import { getCachedAnalysis } from './audio-analysis.js';
+import { createBatch, recordEntry, finishBatch, quarantineFile, getLatestBatchId, getBatch, isPendingEntry, rollbackBatch } from './journal.js';
+import { getNamingSettings, joinUnderRoot, sanitizeRelativePath } from './naming.js';
 
-// Global rollback history (in-memory for now)
-let lastOperationHistory = [];
+// Filename cleaning is shared by every organizer flow
+export { sanitizeFilename } from './naming.js';
 
 /**
  * Validate that a path exists and is accessible
@@ -46,19 +49,6 @@ export async function isPathWritable(dirPath) {
     }
 }
 
-/**
- * Sanitize filename to remove invalid characters
- */
-export function sanitizeFilename(filename) {
-    if (!filename) return '';
-
-    return filename
-        .replace(/[/\\:*?"<>|]/g, '_')  // Replace invalid chars
-        .replace(/\s+/g, ' ')            // Normalize whitespace
-        .replace(/\.+$/g, '')            // Remove trailing dots
-        .trim();
-}
-
 /**
  * Generate unique filename if conflict exists
  */
@@ -159,8 +149,10 @@ export function compareFileQuality(sourceFile, destFile) {
         return 'NO_CONFLICT';
     }
 
-    const sourceScore = calculateQualityScore(sourceFile.codec || sourceFile.format, sourceFile.bitrate);
-    const destScore = calculateQualityScore(destFile.codec || destFile.format, destFile.bitrate);
+    // Verified audio (see audio-analysis.js) outranks the codec label
+    const sourceAnalysis = sourceFile.metadata?.analysis || getCachedAnalysis(sourceFile.filePath || sourceFile.path);
+    const sourceScore = calculateQualityScore(sourceFile.codec || sourceFile.format, sourceFile.bitrate, sourceAnalysis);
+    const destScore = calculateQualityScore(destFile.codec || destFile.format, destFile.bitrate, getCachedAnalysis(destFile.path));
 
     if (sourceScore > destScore) return 'UPGRADE';
     if (destScore > sourceScore) return 'DOWNGRADE';
@@ -192,6 +184,9 @@ export function planMoveOperations(files, liveLibraryPath, plexTracks = null, mo
         }
     };
 
+    // Paths were named in the rename phase; only the target filesystem's rules are applied here
+    const { filesystem } = getNamingSettings();
+
     for (const file of files) {
         try {
             // Handle both scanned file structure and renamed file structure
@@ -199,7 +194,7 @@ export function planMoveOperations(files, liveLibraryPath, plexTracks = null, mo
             const fileRelativePath = file.relativePath || path.relative(file.basePath || '', sourcePath);
 
             // Build destination path using relative path
-            const destinationPath = path.join(liveLibraryPath, fileRelativePath);
+            const destinationPath = joinUnderRoot(liveLibraryPath, sanitizeRelativePath(fileRelativePath, filesystem));
 
             // Extract metadata (handle both flat and nested structures)
             const fileArtist = file.artist || file.metadata?.artist || file.folderArtist || 'Unknown';
@@ -300,11 +295,12 @@ async function cleanupEmptyDirectory(dirPath, basePath) {
  * @param {Boolean} dryRun - If true, don't actually move files
  * @param {Boolean} cleanupEmptyDirs - If true, remove empty source directories after moving
  * @param {Function} progressCallback - Callback for progress updates
+ * @param {Number} journalBatchId - Journal batch to record into (default: a new 'move' batch)
  * @returns {Array} Results of each operation
  */
-export async function executeMoveOperations(operations, dryRun = true, cleanupEmptyDirs = true, progressCallback = null) {
+export async function executeMoveOperations(operations, dryRun = true, cleanupEmptyDirs = true, progressCallback = null, journalBatchId = null) {
     const results = [];
-    const operationHistory = [];
+    const batchId = dryRun ? null : (journalBatchId || createBatch('move', `Move ${operations.length} file(s) to the live library`));
     const sourceDirsToCleanup = new Set();
     let processedCount = 0;
 
@@ -335,15 +331,10 @@ export async function executeMoveOperations(operations, dryRun = true, cleanupEm
                 continue;
             }
 
-            // Handle upgrades (delete old file, move new one)
+            // Handle upgrades (quarantine old file, move new one)
             if (action === 'REPLACE' && !dryRun) {
-                // Delete old Plex file
                 if (operation.plexMatch && operation.plexMatch.path && existsSync(operation.plexMatch.path)) {
-                    await fs.unlink(operation.plexMatch.path);
-                    operationHistory.push({
-                        type: 'delete',
-                        path: operation.plexMatch.path
-                    });
+                    await quarantineFile(batchId, operation.plexMatch.path);
                 }
             }
 
@@ -351,11 +342,10 @@ export async function executeMoveOperations(operations, dryRun = true, cleanupEm
             const result = await moveOrCopyFile(sourcePath, destinationPath, mode, dryRun);
 
             if (!dryRun && result.success) {
-                operationHistory.push({
+                recordEntry(batchId, {
                     type: mode,
                     sourcePath: result.sourcePath,
-                    destinationPath: result.destinationPath,
-                    timestamp: Date.now()
+                    destinationPath: result.destinationPath
                 });
 
                 // Track source directory for cleanup (only for move operations)
@@ -409,9 +399,8 @@ export async function executeMoveOperations(operations, dryRun = true, cleanupEm
         }
     }
 
-    // Save operation history for rollback
-    if (!dryRun && operationHistory.length > 0) {
-        lastOperationHistory = operationHistory;
+    if (batchId && !journalBatchId) {
+        finishBatch(batchId);
     }
 
     // Clean up empty directories if requested and not in dry-run mode
@@ -434,60 +423,17 @@ export async function executeMoveOperations(operations, dryRun = true, cleanupEm
 }
 
 /**
- * Rollback last move operation
+ * Rollback the most recent journal batch that has not been rolled back
  */
 export async function rollbackLastOperation() {
-    if (!lastOperationHistory || lastOperationHistory.length === 0) {
+    const batchId = getLatestBatchId();
+    if (!batchId) {
         throw new Error('No operation history to rollback');
     }
 
-    const results = [];
-
-    // Reverse the operations
-    for (const operation of lastOperationHistory.reverse()) {
-        try {
-            if (operation.type === 'move') {
-                // Move file back to original location
-                if (existsSync(operation.destinationPath)) {
-                    await fs.rename(operation.destinationPath, operation.sourcePath);
-                    results.push({
-                        success: true,
-                        action: 'restored',
-                        path: operation.sourcePath
-                    });
-                }
-            } else if (operation.type === 'copy') {
-                // Delete the copied file
-                if (existsSync(operation.destinationPath)) {
-                    await fs.unlink(operation.destinationPath);
-                    results.push({
-                        success: true,
-                        action: 'deleted',
-                        path: operation.destinationPath
-                    });
-                }
-            } else if (operation.type === 'delete') {
-                // Can't restore deleted files - warn user
-                results.push({
-                    success: false,
-                    action: 'cannot_restore',
-                    path: operation.path,
-                    message: 'Deleted files cannot be automatically restored'
-                });
-            }
-        } catch (error) {
-            results.push({
-                success: false,
-                error: error.message,
-                path: operation.sourcePath || operation.destinationPath || operation.path
-            });
-        }
-    }
-
-    // Clear history after rollback
-    lastOperationHistory = [];
-
-    return results;
+    // Entries that failed before are retried from the History tab, not here
+    const pending = getBatch(batchId).items.filter(isPendingEntry).map(entry => entry.id);
+    return rollbackBatch(batchId, pending);
 }
 
 /**
@@ -5,6 +5,7 @@
 
 import https from 'https';
 import http from 'http';
+import { getCachedAnalysis } from './audio-analysis.js';
 
 /**
  * Quality ranking for audio codecs and bitrates
@@ -47,6 +48,9 @@ const CODEC_QUALITY_RANK = {
     'wma': 200
 };
 
+// Damaged files (decode errors, truncation, MD5 mismatch) rank below any intact file
+const DAMAGED_QUALITY_SCORE = 100;
+
 /**
  * Make HTTP request to Plex API
  */
@@ -300,26 +304,35 @@ export async function fetchLibraryTracks(serverIp, port, token, libraryId, progr
 
 /**
  * Calculate quality score for a track
+ * With an audio analysis (see audio-analysis.js) the score follows what the file
+ * really holds: lossy-sourced lossless scores as its lossy source, lossy files
+ * score no higher than their bandwidth allows and damaged files score lowest.
+ * @param {Object} analysis - analyzeAudio() result, optional
  */
-export function calculateQualityScore(codec, bitrate) {
+export function calculateQualityScore(codec, bitrate, analysis = null) {
     if (!codec) return 0;
 
     const codecLower = codec.toLowerCase();
     const rank = CODEC_QUALITY_RANK[codecLower];
+    let score = typeof rank === 'function' ? rank(bitrate || 128) : rank || 0;
 
-    if (typeof rank === 'function') {
-        return rank(bitrate || 128);
+    if (analysis?.sourceBitrate) {
+        score = Math.min(score, CODEC_QUALITY_RANK.mp3(analysis.sourceBitrate));
+    }
+    if (analysis?.damaged) {
+        score = Math.min(score, DAMAGED_QUALITY_SCORE);
     }
 
-    return rank || 0;
+    return score;
 }
 
 /**
  * Compare quality between two tracks
+ * Each file is { codec, bitrate, analysis }, analysis being optional
  */
 export function compareQuality(fileA, fileB) {
-    const scoreA = calculateQualityScore(fileA.codec, fileA.bitrate);
-    const scoreB = calculateQualityScore(fileB.codec, fileB.bitrate);
+    const scoreA = calculateQualityScore(fileA.codec, fileA.bitrate, fileA.analysis);
+    const scoreB = calculateQualityScore(fileB.codec, fileB.bitrate, fileB.analysis);
 
     if (scoreA > scoreB) return 'A_BETTER';
     if (scoreB > scoreA) return 'B_BETTER';
@@ -455,6 +468,10 @@ export async function getLibraryDetails(serverIp, port, token, libraryId) {
 
 /**
  * Compare offline scanned files with Plex library
+ *
+ * Offline tracks are scored by their verified audio where it was analyzed. Plex tracks
+ * are scored by the codec and bitrate Plex reports: their paths are the Plex server's,
+ * which the analysis cache (keyed by local paths) can't be looked up with.
  */
 export function compareWithPlex(offlineTracks, plexTracks, progressCallback = () => {}) {
     const results = {
@@ -518,10 +535,17 @@ export function compareWithPlex(offlineTracks, plexTracks, progressCallback = ()
                 recommendation: 'ADD'
             });
         } else {
-            // Match found - compare quality
+            // Match found - compare quality, by the verified audio on the offline side
             const qualityComparison = compareQuality(
-                { codec: offlineTrack.format, bitrate: offlineTrack.bitrate },
-                { codec: matchedPlexTrack.codec, bitrate: matchedPlexTrack.bitrate }
+                {
+                    codec: offlineTrack.format,
+                    bitrate: offlineTrack.bitrate,
+                    analysis: offlineTrack.analysis || getCachedAnalysis(offlineTrack.filePath)
+                },
+                {
+                    codec: matchedPlexTrack.codec,
+                    bitrate: matchedPlexTrack.bitrate
+                }
             );
 
             if (qualityComparison === 'A_BETTER') {
@@ -0,0 +1,180 @@
+/**
+ * Artist Radar Scheduler
+ *
+ * Runs radar scans in the background. Every check fetches the rated
+ * artists from Plex and rescans only those whose RATING_TIERS scan
+ * frequency has elapsed (5 stars daily, 4 weekly, 3 monthly, 2 quarterly).
+ * Results are stored in radar.db. Manual scans go through here too so
+ * only one scan talks to MusicBrainz at a time.
+ */
+
+import artistRadar from './artist-radar.js';
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const START_DELAY_MS = 60 * 1000;
+
+// Runtime state
+let timer = null;
+let nextRunAt = null;
+let running = null;  // 'scheduled' | 'manual' while a scan is in progress
+let progress = null;
+
+/**
+ * Scheduler settings saved in radar.db
+ * @returns {Object} { enabled, serverIp, port, token, libraryKey }
+ */
+export function getRadarSchedulerConfig() {
+    return artistRadar.getRadarSetting('scheduler', { enabled: false });
+}
+
+function scheduleNext(delay) {
+    clearTimeout(timer);
+    nextRunAt = Date.now() + delay;
+    timer = setTimeout(() => {
+        runScheduledScan().finally(() => {
+            if (getRadarSchedulerConfig().enabled) {
+                scheduleNext(CHECK_INTERVAL_MS);
+            }
+        });
+    }, delay);
+}
+
+/**
+ * Start the background checks if the scheduler is enabled
+ */
+export function startRadarScheduler() {
+    const config = getRadarSchedulerConfig();
+    if (!config.enabled) return;
+
+    console.log(`[Radar Scheduler] Enabled for library ${config.libraryKey}, first check in ${START_DELAY_MS / 1000}s`);
+    scheduleNext(START_DELAY_MS);
+}
+
+/**
+ * Stop the background checks (a scan in progress finishes)
+ */
+export function stopRadarScheduler() {
+    clearTimeout(timer);
+    timer = null;
+    nextRunAt = null;
+}
+
+/**
+ * Save the scheduler settings and start or stop it
+ * @param {Object} config - { enabled, serverIp, port, token, libraryKey }
+ */
+export function configureRadarScheduler(config) {
+    artistRadar.setRadarSetting('scheduler', config);
+
+    stopRadarScheduler();
+    startRadarScheduler();
+    return getRadarSchedulerStatus();
+}
+
+/**
+ * Whether a scheduled or manual scan is in progress
+ */
+export function isRadarScanRunning() {
+    return running !== null;
+}
+
+/**
+ * Scan the artists that are due according to their rating tier
+ * @returns {Promise<Object>} Run summary (also saved as the last run)
+ */
+export async function runScheduledScan() {
+    if (running) {
+        console.log(`[Radar Scheduler] Skipping check, a ${running} scan is in progress`);
+        return null;
+    }
+
+    const config = getRadarSchedulerConfig();
+    const plexConfig = { serverIp: config.serverIp, port: config.port, token: config.token, libraryKey: config.libraryKey };
+    const summary = { startedAt: Date.now(), finishedAt: null, rated: 0, due: 0, scanned: 0, errors: 0, found: 0, error: null };
+
+    running = 'scheduled';
+    try {
+        const ratedArtists = (await artistRadar.fetchRatedArtists(plexConfig)).filter(artist => artist.rating > 1);
+        artistRadar.resolveUnratedArtists(ratedArtists.map(artist => artist.name));
+
+        const dueArtists = ratedArtists.filter(artist => artistRadar.isArtistDue(artist));
+        summary.rated = ratedArtists.length;
+        summary.due = dueArtists.length;
+        console.log(`[Radar Scheduler] ${dueArtists.length} of ${ratedArtists.length} rated artists are due`);
+
+        for (let i = 0; i < dueArtists.length; i++) {
+            const artist = dueArtists[i];
+            progress = { current: i + 1, total: dueArtists.length, artist: artist.name };
+
+            try {
+                const results = await artistRadar.scanArtist(plexConfig, artist, { rethrow: true });
+                artistRadar.saveArtistResults(artist, results);
+                summary.scanned++;
+            } catch (error) {
+                // Keep the previous results rather than reporting everything as missing
+                artistRadar.recordArtistScanError(artist, error);
+                summary.errors++;
+            }
+
+            // Rate limit to avoid MusicBrainz throttling (1 request per second)
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+
+        const results = artistRadar.getRadarResults();
+        summary.found = [...results.newReleases, ...results.missingAlbums]
+            .filter(release => release.firstSeen >= summary.startedAt).length;
+    } catch (error) {
+        console.error(`[Radar Scheduler] Scheduled scan failed: ${error.message}`);
+        summary.error = error.message;
+    } finally {
+        running = null;
+        progress = null;
+    }
+
+    summary.finishedAt = Date.now();
+    artistRadar.setRadarSetting('scheduler_last_run', summary);
+    console.log(`[Radar Scheduler] Scanned ${summary.scanned}/${summary.due} due artists, ${summary.found} new entries, ${summary.errors} error(s)`);
+
+    return summary;
+}
+
+/**
+ * Run a full manual scan (the Radar tab's "Scan Artists")
+ * @throws {Error} When another scan is already running
+ */
+export async function runManualScan(plexConfig, progressCallback = null) {
+    if (running) {
+        throw new Error(`A ${running} radar scan is already in progress`);
+    }
+
+    running = 'manual';
+    try {
+        return await artistRadar.buildDashboard(plexConfig, (update) => {
+            if (update.current) {
+                progress = { current: update.current, total: update.total };
+            }
+            if (progressCallback) {
+                progressCallback(update);
+            }
+        });
+    } finally {
+        running = null;
+        progress = null;
+    }
+}
+
+/**
+ * Scheduler state for the Radar tab
+ */
+export function getRadarSchedulerStatus() {
+    const config = getRadarSchedulerConfig();
+
+    return {
+        enabled: Boolean(config.enabled),
+        libraryKey: config.libraryKey || null,
+        running,
+        progress,
+        nextRunAt: timer ? nextRunAt : null,
+        lastRun: artistRadar.getRadarSetting('scheduler_last_run')
+    };
+}
@@ -0,0 +1,220 @@
+/**
+ * Release Edition Selection
+ *
+ * A matched album is a release group with many editions (original CD,
+ * remaster, deluxe, regional pressings, digital). The matcher's album
+ * search returns whichever edition MusicBrainz ranks first; this module
+ * scores every edition of the group against the local files (track count,
+ * total duration) and a user preference policy (country, format, status,
+ * original vs later edition) and picks the best one. The policy also
+ * decides which year names the album folder.
+ */
+
+import { getReleaseGroupReleases, getReleaseDetails } from './musicbrainz.js';
+import { initDownloadDatabase } from '../downloader/database.js';
+
+const POLICY_KEY = 'matcher:release-policy';
+
+// Editions whose tracklist is fetched to compare the total duration
+const DURATION_CANDIDATES = 3;
+
+export const YEAR_SOURCES = ['original', 'edition'];
+
+export const DEFAULT_RELEASE_POLICY = {
+    // Year in folder names: the release group's first release, or the chosen edition's
+    yearSource: 'original',
+    // Prefer editions released in the original year over reissues and remasters
+    preferOriginalEdition: true,
+    // Countries in order of preference (MusicBrainz codes, XW = worldwide)
+    preferredCountries: ['XW', 'US', 'GB'],
+    // Prefer Japanese editions (JP) for Japanese artists, ahead of preferredCountries
+    preferJapaneseEditions: true,
+    // Medium formats in order of preference
+    preferredFormats: ['Digital Media', 'CD'],
+    // Prefer official releases over promotions and bootlegs
+    preferOfficial: true
+};
+
+/**
+ * Load the saved release policy
+ * @returns {Object} Policy merged over the defaults
+ */
+export function getReleasePolicy() {
+    const db = initDownloadDatabase();
+    const row = db.prepare('SELECT value FROM queue_settings WHERE key = ?').get(POLICY_KEY);
+    return { ...DEFAULT_RELEASE_POLICY, ...(row ? JSON.parse(row.value) : {}) };
+}
+
+/**
+ * Validate and save the release policy
+ * @param {Object} changes - Any subset of the policy fields
+ * @returns {Object} The saved policy
+ */
+export function setReleasePolicy(changes) {
+    const policy = { ...getReleasePolicy(), ...changes };
+
+    if (!YEAR_SOURCES.includes(policy.yearSource)) {
+        throw new Error(`yearSource must be one of: ${YEAR_SOURCES.join(', ')}`);
+    }
+    for (const key of ['preferredCountries', 'preferredFormats']) {
+        if (!Array.isArray(policy[key]) || policy[key].some(value => typeof value !== 'string')) {
+            throw new Error(`${key} must be a list of strings`);
+        }
+    }
+    policy.preferredCountries = policy.preferredCountries.map(country => country.trim().toUpperCase()).filter(Boolean);
+    policy.preferredFormats = policy.preferredFormats.map(format => format.trim()).filter(Boolean);
+    for (const key of ['preferOriginalEdition', 'preferJapaneseEditions', 'preferOfficial']) {
+        policy[key] = policy[key] === true || policy[key] === 'true';
+    }
+
+    const db = initDownloadDatabase();
+    db.prepare('INSERT OR REPLACE INTO queue_settings (key, value) VALUES (?, ?)').run(POLICY_KEY, JSON.stringify(policy));
+    return policy;
+}
+
+/**
+ * Whether an album looks Japanese: Japanese script in a name, or first released in Japan
+ */
+function isJapaneseAlbum(names, editions) {
+    if (names.some(name => /[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(name || ''))) return true;
+
+    const first = [...editions].filter(release => release.date).sort((a, b) => a.date.localeCompare(b.date))[0];
+    return first?.country === 'JP';
+}
+
+/**
+ * Points for a value's place in a preference list: full for the first, less for later ones
+ */
+function preferencePoints(value, preferences, max) {
+    const index = preferences.indexOf(value);
+    return index === -1 ? 0 : Math.max(max - index * Math.round(max / 3), 1);
+}
+
+/**
+ * Score one edition (higher is better)
+ * @param {Object} release - From getReleaseGroupReleases()
+ * @param {Object} context - { fileCount, totalDuration, originalYear, countries }
+ * @param {Object} policy
+ * @returns {Object} { score, reasons }
+ */
+export function scoreRelease(release, context, policy) {
+    const reasons = [];
+    let score = 0;
+
+    // Track count: an edition with extra tracks can still hold the files, one with fewer can't
+    if (context.fileCount && release.trackCount) {
+        const difference = release.trackCount - context.fileCount;
+        const points = difference === 0 ? 30 : Math.max(0, 30 - Math.abs(difference) * (difference > 0 ? 3 : 6));
+        score += points;
+        reasons.push(`${release.trackCount} tracks for ${context.fileCount} files (+${points})`);
+    }
+
+    // Total duration, when the tracklist was fetched
+    if (context.totalDuration && release.totalLength) {
+        const difference = Math.abs(release.totalLength / 1000 - context.totalDuration);
+        const points = difference <= 10 ? 20 : difference <= 60 ? 10 : 0;
+        score += points;
+        reasons.push(`${Math.round(difference)}s off the local duration (+${points})`);
+    }
+
+    const countryPoints = preferencePoints(release.country, context.countries, 15);
+    if (countryPoints > 0) {
+        score += countryPoints;
+        reasons.push(`country ${release.country} (+${countryPoints})`);
+    }
+
+    const formatPoints = Math.max(0, ...(release.formats || []).map(format => preferencePoints(format, policy.preferredFormats, 10)));
+    if (formatPoints > 0) {
+        score += formatPoints;
+        reasons.push(`format ${release.formats.join('+')} (+${formatPoints})`);
+    }
+
+    if (policy.preferOfficial && release.status === 'Official') {
+        score += 10;
+        reasons.push('official (+10)');
+    }
+
+    if (policy.preferOriginalEdition && context.originalYear && release.date?.startsWith(context.originalYear)) {
+        score += 10;
+        reasons.push(`original ${context.originalYear} edition (+10)`);
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Pick the best edition of a matched album
+ * @param {Object} albumMatch - searchRelease() result ({ id, title, artist, releaseGroupId, ... })
+ * @param {Array} files - Local files of the album (scanner shape, metadata.duration in seconds)
+ * @param {Object} policy - Defaults to the saved policy
+ * @returns {Promise<Object>} albumMatch with the chosen edition's id/title/date/country plus
+ *                            originalYear, year (per policy.yearSource) and edition { score, reasons, candidates }
+ */
+export async function selectRelease(albumMatch, files, policy = getReleasePolicy()) {
+    const editionYear = albumMatch.date ? albumMatch.date.slice(0, 4) : '';
+    const unchanged = { ...albumMatch, originalYear: editionYear, year: editionYear, edition: null };
+
+    // Cached searches from before release groups were recorded have no group ID
+    if (!albumMatch.releaseGroupId) return unchanged;
+
+    const editions = await getReleaseGroupReleases(albumMatch.releaseGroupId);
+    if (editions.length === 0) return unchanged;
+
+    const originalYear = editions.map(release => release.date).filter(Boolean).sort()[0]?.slice(0, 4) || editionYear;
+    const durations = files.map(file => file.metadata?.duration).filter(Boolean);
+    const japanese = policy.preferJapaneseEditions && isJapaneseAlbum(
+        [albumMatch.artist, albumMatch.title, ...files.map(file => file.metadata?.artist)],
+        editions
+    );
+
+    const context = {
+        fileCount: files.length,
+        // Only comparable when every file knows its length
+        totalDuration: durations.length === files.length ? durations.reduce((sum, duration) => sum + duration, 0) : null,
+        originalYear,
+        countries: japanese ? ['JP', ...policy.preferredCountries.filter(country => country !== 'JP')] : policy.preferredCountries
+    };
+
+    let scored = editions.map(release => ({ release, ...scoreRelease(release, context, policy) }));
+    scored.sort((a, b) => b.score - a.score);
+
+    // Break near-ties on the total duration of the leading editions
+    if (context.totalDuration && scored.length > 1) {
+        for (const candidate of scored.slice(0, DURATION_CANDIDATES)) {
+            try {
+                const details = await getReleaseDetails(candidate.release.id);
+                const lengths = (details.media || []).flatMap(medium => (medium.tracks || []).map(track => track.length || 0));
+                if (lengths.length > 0 && lengths.every(Boolean)) {
+                    candidate.release = { ...candidate.release, totalLength: lengths.reduce((sum, length) => sum + length, 0) };
+                    Object.assign(candidate, scoreRelease(candidate.release, context, policy));
+                }
+            } catch (error) {
+                console.error(`[Release Selector] Could not fetch tracklist of ${candidate.release.id}:`, error.message);
+            }
+        }
+        scored.sort((a, b) => b.score - a.score);
+    }
+
+    const best = scored[0];
+    const chosen = best.release;
+    const year = policy.yearSource === 'original' ? originalYear : (chosen.date ? chosen.date.slice(0, 4) : originalYear);
+
+    console.log(`[Release Selector] ${albumMatch.artist} - ${albumMatch.title}: chose ${chosen.id} (${chosen.country || '??'} ${chosen.date || 'no date'}, ${best.score} points) from ${editions.length} edition(s)${japanese ? ', Japanese album' : ''}`);
+
+    return {
+        ...albumMatch,
+        id: chosen.id,
+        title: chosen.title,
+        date: chosen.date,
+        country: chosen.country,
+        status: chosen.status,
+        trackCount: chosen.trackCount,
+        originalYear,
+        year,
+        edition: {
+            score: best.score,
+            reasons: best.reasons,
+            candidates: editions.length
+        }
+    };
+}
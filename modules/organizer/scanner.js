@@ -7,11 +7,15 @@ import fg from 'fast-glob';
 import { parseFile } from 'music-metadata';
 import path from 'path';
 import { promises as fs } from 'fs';
+import { DISC_FOLDER_PATTERN, isMultiDisc } from './naming.js';
+import { getLyricsStatus } from './lyrics.js';
+import { getCachedAnalysis } from './audio-analysis.js';
+import { validMbid } from './musicbrainz.js';
 
 /**
  * Supported audio file extensions
  */
-const AUDIO_EXTENSIONS = ['flac', 'mp3', 'm4a', 'aac', 'ogg', 'opus', 'wav', 'wma'];
+export const AUDIO_EXTENSIONS = ['flac', 'mp3', 'm4a', 'aac', 'ogg', 'opus', 'wav', 'wma'];
 
 /**
  * Quick scan of library structure (directories only, no metadata reading)
@@ -277,7 +281,7 @@ export async function scanDirectory(musicPath, progressCallback = () => {}, opti
  * @param {string} musicPath - Root music directory
  * @returns {Promise<Object>} File data with metadata
  */
-async function processAudioFile(filePath, fileStats, musicPath) {
+export async function processAudioFile(filePath, fileStats, musicPath) {
     // Parse metadata from audio file
     const metadata = await parseFile(filePath);
 
@@ -288,6 +292,14 @@ async function processAudioFile(filePath, fileStats, musicPath) {
     // Try to extract artist/album from folder structure
     let folderArtist = null;
     let folderAlbum = null;
+    let folderDisc = null;
+
+    // Multi-disc albums may keep each disc in its own folder: Artist/Album/Disc 1/Track.flac
+    const discFolder = pathParts[pathParts.length - 1].match(DISC_FOLDER_PATTERN);
+    if (discFolder && pathParts.length >= 2) {
+        folderDisc = parseInt(discFolder[1], 10);
+        pathParts.pop();
+    }
 
     if (pathParts.length >= 2) {
         // Typical structure: Artist/Album/Track.flac
@@ -312,6 +324,7 @@ async function processAudioFile(filePath, fileStats, musicPath) {
         // Folder structure
         folderArtist,
         folderAlbum,
+        folderDisc,
         folderPath: path.dirname(relativePath),
 
         // Metadata from file
@@ -329,7 +342,26 @@ async function processAudioFile(filePath, fileStats, musicPath) {
             duration: metadata.format?.duration || null,
             bitrate: metadata.format?.bitrate || null,
             sampleRate: metadata.format?.sampleRate || null,
-            hasArtwork: (tags.picture?.length || 0) > 0
+            hasArtwork: (tags.picture?.length || 0) > 0,
+            // 'synced', 'plain' or null, from sidecar files or tags
+            lyrics: getLyricsStatus(filePath, tags.lyrics),
+            // ReplayGain in dB and peak ratios, null when untagged
+            replayGain: {
+                trackGain: tags.replaygain_track_gain?.dB ?? null,
+                trackPeak: tags.replaygain_track_peak?.ratio ?? null,
+                albumGain: tags.replaygain_album_gain?.dB ?? null,
+                albumPeak: tags.replaygain_album_peak?.ratio ?? null
+            },
+            // Integrity and effective quality from "Verify Audio", null until analyzed
+            analysis: getCachedAnalysis(filePath),
+            // Written by accepted matches (or Picard); the matcher skips the lookup when present
+            musicbrainz: {
+                recordingId: validMbid(tags.musicbrainz_recordingid),
+                releaseId: validMbid(tags.musicbrainz_albumid),
+                releaseGroupId: validMbid(tags.musicbrainz_releasegroupid),
+                artistId: validMbid(tags.musicbrainz_artistid?.[0]),
+                albumArtistId: validMbid(tags.musicbrainz_albumartistid?.[0])
+            }
         },
 
         // Plex compliance flags
@@ -338,7 +370,8 @@ async function processAudioFile(filePath, fileStats, musicPath) {
             relativePath,
             folderArtist,
             folderAlbum,
-            tags
+            tags,
+            folderDisc
         )
     };
 }
@@ -350,16 +383,17 @@ async function processAudioFile(filePath, fileStats, musicPath) {
  * @param {string} folderArtist - Artist from folder structure
  * @param {string} folderAlbum - Album from folder structure
  * @param {Object} tags - Metadata tags from file
+ * @param {number|null} folderDisc - Disc number from a "Disc N" folder
  * @returns {Object} Compliance analysis
  */
-function analyzePlexCompliance(filePath, relativePath, folderArtist, folderAlbum, tags) {
+function analyzePlexCompliance(filePath, relativePath, folderArtist, folderAlbum, tags, folderDisc = null) {
     const issues = [];
     const fileName = path.basename(filePath);
     const pathParts = path.dirname(relativePath).split(path.sep);
 
     // Check folder structure depth
-    // Plex expects: Artist/Album/Track.ext
-    if (pathParts.length < 2 || pathParts[0] === '.') {
+    // Plex expects: Artist/Album/Track.ext (or Artist/Album/Disc N/Track.ext)
+    if (pathParts.length < (folderDisc ? 3 : 2) || pathParts[0] === '.') {
         issues.push({
             type: 'folder_structure',
             severity: 'error',
@@ -386,6 +420,35 @@ function analyzePlexCompliance(filePath, relativePath, folderArtist, folderAlbum
         });
     }
 
+    // Multi-disc albums need the disc in the filename ("1-01 - Title") or a "Disc N" folder,
+    // otherwise tracks with the same number on different discs collide
+    const filenameDisc = fileName.match(/^(\d{1,2})-\d{2,3}\s*[-.\s]/);
+    if (isMultiDisc(tags.disk?.no, tags.disk?.of) || folderDisc || filenameDisc) {
+        const layoutDisc = folderDisc || (filenameDisc ? parseInt(filenameDisc[1], 10) : null);
+
+        if (!layoutDisc) {
+            issues.push({
+                type: 'disc_number',
+                severity: 'warning',
+                message: `Disc ${tags.disk?.no || '?'} of a multi-disc album, but neither the filename ("1-01 - ") nor a "Disc N" folder carries the disc`
+            });
+        } else if (tags.disk?.no && tags.disk.no !== layoutDisc) {
+            issues.push({
+                type: 'disc_number',
+                severity: 'warning',
+                message: `${folderDisc ? 'Folder' : 'Filename'} says disc ${layoutDisc} but metadata says disc ${tags.disk.no}`
+            });
+        }
+
+        if (!tags.disk?.no) {
+            issues.push({
+                type: 'metadata',
+                severity: 'warning',
+                message: 'Missing disc number metadata on a multi-disc album'
+            });
+        }
+    }
+
     // Check essential metadata
     if (!tags.title) {
         issues.push({
@@ -9,6 +9,8 @@ import fg from 'fast-glob';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import { createBatch, recordEntry, finishBatch } from './journal.js';
+import { buildTrackPath, fillDiscTotals, getNamingSettings, getPathKey } from './naming.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,18 +41,24 @@ export async function scanDirectory(sourcePath, progressCallback = null) {
 
             // Extract metadata with fallbacks
             const artist = common.artist || common.albumartist || 'Unknown Artist';
+            const albumArtist = common.albumartist || null;
             const album = common.album || 'Unknown Album';
             const title = common.title || path.basename(filePath, path.extname(filePath));
             const trackNumber = common.track?.no || null;
+            const discNumber = common.disk?.no || null;
+            const discTotal = common.disk?.of || null;
             const year = common.year || null;
             const ext = path.extname(filePath);
 
             scannedFiles.push({
                 originalPath: filePath,
                 artist,
+                albumArtist,
                 album,
                 title,
                 trackNumber,
+                discNumber,
+                discTotal,
                 year,
                 extension: ext,
                 hasMetadata: !!(common.artist && common.album && common.title)
@@ -131,37 +139,18 @@ function groupFilesByArtist(scannedFiles) {
 }
 
 /**
- * Sanitize filename for safe filesystem usage
+ * Generate Plex-compliant file path from metadata using the naming template
+ * Also used by the downloader so downloaded and organized files are named identically
+ * @param {Object} file - { artist, albumArtist, album, title, trackNumber, discNumber, discTotal, year, extension }
+ * @param {string} destinationRoot - Library root
+ * @param {Object} settings - Naming settings (defaults to the saved ones)
+ * @returns {string} Absolute path
  */
-function sanitizeFilename(name) {
-    // Replace invalid filesystem characters
-    return name
-        .replace(/[/\\:*?"<>|]/g, '_')  // Replace invalid chars with underscore
-        .replace(/\s+/g, ' ')            // Normalize whitespace
-        .trim();
-}
+export function generatePlexPath(file, destinationRoot, settings = getNamingSettings()) {
+    // Album folder gets the release year unless the album name already carries it
+    const year = file.year && !String(file.album).trim().endsWith(`(${file.year})`) ? file.year : null;
 
-/**
- * Generate Plex-compliant file path from metadata
- */
-function generatePlexPath(file, destinationRoot) {
-    const artist = sanitizeFilename(file.artist);
-    const album = sanitizeFilename(file.album);
-    const title = sanitizeFilename(file.title);
-
-    // Format track number with leading zero if present
-    let filename;
-    if (file.trackNumber) {
-        const trackNum = String(file.trackNumber).padStart(2, '0');
-        filename = `${trackNum} - ${title}${file.extension}`;
-    } else {
-        filename = `${title}${file.extension}`;
-    }
-
-    // Build path: {destination}/{Artist}/{Album}/{TrackNumber} - {Title}.ext
-    const newPath = path.join(destinationRoot, artist, album, filename);
-
-    return newPath;
+    return buildTrackPath({ ...file, year }, destinationRoot, file.extension, settings);
 }
 
 /**
@@ -170,8 +159,20 @@ function generatePlexPath(file, destinationRoot) {
 export function previewOrganization(scannedFiles, destinationPath) {
     console.log(`[Simple Organizer] Generating preview for ${scannedFiles.length} files`);
 
+    // Discs without a total tag still need to know their album has several
+    const albums = new Map();
+    for (const file of scannedFiles) {
+        const key = `${file.artist}|||${file.album}`;
+        if (!albums.has(key)) albums.set(key, []);
+        albums.get(key).push(file);
+    }
+    for (const albumFiles of albums.values()) {
+        fillDiscTotals(albumFiles);
+    }
+
+    const namingSettings = getNamingSettings();
     const preview = scannedFiles.map(file => {
-        const newPath = generatePlexPath(file, destinationPath);
+        const newPath = generatePlexPath(file, destinationPath, namingSettings);
 
         return {
             originalPath: file.originalPath,
@@ -180,6 +181,7 @@ export function previewOrganization(scannedFiles, destinationPath) {
             album: file.album,
             title: file.title,
             trackNumber: file.trackNumber,
+            discNumber: file.discNumber,
             hasMetadata: file.hasMetadata,
             willMove: true  // All files will be moved
         };
@@ -226,6 +228,11 @@ export async function executeOrganization(previewData, options = {}, progressCal
         failed: [],
         skipped: []
     };
+    const batchId = dryRun ? null : createBatch('simple-organize', `Organize ${previewData.length} file(s) by embedded tags (${mode})`);
+
+    // Paths written in this run, as the target filesystem tells them apart (case-insensitive ones don't)
+    const { filesystem } = getNamingSettings();
+    const writtenKeys = new Set();
 
     for (let i = 0; i < previewData.length; i++) {
         const item = previewData[i];
@@ -257,15 +264,16 @@ export async function executeOrganization(previewData, options = {}, progressCal
                     fs.mkdirSync(destDir, { recursive: true });
                 }
 
-                // Check if destination file already exists
-                if (fs.existsSync(item.newPath)) {
+                // Check if destination file already exists (or another file of this run only differs in case)
+                const taken = candidate => fs.existsSync(candidate) || writtenKeys.has(getPathKey(candidate, filesystem));
+                if (taken(item.newPath)) {
                     // Add suffix to avoid overwriting
                     let counter = 1;
                     let newPath = item.newPath;
                     const ext = path.extname(newPath);
                     const base = newPath.slice(0, -ext.length);
 
-                    while (fs.existsSync(newPath)) {
+                    while (taken(newPath)) {
                         newPath = `${base} (${counter})${ext}`;
                         counter++;
                     }
@@ -280,6 +288,8 @@ export async function executeOrganization(previewData, options = {}, progressCal
                 } else if (mode === 'move') {
                     fs.renameSync(item.originalPath, item.newPath);
                 }
+                recordEntry(batchId, { type: mode, sourcePath: item.originalPath, destinationPath: item.newPath });
+                writtenKeys.add(getPathKey(item.newPath, filesystem));
 
                 console.log(`[Simple Organizer] ${mode === 'copy' ? 'Copied' : 'Moved'}: ${path.basename(item.originalPath)} → ${item.newPath}`);
             }
@@ -295,6 +305,10 @@ export async function executeOrganization(previewData, options = {}, progressCal
         }
     }
 
+    if (batchId) {
+        finishBatch(batchId);
+    }
+
     const summary = {
         dryRun,
         mode,
@@ -314,6 +328,7 @@ export async function executeOrganization(previewData, options = {}, progressCal
 
 export default {
     scanDirectory,
+    generatePlexPath,
     previewOrganization,
     executeOrganization
 };
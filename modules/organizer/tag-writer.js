@@ -0,0 +1,226 @@
+/**
+ * Tag Writer
+ *
+ * Reads and writes audio tags in-process for every format the library
+ * holds: ID3v2.4 for MP3, MP4 atoms for M4A/ALAC, and Vorbis comments
+ * for FLAC, Ogg Vorbis and Opus. Callers use one field set regardless of
+ * the container; node-taglib-sharp maps it to the native frames.
+ *
+ * Values never pass through a shell. A write changes all fields of a file
+ * in one pass on a temporary copy, which replaces the original only after
+ * music-metadata reads back the new values and the same audio stream.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseFile } from 'music-metadata';
+import { ByteVector, File, Id3v2Settings, Picture, PictureType, TagTypes } from 'node-taglib-sharp';
+
+// Always write ID3v2.4 (UTF-8 text, multiple values), whatever version the file had
+Id3v2Settings.defaultVersion = 4;
+Id3v2Settings.forceDefaultVersion = true;
+
+export const TAGGABLE_EXTENSIONS = ['.mp3', '.m4a', '.mp4', '.flac', '.ogg', '.oga', '.opus'];
+
+/**
+ * Fields callers read and write, mapped to node-taglib-sharp Tag properties
+ * and to music-metadata's common tags for the verification read
+ * - text: single string, list: written as a one-value list, number: 0 clears, flag: boolean,
+ *   decimal: float stored with `digits` decimals, picture: image Buffer written as the front cover
+ */
+const FIELD_MAP = {
+    title: { property: 'title', kind: 'text', common: c => c.title },
+    artist: { property: 'performers', kind: 'list', common: c => c.artist },
+    albumArtist: { property: 'albumArtists', kind: 'list', common: c => c.albumartist },
+    album: { property: 'album', kind: 'text', common: c => c.album },
+    year: { property: 'year', kind: 'number', common: c => c.year },
+    track: { property: 'track', kind: 'number', common: c => c.track?.no },
+    trackTotal: { property: 'trackCount', kind: 'number', common: c => c.track?.of },
+    disc: { property: 'disc', kind: 'number', common: c => c.disk?.no },
+    discTotal: { property: 'discCount', kind: 'number', common: c => c.disk?.of },
+    genre: { property: 'genres', kind: 'list', common: c => c.genre?.[0] },
+    compilation: { property: 'isCompilation', kind: 'flag', common: c => c.compilation },
+    musicbrainzRecordingId: { property: 'musicBrainzTrackId', kind: 'text', common: c => c.musicbrainz_recordingid },
+    musicbrainzReleaseId: { property: 'musicBrainzReleaseId', kind: 'text', common: c => c.musicbrainz_albumid },
+    musicbrainzReleaseGroupId: { property: 'musicBrainzReleaseGroupId', kind: 'text', common: c => c.musicbrainz_releasegroupid },
+    musicbrainzArtistId: { property: 'musicBrainzArtistId', kind: 'text', common: c => c.musicbrainz_artistid?.[0] },
+    musicbrainzAlbumArtistId: { property: 'musicBrainzReleaseArtistId', kind: 'text', common: c => c.musicbrainz_albumartistid?.[0] },
+    lyrics: { property: 'lyrics', kind: 'text', common: c => c.lyrics?.[0]?.text },
+    replayGainTrackGain: { property: 'replayGainTrackGain', kind: 'decimal', digits: 2, common: c => c.replaygain_track_gain?.dB },
+    replayGainTrackPeak: { property: 'replayGainTrackPeak', kind: 'decimal', digits: 6, common: c => c.replaygain_track_peak?.ratio },
+    replayGainAlbumGain: { property: 'replayGainAlbumGain', kind: 'decimal', digits: 2, common: c => c.replaygain_album_gain?.dB },
+    replayGainAlbumPeak: { property: 'replayGainAlbumPeak', kind: 'decimal', digits: 6, common: c => c.replaygain_album_peak?.ratio },
+    cover: { property: 'pictures', kind: 'picture', common: c => c.picture?.[0]?.data }
+};
+
+// Text fields; the cover is only read or written when asked for
+export const TAG_FIELDS = Object.keys(FIELD_MAP).filter(field => FIELD_MAP[field].kind !== 'picture');
+
+// Native tag each container is written with
+const NATIVE_TAGS = {
+    '.mp3': TagTypes.Id3v2,
+    '.m4a': TagTypes.Apple,
+    '.mp4': TagTypes.Apple,
+    '.flac': TagTypes.Xiph,
+    '.ogg': TagTypes.Xiph,
+    '.oga': TagTypes.Xiph,
+    '.opus': TagTypes.Xiph
+};
+
+/**
+ * Whether a file's tags can be read and written
+ */
+export function isTaggable(filePath) {
+    return TAGGABLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Open a file, run fn on it and always release the handle
+ */
+function withFile(filePath, fn) {
+    if (!isTaggable(filePath)) {
+        throw new Error(`Unsupported format for tagging: ${path.extname(filePath) || path.basename(filePath)}`);
+    }
+
+    const file = File.createFromPath(filePath);
+    try {
+        return fn(file);
+    } finally {
+        file.dispose();
+    }
+}
+
+function readField(tag, { property, kind }) {
+    const value = tag[property];
+    switch (kind) {
+        case 'list': return value?.length ? value.join('; ') : null;
+        case 'number': return value > 0 ? value : null;
+        case 'flag': return value === true;
+        case 'decimal': return Number.isFinite(value) ? value : null;
+        case 'picture': return value?.length ? Buffer.from(value[0].data.toByteArray()) : null;
+        default: return value || null;
+    }
+}
+
+function frontCover(image) {
+    const picture = Picture.fromData(ByteVector.fromByteArray(image));
+    picture.type = PictureType.FrontCover;
+    return picture;
+}
+
+function writeField(tag, { property, kind, digits }, value) {
+    const empty = value === null || value === '';
+    switch (kind) {
+        case 'list': tag[property] = empty ? [] : [String(value)]; break;
+        case 'number': tag[property] = empty ? 0 : (parseInt(value, 10) || 0); break;
+        case 'flag': tag[property] = value === true || value === 'true' || value === 1; break;
+        case 'decimal': tag[property] = empty ? NaN : Number(Number(value).toFixed(digits)); break;
+        case 'picture': tag[property] = empty ? [] : [frontCover(value)]; break;
+        default: tag[property] = empty ? undefined : String(value);
+    }
+}
+
+/**
+ * Read tag fields
+ * @param {string} filePath
+ * @param {Array<string>} fields - Field names (default: TAG_FIELDS, without the cover)
+ * @returns {Object} { field: value }, null for fields the file doesn't have
+ */
+export function readTags(filePath, fields = TAG_FIELDS) {
+    return withFile(filePath, (file) => {
+        const values = {};
+        for (const field of fields) {
+            if (!FIELD_MAP[field]) throw new Error(`Unknown tag field: ${field}`);
+            values[field] = readField(file.tag, FIELD_MAP[field]);
+        }
+        return values;
+    });
+}
+
+/**
+ * A field value in the form both readers agree on: string, integer, boolean, fixed-point string, image digest or null
+ */
+function normalizeValue({ kind, digits }, value) {
+    if (kind === 'flag') return value === true || value === 'true' || value === 1;
+    if (value === null || value === undefined || value === '') return null;
+    if (kind === 'decimal') return Number.isFinite(Number(value)) ? Number(value).toFixed(digits) : null;
+    if (kind === 'picture') return crypto.createHash('md5').update(value).digest('hex');
+    if (kind === 'number') return parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+    return String(value);
+}
+
+/**
+ * Fields whose value read back by music-metadata differs from the one written
+ */
+function findMismatches(common, changes, fields) {
+    return fields.filter((field) => {
+        const mapping = FIELD_MAP[field];
+        return normalizeValue(mapping, mapping.common(common)) !== normalizeValue(mapping, changes[field]);
+    });
+}
+
+/**
+ * Whether two music-metadata reads describe the same audio stream
+ */
+function sameAudio(before, after) {
+    const keys = ['container', 'codec', 'sampleRate', 'numberOfChannels', 'bitsPerSample'];
+    const durationsAgree = !before.duration || !after.duration || Math.abs(before.duration - after.duration) < 0.1;
+    return durationsAgree && keys.every(key => before[key] === after[key]);
+}
+
+/**
+ * Write tag fields in one pass and replace the file atomically
+ * The fields are written to a temporary copy next to the file, which is
+ * verified with music-metadata and then renamed over the original. On any
+ * failure the original is left untouched.
+ * @param {string} filePath
+ * @param {Object} changes - { field: value }; null or '' removes a field, undefined leaves it alone
+ * @returns {Promise<Array<string>>} Fields written
+ */
+export async function writeTags(filePath, changes) {
+    const fields = Object.keys(changes).filter(field => changes[field] !== undefined);
+    for (const field of fields) {
+        if (!FIELD_MAP[field]) throw new Error(`Unknown tag field: ${field}`);
+    }
+    if (fields.length === 0) return [];
+    if (!isTaggable(filePath)) {
+        throw new Error(`Unsupported format for tagging: ${path.extname(filePath) || path.basename(filePath)}`);
+    }
+
+    const before = await parseFile(filePath, { duration: true });
+
+    // Same folder (so the rename is atomic) and same extension (taglib picks the format by it)
+    const extension = path.extname(filePath);
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath, extension)}.${process.pid}.tagging${extension}`);
+
+    try {
+        await fs.promises.copyFile(filePath, tempPath);
+
+        withFile(tempPath, (file) => {
+            // Make sure the native tag exists so a file without tags gets the right kind
+            file.getTag(NATIVE_TAGS[extension.toLowerCase()], true);
+
+            for (const field of fields) {
+                writeField(file.tag, FIELD_MAP[field], changes[field]);
+            }
+            file.save();
+        });
+
+        const after = await parseFile(tempPath, { duration: true });
+        const mismatches = findMismatches(after.common, changes, fields);
+        if (mismatches.length > 0) {
+            throw new Error(`Tags did not read back as written: ${mismatches.join(', ')}`);
+        }
+        if (!sameAudio(before.format, after.format)) {
+            throw new Error('Audio stream changed while writing tags');
+        }
+
+        await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+
+    return fields;
+}
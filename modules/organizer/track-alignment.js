@@ -0,0 +1,216 @@
+/**
+ * Album Track-List Alignment
+ *
+ * Assigns the local files of an album to the tracks of its MusicBrainz
+ * release in one pass: every file/track pair is scored on title
+ * similarity, duration, track number and disc number, and the Hungarian
+ * algorithm picks the assignment with the highest total score. Tracks
+ * without a file are reported as missing, files without a track as extra.
+ */
+
+import path from 'path';
+import { normalizeString, calculateSimilarity } from './musicbrainz.js';
+
+// Minimum pair score for a file to be assigned to a track
+export const ALIGNMENT_THRESHOLD = 65;
+
+// Weights of the pair score signals (re-normalized over the signals a file has)
+const WEIGHTS = {
+    title: 0.6,
+    duration: 0.2,
+    track: 0.15,
+    disc: 0.05
+};
+
+/**
+ * Flatten a release (getReleaseDetails response) to its tracks
+ * @returns {Array} [{ disc, position, title, artist, artistId, recordingId, lengthMs }]
+ */
+export function getReleaseTracks(release) {
+    const albumArtist = release['artist-credit']?.[0];
+
+    return (release.media || []).flatMap(medium => (medium.tracks || []).map(track => {
+        const credit = track['artist-credit']?.[0] || track.recording?.['artist-credit']?.[0] || albumArtist;
+        return {
+            disc: medium.position || 1,
+            position: track.position,
+            title: track.title || track.recording?.title || '',
+            artist: credit?.name || '',
+            artistId: credit?.artist?.id || '',
+            recordingId: track.recording?.id || null,
+            lengthMs: track.length || track.recording?.length || null
+        };
+    }));
+}
+
+/**
+ * Track number of a file: tag first, then a leading number in the filename
+ */
+function getFileTrackNumber(file) {
+    const tagged = parseInt(file.metadata?.track, 10);
+    if (tagged > 0) return tagged;
+
+    const match = path.basename(file.fileName || file.filePath || '').match(/^(\d{1,3})\s*[-.\s]/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Title of a file: tag first, then the filename without track number and extension
+ */
+function getFileTitle(file) {
+    if (file.metadata?.title) return file.metadata.title;
+
+    const fileName = file.fileName || (file.filePath ? path.basename(file.filePath) : '');
+    const title = fileName.replace(/\.[^.]+$/, '').replace(/^\d{1,3}\s*[-.\s]\s*/, '').trim();
+    return title || null;
+}
+
+/**
+ * Title without "(feat. ...)" and similar suffixes, normalized
+ */
+function comparableTitle(title) {
+    return normalizeString((title || '').replace(/\s*[([](feat|ft|with)\.?\s[^)\]]*[)\]]/gi, ''));
+}
+
+/**
+ * Score how well a local file fits a release track (0-100)
+ * @param {Object} file - Scanner file ({ title, fileName, metadata: { track, disk, duration } })
+ * @param {Object} track - From getReleaseTracks()
+ */
+export function scoreTrackPair(file, track) {
+    const signals = [];
+
+    const title = getFileTitle(file);
+    if (title) {
+        signals.push(['title', calculateSimilarity(comparableTitle(title), comparableTitle(track.title))]);
+    }
+
+    const duration = file.metadata?.duration;
+    if (duration && track.lengthMs) {
+        const difference = Math.abs(duration - track.lengthMs / 1000);
+        signals.push(['duration', difference <= 3 ? 100 : difference <= 10 ? 60 : 0]);
+    }
+
+    const trackNumber = getFileTrackNumber(file);
+    if (trackNumber) {
+        signals.push(['track', trackNumber === track.position ? 100 : 0]);
+    }
+
+    const disc = parseInt(file.metadata?.disk, 10);
+    if (disc > 0) {
+        signals.push(['disc', disc === track.disc ? 100 : 0]);
+    }
+
+    const totalWeight = signals.reduce((sum, [name]) => sum + WEIGHTS[name], 0);
+    if (totalWeight === 0) return 0;
+
+    // A file known only by its track number can't score above the threshold on its own
+    const weight = Math.max(totalWeight, WEIGHTS.title);
+    return Math.round(signals.reduce((sum, [name, value]) => sum + WEIGHTS[name] * value, 0) / weight);
+}
+
+/**
+ * Maximum-weight assignment (Hungarian algorithm, O(n³))
+ * @param {Array<Array<number>>} scores - scores[row][col]
+ * @returns {Array<number>} Column assigned to each row, -1 for none
+ */
+export function solveAssignment(scores) {
+    const rows = scores.length;
+    const cols = rows > 0 ? scores[0].length : 0;
+    if (rows === 0 || cols === 0) return new Array(rows).fill(-1);
+
+    // Square cost matrix (minimization), padded with zero-score cells
+    const n = Math.max(rows, cols);
+    const maxScore = Math.max(...scores.flat(), 0);
+    const cost = (i, j) => (i < rows && j < cols ? maxScore - scores[i][j] : maxScore);
+
+    // Potentials and matching, 1-indexed as in the classic formulation
+    const u = new Array(n + 1).fill(0);
+    const v = new Array(n + 1).fill(0);
+    const matchOfCol = new Array(n + 1).fill(0);
+    const way = new Array(n + 1).fill(0);
+
+    for (let i = 1; i <= n; i++) {
+        matchOfCol[0] = i;
+        let j0 = 0;
+        const minv = new Array(n + 1).fill(Infinity);
+        const used = new Array(n + 1).fill(false);
+
+        do {
+            used[j0] = true;
+            const i0 = matchOfCol[j0];
+            let delta = Infinity;
+            let j1 = 0;
+
+            for (let j = 1; j <= n; j++) {
+                if (used[j]) continue;
+                const current = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                if (current < minv[j]) {
+                    minv[j] = current;
+                    way[j] = j0;
+                }
+                if (minv[j] < delta) {
+                    delta = minv[j];
+                    j1 = j;
+                }
+            }
+
+            for (let j = 0; j <= n; j++) {
+                if (used[j]) {
+                    u[matchOfCol[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minv[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (matchOfCol[j0] !== 0);
+
+        do {
+            const j1 = way[j0];
+            matchOfCol[j0] = matchOfCol[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const assignment = new Array(rows).fill(-1);
+    for (let j = 1; j <= n; j++) {
+        const row = matchOfCol[j] - 1;
+        if (row >= 0 && row < rows && j - 1 < cols) {
+            assignment[row] = j - 1;
+        }
+    }
+    return assignment;
+}
+
+/**
+ * Align the files of one album with a release's track list
+ * @param {Array} files - Files of the album group
+ * @param {Object} release - getReleaseDetails() response
+ * @returns {Object} { tracks, assignments: [{ file, track, score }], missing: [track], extra: [file] }
+ */
+export function alignAlbum(files, release) {
+    const tracks = getReleaseTracks(release);
+    const scores = files.map(file => tracks.map(track => scoreTrackPair(file, track)));
+    const assignment = solveAssignment(scores);
+
+    const assignments = [];
+    const extra = [];
+    const assignedTracks = new Set();
+
+    files.forEach((file, index) => {
+        const trackIndex = assignment[index];
+        const score = trackIndex >= 0 ? scores[index][trackIndex] : 0;
+
+        if (trackIndex >= 0 && score >= ALIGNMENT_THRESHOLD) {
+            assignments.push({ file, track: tracks[trackIndex], score });
+            assignedTracks.add(trackIndex);
+        } else {
+            extra.push(file);
+        }
+    });
+
+    const missing = tracks.filter((track, index) => !assignedTracks.has(index));
+
+    return { tracks, assignments, missing, extra };
+}
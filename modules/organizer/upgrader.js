@@ -2,77 +2,82 @@
  * YouTube Music Quality Upgrade Engine
  *
  * Fetches 4-5 star rated tracks from Plex, detects low-quality audio,
- * and upgrades them to FLAC from YouTube Music.
+ * and upgrades them from YouTube Music using the selected output profile
+ * (FLAC by default). A download only replaces the original after it passes
+ * verification (length, audio fingerprint, copied tags); otherwise it is
+ * held in the review folder and the original stays.
+ *
+ * Replaced originals go to an archive tree that mirrors their library path,
+ * so an upgrade can be reverted until the archive expires.
  */
 
 import Database from 'better-sqlite3';
+import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs';
 import { parseFile } from 'music-metadata';
 import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
+import { getOutputProfile, formatMatchesProfile } from '../downloader/output-profiles.js';
+import { STRUCTURED_OUTPUT_ARGS, parseYtDlpLine, createLineSplitter, getDownloadPercent } from '../downloader/ytdlp-progress.js';
+import { calculateQualityScore } from './plex.js';
+import { getCachedAnalysis, sourceBitrateForCutoff } from './audio-analysis.js';
+import { isFpcalcAvailable, fingerprintsMatch } from './fingerprint.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Quality ranking (reuse from Phase 2.5)
-const CODEC_QUALITY_RANK = {
-    'flac': 1000,
-    'alac': 950,
-    'ape': 900,
-    'wav': 850,
-    'aiff': 840,
-    'mp3': (bitrate) => {
-        if (bitrate >= 320) return 700;
-        if (bitrate >= 256) return 600;
-        if (bitrate >= 192) return 500;
-        if (bitrate >= 128) return 400;
-        return 300;
-    },
-    'aac': (bitrate) => {
-        if (bitrate >= 256) return 680;
-        if (bitrate >= 192) return 580;
-        if (bitrate >= 128) return 480;
-        return 380;
-    },
-    'm4a': (bitrate) => {
-        if (bitrate >= 256) return 680;
-        if (bitrate >= 192) return 580;
-        if (bitrate >= 128) return 480;
-        return 380;
-    },
-    'ogg': (bitrate) => {
-        if (bitrate >= 320) return 650;
-        if (bitrate >= 192) return 550;
-        return 450;
-    },
-    'opus': (bitrate) => {
-        if (bitrate >= 320) return 650;
-        if (bitrate >= 192) return 550;
-        return 450;
-    },
-    'wma': 200,
-};
-
 // Upgrade thresholds
 const UPGRADE_THRESHOLDS = {
     lowQuality: {
         codecs: ['mp3', 'aac', 'm4a', 'ogg', 'opus', 'wma'],
         maxBitrate: 256  // kbps
     },
-    targetQuality: {
-        codecs: ['flac', 'alac'],
-        minBitrate: 1000  // kbps for FLAC
-    }
+    // Target quality comes from the selected output profile (see output-profiles.js)
 };
 
+// YouTube Music streams (Opus 160, AAC 128-256) are low-passed around this frequency (Hz),
+// so a lossless profile only ever holds that much
+const YOUTUBE_SOURCE_CUTOFF_HZ = 20000;
+
+const YTDLP_BINARY = process.env.YTDLP_PATH || 'yt-dlp';
+const FFMPEG_BINARY = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Search results scored per track
+const SEARCH_RESULTS = 10;
+// Longer results are mixes or full albums (seconds)
+const MAX_CANDIDATE_DURATION = 900;
+// Title words that mark another version of the song
+const VERSION_KEYWORDS = ['live', 'cover', 'remix', 'karaoke'];
+
+// Upgrade history, review and archive folders (DATA_PATH moves all three)
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, '../../data');
+
+// Downloads that fail verification are kept here for review, the original stays in place
+const REVIEW_PATH = process.env.UPGRADE_REVIEW_PATH || path.join(DATA_PATH, 'upgrade-review');
+
+// Replaced originals are archived here under their full library path
+const ARCHIVE_PATH = process.env.UPGRADE_ARCHIVE_PATH || path.join(DATA_PATH, 'upgrade-archive');
+
+// Days an archived original is kept (0 keeps it until the upgrade is reverted)
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.UPGRADE_ARCHIVE_DAYS || '90', 10);
+
+// Files sharing the original's basename that go with it (cover images, leftover temp audio)
+const RELATED_EXTENSIONS = ['.png', '.webp', '.jpg', '.jpeg', '.webm', '.opus', '.m4a', '.part'];
+
+// Allowed length difference between the download and the original: seconds, or share of the length
+const DURATION_TOLERANCE = { seconds: 3, ratio: 0.02 };
+
+// Tags the metadata copy must carry over
+const VERIFIED_TAGS = ['title', 'artist', 'album'];
+
 // Initialize upgrade tracking database
 let upgradeDb = null;
 
 function initUpgradeDatabase() {
     if (upgradeDb) return upgradeDb;
 
-    const dbPath = path.join(__dirname, '../../data/upgrades.db');
+    const dbPath = path.join(DATA_PATH, 'upgrades.db');
     const dbDir = path.dirname(dbPath);
 
     // Create data directory if it doesn't exist
@@ -113,24 +118,48 @@ function initUpgradeDatabase() {
         }
     }
 
-    console.log('[Upgrader] Database initialized:', dbPath);
-    return upgradeDb;
-}
+    // Archive columns (migration): where the original was and is kept, checksums of both files,
+    // and when the upgrade was reverted (the row stays so the track isn't upgraded again)
+    const archiveColumns = {
+        original_path: 'TEXT',
+        archive_path: 'TEXT',
+        related_files: 'TEXT',
+        original_checksum: 'TEXT',
+        new_checksum: 'TEXT',
+        reverted_at: 'DATETIME'
+    };
+    for (const [column, type] of Object.entries(archiveColumns)) {
+        try {
+            upgradeDb.exec(`ALTER TABLE upgrades ADD COLUMN ${column} ${type}`);
+        } catch (error) {
+            if (!error.message.includes('duplicate column name')) {
+                console.error(`[Upgrader] Error adding ${column} column:`, error);
+            }
+        }
+    }
 
-/**
- * Calculate quality score for a file
- */
-function calculateQualityScore(codec, bitrate) {
-    const codecLower = codec.toLowerCase();
-    const rankValue = CODEC_QUALITY_RANK[codecLower];
+    // Outcome of the verification gate for every download, passed or held for review
+    upgradeDb.exec(`
+        CREATE TABLE IF NOT EXISTS upgrade_verifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            track_key TEXT,
+            original_path TEXT,
+            youtube_url TEXT,
+            passed INTEGER NOT NULL,
+            original_duration REAL,
+            new_duration REAL,
+            fingerprint_similarity REAL,
+            metadata_ok INTEGER,
+            reasons TEXT,
+            review_path TEXT,
+            verified_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
 
-    if (typeof rankValue === 'function') {
-        return rankValue(bitrate);
-    } else if (typeof rankValue === 'number') {
-        return rankValue;
-    }
+        CREATE INDEX IF NOT EXISTS idx_verification_track_key ON upgrade_verifications(track_key);
+    `);
 
-    return 0; // Unknown codec
+    console.log('[Upgrader] Database initialized:', dbPath);
+    return upgradeDb;
 }
 
 /**
@@ -278,47 +307,58 @@ async function fetchPlexTracksWithRatings(serverIp, port, token, libraryId, minR
 
 /**
  * Detect low-quality tracks that are upgrade candidates
+ * @param {Array} tracks - Rated Plex tracks
+ * @param {string} profileId - Output profile the upgrade will produce
  */
-function detectLowQuality(tracks) {
+function detectLowQuality(tracks, profileId) {
+    const profile = getOutputProfile(profileId);
+    // Lossless profiles transcode the YouTube stream: score them as lossy-sourced
+    const targetAnalysis = profile.lossless ? { sourceBitrate: sourceBitrateForCutoff(YOUTUBE_SOURCE_CUTOFF_HZ) } : null;
+    const targetScore = calculateQualityScore(profile.targetQuality.codec, profile.targetQuality.bitrate, targetAnalysis);
     const upgradeCandidates = [];
 
     for (const track of tracks) {
         const codec = track.codec.toLowerCase();
         const bitrate = track.bitrate;
+        // Files verified with the audio analysis are scored by what they really hold
+        const analysis = getCachedAnalysis(track.filePath);
 
         // Check if it's a lossy codec
-        if (!UPGRADE_THRESHOLDS.lowQuality.codecs.includes(codec)) {
+        if (!UPGRADE_THRESHOLDS.lowQuality.codecs.includes(codec) && !analysis?.lossySourced && !analysis?.damaged) {
             // Already lossless (FLAC, ALAC, etc.) - skip
             continue;
         }
 
-        // Check bitrate threshold
-        if (bitrate >= UPGRADE_THRESHOLDS.maxBitrate && codec !== 'mp3') {
-            // High bitrate lossy - might still want to upgrade, but lower priority
-        }
+        const qualityScore = calculateQualityScore(codec, bitrate, analysis);
 
-        const qualityScore = calculateQualityScore(codec, bitrate);
+        // Only an upgrade if the profile produces something better
+        if (qualityScore >= targetScore) {
+            continue;
+        }
 
         upgradeCandidates.push({
             ...track,
             currentQuality: {
                 codec: codec.toUpperCase(),
                 bitrate: bitrate,
-                score: qualityScore
+                score: qualityScore,
+                lossySourced: analysis?.lossySourced === true,
+                damaged: analysis?.damaged === true
             },
             targetQuality: {
-                codec: 'FLAC',
-                bitrate: 1411, // CD quality FLAC
-                score: 1000
+                codec: profile.label,
+                profile: profile.id,
+                bitrate: profile.targetQuality.bitrate,
+                score: targetScore
             },
-            upgradePriority: 1000 - qualityScore // Lower quality = higher priority
+            upgradePriority: targetScore - qualityScore // Lower quality = higher priority
         });
     }
 
     // Sort by priority (worst quality first)
     upgradeCandidates.sort((a, b) => b.upgradePriority - a.upgradePriority);
 
-    console.log(`[Upgrader] Detected ${upgradeCandidates.length} upgrade candidates`);
+    console.log(`[Upgrader] Detected ${upgradeCandidates.length} upgrade candidates for ${profile.label}`);
     return upgradeCandidates;
 }
 
@@ -343,18 +383,18 @@ function isAlreadyUpgraded(filePath) {
     return result !== undefined;
 }
 /**
- * Copy metadata from original file to new FLAC using FFmpeg
+ * Copy metadata from original file to the newly downloaded file using FFmpeg
  */
 async function copyMetadata(originalPath, newPath, originalMetadata) {
     return new Promise((resolve, reject) => {
-        // Create a temporary file path
-        const tempPath = newPath + '.temp.flac';
+        // Create a temporary file path (same extension so FFmpeg keeps the container)
+        const tempPath = newPath + '.temp' + path.extname(newPath);
 
         // Build FFmpeg arguments to copy metadata
         const ffmpegArgs = [
-            '-i', newPath,           // Input: new FLAC (without metadata)
+            '-i', newPath,           // Input: new download (without metadata)
             '-i', originalPath,       // Input: original file (with metadata)
-            '-map', '0:a',            // Map audio from first input (new FLAC)
+            '-map', '0:a',            // Map audio from first input (new download)
             '-map_metadata', '1',     // Map all metadata from second input (original)
             '-c:a', 'copy',           // Copy audio codec (no re-encoding)
             '-y',                     // Overwrite output file
@@ -362,7 +402,7 @@ async function copyMetadata(originalPath, newPath, originalMetadata) {
         ];
 
         console.log(`[Upgrader] Running FFmpeg to copy metadata...`);
-        const ffmpeg = spawn('ffmpeg', ffmpegArgs);
+        const ffmpeg = spawn(FFMPEG_BINARY, ffmpegArgs);
 
         let stderr = '';
 
@@ -400,133 +440,411 @@ async function copyMetadata(originalPath, newPath, originalMetadata) {
 }
 
 /**
- * Search YouTube Music for a track
- * Primary: Use Plex metadata
- * Fallback: Use MusicBrainz-verified metadata
+ * Verification gate before a download may replace the original: same length
+ * (within DURATION_TOLERANCE), fingerprints that agree (when fpcalc is
+ * installed) and the original's tags present in the new file
+ * @param {string} originalPath - File in the library
+ * @param {string} newPath - Download, after the metadata copy
+ * @param {Object} options - { originalMetadata: parsed before the download, metadataError: message of a failed copy }
+ * @returns {Promise<Object>} { passed, duration: { original, new, ok }, fingerprint: { similarity, match } | null,
+ *          metadata: { ok, missing }, reasons }
  */
-async function searchYouTubeMusicForTrack(track, cookies, poToken, useMusicBrainz = false) {
-    try {
-        // Build search query - simplified to avoid confusion from album names
-        // Strategy: Use artist + title only, without album name
-        let searchQuery;
-        if (useMusicBrainz && track.mbMetadata) {
-            // Use MusicBrainz-verified metadata
-            searchQuery = `${track.mbMetadata.artist} ${track.mbMetadata.title}`;
-        } else {
-            // Use Plex metadata
-            searchQuery = `${track.artist} ${track.title}`;
+async function verifyUpgrade(originalPath, newPath, { originalMetadata = null, metadataError = null } = {}) {
+    const original = originalMetadata || await parseFile(originalPath);
+    const replacement = await parseFile(newPath);
+    const reasons = [];
+
+    // Length: a different song or a live version rarely matches within a few seconds
+    const duration = { original: original.format.duration || null, new: replacement.format.duration || null, ok: null };
+    if (!duration.new) {
+        duration.ok = false;
+        reasons.push('Could not read the length of the download');
+    } else if (duration.original) {
+        const allowed = Math.max(DURATION_TOLERANCE.seconds, duration.original * DURATION_TOLERANCE.ratio);
+        duration.ok = Math.abs(duration.new - duration.original) <= allowed;
+        if (!duration.ok) {
+            reasons.push(`Length differs: ${duration.new.toFixed(1)}s instead of ${duration.original.toFixed(1)}s`);
         }
+    }
 
-        console.log(`[Upgrader] Searching YouTube Music: "${searchQuery}"`);
+    // Audio: skipped without fpcalc or when a file can't be fingerprinted
+    let fingerprint = null;
+    if (await isFpcalcAvailable()) {
+        fingerprint = await fingerprintsMatch(originalPath, newPath);
+        if (fingerprint && !fingerprint.match) {
+            reasons.push(`Audio fingerprints differ (similarity ${fingerprint.similarity})`);
+        }
+    }
 
-        // Use simple search query (just artist + title) for better accuracy
-        // Adding keywords like "topic official audio" actually hurts results for obscure/Japanese artists
-        // Use yt-dlp to search with duration filtering
-        // Get top 10 results for better filtering options
-        const ytDlpArgs = [
-            'ytsearch10:' + searchQuery,
-            '--get-id',
-            '--get-title',
-            '--get-duration',
-            '--no-playlist',
-            '--extractor-args', 'youtube:player_client=tv_embedded'
-        ];
+    // Tags: the library copy is only as good as its metadata
+    const normalize = value => String(Array.isArray(value) ? value[0] : value ?? '').trim().toLowerCase();
+    const missing = metadataError ? [] : VERIFIED_TAGS.filter(tag =>
+        normalize(original.common[tag]) && normalize(original.common[tag]) !== normalize(replacement.common[tag]));
+    if (metadataError) {
+        reasons.push(`Metadata copy failed: ${metadataError}`);
+    } else if (missing.length > 0) {
+        reasons.push(`Tags not copied: ${missing.join(', ')}`);
+    }
 
-        if (cookies) {
-            ytDlpArgs.push('--cookies', cookies);
+    return {
+        passed: reasons.length === 0,
+        duration,
+        fingerprint,
+        metadata: { ok: !metadataError && missing.length === 0, missing },
+        reasons
+    };
+}
+
+/**
+ * Move a file, copying across devices
+ */
+function moveFile(fromPath, toPath) {
+    fs.mkdirSync(path.dirname(toPath), { recursive: true });
+
+    try {
+        fs.renameSync(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(fromPath, toPath);
+        fs.unlinkSync(fromPath);
+    }
+}
+
+/**
+ * SHA-256 of a file
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Move a download that failed verification into the review folder
+ * @returns {string} Review path
+ */
+function holdForReview(downloadedPath) {
+    const reviewPath = path.join(REVIEW_PATH, `${Date.now()}-${path.basename(downloadedPath).replace('.upgrade.', '.')}`);
+    moveFile(downloadedPath, reviewPath);
+    return reviewPath;
+}
+
+/**
+ * Archive location of a library file: its full path below ARCHIVE_PATH
+ */
+function getArchivePath(filePath) {
+    return path.join(ARCHIVE_PATH, path.resolve(filePath).replace(/^[a-zA-Z]:/, ''));
+}
+
+/**
+ * Remove folders left empty in the archive, from the given one up to ARCHIVE_PATH
+ */
+function removeEmptyArchiveFolders(folder) {
+    const root = path.resolve(ARCHIVE_PATH);
+    let current = path.resolve(folder);
+
+    while (current.startsWith(root + path.sep)) {
+        try {
+            fs.rmdirSync(current);
+        } catch (error) {
+            return; // Not empty (or already gone)
         }
+        current = path.dirname(current);
+    }
+}
 
-        // Don't use PO token - it requires CLIENT.CONTEXT+PO_TOKEN format which is complex to obtain
-        // The cookies should be sufficient for search authentication
-        // if (poToken) {
-        //     ytDlpArgs.push('--extractor-args', `youtube:po_token=${poToken}`);
-        // }
+/**
+ * Put a verified download in the original's place. The original and its related files
+ * are moved to the archive; if the download can't be moved in, the original is put back.
+ * @param {string} originalPath - File in the library
+ * @param {string} downloadedPath - Verified download next to it
+ * @returns {Promise<Object>} { newPath, archivePath, relatedFiles: [{ originalPath, archivePath }], originalChecksum, newChecksum }
+ */
+async function replaceOriginal(originalPath, downloadedPath) {
+    const originalDir = path.dirname(originalPath);
+    const originalBasename = path.basename(originalPath, path.extname(originalPath));
+    const newPath = path.join(originalDir, originalBasename + path.extname(downloadedPath));
+
+    const originalChecksum = await hashFile(originalPath);
+    const archivePath = getArchivePath(originalPath);
+    moveFile(originalPath, archivePath);
+    console.log(`[Upgrader] Archived original file: ${archivePath}`);
+
+    // Other files with the same basename (images and temp audio files)
+    const relatedFiles = [];
+    for (const ext of RELATED_EXTENSIONS) {
+        const relatedPath = path.join(originalDir, originalBasename + ext);
+        if (fs.existsSync(relatedPath)) {
+            const relatedArchivePath = getArchivePath(relatedPath);
+            moveFile(relatedPath, relatedArchivePath);
+            relatedFiles.push({ originalPath: relatedPath, archivePath: relatedArchivePath });
+            console.log(`[Upgrader] Archived related file: ${relatedPath}`);
+        }
+    }
 
-        return new Promise((resolve, reject) => {
-            const ytDlp = spawn('yt-dlp', ytDlpArgs);
+    // Move the new file into the original's place
+    try {
+        fs.renameSync(downloadedPath, newPath);
+    } catch (error) {
+        moveFile(archivePath, originalPath);
+        for (const related of relatedFiles) {
+            moveFile(related.archivePath, related.originalPath);
+        }
+        removeEmptyArchiveFolders(path.dirname(archivePath));
+        throw error;
+    }
+    console.log(`[Upgrader] New path: ${newPath}`);
 
-            let stdout = '';
-            let stderr = '';
+    return {
+        newPath,
+        archivePath,
+        relatedFiles,
+        originalChecksum,
+        newChecksum: await hashFile(newPath)
+    };
+}
 
-            ytDlp.stdout.on('data', (data) => {
-                stdout += data.toString();
-            });
+/**
+ * Store the outcome of a verification in upgrades.db
+ */
+function recordVerification(originalPath, youtubeUrl, verification, reviewPath = null) {
+    const db = initUpgradeDatabase();
+    db.prepare(`
+        INSERT INTO upgrade_verifications (
+            track_key, original_path, youtube_url, passed, original_duration, new_duration,
+            fingerprint_similarity, metadata_ok, reasons, review_path
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        getTrackKey(originalPath),
+        originalPath,
+        youtubeUrl,
+        verification.passed ? 1 : 0,
+        verification.duration.original,
+        verification.duration.new,
+        verification.fingerprint?.similarity ?? null,
+        verification.metadata.ok ? 1 : 0,
+        JSON.stringify(verification.reasons),
+        reviewPath
+    );
+}
 
-            ytDlp.stderr.on('data', (data) => {
-                stderr += data.toString();
-            });
+/**
+ * Stored verification results, newest first
+ * @param {Object} options - { failedOnly: only downloads held for review, limit }
+ * @returns {Array} [{ id, originalPath, youtubeUrl, passed, originalDuration, newDuration,
+ *          fingerprintSimilarity, metadataOk, reasons, reviewPath, verifiedAt }]
+ */
+function getUpgradeVerifications({ failedOnly = false, limit = 100 } = {}) {
+    const db = initUpgradeDatabase();
+    const rows = db.prepare(`
+        SELECT * FROM upgrade_verifications
+        ${failedOnly ? 'WHERE passed = 0' : ''}
+        ORDER BY id DESC
+        LIMIT ?
+    `).all(limit);
+
+    return rows.map(row => ({
+        id: row.id,
+        originalPath: row.original_path,
+        youtubeUrl: row.youtube_url,
+        passed: row.passed === 1,
+        originalDuration: row.original_duration,
+        newDuration: row.new_duration,
+        fingerprintSimilarity: row.fingerprint_similarity,
+        metadataOk: row.metadata_ok === 1,
+        reasons: JSON.parse(row.reasons || '[]'),
+        reviewPath: row.review_path,
+        verifiedAt: row.verified_at
+    }));
+}
 
-            ytDlp.on('close', (code) => {
-                if (code === 0) {
-                    const lines = stdout.trim().split('\n').filter(line => line.length > 0);
-
-                    // Parse results - format is: title, id, duration (repeated in groups of 3)
-                    // Note: --get-id comes before --get-duration in output!
-                    const results = [];
-                    for (let i = 0; i + 2 < lines.length; i += 3) {
-                        const title = lines[i];
-                        const videoId = lines[i + 1]; // Video ID
-                        const duration = lines[i + 2]; // Format: MM:SS or HH:MM:SS
-
-                        // Parse duration to seconds
-                        const durationParts = duration.split(':').map(Number);
-                        let seconds = 0;
-                        if (durationParts.length === 3) {
-                            // HH:MM:SS
-                            seconds = durationParts[0] * 3600 + durationParts[1] * 60 + durationParts[2];
-                        } else if (durationParts.length === 2) {
-                            // MM:SS
-                            seconds = durationParts[0] * 60 + durationParts[1];
-                        }
+/**
+ * Format seconds as M:SS or H:MM:SS
+ */
+function formatDuration(seconds) {
+    const parts = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, Math.round(seconds % 60)];
+    if (parts[0] === 0) parts.shift();
+    return parts.map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0'))).join(':');
+}
 
-                        // Calculate quality score for ranking
-                        let score = 0;
+/**
+ * Score one search result against the Plex track, with the reasons
+ * @param {Object} result - { title, channel, durationSeconds }
+ * @param {Object} track - Plex track ({ title, duration in ms })
+ * @returns {Object} { score, eligible, durationDelta (seconds, null without a Plex length), reasons: [{ points, text }] }
+ */
+function scoreYouTubeCandidate(result, track) {
+    const reasons = [];
+    const lowerTitle = result.title.toLowerCase();
+    const lowerTrackTitle = (track.title || '').toLowerCase();
+
+    // Topic channels carry the YouTube Music release itself
+    if (/ - topic$/i.test(result.channel || '')) {
+        reasons.push({ points: 8, text: 'Auto-generated "- Topic" channel (YouTube Music release)' });
+    }
+    if (lowerTitle.includes('official audio')) {
+        reasons.push({ points: 5, text: '"Official Audio" in the title' });
+    }
 
-                        // Boost "Official Audio" in title
-                        if (title.toLowerCase().includes('official audio')) {
-                            score += 5;
-                        }
+    // Other versions, unless the Plex title is that version too
+    for (const keyword of VERSION_KEYWORDS) {
+        const pattern = new RegExp(`\\b${keyword}\\b`);
+        if (pattern.test(lowerTitle) && !pattern.test(lowerTrackTitle)) {
+            reasons.push({ points: -10, text: `Title says "${keyword}"` });
+        }
+    }
 
-                        // Penalize live versions, covers, remixes
-                        const lowerTitle = title.toLowerCase();
-                        if (lowerTitle.includes('live')) score -= 10;
-                        if (lowerTitle.includes('cover')) score -= 10;
-                        if (lowerTitle.includes('remix')) score -= 10;
-                        if (lowerTitle.includes('karaoke')) score -= 10;
+    const durationDelta = track.duration && result.durationSeconds ? Math.round(result.durationSeconds - track.duration / 1000) : null;
+    if (durationDelta !== null) {
+        const difference = Math.abs(durationDelta);
+        const signed = `${durationDelta > 0 ? '+' : ''}${durationDelta}s`;
+        if (difference <= 3) {
+            reasons.push({ points: 10, text: `Length matches the Plex track (${signed})` });
+        } else if (difference <= 10) {
+            reasons.push({ points: 3, text: `Length close to the Plex track (${signed})` });
+        } else if (difference > 30) {
+            reasons.push({ points: -10, text: `Length differs from the Plex track (${signed})` });
+        }
+    }
 
-                        results.push({ title, duration, durationSeconds: seconds, videoId, score });
-                    }
+    let eligible = true;
+    if (!result.durationSeconds) {
+        eligible = false;
+        reasons.push({ points: 0, text: 'Unknown length' });
+    } else if (result.durationSeconds > MAX_CANDIDATE_DURATION) {
+        eligible = false;
+        reasons.push({ points: 0, text: 'Longer than 15 minutes (mix or full album)' });
+    }
 
-                    // Filter out videos longer than 15 minutes (900 seconds)
-                    const filtered = results.filter(r => r.durationSeconds > 0 && r.durationSeconds <= 900);
-
-                    if (filtered.length > 0) {
-                        // Sort by score (highest first), then pick the best
-                        filtered.sort((a, b) => b.score - a.score);
-                        const best = filtered[0];
-                        const url = `https://www.youtube.com/watch?v=${best.videoId}`;
-
-                        console.log(`[Upgrader] Found ${filtered.length} results under 15 min`);
-                        console.log(`[Upgrader] Selected (score: ${best.score}): ${best.title}`);
-                        console.log(`[Upgrader] Duration: ${best.duration}`);
-                        console.log(`[Upgrader] URL: ${url}`);
-                        resolve({ url, title: best.title, videoId: best.videoId });
-                    } else if (results.length > 0) {
-                        // No results passed filter, warn and use first result anyway
-                        const best = results[0];
-                        const url = `https://www.youtube.com/watch?v=${best.videoId}`;
-                        console.log(`[Upgrader] WARNING: All results over 15 min! Using first: ${best.title} (${best.duration})`);
-                        resolve({ url, title: best.title, videoId: best.videoId });
-                    } else {
-                        resolve(null); // No results found
-                    }
-                } else {
-                    console.error('[Upgrader] yt-dlp search error:', stderr);
-                    reject(new Error(`yt-dlp search failed: ${stderr}`));
-                }
-            });
+    return {
+        score: reasons.reduce((sum, reason) => sum + reason.points, 0),
+        eligible,
+        durationDelta,
+        reasons
+    };
+}
+
+/**
+ * Search YouTube Music for a track and score every result
+ * Primary: Use Plex metadata
+ * Fallback: Use MusicBrainz-verified metadata
+ * @returns {Promise<Array>} [{ videoId, url, title, channel, duration, durationSeconds, durationDelta, score,
+ *          eligible, recommended, reasons: [{ points, text }] }], best first; the recommended one
+ *          is the best eligible result (none when every result is too long or of unknown length)
+ */
+async function searchYouTubeMusicCandidates(track, cookies, poToken, useMusicBrainz = false) {
+    // Build search query - simplified to avoid confusion from album names
+    // Strategy: Use artist + title only, without album name
+    let searchQuery;
+    if (useMusicBrainz && track.mbMetadata) {
+        // Use MusicBrainz-verified metadata
+        searchQuery = `${track.mbMetadata.artist} ${track.mbMetadata.title}`;
+    } else {
+        // Use Plex metadata
+        searchQuery = `${track.artist} ${track.title}`;
+    }
+
+    console.log(`[Upgrader] Searching YouTube Music: "${searchQuery}"`);
+
+    // Use simple search query (just artist + title) for better accuracy
+    // Adding keywords like "topic official audio" actually hurts results for obscure/Japanese artists
+    // The flat listing already has title, length and channel of every result
+    const ytDlpArgs = [
+        `ytsearch${SEARCH_RESULTS}:${searchQuery}`,
+        '--flat-playlist',
+        '--print', '%(.{id,title,duration,channel,uploader})j',
+        '--no-warnings',
+        '--extractor-args', 'youtube:player_client=tv_embedded'
+    ];
+
+    if (cookies) {
+        ytDlpArgs.push('--cookies', cookies);
+    }
+
+    // Don't use PO token - it requires CLIENT.CONTEXT+PO_TOKEN format which is complex to obtain
+    // The cookies should be sufficient for search authentication
+
+    const stdout = await new Promise((resolve, reject) => {
+        const ytDlp = spawn(YTDLP_BINARY, ytDlpArgs);
+        let output = '';
+        let stderr = '';
+
+        ytDlp.stdout.on('data', (data) => {
+            output += data.toString();
         });
 
+        ytDlp.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        ytDlp.on('close', (code) => {
+            if (code === 0) {
+                resolve(output);
+            } else {
+                console.error('[Upgrader] yt-dlp search error:', stderr);
+                reject(new Error(`yt-dlp search failed: ${stderr}`));
+            }
+        });
+
+        ytDlp.on('error', reject);
+    });
+
+    const candidates = [];
+    for (const line of stdout.split('\n')) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            continue;
+        }
+        if (!entry?.id) continue;
+
+        const durationSeconds = Math.round(entry.duration || 0);
+        const result = {
+            videoId: entry.id,
+            url: `https://www.youtube.com/watch?v=${entry.id}`,
+            title: entry.title || entry.id,
+            channel: entry.channel || entry.uploader || null,
+            duration: durationSeconds ? formatDuration(durationSeconds) : null,
+            durationSeconds
+        };
+        candidates.push({ ...result, ...scoreYouTubeCandidate(result, track), recommended: false });
+    }
+
+    // Highest score first; ties keep YouTube's order
+    candidates.sort((a, b) => b.score - a.score);
+    const best = candidates.find(candidate => candidate.eligible);
+    if (best) best.recommended = true;
+
+    return candidates;
+}
+
+/**
+ * Search YouTube Music for a track and pick the recommended result
+ * @returns {Promise<Object|null>} { url, title, videoId }, null when no result qualifies
+ */
+async function searchYouTubeMusicForTrack(track, cookies, poToken, useMusicBrainz = false) {
+    try {
+        const candidates = await searchYouTubeMusicCandidates(track, cookies, poToken, useMusicBrainz);
+        const best = candidates.find(candidate => candidate.recommended);
+
+        if (!best) {
+            if (candidates.length > 0) {
+                console.log(`[Upgrader] No usable result: all ${candidates.length} are over 15 min or of unknown length`);
+            }
+            return null;
+        }
+
+        console.log(`[Upgrader] Found ${candidates.filter(candidate => candidate.eligible).length} results under 15 min`);
+        console.log(`[Upgrader] Selected (score: ${best.score}): ${best.title}`);
+        console.log(`[Upgrader] Duration: ${best.duration}`);
+        console.log(`[Upgrader] URL: ${best.url}`);
+        return { url: best.url, title: best.title, videoId: best.videoId };
     } catch (error) {
         console.error('[Upgrader] Error searching YouTube Music:', error);
         throw error;
@@ -534,38 +852,39 @@ async function searchYouTubeMusicForTrack(track, cookies, poToken, useMusicBrain
 }
 
 /**
- * Download FLAC from YouTube Music and replace original file
+ * Download from YouTube Music in the selected output profile and replace original file
  */
-async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressCallback) {
+async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressCallback, profileId) {
     try {
+        const profile = getOutputProfile(profileId);
         const originalPath = track.filePath;
         const originalDir = path.dirname(originalPath);
         const originalExt = path.extname(originalPath);
         const originalBasename = path.basename(originalPath, originalExt);
-        const newPath = path.join(originalDir, originalBasename + '.flac');
 
-        console.log(`[Upgrader] Downloading FLAC for: ${track.artist} - ${track.title}`);
+        // Download next to the original under a temporary name: the new file may share
+        // the original's extension (e.g. AAC .m4a -> ALAC .m4a)
+        const downloadTemplate = path.join(originalDir, `${originalBasename}.upgrade.%(ext)s`);
+
+        console.log(`[Upgrader] Downloading ${profile.label} for: ${track.artist} - ${track.title}`);
         console.log(`[Upgrader] Original: ${originalPath}`);
-        console.log(`[Upgrader] New path: ${newPath}`);
 
         // Read metadata from original file BEFORE downloading
         // We'll preserve this metadata instead of using YouTube's metadata
         const originalMetadata = await parseFile(originalPath);
         console.log(`[Upgrader] Preserving original metadata: ${track.artist} - ${track.title} (${track.album})`);
 
-        // yt-dlp arguments for FLAC download (NO metadata embedding from YouTube)
+        // yt-dlp arguments for the profile download (NO metadata embedding from YouTube)
         const ytDlpArgs = [
             youtubeUrl,
-            '--extract-audio',  // Extract audio and convert to specified format
-            '--format', 'bestaudio',
-            '--audio-format', 'flac',
-            '--audio-quality', '0',
-            '--output', newPath, // Direct path with .flac extension
+            ...profile.ytdlpArgs,
+            '--output', downloadTemplate,
             '--no-playlist',
             '--extractor-args', 'youtube:player_client=tv_embedded',
             '--no-embed-thumbnail', // Skip thumbnail embedding
             '--prefer-ffmpeg', // Prefer FFmpeg for conversion
-            '--no-post-overwrites' // Don't overwrite metadata
+            '--no-post-overwrites', // Don't overwrite metadata
+            ...STRUCTURED_OUTPUT_ARGS // JSON progress and final file path
         ];
 
         if (cookies) {
@@ -579,86 +898,108 @@ async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressC
         // }
 
         return new Promise((resolve, reject) => {
-            const ytDlp = spawn('yt-dlp', ytDlpArgs);
+            const ytDlp = spawn(YTDLP_BINARY, ytDlpArgs);
             let stderrOutput = '';
+            let downloadedPath = null;
 
-            ytDlp.stdout.on('data', (data) => {
-                const output = data.toString();
-                console.log('[yt-dlp]', output);
+            const handleLine = (line) => {
+                const event = parseYtDlpLine(line);
+                if (!event) return;
 
-                if (progressCallback) {
-                    // Parse download progress
-                    const progressMatch = output.match(/(\d+\.?\d*)%/);
-                    if (progressMatch) {
+                if (event.type === 'done') {
+                    downloadedPath = event.info.filepath;
+                } else if (event.type === 'progress' && progressCallback) {
+                    const percent = getDownloadPercent(event.progress);
+                    if (percent !== null) {
                         progressCallback({
                             status: `Downloading: ${track.title}`,
-                            progress: parseFloat(progressMatch[1]),
+                            progress: percent,
                             track: track.title
                         });
                     }
+                } else if (event.type === 'log' || event.type === 'warning' || event.type === 'error') {
+                    console.log('[yt-dlp]', event.message);
                 }
-            });
+            };
 
-            ytDlp.stderr.on('data', (data) => {
-                const output = data.toString();
-                stderrOutput += output;
-                console.log('[yt-dlp stderr]', output);
-
-                if (progressCallback) {
-                    const progressMatch = output.match(/(\d+\.?\d*)%/);
-                    if (progressMatch) {
-                        progressCallback({
-                            status: `Downloading: ${track.title}`,
-                            progress: parseFloat(progressMatch[1]),
-                            track: track.title
-                        });
-                    }
-                }
+            const stdoutSplitter = createLineSplitter(handleLine);
+            const stderrSplitter = createLineSplitter((line) => {
+                stderrOutput += line + '\n';
+                handleLine(line);
             });
 
+            ytDlp.stdout.on('data', (data) => stdoutSplitter.push(data));
+            ytDlp.stderr.on('data', (data) => stderrSplitter.push(data));
+
             ytDlp.on('close', async (code) => {
+                stdoutSplitter.flush();
+                stderrSplitter.flush();
+
                 if (code === 0) {
                     try {
-                        // Verify FLAC file was created
-                        if (!fs.existsSync(newPath)) {
-                            throw new Error(`FLAC file not created: ${newPath}`);
+                        // Verify the new file was created
+                        if (!downloadedPath || !fs.existsSync(downloadedPath)) {
+                            throw new Error(`${profile.label} file not created for: ${originalPath}`);
                         }
 
-                        // Read metadata from downloaded FLAC file
-                        const newMetadata = await parseFile(newPath);
-                        const newBitrate = newMetadata.format.bitrate ? Math.round(newMetadata.format.bitrate / 1000) : 1411;
+                        // Read metadata from downloaded file
+                        const newMetadata = await parseFile(downloadedPath);
+                        const newBitrate = newMetadata.format.bitrate ? Math.round(newMetadata.format.bitrate / 1000) : profile.targetQuality.bitrate;
 
-                        // Verify it's actually FLAC format
-                        if (newMetadata.format.container !== 'FLAC') {
-                            throw new Error(`Downloaded file is not FLAC format: ${newMetadata.format.container}`);
+                        // Verify it's actually in the profile's format
+                        if (!formatMatchesProfile(profile, newMetadata.format)) {
+                            fs.unlinkSync(downloadedPath);
+                            throw new Error(`Downloaded file is not ${profile.label}: ${newMetadata.format.container}/${newMetadata.format.codec}`);
                         }
 
-                        console.log(`[Upgrader] Successfully downloaded FLAC: ${newPath}`);
+                        console.log(`[Upgrader] Successfully downloaded ${profile.label}: ${downloadedPath}`);
 
-                        // Copy metadata from original file to new FLAC using FFmpeg
+                        // Copy metadata from original file to the new file using FFmpeg
                         console.log(`[Upgrader] Copying metadata from original file...`);
-                        await copyMetadata(originalPath, newPath, originalMetadata);
-                        console.log(`[Upgrader] Metadata copied successfully`);
-
-                        // Delete original file and any related files (PNG, WebP, etc.)
-                        if (fs.existsSync(originalPath) && originalPath !== newPath) {
-                            fs.unlinkSync(originalPath);
-                            console.log(`[Upgrader] Deleted original file: ${originalPath}`);
+                        let metadataError = null;
+                        try {
+                            await copyMetadata(originalPath, downloadedPath, originalMetadata);
+                        } catch (error) {
+                            metadataError = error.message;
                         }
 
-                        // Clean up other files with the same basename (images and temp audio files)
-                        const baseName = originalBasename;
-                        const directory = originalDir;
-                        const relatedExtensions = ['.png', '.webp', '.jpg', '.jpeg', '.webm', '.opus', '.m4a', '.part'];
-
-                        for (const ext of relatedExtensions) {
-                            const relatedPath = path.join(directory, baseName + ext);
-                            if (fs.existsSync(relatedPath)) {
-                                fs.unlinkSync(relatedPath);
-                                console.log(`[Upgrader] Deleted related file: ${relatedPath}`);
+                        // Verification gate: the original is only replaced by the same recording with its tags
+                        const verification = await verifyUpgrade(originalPath, downloadedPath, { originalMetadata, metadataError });
+                        if (!verification.passed) {
+                            const reviewPath = holdForReview(downloadedPath);
+                            recordVerification(originalPath, youtubeUrl, verification, reviewPath);
+
+                            const message = `Verification failed: ${verification.reasons.join('; ')}. Kept the original, the download is in ${reviewPath}`;
+                            console.log(`[Upgrader] ${message}`);
+
+                            if (progressCallback) {
+                                progressCallback({
+                                    status: 'Verification failed',
+                                    error: message,
+                                    completed: true,
+                                    success: false,
+                                    verification,
+                                    reviewPath
+                                });
                             }
+
+                            resolve({
+                                success: false,
+                                originalPath,
+                                reviewPath,
+                                verification,
+                                profile: profile.id
+                            });
+                            return;
                         }
 
+                        recordVerification(originalPath, youtubeUrl, verification);
+                        console.log(`[Upgrader] Verification passed${verification.fingerprint ? ` (fingerprint similarity ${verification.fingerprint.similarity})` : ''}`);
+
+                        // The original goes to the archive so the upgrade can be reverted
+                        const replacement = await replaceOriginal(originalPath, downloadedPath);
+                        const newPath = replacement.newPath;
+
                         // Record upgrade in database
                         const db = initUpgradeDatabase();
                         const trackKey = getTrackKey(originalPath);
@@ -666,8 +1007,9 @@ async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressC
                             INSERT OR REPLACE INTO upgrades (
                                 file_path, track_key, original_codec, original_bitrate,
                                 new_codec, new_bitrate, plex_rating, youtube_url,
-                                plex_metadata
-                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                                plex_metadata, original_path, archive_path, related_files,
+                                original_checksum, new_checksum
+                            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                         `);
 
                         stmt.run(
@@ -675,14 +1017,20 @@ async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressC
                             trackKey,
                             track.currentQuality.codec,
                             track.currentQuality.bitrate,
-                            'FLAC',
+                            newMetadata.format.codec || profile.label,
                             newBitrate,
                             track.userRating,
                             youtubeUrl,
-                            JSON.stringify({ artist: track.artist, album: track.album, title: track.title })
+                            JSON.stringify({ artist: track.artist, album: track.album, title: track.title, profile: profile.id }),
+                            originalPath,
+                            replacement.archivePath,
+                            JSON.stringify(replacement.relatedFiles),
+                            replacement.originalChecksum,
+                            replacement.newChecksum
                         );
 
                         console.log(`[Upgrader] Successfully upgraded: ${newPath}`);
+                        purgeExpiredArchives();
 
                         if (progressCallback) {
                             progressCallback({
@@ -698,13 +1046,21 @@ async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressC
                             success: true,
                             originalPath,
                             newPath,
-                            newBitrate
+                            newBitrate,
+                            archivePath: replacement.archivePath,
+                            verification,
+                            profile: profile.id
                         });
                     } catch (error) {
                         console.error('[Upgrader] Error processing downloaded file:', error);
                         reject(error);
                     }
                 } else {
+                    // Clean up a partial download, the original stays untouched
+                    if (downloadedPath && fs.existsSync(downloadedPath)) {
+                        fs.unlinkSync(downloadedPath);
+                    }
+
                     // Extract last few lines of stderr for more helpful error message
                     const errorLines = stderrOutput.trim().split('\n').slice(-3).join(' | ');
                     const errorMsg = errorLines || `yt-dlp download failed with code ${code}`;
@@ -732,6 +1088,161 @@ async function downloadAndReplace(track, youtubeUrl, cookies, poToken, progressC
     }
 }
 
+/**
+ * Format an upgrades row for the API
+ */
+function formatUpgrade(row) {
+    return {
+        id: row.id,
+        filePath: row.file_path,
+        originalPath: row.original_path,
+        originalCodec: row.original_codec,
+        originalBitrate: row.original_bitrate,
+        newCodec: row.new_codec,
+        newBitrate: row.new_bitrate,
+        youtubeUrl: row.youtube_url,
+        metadata: JSON.parse(row.plex_metadata || '{}'),
+        archivePath: row.archive_path,
+        originalChecksum: row.original_checksum,
+        newChecksum: row.new_checksum,
+        upgradedAt: row.upgraded_at,
+        revertedAt: row.reverted_at,
+        revertible: Boolean(row.archive_path) && !row.reverted_at
+    };
+}
+
+/**
+ * Upgrades, newest first
+ * @param {Object} options - { limit }
+ * @returns {Array} [{ id, filePath, originalPath, originalCodec, originalBitrate, newCodec, newBitrate, youtubeUrl,
+ *          metadata, archivePath, originalChecksum, newChecksum, upgradedAt, revertedAt, revertible }]
+ */
+function getUpgradeHistory({ limit = 100 } = {}) {
+    const db = initUpgradeDatabase();
+    return db.prepare('SELECT * FROM upgrades ORDER BY id DESC LIMIT ?').all(limit).map(formatUpgrade);
+}
+
+/**
+ * A single upgrade
+ * @param {number} upgradeId - Row of the upgrades table
+ * @returns {Object|null} Formatted row like getUpgradeHistory, null if there is none
+ */
+function getUpgrade(upgradeId) {
+    const db = initUpgradeDatabase();
+    const row = db.prepare('SELECT * FROM upgrades WHERE id = ?').get(upgradeId);
+    return row ? formatUpgrade(row) : null;
+}
+
+/**
+ * Revert an upgrade: restore the archived original (checked against its checksum) and
+ * delete the replacement. The upgrade stays recorded as reverted, so the track isn't
+ * offered for an upgrade again.
+ * @param {number} upgradeId - Row of the upgrades table
+ * @returns {Promise<Object>} { upgrade (formatted row), restoredPath, removedPath, replacementModified }
+ */
+async function revertUpgrade(upgradeId) {
+    const db = initUpgradeDatabase();
+    const row = db.prepare('SELECT * FROM upgrades WHERE id = ?').get(upgradeId);
+
+    if (!row) {
+        throw new Error(`Upgrade ${upgradeId} not found`);
+    }
+    if (row.reverted_at) {
+        throw new Error(`Upgrade ${upgradeId} was already reverted`);
+    }
+    if (!row.archive_path) {
+        throw new Error(`No archived original for upgrade ${upgradeId} (upgraded before archiving, or the archive expired)`);
+    }
+    if (!fs.existsSync(row.archive_path)) {
+        throw new Error(`Archived original is missing: ${row.archive_path}`);
+    }
+    if (await hashFile(row.archive_path) !== row.original_checksum) {
+        throw new Error(`Archived original does not match its checksum: ${row.archive_path}`);
+    }
+    // Something new at the original's path (other than the replacement itself) is left alone
+    if (row.original_path !== row.file_path && fs.existsSync(row.original_path)) {
+        throw new Error(`A file already exists at the original path: ${row.original_path}`);
+    }
+
+    // Tag edits after the upgrade (e.g. ReplayGain) change the checksum; the file is still the replacement
+    let replacementModified = false;
+    let replacementPath = null;
+    if (fs.existsSync(row.file_path)) {
+        replacementModified = await hashFile(row.file_path) !== row.new_checksum;
+        replacementPath = row.file_path;
+        if (row.original_path === row.file_path) {
+            // Same name as the original: set it aside until the original is back
+            replacementPath = `${row.file_path}.reverting`;
+            fs.renameSync(row.file_path, replacementPath);
+        }
+    }
+
+    // The replacement is only deleted once the original is back in place
+    try {
+        moveFile(row.archive_path, row.original_path);
+    } catch (error) {
+        if (replacementPath && replacementPath !== row.file_path) {
+            fs.renameSync(replacementPath, row.file_path);
+        }
+        throw error;
+    }
+    console.log(`[Upgrader] Restored original: ${row.original_path}`);
+
+    if (replacementPath) {
+        fs.unlinkSync(replacementPath);
+        console.log(`[Upgrader] Deleted replacement: ${row.file_path}`);
+    }
+
+    for (const related of JSON.parse(row.related_files || '[]')) {
+        if (fs.existsSync(related.archivePath) && !fs.existsSync(related.originalPath)) {
+            moveFile(related.archivePath, related.originalPath);
+            removeEmptyArchiveFolders(path.dirname(related.archivePath));
+        }
+    }
+    removeEmptyArchiveFolders(path.dirname(row.archive_path));
+
+    db.prepare(`
+        UPDATE upgrades SET archive_path = NULL, related_files = NULL, reverted_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(upgradeId);
+
+    return {
+        upgrade: formatUpgrade(db.prepare('SELECT * FROM upgrades WHERE id = ?').get(upgradeId)),
+        restoredPath: row.original_path,
+        removedPath: row.file_path,
+        replacementModified
+    };
+}
+
+/**
+ * Delete archived originals older than ARCHIVE_RETENTION_DAYS; their upgrades can't be reverted afterwards
+ * @returns {number} Number of upgrades whose archive was deleted
+ */
+function purgeExpiredArchives() {
+    if (!(ARCHIVE_RETENTION_DAYS > 0)) return 0;
+
+    const db = initUpgradeDatabase();
+    const expired = db.prepare(`
+        SELECT id, archive_path, related_files FROM upgrades
+        WHERE archive_path IS NOT NULL AND reverted_at IS NULL
+          AND upgraded_at < datetime('now', ?)
+    `).all(`-${ARCHIVE_RETENTION_DAYS} days`);
+
+    const clear = db.prepare('UPDATE upgrades SET archive_path = NULL, related_files = NULL WHERE id = ?');
+    for (const row of expired) {
+        const archived = [row.archive_path, ...JSON.parse(row.related_files || '[]').map(related => related.archivePath)];
+        for (const archivePath of archived) {
+            fs.rmSync(archivePath, { force: true });
+            removeEmptyArchiveFolders(path.dirname(archivePath));
+        }
+        clear.run(row.id);
+    }
+
+    if (expired.length > 0) {
+        console.log(`[Upgrader] Deleted ${expired.length} archived original(s) older than ${ARCHIVE_RETENTION_DAYS} days`);
+    }
+    return expired.length;
+}
+
 /**
  * Get upgrade statistics
  */
@@ -750,9 +1261,17 @@ function getUpgradeStats() {
     const recentResult = recentStmt.get();
     const recentUpgrades = recentResult.count;
 
+    const heldForReview = db.prepare('SELECT COUNT(*) as count FROM upgrade_verifications WHERE passed = 0').get().count;
+    const archived = db.prepare('SELECT COUNT(*) as count FROM upgrades WHERE archive_path IS NOT NULL').get().count;
+    const reverted = db.prepare('SELECT COUNT(*) as count FROM upgrades WHERE reverted_at IS NOT NULL').get().count;
+
     return {
         totalUpgrades,
-        recentUpgrades
+        recentUpgrades,
+        heldForReview,
+        archived,
+        reverted,
+        archiveRetentionDays: ARCHIVE_RETENTION_DAYS
     };
 }
 
@@ -761,7 +1280,15 @@ export {
     detectLowQuality,
     isAlreadyUpgraded,
     searchYouTubeMusicForTrack,
+    searchYouTubeMusicCandidates,
     downloadAndReplace,
+    verifyUpgrade,
+    getUpgradeVerifications,
+    replaceOriginal,
+    getUpgradeHistory,
+    getUpgrade,
+    revertUpgrade,
+    purgeExpiredArchives,
     calculateQualityScore,
     getUpgradeStats,
     initUpgradeDatabase
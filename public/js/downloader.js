@@ -4,6 +4,12 @@
 
 // Module state
 let currentDownloadId = null;
+let currentStreamController = null;
+let queueRefreshTimer = null;
+let outputProfiles = [];
+
+const ACTIVE_JOB_KEY = 'activeDownloadJobId';
+const QUEUE_REFRESH_INTERVAL = 5000;
 
 // DOM elements
 const downloaderElements = {
@@ -21,10 +27,15 @@ const downloaderElements = {
     currentArtistEl: null,
     currentAlbumEl: null,
     currentTitleEl: null,
+    currentUploaderEl: null,
+    currentTrackMetaEl: null,
+    fileProgressDetailsEl: null,
     formatBadgeEl: null,
     fileProgressBarEl: null,
     errorsPanelEl: null,
-    errorListEl: null
+    errorListEl: null,
+    queueListEl: null,
+    concurrencyInput: null
 };
 
 /**
@@ -46,10 +57,15 @@ function initDownloader() {
     downloaderElements.currentArtistEl = document.getElementById('currentArtist');
     downloaderElements.currentAlbumEl = document.getElementById('currentAlbum');
     downloaderElements.currentTitleEl = document.getElementById('currentTitle');
+    downloaderElements.currentUploaderEl = document.getElementById('currentUploader');
+    downloaderElements.currentTrackMetaEl = document.getElementById('currentTrackMeta');
+    downloaderElements.fileProgressDetailsEl = document.getElementById('fileProgressDetails');
     downloaderElements.formatBadgeEl = document.getElementById('formatBadge');
     downloaderElements.fileProgressBarEl = document.getElementById('fileProgressBar');
     downloaderElements.errorsPanelEl = document.getElementById('errorsPanel');
     downloaderElements.errorListEl = document.getElementById('errorList');
+    downloaderElements.queueListEl = document.getElementById('downloadQueueList');
+    downloaderElements.concurrencyInput = document.getElementById('downloadConcurrency');
 
     // Load saved settings
     loadSavedSettings();
@@ -57,6 +73,17 @@ function initDownloader() {
     // Setup event listeners
     downloaderElements.form.addEventListener('submit', handleDownloadSubmit);
     downloaderElements.cancelBtn.addEventListener('click', handleCancelDownload);
+    downloaderElements.concurrencyInput.addEventListener('change', handleConcurrencyChange);
+    document.getElementById('outputProfile').addEventListener('change', showSelectedProfile);
+    document.getElementById('saveProfileTemplateBtn').addEventListener('click', handleSaveProfileTemplate);
+    document.getElementById('pipelineEnabled').addEventListener('change', togglePipelineSettings);
+
+    loadOutputProfiles();
+
+    // Reattach to a job that was running before the page was reloaded
+    restoreActiveJob();
+    loadQueue();
+    loadReviewQueue();
 
     // Show the module
     const module = document.getElementById('module-downloader');
@@ -73,6 +100,11 @@ function loadSavedSettings() {
     const savedOutputPath = localStorage.getItem('outputPath');
     const savedCookiesPath = localStorage.getItem('cookiesPath');
     const savedPoToken = localStorage.getItem('poToken');
+    const savedRemovedAction = localStorage.getItem('removedAction');
+    const savedOutputProfile = localStorage.getItem('outputProfile');
+    const savedOutputLayout = localStorage.getItem('outputLayout');
+    const savedLiveLibraryPath = localStorage.getItem('liveLibraryPath');
+    const savedPlexLibraryId = localStorage.getItem('plexLibraryId');
 
     if (savedPlaylistUrl) {
         document.getElementById('playlistUrl').value = savedPlaylistUrl;
@@ -86,6 +118,23 @@ function loadSavedSettings() {
     if (savedPoToken) {
         document.getElementById('poToken').value = savedPoToken;
     }
+    if (savedRemovedAction) {
+        document.getElementById('removedAction').value = savedRemovedAction;
+    }
+    if (savedOutputProfile) {
+        document.getElementById('outputProfile').value = savedOutputProfile;
+    }
+    if (savedOutputLayout) {
+        document.getElementById('outputLayout').value = savedOutputLayout;
+    }
+    if (savedLiveLibraryPath) {
+        document.getElementById('pipelineLiveLibraryPath').value = savedLiveLibraryPath;
+    }
+    if (savedPlexLibraryId) {
+        document.getElementById('pipelinePlexLibraryId').value = savedPlexLibraryId;
+    }
+    document.getElementById('pipelineEnabled').checked = localStorage.getItem('pipelineEnabled') === 'true';
+    togglePipelineSettings();
 }
 
 /**
@@ -96,6 +145,24 @@ function saveSettings(playlistUrl, outputPath, cookiesPath, poToken) {
     localStorage.setItem('outputPath', outputPath);
     localStorage.setItem('cookiesPath', cookiesPath || '');
     localStorage.setItem('poToken', poToken || '');
+    localStorage.setItem('removedAction', document.getElementById('removedAction').value);
+    localStorage.setItem('outputProfile', document.getElementById('outputProfile').value);
+    localStorage.setItem('outputLayout', document.getElementById('outputLayout').value);
+    localStorage.setItem('pipelineEnabled', document.getElementById('pipelineEnabled').checked ? 'true' : 'false');
+
+    if (document.getElementById('pipelineEnabled').checked) {
+        // Shared with the Organizer's live library step
+        localStorage.setItem('liveLibraryPath', document.getElementById('pipelineLiveLibraryPath').value.trim());
+        localStorage.setItem('plexLibraryId', document.getElementById('pipelinePlexLibraryId').value.trim());
+    }
+}
+
+/**
+ * Show the pipeline settings when the pipeline is enabled
+ */
+function togglePipelineSettings() {
+    document.getElementById('pipelineSettings').style.display =
+        document.getElementById('pipelineEnabled').checked ? 'block' : 'none';
 }
 
 /**
@@ -148,6 +215,23 @@ function updateDashboard(data) {
         if (data.currentTrackInfo.title) {
             downloaderElements.currentTitleEl.textContent = data.currentTrackInfo.title;
         }
+        downloaderElements.currentUploaderEl.textContent = data.currentTrackInfo.uploader || '--';
+
+        const meta = [];
+        if (data.currentTrackInfo.videoId) meta.push(data.currentTrackInfo.videoId);
+        if (data.currentTrackInfo.duration) meta.push(formatDuration(data.currentTrackInfo.duration));
+        downloaderElements.currentTrackMetaEl.textContent = meta.join(' · ');
+    }
+
+    // Update file transfer details
+    if (data.downloadedBytes !== undefined) {
+        const details = [];
+        details.push(data.totalBytes
+            ? `${formatBytes(data.downloadedBytes)} / ${formatBytes(data.totalBytes)}`
+            : formatBytes(data.downloadedBytes));
+        if (data.speed) details.push(`${formatBytes(data.speed)}/s`);
+        if (data.eta !== null && data.eta !== undefined) details.push(`ETA ${formatDuration(data.eta)}`);
+        downloaderElements.fileProgressDetailsEl.textContent = details.join(' · ');
     }
 
     // Update format badge
@@ -172,6 +256,24 @@ function updateDashboard(data) {
     }
 }
 
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function formatDuration(seconds) {
+    const total = Math.round(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
 /**
  * Update error list display
  */
@@ -231,6 +333,492 @@ async function handleCancelDownload() {
     }
 }
 
+/**
+ * Reset the progress view before showing a job
+ */
+function resetProgressView() {
+    downloaderElements.progressContainer.style.display = 'block';
+    downloaderElements.logContainer.innerHTML = '';
+    downloaderElements.totalTracksEl.textContent = '--';
+    downloaderElements.completedTracksEl.textContent = '0';
+    downloaderElements.remainingTracksEl.textContent = '--';
+    downloaderElements.failedTracksEl.textContent = '0';
+    downloaderElements.errorsPanelEl.classList.remove('has-errors');
+    downloaderElements.errorListEl.innerHTML = '';
+    updateProgress(0, 'Initializing...');
+}
+
+/**
+ * Toggle the cancel button for the job currently shown
+ */
+function setDownloadActive(active) {
+    downloaderElements.cancelBtn.style.display = active ? 'block' : 'none';
+    downloaderElements.cancelBtn.disabled = !active;
+}
+
+/**
+ * Handle a single progress event from the job stream
+ */
+function handleProgressEvent(data) {
+    // Store download ID
+    if (data.downloadId && !currentDownloadId) {
+        currentDownloadId = data.downloadId;
+        addLog(`Download ID: ${currentDownloadId}`, 'debug');
+    }
+
+    // Update dashboard with new data
+    updateDashboard(data);
+
+    // Log raw data for debugging
+    if (data.debug) {
+        addLog(data.debug, 'debug');
+    }
+
+    if (data.status) {
+        addLog(data.status, 'info');
+    }
+
+    if (data.error) {
+        addLog(data.error, 'error');
+    }
+
+    if (data.warning) {
+        addLog(data.warning, 'warning');
+    }
+
+    if (data.rawOutput) {
+        addLog(data.rawOutput, 'debug');
+    }
+
+    if (data.completed) {
+        setDownloadActive(false);
+        currentDownloadId = null;
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+
+        if (data.cancelled) {
+            addLog('Download was cancelled', 'warning');
+        } else if (data.progress === 100) {
+            addLog(`Download completed! ${data.downloadedCount || 0} track(s) processed.`, 'success');
+        }
+
+        if (data.pipeline) {
+            loadReviewQueue();
+        }
+
+        loadQueue();
+    }
+}
+
+/**
+ * Attach to a job's progress stream
+ */
+async function attachToJob(jobId) {
+    // Only one stream at a time
+    if (currentStreamController) {
+        currentStreamController.abort();
+    }
+    currentStreamController = new AbortController();
+
+    resetProgressView();
+    currentDownloadId = jobId;
+    localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+    setDownloadActive(true);
+    addLog(`Attached to download job ${jobId}`, 'debug');
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/downloads/${jobId}/events`, {
+            signal: currentStreamController.signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Job ${jobId} not found`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (line.startsWith('data: ')) {
+                    handleProgressEvent(JSON.parse(line.slice(6)));
+                }
+            }
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+
+        addLog(`Error: ${error.message}`, 'error');
+        setDownloadActive(false);
+        currentDownloadId = null;
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+    }
+}
+
+/**
+ * Reattach to the job that was being watched before a page reload
+ */
+async function restoreActiveJob() {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return;
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/downloads/${jobId}`);
+        const result = await response.json();
+
+        if (result.success && (result.job.status === 'running' || result.job.status === 'queued')) {
+            attachToJob(result.job.id);
+        } else {
+            localStorage.removeItem(ACTIVE_JOB_KEY);
+        }
+    } catch (error) {
+        console.error('Failed to restore download job:', error);
+    }
+}
+
+/**
+ * Load the download queue and schedule a refresh while jobs are active
+ */
+async function loadQueue() {
+    clearTimeout(queueRefreshTimer);
+
+    try {
+        const response = await fetch('http://localhost:3000/api/downloads');
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        downloaderElements.concurrencyInput.value = result.concurrency;
+        renderQueue(result.jobs);
+
+        if (result.jobs.some(job => job.status === 'running' || job.status === 'queued')) {
+            queueRefreshTimer = setTimeout(loadQueue, QUEUE_REFRESH_INTERVAL);
+        }
+    } catch (error) {
+        console.error('Failed to load download queue:', error);
+    }
+}
+
+/**
+ * Render the download queue list
+ */
+function renderQueue(jobs) {
+    const listEl = downloaderElements.queueListEl;
+
+    if (jobs.length === 0) {
+        listEl.innerHTML = '<div class="queue-empty">No download jobs yet</div>';
+        return;
+    }
+
+    listEl.innerHTML = jobs.map((job, index) => {
+        const progress = job.progress || {};
+        const counts = progress.totalTracks
+            ? `${progress.completedTracks || 0}/${progress.totalTracks}`
+            : `${progress.completedTracks || 0}`;
+        const canPause = job.status === 'running' || job.status === 'queued';
+
+        return `
+            <div class="queue-item status-${job.status}">
+                <div class="queue-item-info">
+                    <span class="queue-status-badge">${job.status}</span>
+                    <span class="queue-profile">${escapeQueueHtml((job.options?.profile || 'flac').toUpperCase())}</span>
+                    <span class="queue-url" title="${escapeQueueHtml(job.playlistUrl)}">${escapeQueueHtml(job.playlistUrl)}</span>
+                    <span class="queue-counts">${counts} tracks${progress.failedCount ? `, ${progress.failedCount} failed` : ''}</span>
+                    ${job.error ? `<div class="queue-error">${escapeQueueHtml(job.error)}</div>` : ''}
+                </div>
+                <div class="queue-item-actions">
+                    <button type="button" onclick="moveQueueJob(${job.id}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                    <button type="button" onclick="moveQueueJob(${job.id}, 1)" ${index === jobs.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                    <button type="button" onclick="attachToJob(${job.id})">View</button>
+                    <button type="button" onclick="showJobManifest(${job.id})">Tracks</button>
+                    ${canPause ? `<button type="button" onclick="handleQueueAction('pause', ${job.id})">Pause</button>` : ''}
+                    ${job.status === 'paused' ? `<button type="button" onclick="handleQueueAction('resume', ${job.id})">Resume</button>` : ''}
+                    ${job.status === 'failed' || job.status === 'completed' ? `<button type="button" onclick="handleQueueAction('retry', ${job.id})">Retry</button>` : ''}
+                    <button type="button" class="button-cancel" onclick="handleQueueAction('delete', ${job.id})">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    // Remember the order for move up/down
+    listEl.dataset.order = JSON.stringify(jobs.map(job => job.id));
+}
+
+/**
+ * Show the per-track manifest of a job's playlist
+ */
+async function showJobManifest(jobId) {
+    const manifestEl = document.getElementById('downloadManifest');
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/downloads/${jobId}/manifest`);
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const summary = Object.entries(result.summary)
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${status}`)
+            .join(' · ');
+
+        const rows = result.entries.map(entry => `
+            <tr class="manifest-${entry.status}">
+                <td><code>${escapeQueueHtml(entry.videoId)}</code></td>
+                <td>${entry.status}</td>
+                <td>${escapeQueueHtml(entry.title || '')}</td>
+                <td title="${escapeQueueHtml(entry.errorMessage || entry.outputPath || '')}">${escapeQueueHtml(entry.errorType || (entry.outputPath ? entry.outputPath.split('/').pop() : ''))}</td>
+                <td>${entry.updatedAt}</td>
+            </tr>
+        `).join('');
+
+        manifestEl.innerHTML = `
+            <div class="download-manifest-header">
+                <strong>Playlist ${escapeQueueHtml(result.playlistId)}</strong>
+                <span>${summary || 'No tracks recorded yet'}</span>
+                <button type="button" onclick="document.getElementById('downloadManifest').style.display = 'none'">Close</button>
+            </div>
+            <table class="manifest-table">
+                <thead><tr><th>Video ID</th><th>Status</th><th>Title</th><th>File / Error</th><th>Updated</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        manifestEl.style.display = 'block';
+    } catch (error) {
+        alert(`Failed to load manifest: ${error.message}`);
+    }
+}
+
+function escapeQueueHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+/**
+ * Run a queue action (pause, resume, retry, delete) for a job
+ */
+async function handleQueueAction(action, jobId) {
+    if (action === 'delete' && !confirm('Remove this job from the queue?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(
+            action === 'delete'
+                ? `http://localhost:3000/api/downloads/${jobId}`
+                : `http://localhost:3000/api/downloads/${jobId}/${action}`,
+            { method: action === 'delete' ? 'DELETE' : 'POST' }
+        );
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if ((action === 'retry' || action === 'resume') && !currentDownloadId) {
+            attachToJob(jobId);
+        }
+    } catch (error) {
+        alert(`Failed to ${action} job: ${error.message}`);
+    }
+
+    loadQueue();
+}
+
+/**
+ * Load files the post-download pipeline parked for review
+ */
+async function loadReviewQueue() {
+    try {
+        const response = await fetch('http://localhost:3000/api/pipeline/review?status=pending');
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        renderReviewQueue(result.items);
+    } catch (error) {
+        console.error('Failed to load review queue:', error);
+    }
+}
+
+/**
+ * Render the review queue list
+ */
+function renderReviewQueue(items) {
+    const sectionEl = document.getElementById('pipelineReviewSection');
+    const listEl = document.getElementById('pipelineReviewList');
+
+    sectionEl.style.display = items.length > 0 ? 'block' : 'none';
+
+    listEl.innerHTML = items.map(item => {
+        const match = item.matchResult?.mbMatch;
+        const original = item.matchResult?.originalMetadata || {};
+        const proposal = match
+            ? `${match.artist} - ${match.title}${match.releases?.[0] ? ` (${match.releases[0].title})` : ''}`
+            : 'No MusicBrainz match, match it in the organizer or dismiss it';
+
+        return `
+            <div class="queue-item">
+                <div class="queue-item-info">
+                    <span class="queue-status-badge">${escapeQueueHtml(item.category)} ${item.confidence}%</span>
+                    <span class="queue-url" title="${escapeQueueHtml(item.filePath)}">${escapeQueueHtml(`${original.artist || ''} - ${original.title || ''}`)}</span>
+                    <div class="queue-counts">→ ${escapeQueueHtml(proposal)}</div>
+                    ${item.reason ? `<div class="queue-error">${escapeQueueHtml(item.reason)}</div>` : ''}
+                </div>
+                <div class="queue-item-actions">
+                    ${item.approvable ? `<button type="button" onclick="handleReviewAction('approve', ${item.id})">Approve</button>` : ''}
+                    <button type="button" class="button-cancel" onclick="handleReviewAction('dismiss', ${item.id})">Dismiss</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Approve or dismiss a review queue item
+ */
+async function handleReviewAction(action, itemId) {
+    try {
+        const response = await fetch(`http://localhost:3000/api/pipeline/review/${itemId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                serverIp: localStorage.getItem('plexServerIp'),
+                port: localStorage.getItem('plexPort'),
+                token: localStorage.getItem('plexToken'),
+                libraryId: localStorage.getItem('plexLibraryId')
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if (action === 'approve') {
+            addLog(result.status === 'approved'
+                ? `Moved to ${result.placed[0].finalPath}`
+                : `Not moved: ${result.skipped[0]?.reason || 'already in the library'}`, result.status === 'approved' ? 'success' : 'warning');
+        }
+    } catch (error) {
+        alert(`Failed to ${action} item: ${error.message}`);
+    }
+
+    loadReviewQueue();
+}
+
+/**
+ * Move a job up or down in the queue
+ */
+async function moveQueueJob(jobId, direction) {
+    const order = JSON.parse(downloaderElements.queueListEl.dataset.order || '[]');
+    const index = order.indexOf(jobId);
+    const target = index + direction;
+
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+        await fetch('http://localhost:3000/api/downloads/reorder', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jobIds: order })
+        });
+    } catch (error) {
+        console.error('Failed to reorder queue:', error);
+    }
+
+    loadQueue();
+}
+
+/**
+ * Save the concurrency limit
+ */
+async function handleConcurrencyChange() {
+    try {
+        await fetch('http://localhost:3000/api/downloads/concurrency', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ concurrency: parseInt(downloaderElements.concurrencyInput.value) })
+        });
+    } catch (error) {
+        console.error('Failed to set concurrency:', error);
+    }
+
+    loadQueue();
+}
+
+/**
+ * Load output profiles and their filename templates from the server
+ */
+async function loadOutputProfiles() {
+    try {
+        const response = await fetch('http://localhost:3000/api/downloads/profiles');
+        const data = await response.json();
+        if (data.success) {
+            outputProfiles = data.profiles;
+            showSelectedProfile();
+        }
+    } catch (error) {
+        console.error('Failed to load output profiles:', error);
+    }
+}
+
+/**
+ * Show the description and filename template of the selected profile
+ */
+function showSelectedProfile() {
+    const profile = outputProfiles.find(p => p.id === document.getElementById('outputProfile').value);
+    if (!profile) return;
+
+    document.getElementById('outputProfileDescription').textContent = profile.description;
+    const templateInput = document.getElementById('outputProfileTemplate');
+    templateInput.value = profile.filenameTemplate === profile.defaultTemplate ? '' : profile.filenameTemplate;
+    templateInput.placeholder = profile.defaultTemplate;
+}
+
+/**
+ * Save the filename template for the selected profile
+ */
+async function handleSaveProfileTemplate() {
+    const profileId = document.getElementById('outputProfile').value;
+    const template = document.getElementById('outputProfileTemplate').value.trim();
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/downloads/profiles/${profileId}/template`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            addLog(`Template not saved: ${data.error}`, 'error');
+            return;
+        }
+
+        outputProfiles = outputProfiles.map(p => (p.id === profileId ? { ...p, ...data.profile } : p));
+        showSelectedProfile();
+        addLog(`Filename template saved for ${data.profile.label}`, 'success');
+    } catch (error) {
+        addLog(`Template not saved: ${error.message}`, 'error');
+    }
+}
+
 /**
  * Handle download form submission
  */
@@ -249,99 +837,51 @@ async function handleDownloadSubmit(e) {
     formData.append('playlistUrl', playlistUrl);
     formData.append('outputPath', outputPath);
     formData.append('cookiesPath', cookiesPath);
+    formData.append('removedAction', document.getElementById('removedAction').value);
+    formData.append('profile', document.getElementById('outputProfile').value);
+    formData.append('layout', document.getElementById('outputLayout').value);
+
+    if (document.getElementById('pipelineEnabled').checked) {
+        formData.append('pipeline', 'true');
+        formData.append('liveLibraryPath', document.getElementById('pipelineLiveLibraryPath').value.trim());
+
+        // Plex connection saved by the Organizer tab
+        const plexLibraryId = document.getElementById('pipelinePlexLibraryId').value.trim();
+        if (plexLibraryId) {
+            formData.append('plexServerIp', localStorage.getItem('plexServerIp') || '');
+            formData.append('plexPort', localStorage.getItem('plexPort') || '');
+            formData.append('plexToken', localStorage.getItem('plexToken') || '');
+            formData.append('plexLibraryId', plexLibraryId);
+        }
+    }
+    formData.append('sync', document.getElementById('syncOnly').checked ? 'true' : 'false');
 
     if (poToken) {
         formData.append('poToken', poToken);
     }
 
-    addLog(`Starting download request...`, 'debug');
-    addLog(`Playlist: ${playlistUrl}`, 'debug');
-    addLog(`Output: ${outputPath}`, 'debug');
-    addLog(`Cookies: ${cookiesPath}`, 'debug');
-    addLog(`PO Token: ${poToken ? 'Provided' : 'Not provided'}`, 'debug');
-
-    // Show progress container
-    downloaderElements.progressContainer.style.display = 'block';
-    downloaderElements.logContainer.innerHTML = '';
     downloaderElements.downloadBtn.disabled = true;
-    downloaderElements.downloadBtn.textContent = 'Downloading...';
-    downloaderElements.downloadBtn.style.display = 'none';
-    downloaderElements.cancelBtn.style.display = 'block';
-    downloaderElements.cancelBtn.disabled = false;
 
     try {
         const response = await fetch('http://localhost:3000/api/download', {
             method: 'POST',
             body: formData
         });
+        const result = await response.json();
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            const chunk = decoder.decode(value);
-            const lines = chunk.split('\n');
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = JSON.parse(line.slice(6));
-
-                    // Store download ID
-                    if (data.downloadId && !currentDownloadId) {
-                        currentDownloadId = data.downloadId;
-                        addLog(`Download ID: ${currentDownloadId}`, 'debug');
-                    }
-
-                    // Update dashboard with new data
-                    updateDashboard(data);
-
-                    // Log raw data for debugging
-                    if (data.debug) {
-                        addLog(data.debug, 'debug');
-                    }
-
-                    if (data.status) {
-                        addLog(data.status, 'info');
-                    }
-
-                    if (data.error) {
-                        addLog(data.error, 'error');
-                    }
-
-                    if (data.warning) {
-                        addLog(data.warning, 'warning');
-                    }
-
-                    if (data.rawOutput) {
-                        addLog(data.rawOutput, 'debug');
-                    }
-
-                    if (data.completed) {
-                        downloaderElements.downloadBtn.disabled = false;
-                        downloaderElements.downloadBtn.textContent = 'Start Download';
-                        downloaderElements.downloadBtn.style.display = 'block';
-                        downloaderElements.cancelBtn.style.display = 'none';
-                        currentDownloadId = null;
-
-                        if (data.cancelled) {
-                            addLog('Download was cancelled', 'warning');
-                        } else if (data.progress === 100) {
-                            addLog(`Download completed! ${data.downloadedCount || 0} track(s) processed.`, 'success');
-                        }
-                    }
-                }
-            }
+        if (!result.success) {
+            throw new Error(result.error);
         }
+
+        attachToJob(result.job.id);
+        addLog(`Queued playlist: ${playlistUrl}`, 'debug');
+        addLog(`Output: ${outputPath}`, 'debug');
+        loadQueue();
     } catch (error) {
+        downloaderElements.progressContainer.style.display = 'block';
         addLog(`Error: ${error.message}`, 'error');
+    } finally {
         downloaderElements.downloadBtn.disabled = false;
-        downloaderElements.downloadBtn.textContent = 'Start Download';
-        downloaderElements.downloadBtn.style.display = 'block';
-        downloaderElements.cancelBtn.style.display = 'none';
-        currentDownloadId = null;
     }
 }
 
@@ -0,0 +1,242 @@
+/**
+ * Operation History Module
+ * Lists the organizer journal batches and rolls back whole batches or selected entries
+ */
+
+let historyInitialized = false;
+let expandedBatchId = null;
+
+const JOURNAL_STATUS_CLASSES = {
+    applied: 'status-completed',
+    partial: 'status-queued',
+    rolled_back: 'status-paused'
+};
+
+const JOURNAL_ENTRY_LABELS = {
+    move: 'Moved',
+    copy: 'Copied',
+    rename: 'Renamed',
+    replace: 'Replaced',
+    tag: 'Tags edited'
+};
+
+/**
+ * Initialize the history module
+ */
+function initHistory() {
+    console.log('[History] Initializing Operation History module');
+
+    if (!historyInitialized) {
+        document.getElementById('historyRefreshBtn').addEventListener('click', loadJournalBatches);
+        historyInitialized = true;
+    }
+
+    loadJournalBatches();
+
+    // Show the module
+    const module = document.getElementById('module-history');
+    if (module) {
+        module.classList.add('active');
+    }
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHistoryHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+/**
+ * Fetch and render the batch list
+ */
+async function loadJournalBatches() {
+    const listEl = document.getElementById('historyBatchList');
+
+    try {
+        const response = await fetch('http://localhost:3000/api/organizer/journal?limit=100');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        renderJournalBatches(data.batches);
+
+        if (expandedBatchId) {
+            loadJournalEntries(expandedBatchId);
+        }
+    } catch (error) {
+        console.error('[History] Failed to load journal:', error);
+        listEl.innerHTML = `<div class="queue-empty">Could not load history: ${escapeHistoryHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Render the batch list
+ */
+function renderJournalBatches(batches) {
+    const listEl = document.getElementById('historyBatchList');
+
+    if (batches.length === 0) {
+        listEl.innerHTML = '<div class="queue-empty">No organizer operations recorded yet</div>';
+        return;
+    }
+
+    listEl.innerHTML = batches.map(batch => {
+        const counts = Object.entries(batch.counts)
+            .filter(([, count]) => count > 0)
+            .map(([type, count]) => `${count} ${JOURNAL_ENTRY_LABELS[type].toLowerCase()}`)
+            .join(', ');
+        const status = batch.status === 'applied' ? 'applied' : `${batch.rolledBack}/${batch.entries} rolled back`;
+
+        return `
+            <div class="journal-batch">
+                <div class="queue-item ${JOURNAL_STATUS_CLASSES[batch.status]}">
+                    <div class="queue-item-info">
+                        <span class="queue-status-badge">${escapeHistoryHtml(batch.kind)}</span>
+                        <span class="queue-url">${escapeHistoryHtml(batch.description || `Batch ${batch.id}`)}</span>
+                        <div class="queue-counts">
+                            #${batch.id} · ${new Date(batch.createdAt).toLocaleString()} · ${counts} · ${status}
+                        </div>
+                    </div>
+                    <div class="queue-item-actions">
+                        <button type="button" class="button-secondary" onclick="toggleJournalEntries(${batch.id})">
+                            ${expandedBatchId === batch.id ? 'Hide' : 'Details'}
+                        </button>
+                        ${batch.status !== 'rolled_back' ? `<button type="button" class="button-cancel" onclick="handleJournalRollback(${batch.id})">↩️ Roll Back</button>` : ''}
+                        ${batch.counts.replace > 0 ? `<button type="button" class="button-cancel" onclick="handleJournalPurge(${batch.id})">🗑️ Purge Quarantine</button>` : ''}
+                    </div>
+                </div>
+                <div class="journal-entries" id="journalEntries-${batch.id}" style="display: ${expandedBatchId === batch.id ? 'block' : 'none'};"></div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Show or hide the entries of a batch
+ */
+function toggleJournalEntries(batchId) {
+    expandedBatchId = expandedBatchId === batchId ? null : batchId;
+    loadJournalBatches();
+}
+
+/**
+ * Fetch and render the entries of a batch
+ */
+async function loadJournalEntries(batchId) {
+    const entriesEl = document.getElementById(`journalEntries-${batchId}`);
+    if (!entriesEl) return;
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/organizer/journal/${batchId}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const pending = data.batch.items.filter(entry => !entry.rolledBackAt);
+
+        entriesEl.innerHTML = data.batch.items.map(entry => {
+            const from = entry.type === 'tag'
+                ? Object.entries(entry.details?.previous || {}).map(([tag, values]) => `${tag}: ${values.join(', ') || '(none)'}`).join('; ')
+                : entry.sourcePath;
+            const to = entry.type === 'replace'
+                ? `${entry.purgedAt ? 'purged from ' : ''}${entry.backupPath}`
+                : entry.destinationPath;
+            const state = entry.rolledBackAt
+                ? '<span class="journal-entry-state done">rolled back</span>'
+                : entry.rollbackError ? `<span class="journal-entry-state failed" title="${escapeHistoryHtml(entry.rollbackError)}">rollback failed</span>` : '';
+
+            return `
+                <label class="journal-entry${entry.rolledBackAt ? ' rolled-back' : ''}">
+                    <input type="checkbox" value="${entry.id}" ${entry.rolledBackAt ? 'disabled' : ''}>
+                    <span class="journal-entry-type">${JOURNAL_ENTRY_LABELS[entry.type]}</span>
+                    <span class="journal-entry-paths">
+                        ${escapeHistoryHtml(entry.type === 'tag' ? entry.destinationPath : from)}
+                        <br>→ ${escapeHistoryHtml(entry.type === 'tag' ? `was ${from}` : to)}
+                    </span>
+                    ${state}
+                </label>
+            `;
+        }).join('') + (pending.length > 0
+            ? `<button type="button" class="button-cancel journal-selected-btn" onclick="handleJournalRollback(${batchId}, true)">↩️ Roll Back Selected</button>`
+            : '');
+    } catch (error) {
+        entriesEl.innerHTML = `<div class="queue-error">${escapeHistoryHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Roll back a batch, or only the entries ticked in its details
+ */
+async function handleJournalRollback(batchId, selectedOnly = false) {
+    let entryIds = null;
+
+    if (selectedOnly) {
+        const checked = document.querySelectorAll(`#journalEntries-${batchId} input[type="checkbox"]:checked`);
+        entryIds = Array.from(checked).map(input => parseInt(input.value, 10));
+
+        if (entryIds.length === 0) {
+            alert('Select the entries to roll back');
+            return;
+        }
+    }
+
+    const what = entryIds ? `${entryIds.length} selected entr${entryIds.length === 1 ? 'y' : 'ies'} of batch #${batchId}` : `batch #${batchId}`;
+    if (!confirm(`Roll back ${what}?\n\nFiles are moved back to where they came from, copies are deleted, replaced files come back from quarantine and tags get their old values.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/organizer/journal/${batchId}/rollback`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ entryIds })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const failures = result.results.filter(r => !r.success);
+        alert(`Rollback complete.\n\nRestored: ${result.summary.restored}\nDeleted: ${result.summary.deleted}\nFailed: ${result.summary.failed}`
+            + (failures.length > 0 ? `\n\n${failures.slice(0, 10).map(r => `• ${r.error}`).join('\n')}` : ''));
+    } catch (error) {
+        alert(`Rollback failed: ${error.message}`);
+    }
+
+    loadJournalBatches();
+}
+
+/**
+ * Delete the files a batch quarantined
+ */
+async function handleJournalPurge(batchId) {
+    if (!confirm(`Permanently delete the files replaced in batch #${batchId}?\n\nThose replacements can no longer be rolled back.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`http://localhost:3000/api/organizer/journal/${batchId}/purge`, { method: 'POST' });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert(`Deleted ${result.deleted} quarantined file(s)`);
+    } catch (error) {
+        alert(`Purge failed: ${error.message}`);
+    }
+
+    loadJournalBatches();
+}
+
+// Register the history route
+router.register('history', initHistory);
@@ -0,0 +1,717 @@
+/**
+ * Staging Ingest Module
+ * Configures the staging folder watcher and shows its activity and the files waiting for review
+ */
+
+let ingestInitialized = false;
+let ingestPollTimer = null;
+let namingPresets = {};
+let namingPreviewTimer = null;
+
+/**
+ * Initialize the ingest module
+ */
+function initIngest() {
+    console.log('[Ingest] Initializing Staging Ingest module');
+
+    if (!ingestInitialized) {
+        document.getElementById('ingestStartBtn').addEventListener('click', () => saveIngestConfig(true));
+        document.getElementById('ingestStopBtn').addEventListener('click', () => saveIngestConfig(false));
+        document.getElementById('policySaveBtn').addEventListener('click', saveReleasePolicy);
+        document.getElementById('namingSaveBtn').addEventListener('click', saveNamingSettings);
+        document.getElementById('namingPreset').addEventListener('change', applyNamingPreset);
+        document.getElementById('namingTemplate').addEventListener('input', () => {
+            syncNamingPreset();
+            scheduleNamingPreview();
+        });
+        document.getElementById('namingFilesystem').addEventListener('change', scheduleNamingPreview);
+        document.getElementById('artworkSaveBtn').addEventListener('click', saveArtworkSettings);
+        document.getElementById('artworkApplyBtn').addEventListener('click', applyArtworkToFolder);
+        document.getElementById('lyricsSaveBtn').addEventListener('click', saveLyricsSettings);
+        document.getElementById('lyricsApplyBtn').addEventListener('click', applyLyricsToFolder);
+        document.getElementById('loudnessSaveBtn').addEventListener('click', saveLoudnessSettings);
+        document.getElementById('loudnessAnalyzeBtn').addEventListener('click', analyzeLoudnessOfFolder);
+        ingestInitialized = true;
+    }
+
+    loadIngestStatus(true);
+    loadReleasePolicy();
+    loadNamingSettings();
+    loadArtworkSettings();
+    loadLyricsSettings();
+    loadLoudnessSettings();
+    startIngestPolling();
+
+    // Show the module
+    const module = document.getElementById('module-ingest');
+    if (module) {
+        module.classList.add('active');
+    }
+}
+
+/**
+ * Poll the watcher while the tab is visible
+ */
+function startIngestPolling() {
+    clearInterval(ingestPollTimer);
+    ingestPollTimer = setInterval(() => {
+        if (!document.getElementById('module-ingest').classList.contains('active')) {
+            clearInterval(ingestPollTimer);
+            ingestPollTimer = null;
+            return;
+        }
+        loadIngestStatus(false);
+    }, 3000);
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeIngestHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+/**
+ * Fetch watcher status and the review queue
+ * @param {boolean} fillForm - Also fill the settings form from the saved config
+ */
+async function loadIngestStatus(fillForm) {
+    try {
+        const [statusResponse, reviewResponse] = await Promise.all([
+            fetch('http://localhost:3000/api/ingest/status'),
+            fetch('http://localhost:3000/api/pipeline/review?status=pending')
+        ]);
+        const status = await statusResponse.json();
+        const review = await reviewResponse.json();
+
+        if (!status.success) {
+            throw new Error(status.error);
+        }
+
+        if (fillForm) {
+            fillIngestForm(status.config);
+        }
+        renderIngestStatus(status);
+        // Items without a job came from the watcher
+        renderIngestReview(review.success ? review.items.filter(item => item.jobId === null) : []);
+    } catch (error) {
+        console.error('[Ingest] Failed to load status:', error);
+    }
+}
+
+/**
+ * Fill the settings form from the saved config (Plex library ID falls back to localStorage)
+ */
+function fillIngestForm(config) {
+    document.getElementById('ingestStagingPath').value = config?.stagingPath || '';
+    document.getElementById('ingestLiveLibraryPath').value = config?.liveLibraryPath || localStorage.getItem('liveLibraryPath') || '';
+    document.getElementById('ingestPlexLibraryId').value = config?.plex?.libraryId || localStorage.getItem('plexLibraryId') || '';
+    document.getElementById('ingestSettleSeconds').value = config?.settleSeconds || 15;
+}
+
+/**
+ * Fill the release preferences form
+ */
+async function loadReleasePolicy() {
+    try {
+        const response = await fetch('http://localhost:3000/api/matcher/release-policy');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const policy = data.policy;
+        document.getElementById('policyYearSource').value = policy.yearSource;
+        document.getElementById('policyCountries').value = policy.preferredCountries.join(', ');
+        document.getElementById('policyFormats').value = policy.preferredFormats.join(', ');
+        document.getElementById('policyOriginalEdition').checked = policy.preferOriginalEdition;
+        document.getElementById('policyJapaneseEditions').checked = policy.preferJapaneseEditions;
+        document.getElementById('policyOfficial').checked = policy.preferOfficial;
+    } catch (error) {
+        console.error('[Ingest] Failed to load release preferences:', error);
+    }
+}
+
+/**
+ * Save the release preferences
+ */
+async function saveReleasePolicy() {
+    const list = (id) => document.getElementById(id).value.split(',').map(value => value.trim()).filter(Boolean);
+
+    try {
+        const response = await fetch('http://localhost:3000/api/matcher/release-policy', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                yearSource: document.getElementById('policyYearSource').value,
+                preferredCountries: list('policyCountries'),
+                preferredFormats: list('policyFormats'),
+                preferOriginalEdition: document.getElementById('policyOriginalEdition').checked,
+                preferJapaneseEditions: document.getElementById('policyJapaneseEditions').checked,
+                preferOfficial: document.getElementById('policyOfficial').checked
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert('Release preferences saved');
+    } catch (error) {
+        alert(`Failed to save release preferences: ${error.message}`);
+    }
+}
+
+/**
+ * Fill the naming form
+ */
+async function loadNamingSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/naming/settings');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        namingPresets = data.presets;
+        document.getElementById('namingTemplate').value = data.settings.template;
+        document.getElementById('namingFilesystem').value = data.settings.filesystem;
+        document.getElementById('namingTokens').innerHTML = Object.entries(data.tokens)
+            .map(([token, description]) => `<code title="${escapeIngestHtml(description)}" data-token="${token}">{${token}}</code>`)
+            .join('');
+        document.querySelectorAll('#namingTokens code').forEach(code => {
+            code.addEventListener('click', () => insertNamingToken(code.dataset.token));
+        });
+
+        syncNamingPreset();
+        updateNamingPreview();
+    } catch (error) {
+        console.error('[Ingest] Failed to load naming settings:', error);
+    }
+}
+
+/**
+ * Put the selected preset's template in the editor
+ */
+function applyNamingPreset() {
+    const preset = document.getElementById('namingPreset').value;
+    if (namingPresets[preset]) {
+        document.getElementById('namingTemplate').value = namingPresets[preset];
+        scheduleNamingPreview();
+    }
+}
+
+/**
+ * Select the preset matching the template, or "custom"
+ */
+function syncNamingPreset() {
+    const template = document.getElementById('namingTemplate').value.trim();
+    const preset = Object.keys(namingPresets).find(name => namingPresets[name] === template);
+    document.getElementById('namingPreset').value = preset || 'custom';
+}
+
+/**
+ * Insert a token at the cursor
+ */
+function insertNamingToken(token) {
+    const input = document.getElementById('namingTemplate');
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = `${input.value.slice(0, start)}{${token}}${input.value.slice(end)}`;
+    input.focus();
+    syncNamingPreset();
+    scheduleNamingPreview();
+}
+
+/**
+ * Refresh the preview shortly after the last keystroke
+ */
+function scheduleNamingPreview() {
+    clearTimeout(namingPreviewTimer);
+    namingPreviewTimer = setTimeout(updateNamingPreview, 300);
+}
+
+/**
+ * Render sample tracks with the unsaved template
+ */
+async function updateNamingPreview() {
+    const previewEl = document.getElementById('namingPreview');
+
+    try {
+        const response = await fetch('http://localhost:3000/api/naming/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                template: document.getElementById('namingTemplate').value,
+                filesystem: document.getElementById('namingFilesystem').value
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        previewEl.classList.remove('invalid');
+        previewEl.innerHTML = result.previews
+            .map(preview => `<div class="ingest-pending-item" title="${escapeIngestHtml(preview.track)}">${escapeIngestHtml(preview.path)}</div>`)
+            .join('');
+    } catch (error) {
+        previewEl.classList.add('invalid');
+        previewEl.textContent = error.message;
+    }
+}
+
+/**
+ * Save the naming settings
+ */
+async function saveNamingSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/naming/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                template: document.getElementById('namingTemplate').value,
+                filesystem: document.getElementById('namingFilesystem').value
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert('Naming settings saved');
+    } catch (error) {
+        alert(`Failed to save naming settings: ${error.message}`);
+    }
+}
+
+/**
+ * Fill the cover art form
+ */
+async function loadArtworkSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/artwork/settings');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const settings = data.settings;
+        document.getElementById('artworkFolderCover').checked = settings.folderCover;
+        document.getElementById('artworkEmbed').checked = settings.embed;
+        document.getElementById('artworkReplace').checked = settings.replaceExisting;
+        document.getElementById('artworkEmbedSize').value = String(settings.embedSize);
+    } catch (error) {
+        console.error('[Ingest] Failed to load cover art settings:', error);
+    }
+}
+
+/**
+ * Save the cover art settings
+ */
+async function saveArtworkSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/artwork/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                folderCover: document.getElementById('artworkFolderCover').checked,
+                embed: document.getElementById('artworkEmbed').checked,
+                replaceExisting: document.getElementById('artworkReplace').checked,
+                embedSize: parseInt(document.getElementById('artworkEmbedSize').value, 10)
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert('Cover art settings saved');
+    } catch (error) {
+        alert(`Failed to save cover art settings: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch covers for an already organized folder with the saved settings
+ */
+async function applyArtworkToFolder() {
+    const musicPath = document.getElementById('artworkPath').value.trim();
+    const resultEl = document.getElementById('artworkResult');
+    const button = document.getElementById('artworkApplyBtn');
+
+    if (!musicPath) {
+        alert('Please enter a library folder');
+        return;
+    }
+
+    button.disabled = true;
+    resultEl.textContent = 'Fetching covers...';
+
+    try {
+        const response = await fetch('http://localhost:3000/api/artwork/apply', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ musicPath })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        resultEl.textContent = `${result.albums} album(s): ${result.coversWritten} cover.jpg written, ` +
+            `${result.embedded} file(s) embedded, ${result.notFound} without a cover, ${result.errors.length} error(s)`;
+    } catch (error) {
+        resultEl.textContent = `Failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Fill the lyrics form
+ */
+async function loadLyricsSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/lyrics/settings');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const settings = data.settings;
+        document.getElementById('lyricsProvider').innerHTML = data.providers
+            .map(provider => `<option value="${escapeIngestHtml(provider.name)}">${escapeIngestHtml(provider.label)}</option>`)
+            .join('');
+        document.getElementById('lyricsProvider').value = settings.provider;
+        document.getElementById('lyricsAutoFetch').checked = settings.autoFetch;
+        document.getElementById('lyricsSidecar').checked = settings.sidecar;
+        document.getElementById('lyricsEmbed').checked = settings.embed;
+        document.getElementById('lyricsOverwrite').checked = settings.overwrite;
+    } catch (error) {
+        console.error('[Ingest] Failed to load lyrics settings:', error);
+    }
+}
+
+/**
+ * Save the lyrics settings
+ */
+async function saveLyricsSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/lyrics/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                provider: document.getElementById('lyricsProvider').value,
+                autoFetch: document.getElementById('lyricsAutoFetch').checked,
+                sidecar: document.getElementById('lyricsSidecar').checked,
+                embed: document.getElementById('lyricsEmbed').checked,
+                overwrite: document.getElementById('lyricsOverwrite').checked
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert('Lyrics settings saved');
+    } catch (error) {
+        alert(`Failed to save lyrics settings: ${error.message}`);
+    }
+}
+
+/**
+ * Fetch lyrics for an already organized folder with the saved settings
+ */
+async function applyLyricsToFolder() {
+    const musicPath = document.getElementById('lyricsPath').value.trim();
+    const resultEl = document.getElementById('lyricsResult');
+    const button = document.getElementById('lyricsApplyBtn');
+
+    if (!musicPath) {
+        alert('Please enter a library folder');
+        return;
+    }
+
+    button.disabled = true;
+    resultEl.textContent = 'Fetching lyrics...';
+
+    try {
+        const response = await fetch('http://localhost:3000/api/lyrics/apply', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ musicPath })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        resultEl.textContent = `${result.tracks} track(s): ${result.synced} synced, ${result.plain} plain, ` +
+            `${result.embedded} embedded, ${result.skipped} already had lyrics, ${result.notFound} not found, ${result.errors.length} error(s)`;
+    } catch (error) {
+        resultEl.textContent = `Failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Fill the ReplayGain form
+ */
+async function loadLoudnessSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/loudness/settings');
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        document.getElementById('loudnessAfterMove').checked = data.settings.afterMove;
+        document.getElementById('loudnessUnavailable').style.display = data.available ? 'none' : 'block';
+        document.getElementById('loudnessAnalyzeBtn').disabled = !data.available;
+    } catch (error) {
+        console.error('[Ingest] Failed to load ReplayGain settings:', error);
+    }
+}
+
+/**
+ * Save the ReplayGain settings
+ */
+async function saveLoudnessSettings() {
+    try {
+        const response = await fetch('http://localhost:3000/api/loudness/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ afterMove: document.getElementById('loudnessAfterMove').checked })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        alert('ReplayGain settings saved');
+    } catch (error) {
+        alert(`Failed to save ReplayGain settings: ${error.message}`);
+    }
+}
+
+/**
+ * Analyse every album of a folder, following the SSE progress
+ */
+async function analyzeLoudnessOfFolder() {
+    const musicPath = document.getElementById('loudnessPath').value.trim();
+    const resultEl = document.getElementById('loudnessResult');
+    const button = document.getElementById('loudnessAnalyzeBtn');
+
+    if (!musicPath) {
+        alert('Please enter a library folder');
+        return;
+    }
+
+    button.disabled = true;
+    resultEl.textContent = 'Scanning...';
+
+    try {
+        const response = await fetch('http://localhost:3000/api/loudness/analyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ musicPath })
+        });
+
+        // Validation errors come back as plain JSON
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+                const data = JSON.parse(line.slice(6));
+
+                if (data.type === 'progress') {
+                    resultEl.textContent = `Analysing ${data.processed}/${data.total}: ${data.currentFile.split(/[\\/]/).pop()}`;
+                } else if (data.type === 'complete') {
+                    resultEl.textContent = data.message;
+                } else if (data.type === 'error') {
+                    throw new Error(data.error);
+                }
+            }
+        }
+    } catch (error) {
+        resultEl.textContent = `Failed: ${error.message}`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save the watcher settings and start or stop it
+ */
+async function saveIngestConfig(enabled) {
+    const stagingPath = document.getElementById('ingestStagingPath').value.trim();
+    const liveLibraryPath = document.getElementById('ingestLiveLibraryPath').value.trim();
+    const plexLibraryId = document.getElementById('ingestPlexLibraryId').value.trim();
+    const settleSeconds = document.getElementById('ingestSettleSeconds').value;
+
+    if (!stagingPath || !liveLibraryPath) {
+        alert('Please enter the staging folder and the live library path');
+        return;
+    }
+
+    try {
+        const response = await fetch('http://localhost:3000/api/ingest/config', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                stagingPath,
+                liveLibraryPath,
+                settleSeconds,
+                enabled,
+                plexServerIp: localStorage.getItem('plexServerIp'),
+                plexPort: localStorage.getItem('plexPort'),
+                plexToken: localStorage.getItem('plexToken'),
+                plexLibraryId
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        localStorage.setItem('liveLibraryPath', liveLibraryPath);
+        if (plexLibraryId) {
+            localStorage.setItem('plexLibraryId', plexLibraryId);
+        }
+
+        renderIngestStatus(result);
+    } catch (error) {
+        alert(`Failed to ${enabled ? 'start' : 'stop'} the watcher: ${error.message}`);
+    }
+}
+
+/**
+ * Render watcher state, pending files and the activity log
+ */
+function renderIngestStatus(status) {
+    const { stats } = status;
+
+    document.getElementById('ingestStartBtn').textContent = status.running ? '🔄 Apply Settings' : '▶️ Start Watching';
+    document.getElementById('ingestStopBtn').style.display = status.running ? 'inline-block' : 'none';
+
+    const statusEl = document.getElementById('ingestStatus');
+    statusEl.className = `ingest-status ${status.running ? 'running' : 'stopped'}`;
+    statusEl.textContent = status.running
+        ? `Watching ${status.config.stagingPath}${status.processing ? ` — processing ${status.processing}` : ''}. `
+            + `${stats.albumsProcessed} album(s) processed, ${stats.filesMoved} moved, ${stats.filesParked} sent to review, ${stats.errors} error(s).`
+        : 'Watcher is stopped';
+
+    const pendingEl = document.getElementById('ingestPendingList');
+    pendingEl.innerHTML = status.pending.length > 0
+        ? status.pending.map(file => `<div class="ingest-pending-item">${escapeIngestHtml(file)}</div>`).join('')
+        : '<div class="queue-empty">No files waiting</div>';
+
+    const logEl = document.getElementById('ingestActivityLog');
+    const levels = { DEBUG: 'debug', WARN: 'warning', ERROR: 'error' };
+    logEl.innerHTML = status.activity.map(entry => {
+        const time = new Date(entry.time).toLocaleTimeString('en-US', { hour12: false });
+        return `<div class="log-entry ${levels[entry.level] || 'info'}">[${time}] ${escapeIngestHtml(entry.message)}</div>`;
+    }).join('') || '<div class="log-entry debug">No activity yet</div>';
+}
+
+/**
+ * Render the files the watcher parked for review
+ */
+function renderIngestReview(items) {
+    const listEl = document.getElementById('ingestReviewList');
+
+    if (items.length === 0) {
+        listEl.innerHTML = '<div class="queue-empty">Nothing to review</div>';
+        return;
+    }
+
+    listEl.innerHTML = items.map(item => {
+        const match = item.matchResult?.mbMatch;
+        const original = item.matchResult?.originalMetadata || {};
+        const proposal = match
+            ? `${match.artist} - ${match.title}${match.releases?.[0] ? ` (${match.releases[0].title})` : ''}`
+            : 'No MusicBrainz match, match it in the organizer or dismiss it';
+
+        return `
+            <div class="queue-item">
+                <div class="queue-item-info">
+                    <span class="queue-status-badge">${escapeIngestHtml(item.category)} ${item.confidence}%</span>
+                    <span class="queue-url" title="${escapeIngestHtml(item.filePath)}">${escapeIngestHtml(`${original.artist || ''} - ${original.title || ''}`)}</span>
+                    <div class="queue-counts">→ ${escapeIngestHtml(proposal)}</div>
+                    ${item.reason ? `<div class="queue-error">${escapeIngestHtml(item.reason)}</div>` : ''}
+                </div>
+                <div class="queue-item-actions">
+                    ${item.approvable ? `<button type="button" onclick="handleIngestReviewAction('approve', ${item.id})">Approve</button>` : ''}
+                    <button type="button" class="button-cancel" onclick="handleIngestReviewAction('dismiss', ${item.id})">Dismiss</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Approve or dismiss a parked file
+ */
+async function handleIngestReviewAction(action, itemId) {
+    try {
+        const response = await fetch(`http://localhost:3000/api/pipeline/review/${itemId}/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                serverIp: localStorage.getItem('plexServerIp'),
+                port: localStorage.getItem('plexPort'),
+                token: localStorage.getItem('plexToken'),
+                libraryId: localStorage.getItem('plexLibraryId')
+            })
+        });
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        if (action === 'approve' && result.status === 'skipped') {
+            alert(`Not moved: ${result.skipped[0]?.reason || 'already in the library'}`);
+        }
+    } catch (error) {
+        alert(`Failed to ${action} item: ${error.message}`);
+    }
+
+    loadIngestStatus(false);
+}
+
+// Register the ingest route
+router.register('ingest', initIngest);
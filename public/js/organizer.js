@@ -82,6 +82,7 @@ function initOrganizer() {
     organizerElements.groupGrid = document.getElementById('groupGrid');
     organizerElements.deepScanSelectedBtn = document.getElementById('deepScanSelectedBtn');
     organizerElements.deepScanAllBtn = document.getElementById('deepScanAllBtn');
+    organizerElements.verifyAudioBtn = document.getElementById('verifyAudioBtn');
 
     // Load saved settings
     loadSavedPath();
@@ -94,6 +95,7 @@ function initOrganizer() {
     organizerElements.cancelScanBtn.addEventListener('click', handleCancelScan);
     organizerElements.deepScanSelectedBtn.addEventListener('click', () => handleDeepScan(false));
     organizerElements.deepScanAllBtn.addEventListener('click', () => handleDeepScan(true));
+    organizerElements.verifyAudioBtn.addEventListener('click', handleVerifyAudio);
 
     // Add drag and drop support for folders
     setupDragAndDrop();
@@ -326,6 +328,89 @@ function addScanLog(message, type = 'info') {
     console.log(`[${type.toUpperCase()}] ${message}`);
 }
 
+/**
+ * Decode the scanned folder to find damaged and lossy-sourced files,
+ * following the SSE progress; results show as badges on the file lists
+ */
+async function handleVerifyAudio() {
+    const musicPath = organizerElements.musicPathInput.value.trim();
+    const button = organizerElements.verifyAudioBtn;
+
+    if (!musicPath) {
+        alert('Please enter a music folder path');
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Verifying...';
+    addScanLog(`Verifying audio in ${musicPath}...`, 'info');
+
+    try {
+        const response = await fetch('http://localhost:3000/api/analysis/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ musicPath })
+        });
+
+        // Validation errors come back as plain JSON
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+                const data = JSON.parse(line.slice(6));
+
+                if (data.type === 'progress') {
+                    button.textContent = `Verifying ${data.processed}/${data.total}...`;
+                } else if (data.type === 'complete') {
+                    applyAnalysisResults(data.results);
+                    addScanLog(data.message, data.damaged > 0 || data.lossySourced > 0 ? 'warning' : 'success');
+                    for (const { path, error } of data.errors) {
+                        addScanLog(`${path.split(/[\\/]/).pop()}: ${error}`, 'error');
+                    }
+                } else if (data.type === 'error') {
+                    throw new Error(data.error);
+                }
+            }
+        }
+    } catch (error) {
+        addScanLog(`Audio verification failed: ${error.message}`, 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Verify Audio';
+    }
+}
+
+/**
+ * Attach analysis results to the scanned files so the badges and the Plex comparison use them
+ */
+function applyAnalysisResults(results) {
+    if (!scanData) return;
+
+    const byPath = new Map(results.map(result => [result.path, result.analysis]));
+    for (const letter in scanData.groupedByArtist) {
+        for (const file of scanData.groupedByArtist[letter].files || []) {
+            if (file.metadata && byPath.has(file.filePath)) {
+                file.metadata.analysis = byPath.get(file.filePath);
+            }
+        }
+    }
+}
+
 /**
  * Update scan progress
  */
@@ -675,6 +760,7 @@ function toggleArtistGroup(card) {
         detailsHTML += `
             <div class="artist-section">
                 <h4 class="artist-name">${artist} (${artistFiles.length} file${artistFiles.length !== 1 ? 's' : ''})</h4>
+                ${renderAlbumSummary(artistFiles)}
                 <div class="file-list">
         `;
 
@@ -692,6 +778,7 @@ function toggleArtistGroup(card) {
                         <div class="file-title">${title}</div>
                         <div class="file-meta">
                             <span class="format-badge">${format}</span>
+                            ${renderAnalysisBadges(file.metadata.analysis)}
                             <span class="album-name">${album}</span>
                         </div>
                     </div>
@@ -718,6 +805,109 @@ function toggleArtistGroup(card) {
     card.classList.add('expanded');
 }
 
+/**
+ * Escape text for HTML output
+ */
+function escapeOrganizerHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+/**
+ * Badges for problems found by "Verify Audio" (nothing until the file was analyzed)
+ */
+function renderAnalysisBadges(analysis) {
+    if (!analysis) return '';
+
+    const badges = [];
+    if (analysis.damaged) {
+        const reasons = [
+            analysis.md5 === 'mismatch' ? 'MD5 mismatch' : null,
+            analysis.truncated ? `decodes to ${analysis.decodedDuration}s of ${Math.round(analysis.duration)}s` : null,
+            ...analysis.decodeErrors
+        ].filter(Boolean);
+        badges.push(`<span class="analysis-badge damaged" title="${escapeOrganizerHtml(reasons.join('\n'))}">DAMAGED</span>`);
+    }
+    if (analysis.lossySourced) {
+        badges.push(`<span class="analysis-badge lossy-sourced" title="Spectrum ends at ${(analysis.cutoffHz / 1000).toFixed(1)} kHz, like a ${analysis.sourceBitrate} kbps lossy source">LOSSY-SOURCED</span>`);
+    }
+    if (analysis.clipped) {
+        badges.push(`<span class="analysis-badge clipped" title="${analysis.clippedRuns} clipped runs">CLIPPED</span>`);
+    }
+    return badges.join('');
+}
+
+/**
+ * Loudness cell of the album summary: album loudness (from the ReplayGain
+ * album gain against the -18 LUFS reference), or how many tracks are tagged
+ */
+function formatAlbumLoudness(stats) {
+    if (stats.gained === 0) {
+        return '<td class="loudness-stats none">—</td>';
+    }
+    if (stats.gained < stats.tracks || stats.albumGains.size !== 1) {
+        return `<td class="loudness-stats partial">${stats.gained}/${stats.tracks} tagged</td>`;
+    }
+
+    const albumGain = [...stats.albumGains][0];
+    const peakDb = stats.peak > 0 ? 20 * Math.log10(stats.peak) : null;
+    return `
+        <td class="loudness-stats complete" title="Album gain ${albumGain.toFixed(2)} dB, track gains ${stats.minGain.toFixed(1)} to ${stats.maxGain.toFixed(1)} dB">
+            ${(-18 - albumGain).toFixed(1)} LUFS${peakDb !== null ? `, peak ${peakDb.toFixed(1)} dBTP` : ''}
+        </td>
+    `;
+}
+
+/**
+ * Per-album table of an artist's scanned files: track count, lyrics coverage and loudness
+ */
+function renderAlbumSummary(files) {
+    const albums = new Map();
+    for (const file of files) {
+        const album = file.metadata.album || file.folderAlbum || 'Unknown Album';
+        if (!albums.has(album)) {
+            albums.set(album, { tracks: 0, synced: 0, plain: 0, gained: 0, albumGains: new Set(), peak: 0, minGain: Infinity, maxGain: -Infinity });
+        }
+        const stats = albums.get(album);
+        stats.tracks++;
+        if (file.metadata.lyrics === 'synced') stats.synced++;
+        if (file.metadata.lyrics === 'plain') stats.plain++;
+
+        const replayGain = file.metadata.replayGain || {};
+        if (replayGain.trackGain !== null && replayGain.trackGain !== undefined && replayGain.albumGain !== null && replayGain.albumGain !== undefined) {
+            stats.gained++;
+            stats.albumGains.add(Math.round(replayGain.albumGain * 100) / 100);
+            stats.peak = Math.max(stats.peak, replayGain.albumPeak || 0);
+            stats.minGain = Math.min(stats.minGain, replayGain.trackGain);
+            stats.maxGain = Math.max(stats.maxGain, replayGain.trackGain);
+        }
+    }
+
+    let rowsHTML = '';
+    for (const [album, stats] of albums) {
+        const withLyrics = stats.synced + stats.plain;
+        const coverage = withLyrics === stats.tracks ? 'complete' : (withLyrics > 0 ? 'partial' : 'none');
+        rowsHTML += `
+            <tr>
+                <td>${escapeOrganizerHtml(album)}</td>
+                <td>${stats.tracks}</td>
+                <td class="lyrics-coverage ${coverage}" title="${stats.synced} synced, ${stats.plain} plain">
+                    ${withLyrics}/${stats.tracks}${stats.synced > 0 ? ` (${stats.synced} synced)` : ''}
+                </td>
+                ${formatAlbumLoudness(stats)}
+            </tr>
+        `;
+    }
+
+    return `
+        <table class="album-summary-table">
+            <thead><tr><th>Album</th><th>Tracks</th><th>Lyrics</th><th>Loudness</th></tr></thead>
+            <tbody>${rowsHTML}</tbody>
+        </table>
+    `;
+}
+
 /**
  * Update deep scan button visibility and state
  */
@@ -1356,8 +1546,11 @@ async function compareLibraries() {
                 artist: file.metadata?.artist || file.folderArtist || 'Unknown',
                 album: file.metadata?.album || 'Unknown',
                 title: file.metadata?.title || file.fileName,
-                format: file.metadata?.format || 'unknown',
-                bitrate: file.metadata?.bitrate || null
+                format: file.metadata?.format || file.fileExtension || 'unknown',
+                // music-metadata reports bits per second, Plex kbps
+                bitrate: file.metadata?.bitrate ? Math.round(file.metadata.bitrate / 1000) : null,
+                filePath: file.filePath,
+                analysis: file.metadata?.analysis || null
             });
         }
     }
@@ -2007,7 +2200,7 @@ async function handleStartBatchMatch() {
                             progressBar.style.width = '100%';
 
                             // Show statistics
-                            displayMatchStatistics(data.stats);
+                            displayMatchStatistics(data.stats, data.albums);
                             statsContainer.style.display = 'block';
 
                             // Show match results
@@ -2635,8 +2828,10 @@ async function handleMatchAlbums() {
 
 /**
  * Display match statistics
+ * @param {Object} stats - Match statistics
+ * @param {Array} albums - Track-list alignment reports of the matched albums (batch match only)
  */
-function displayMatchStatistics(stats) {
+function displayMatchStatistics(stats, albums = []) {
     // Handle both old format (stats.byCategory) and new format (stats.autoApprove)
     const autoApprove = stats.autoApprove ?? stats.byCategory?.auto_approve ?? 0;
     const review = stats.review ?? stats.byCategory?.review ?? 0;
@@ -2647,6 +2842,36 @@ function displayMatchStatistics(stats) {
     document.getElementById('statReview').textContent = review;
     document.getElementById('statManual').textContent = manual;
     document.getElementById('statSkipped').textContent = skipped;
+
+    displayAlbumCompleteness(albums);
+}
+
+/**
+ * Display missing and extra tracks per matched album
+ */
+function displayAlbumCompleteness(albums) {
+    const listEl = document.getElementById('albumCompletenessList');
+
+    if (!albums || albums.length === 0) {
+        listEl.style.display = 'none';
+        listEl.innerHTML = '';
+        return;
+    }
+
+    const incomplete = albums.filter(album => album.missing.length > 0 || album.extra.length > 0);
+    const trackLabel = (track) => `${track.disc > 1 ? `${track.disc}-` : ''}${String(track.position).padStart(2, '0')} ${track.title}`;
+
+    listEl.innerHTML = `<h3>Album Completeness (${albums.length - incomplete.length}/${albums.length} complete)</h3>` + albums.map(album => `
+        <div class="album-completeness-item ${incomplete.includes(album) ? '' : 'complete'}">
+            <strong>${album.artist} - ${album.album}</strong>
+            · ${album.matched}/${album.trackCount} tracks
+            ${album.missing.length > 0 ? `· ${album.missing.length} missing` : ''}
+            ${album.extra.length > 0 ? `· ${album.extra.length} extra` : ''}
+            ${album.missing.length > 0 ? `<ul>${album.missing.map(track => `<li>Missing: ${trackLabel(track)}</li>`).join('')}</ul>` : ''}
+            ${album.extra.length > 0 ? `<ul>${album.extra.map(file => `<li>Not on release: ${file.fileName || file.filePath}</li>`).join('')}</ul>` : ''}
+        </div>
+    `).join('');
+    listEl.style.display = 'block';
 }
 
 /**
@@ -3305,7 +3530,9 @@ function displayMatchResults(results, filter = 'all') {
                     ${confidenceBadge}
                     <span class="format-badge">${result.category === 'auto_approve' ? 'Auto-Approved' : result.category === 'review' ? 'Review' : result.category === 'manual' ? 'Manual' : 'Skipped'}</span>
                     ${result.fileInfo ? `<span class="format-badge">${result.fileInfo.codec || result.fileInfo.format}</span>` : ''}
-                    ${result.searchMethod && result.searchMethod !== 'original' ? `<span class="format-badge" style="background-color: #9b59b6;" title="Match found using ${result.searchMethod} conversion">🇯🇵 ${result.searchMethod.toUpperCase()}</span>` : ''}
+                    ${result.searchMethod === 'mbid_tags' ? `<span class="format-badge" style="background-color: #2980b9;" title="Matched from the MusicBrainz IDs in the file's tags, no lookup needed">🏷️ MBID TAGS</span>` : ''}
+                    ${result.searchMethod && !['original', 'fingerprint', 'mbid_tags'].includes(result.searchMethod) ? `<span class="format-badge" style="background-color: #9b59b6;" title="Match found using ${result.searchMethod} conversion">🇯🇵 ${result.searchMethod.toUpperCase()}</span>` : ''}
+                    ${result.fingerprint ? `<span class="format-badge" style="background-color: #16a085;" title="${result.fingerprint.confirmed ? 'Audio fingerprint confirms the tag match' : 'Identified by audio fingerprint'} (AcoustID score ${result.fingerprint.acoustidScore})">🔊 ${result.fingerprint.confirmed ? 'FINGERPRINT ✓' : 'FINGERPRINT'}</span>` : ''}
                     ${statusBadge}
                 </div>
                 ${actionButtons}
@@ -4653,7 +4880,8 @@ function handleCancelPlan() {
 async function handleRollback() {
     const confirmed = confirm(
         'This will attempt to undo the last move operation.\n\n' +
-        'Note: Deleted files (from quality upgrades) cannot be restored.\n\n' +
+        'Files replaced by quality upgrades are restored from the quarantine folder.\n' +
+        'Older operations can be rolled back from the History tab.\n\n' +
         'Do you want to proceed?'
     );
 
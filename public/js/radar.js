@@ -8,6 +8,11 @@ let radarNewReleases = [];
 let radarMissingAlbums = [];
 let radarIgnoredReleases = [];
 let radarSelectedLibraryId = null;
+let radarResolvedSinceVisit = [];
+let radarLastVisit = null;
+let radarSchedule = null;
+let radarSchedulePollTimer = null;
+let radarInitialized = false;
 
 /**
  * Initialize the Artist Radar module
@@ -18,23 +23,41 @@ function initRadar() {
     // Load saved Plex settings
     loadPlexSettingsRadar();
 
-    // Setup event listeners
-    const testConnectionBtn = document.getElementById('radarTestConnectionBtn');
-    const scanRadarBtn = document.getElementById('scanRadarBtn');
-    const viewIgnoredBtn = document.getElementById('viewIgnoredBtn');
+    // Setup event listeners (once, the route handler runs on every visit)
+    if (!radarInitialized) {
+        const testConnectionBtn = document.getElementById('radarTestConnectionBtn');
+        const scanRadarBtn = document.getElementById('scanRadarBtn');
+        const viewIgnoredBtn = document.getElementById('viewIgnoredBtn');
+        const scheduleToggleBtn = document.getElementById('radarScheduleToggleBtn');
+        const scheduleRunBtn = document.getElementById('radarScheduleRunBtn');
 
-    if (testConnectionBtn) {
-        testConnectionBtn.addEventListener('click', handleRadarTestConnection);
-    }
+        if (testConnectionBtn) {
+            testConnectionBtn.addEventListener('click', handleRadarTestConnection);
+        }
 
-    if (scanRadarBtn) {
-        scanRadarBtn.addEventListener('click', handleRadarScan);
-    }
+        if (scanRadarBtn) {
+            scanRadarBtn.addEventListener('click', handleRadarScan);
+        }
 
-    if (viewIgnoredBtn) {
-        viewIgnoredBtn.addEventListener('click', handleViewIgnored);
+        if (viewIgnoredBtn) {
+            viewIgnoredBtn.addEventListener('click', handleViewIgnored);
+        }
+
+        if (scheduleToggleBtn) {
+            scheduleToggleBtn.addEventListener('click', handleRadarScheduleToggle);
+        }
+
+        if (scheduleRunBtn) {
+            scheduleRunBtn.addEventListener('click', handleRadarScheduleRun);
+        }
+
+        radarInitialized = true;
     }
 
+    // Show stored results (from background or earlier scans) and the scheduler state
+    fetchRadarResults(true);
+    loadRadarSchedule();
+
     // Show the module
     const module = document.getElementById('module-radar');
     if (module) {
@@ -136,9 +159,13 @@ async function fetchRadarLibraries() {
                 `<option value="${lib.id}">${lib.name}</option>`
             ).join('');
 
-            radarSelectedLibraryId = data.libraries[0].id;
+            // Prefer the library the scheduler scans
+            const scheduledLibrary = data.libraries.find(lib => String(lib.id) === String(radarSchedule?.libraryKey));
+            radarSelectedLibraryId = (scheduledLibrary || data.libraries[0]).id;
+            librarySelect.value = radarSelectedLibraryId;
             librarySelect.disabled = false;
             document.getElementById('scanRadarBtn').disabled = false;
+            document.getElementById('radarScheduleToggleBtn').disabled = false;
         }
 
     } catch (error) {
@@ -181,6 +208,11 @@ async function handleRadarScan() {
             body: JSON.stringify({ serverIp, port, token, libraryKey, ratingFilter })
         });
 
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error);
+        }
+
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
 
@@ -222,8 +254,9 @@ async function handleRadarScan() {
 
 /**
  * Fetch radar results from the server
+ * @param {boolean} isVisit - Opening the tab: quietly skip when nothing was scanned yet, then mark the results as seen
  */
-async function fetchRadarResults() {
+async function fetchRadarResults(isVisit = false) {
     const progressDiv = document.getElementById('radarScanProgress');
     const resultsSection = document.getElementById('radarResults');
 
@@ -234,6 +267,8 @@ async function fetchRadarResults() {
         if (data.success) {
             radarNewReleases = data.newReleases || [];
             radarMissingAlbums = data.missingAlbums || [];
+            radarResolvedSinceVisit = data.resolvedSinceVisit || [];
+            radarLastVisit = data.lastVisit;
 
             console.log('[Radar] Loaded results - newReleases:', radarNewReleases.length, 'missingAlbums:', radarMissingAlbums.length);
 
@@ -241,7 +276,12 @@ async function fetchRadarResults() {
             resultsSection.style.display = 'block';
 
             renderRadarResults();
-        } else {
+
+            if (isVisit) {
+                // The badges stay until the next visit; the next diff starts from now
+                fetch('/api/radar/visit', { method: 'POST' });
+            }
+        } else if (!isVisit) {
             progressDiv.innerHTML = `<p class="error">Error loading results: ${data.error}</p>`;
         }
 
@@ -261,6 +301,8 @@ function renderRadarResults() {
     const newReleasesDiv = document.getElementById('radarNewReleases');
     const missingAlbumsDiv = document.getElementById('radarMissingAlbums');
 
+    renderRadarSinceLastVisit();
+
     console.log('[Radar] newReleasesDiv:', newReleasesDiv);
     console.log('[Radar] missingAlbumsDiv:', missingAlbumsDiv);
 
@@ -275,7 +317,7 @@ function renderRadarResults() {
                 ${radarNewReleases.map((release, index) => `
                     <div class="release-card" data-index="${index}">
                         <div class="release-header">
-                            <strong>${release.artist}</strong>
+                            <strong>${release.isNew ? '<span class="radar-new-badge">NEW</span>' : ''}${release.artist}</strong>
                             <span class="rating-stars">${'⭐'.repeat(release.artistRating)}</span>
                         </div>
                         <div class="release-title">
@@ -287,7 +329,7 @@ function renderRadarResults() {
                             <span class="days-ago">${release.daysAgo} days ago</span>
                         </div>
                         <div class="release-actions">
-                            <button class="btn-download" onclick="handleDownloadRelease(this.dataset.artist, this.dataset.title)" data-artist="${release.artist.replace(/"/g, '&quot;')}" data-title="${release.title.replace(/"/g, '&quot;')}">
+                            <button class="btn-download" onclick="handleDownloadRelease(this, this.dataset.artist, this.dataset.title, this.dataset.mbid)" data-artist="${release.artist.replace(/"/g, '&quot;')}" data-title="${release.title.replace(/"/g, '&quot;')}" data-mbid="${release.mbid || ''}">
                                 ⬇️ Download
                             </button>
                             <button class="btn-ignore" onclick="handleIgnoreRelease(this.dataset.artist, this.dataset.title, this.dataset.mbid, this.dataset.type)" data-artist="${release.artist.replace(/"/g, '&quot;')}" data-title="${release.title.replace(/"/g, '&quot;')}" data-mbid="${release.mbid || ''}" data-type="${release.type}">
@@ -311,7 +353,7 @@ function renderRadarResults() {
                 ${radarMissingAlbums.map((album, index) => `
                     <div class="release-card" data-index="${index}">
                         <div class="release-header">
-                            <strong>${album.artist}</strong>
+                            <strong>${album.isNew ? '<span class="radar-new-badge">NEW</span>' : ''}${album.artist}</strong>
                             <span class="rating-stars">${'⭐'.repeat(album.artistRating)}</span>
                         </div>
                         <div class="release-title">
@@ -322,7 +364,7 @@ function renderRadarResults() {
                             <span class="release-type ${album.type.toLowerCase()}">${album.type}</span>
                         </div>
                         <div class="release-actions">
-                            <button class="btn-download" onclick="handleDownloadRelease(this.dataset.artist, this.dataset.title)" data-artist="${album.artist.replace(/"/g, '&quot;')}" data-title="${album.title.replace(/"/g, '&quot;')}">
+                            <button class="btn-download" onclick="handleDownloadRelease(this, this.dataset.artist, this.dataset.title, this.dataset.mbid)" data-artist="${album.artist.replace(/"/g, '&quot;')}" data-title="${album.title.replace(/"/g, '&quot;')}" data-mbid="${album.mbid || ''}">
                                 ⬇️ Download
                             </button>
                             <button class="btn-ignore" onclick="handleIgnoreRelease(this.dataset.artist, this.dataset.title, this.dataset.mbid, this.dataset.type)" data-artist="${album.artist.replace(/"/g, '&quot;')}" data-title="${album.title.replace(/"/g, '&quot;')}" data-mbid="${album.mbid || ''}" data-type="${album.type}">
@@ -337,17 +379,203 @@ function renderRadarResults() {
 }
 
 /**
- * Download a release via YouTube Music search
+ * Render the "what's new since last visit" summary
  */
-async function handleDownloadRelease(artist, title) {
-    console.log(`[Radar] Opening YouTube Music search for: ${artist} - ${title}`);
+function renderRadarSinceLastVisit() {
+    const sinceDiv = document.getElementById('radarSinceLastVisit');
+
+    if (!radarLastVisit) {
+        sinceDiv.innerHTML = '';
+        return;
+    }
+
+    const added = [...radarNewReleases, ...radarMissingAlbums].filter(release => release.isNew);
+    const visited = new Date(radarLastVisit).toLocaleString();
+
+    if (added.length === 0 && radarResolvedSinceVisit.length === 0) {
+        sinceDiv.innerHTML = `<p>Nothing changed since your last visit (${visited})</p>`;
+        return;
+    }
 
-    // Construct YouTube Music search URL
-    const searchQuery = `${artist} ${title}`;
-    const ytMusicSearchUrl = `https://music.youtube.com/search?q=${encodeURIComponent(searchQuery)}`;
+    sinceDiv.innerHTML = `
+        <h3>✨ SINCE YOUR LAST VISIT (${visited})</h3>
+        <p class="release-count">${added.length} new on the radar, ${radarResolvedSinceVisit.length} no longer missing</p>
+        ${radarResolvedSinceVisit.length > 0 ? `
+            <ul class="radar-resolved-list">
+                ${radarResolvedSinceVisit.map(release => `<li>✓ ${release.artist} - ${release.title}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+/**
+ * Load the background scan scheduler state
+ */
+async function loadRadarSchedule() {
+    try {
+        const response = await fetch('/api/radar/schedule');
+        const data = await response.json();
+
+        if (data.success) {
+            const wasRunning = radarSchedule?.running === 'scheduled';
+            radarSchedule = data;
+            renderRadarSchedule();
+
+            // A background scan just finished: show what it found
+            if (wasRunning && !data.running) {
+                fetchRadarResults();
+            }
+        }
+    } catch (error) {
+        console.error('[Radar] Error loading schedule:', error);
+    }
+}
+
+/**
+ * Render the scheduler state and poll while a scan is running
+ */
+function renderRadarSchedule() {
+    const statusDiv = document.getElementById('radarScheduleStatus');
+    const toggleBtn = document.getElementById('radarScheduleToggleBtn');
+    const runBtn = document.getElementById('radarScheduleRunBtn');
+    const { enabled, running, progress, nextRunAt, lastRun } = radarSchedule;
+
+    toggleBtn.textContent = enabled ? 'Disable Background Scans' : 'Enable Background Scans';
+    // Disabling needs no connection
+    if (enabled) toggleBtn.disabled = false;
+    runBtn.disabled = !enabled || Boolean(running);
+
+    const lines = [];
+    if (running) {
+        lines.push(progress
+            ? `${running === 'scheduled' ? 'Background' : 'Manual'} scan in progress: ${progress.artist || 'artist'} (${progress.current}/${progress.total})`
+            : `${running === 'scheduled' ? 'Background' : 'Manual'} scan in progress...`);
+    } else if (enabled) {
+        lines.push(`Enabled for library ${radarSchedule.libraryKey}${nextRunAt ? `, next check ${new Date(nextRunAt).toLocaleTimeString()}` : ''}`);
+    } else {
+        lines.push('Background scans are off');
+    }
+
+    if (lastRun) {
+        lines.push(lastRun.error
+            ? `Last check ${new Date(lastRun.finishedAt).toLocaleString()} failed: ${lastRun.error}`
+            : `Last check ${new Date(lastRun.finishedAt).toLocaleString()}: ${lastRun.scanned}/${lastRun.due} due artists scanned, ${lastRun.found} new entries${lastRun.errors ? `, ${lastRun.errors} error(s)` : ''}`);
+    }
+
+    statusDiv.innerHTML = lines.map(line => `<p>${line}</p>`).join('');
+
+    clearTimeout(radarSchedulePollTimer);
+    if (running && document.getElementById('module-radar').classList.contains('active')) {
+        radarSchedulePollTimer = setTimeout(loadRadarSchedule, 5000);
+    }
+}
 
-    // Open YouTube Music search in new tab
-    window.open(ytMusicSearchUrl, '_blank');
+/**
+ * Enable or disable background scans
+ */
+async function handleRadarScheduleToggle() {
+    const enabled = !radarSchedule?.enabled;
+    const body = { enabled };
+
+    if (enabled) {
+        body.serverIp = document.getElementById('radarPlexServer').value.trim();
+        body.port = document.getElementById('radarPlexPort').value.trim();
+        body.token = document.getElementById('radarPlexToken').value.trim();
+        body.libraryKey = document.getElementById('radarPlexLibrary').value;
+
+        if (!body.serverIp || !body.port || !body.token || !body.libraryKey) {
+            alert('Please connect to Plex and select a library first');
+            return;
+        }
+    }
+
+    try {
+        const response = await fetch('/api/radar/schedule', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        radarSchedule = data;
+        renderRadarSchedule();
+    } catch (error) {
+        alert(`Failed to update background scans: ${error.message}`);
+    }
+}
+
+/**
+ * Check for due artists right away
+ */
+async function handleRadarScheduleRun() {
+    try {
+        const response = await fetch('/api/radar/schedule/run', { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        radarSchedule = data;
+        renderRadarSchedule();
+    } catch (error) {
+        alert(`Failed to start background scan: ${error.message}`);
+    }
+}
+
+/**
+ * Queue a release for download: the server matches the MusicBrainz tracklist
+ * to YouTube Music and downloads it with the MusicBrainz tags
+ */
+async function handleDownloadRelease(button, artist, title, mbid) {
+    // Same destination and format as the Downloader tab
+    const outputPath = localStorage.getItem('outputPath');
+    if (!outputPath) {
+        alert('Set an output directory in the YouTube Downloader tab first');
+        return;
+    }
+
+    console.log(`[Radar] Queueing release download: ${artist} - ${title}`);
+
+    const label = button.innerHTML;
+    button.disabled = true;
+    button.textContent = 'Matching...';
+
+    try {
+        const response = await fetch('/api/downloads/release', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                artist,
+                title,
+                releaseGroupId: mbid || null,
+                outputPath,
+                cookiesPath: localStorage.getItem('cookiesPath') || null,
+                profile: localStorage.getItem('outputProfile') || undefined,
+                layout: localStorage.getItem('outputLayout') || undefined
+            })
+        });
+
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        const missing = data.missing.length > 0
+            ? `\n\nNot found on YouTube Music:\n${data.missing.map(track => `• ${track.number}. ${track.title}`).join('\n')}`
+            : '';
+        alert(`Queued ${artist} - ${title}: ${data.foundTracks} of ${data.totalTracks} tracks${data.albumUrl ? ' from the YouTube Music album' : ' from track search'}.${missing}\n\nProgress is shown in the YouTube Downloader tab.`);
+        button.textContent = '✓ Queued';
+    } catch (error) {
+        alert(`Could not queue ${artist} - ${title}: ${error.message}`);
+        button.disabled = false;
+        button.innerHTML = label;
+    }
 }
 
 /**
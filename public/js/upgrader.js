@@ -1,6 +1,6 @@
 /**
  * Quality Upgrader Module
- * Standalone module for upgrading 4-5 star rated tracks to FLAC quality from YouTube Music
+ * Standalone module for upgrading 4-5 star rated tracks from YouTube Music in a chosen output profile
  */
 
 // Phase 5 state variables
@@ -27,6 +27,7 @@ function initUpgrader() {
     const deselectAllUpgradesBtn = document.getElementById('deselectAllUpgradesBtn');
     const scrollToBottomUpgradesBtn = document.getElementById('scrollToBottomUpgradesBtn');
     const startBulkUpgradeBtn = document.getElementById('startBulkUpgradeBtn');
+    const refreshUpgradeHistoryBtn = document.getElementById('refreshUpgradeHistoryBtn');
 
     if (testConnectionBtn) {
         testConnectionBtn.addEventListener('click', handleTestConnection);
@@ -71,6 +72,12 @@ function initUpgrader() {
         startBulkUpgradeBtn.addEventListener('click', handleBulkUpgrade);
     }
 
+    if (refreshUpgradeHistoryBtn) {
+        refreshUpgradeHistoryBtn.addEventListener('click', loadUpgradeHistory);
+    }
+
+    loadUpgradeHistory();
+
     // Show the module
     const module = document.getElementById('module-upgrader');
     if (module) {
@@ -322,7 +329,7 @@ async function handleDetectUpgrades() {
         const response = await fetch('http://localhost:3000/api/upgrader/detect', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ tracks: upgraderRatedTracks })
+            body: JSON.stringify({ tracks: upgraderRatedTracks, profile: document.getElementById('upgradeProfile').value })
         });
 
         const result = await response.json();
@@ -439,8 +446,11 @@ async function handleBulkUpgrade() {
     // Reset counters
     let completed = 0;
     let failed = 0;
+    let skipped = 0;
     upgraderUpgradeResults = [];
 
+    const reviewMode = document.getElementById('upgradeReviewMode').checked;
+
     // Get cookies and PO token from localStorage
     const cookies = localStorage.getItem('cookiesPath');
     const poToken = localStorage.getItem('poToken');
@@ -458,43 +468,23 @@ async function handleBulkUpgrade() {
         document.getElementById('upgradeCurrentTrack').textContent = `${track.artist} - ${track.title}`;
 
         try {
-            // Step 1: Search YouTube Music
-            const searchResponse = await fetch('http://localhost:3000/api/upgrader/search-youtube', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
+            // Step 1: Search YouTube Music (and let the user confirm the pick in review mode)
+            const youtubeUrl = reviewMode
+                ? await reviewYouTubeCandidates(track, cookies, poToken)
+                : await searchYouTubeUrl(track, cookies, poToken);
+
+            if (!youtubeUrl) {
+                skipped++;
+                upgraderUpgradeResults.push({
                     track,
-                    cookies,
-                    poToken,
-                    useMusicBrainz: false // Try Plex metadata first
-                })
-            });
-
-            const searchResult = await searchResponse.json();
-
-            if (!searchResult.success || !searchResult.result) {
-                // Try with MusicBrainz fallback
-                console.log(`[Upgrader] Retrying with MusicBrainz fallback`);
-                const searchResponse2 = await fetch('http://localhost:3000/api/upgrader/search-youtube', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        track,
-                        cookies,
-                        poToken,
-                        useMusicBrainz: true
-                    })
+                    success: false,
+                    skipped: true,
+                    message: 'Skipped during review'
                 });
-
-                const searchResult2 = await searchResponse2.json();
-
-                if (!searchResult2.success || !searchResult2.result) {
-                    throw new Error('No match found on YouTube Music');
-                }
+                document.getElementById('upgradeInProgressCount').textContent = '0';
+                continue;
             }
 
-            const youtubeUrl = searchResult.result.url;
-
             // Step 2: Download and replace
             const downloadResponse = await fetch('http://localhost:3000/api/upgrader/download-upgrade', {
                 method: 'POST',
@@ -503,7 +493,8 @@ async function handleBulkUpgrade() {
                     track,
                     youtubeUrl,
                     cookies,
-                    poToken
+                    poToken,
+                    profile: document.getElementById('upgradeProfile').value
                 })
             });
 
@@ -537,7 +528,7 @@ async function handleBulkUpgrade() {
                                     upgraderUpgradeResults.push({
                                         track,
                                         success: true,
-                                        message: `Upgraded to FLAC`
+                                        message: `Upgraded to ${document.getElementById('upgradeProfile').selectedOptions[0].text}`
                                     });
                                 } else {
                                     failed++;
@@ -579,7 +570,286 @@ async function handleBulkUpgrade() {
     document.getElementById('upgradeResultsContainer').style.display = 'block';
 
     startBtn.disabled = false;
-    console.log(`[Upgrader] Upgrade complete: ${completed} succeeded, ${failed} failed`);
+    loadUpgradeHistory();
+    console.log(`[Upgrader] Upgrade complete: ${completed} succeeded, ${failed} failed, ${skipped} skipped`);
+}
+
+/**
+ * Search YouTube Music and take the recommended result
+ * Retries with MusicBrainz metadata when the Plex metadata finds nothing
+ * @returns {Promise<string>} YouTube URL
+ */
+async function searchYouTubeUrl(track, cookies, poToken) {
+    for (const useMusicBrainz of [false, true]) {
+        if (useMusicBrainz) {
+            console.log(`[Upgrader] Retrying with MusicBrainz fallback`);
+        }
+
+        const response = await fetch('http://localhost:3000/api/upgrader/search-youtube', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ track, cookies, poToken, useMusicBrainz })
+        });
+
+        const result = await response.json();
+        if (result.success && result.result) {
+            return result.result.url;
+        }
+    }
+
+    throw new Error('No match found on YouTube Music');
+}
+
+/**
+ * Show every scored YouTube Music result for a track and wait for the user's pick
+ * @returns {Promise<string|null>} YouTube URL, null when the track was skipped
+ */
+async function reviewYouTubeCandidates(track, cookies, poToken) {
+    let candidates = [];
+    for (const useMusicBrainz of [false, true]) {
+        const response = await fetch('http://localhost:3000/api/upgrader/candidates', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ track, cookies, poToken, useMusicBrainz })
+        });
+
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || 'YouTube Music search failed');
+        }
+
+        candidates = result.candidates;
+        if (result.recommended) break;
+    }
+
+    document.getElementById('upgradeProgressText').textContent = `Waiting for review: ${track.artist} - ${track.title}`;
+    const container = document.getElementById('upgradeReviewContainer');
+    const list = document.getElementById('upgradeReviewList');
+    const urlInput = document.getElementById('upgradeReviewUrl');
+
+    const plexDuration = track.duration ? formatUpgraderDuration(track.duration / 1000) : 'unknown';
+    document.getElementById('upgradeReviewTrack').innerHTML = `
+        <strong>${escapeUpgraderHtml(track.artist)}</strong> - ${escapeUpgraderHtml(track.title)}
+        <span class="upgrade-review-duration">Plex length: ${plexDuration}</span>
+    `;
+    urlInput.value = '';
+
+    if (candidates.length === 0) {
+        list.innerHTML = '<div class="no-results">No results on YouTube Music. Paste a URL or skip this track.</div>';
+    } else {
+        list.innerHTML = candidates.map((candidate, index) => `
+            <label class="upgrade-review-candidate ${candidate.eligible ? '' : 'ineligible'}">
+                <input type="radio" name="upgradeReviewPick" value="${index}" ${candidate.recommended ? 'checked' : ''}>
+                <div class="upgrade-review-info">
+                    <div class="upgrade-track-title">
+                        ${escapeUpgraderHtml(candidate.title)}
+                        ${candidate.recommended ? '<span class="badge badge-success">Recommended</span>' : ''}
+                    </div>
+                    <div class="upgrade-track-subtitle">
+                        ${escapeUpgraderHtml(candidate.channel || 'Unknown channel')}
+                        • ${candidate.duration || '?:??'}
+                        ${candidate.durationDelta !== null ? `(${candidate.durationDelta > 0 ? '+' : ''}${candidate.durationDelta}s)` : ''}
+                        • <a href="${escapeUpgraderHtml(candidate.url)}" target="_blank" rel="noopener">${escapeUpgraderHtml(candidate.videoId)}</a>
+                    </div>
+                    <ul class="upgrade-review-reasons">
+                        ${candidate.reasons.map(reason => `
+                            <li class="${reason.points > 0 ? 'positive' : reason.points < 0 ? 'negative' : ''}">
+                                ${reason.points > 0 ? '+' : ''}${reason.points !== 0 ? reason.points : ''} ${escapeUpgraderHtml(reason.text)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+                <div class="upgrade-review-score">${candidate.score}</div>
+            </label>
+        `).join('');
+    }
+
+    container.style.display = 'block';
+    container.scrollIntoView({ behavior: 'smooth' });
+
+    const choice = await new Promise((resolve) => {
+        const confirmBtn = document.getElementById('upgradeReviewConfirmBtn');
+        const skipBtn = document.getElementById('upgradeReviewSkipBtn');
+
+        const finish = (value) => {
+            confirmBtn.removeEventListener('click', onConfirm);
+            skipBtn.removeEventListener('click', onSkip);
+            resolve(value);
+        };
+        const onConfirm = () => {
+            // A pasted URL overrides the list
+            const pasted = urlInput.value.trim();
+            if (pasted) {
+                finish(pasted);
+                return;
+            }
+
+            const picked = list.querySelector('input[name="upgradeReviewPick"]:checked');
+            if (!picked) {
+                alert('Pick a result or paste a YouTube URL');
+                return;
+            }
+            finish(candidates[parseInt(picked.value)].url);
+        };
+        const onSkip = () => finish(null);
+
+        confirmBtn.addEventListener('click', onConfirm);
+        skipBtn.addEventListener('click', onSkip);
+    });
+
+    container.style.display = 'none';
+    list.innerHTML = '';
+    return choice;
+}
+
+/**
+ * Load upgrade history and archive stats
+ */
+async function loadUpgradeHistory() {
+    try {
+        const [historyResponse, statsResponse] = await Promise.all([
+            fetch('http://localhost:3000/api/upgrader/history?limit=100'),
+            fetch('http://localhost:3000/api/upgrader/stats')
+        ]);
+        const history = await historyResponse.json();
+        const stats = await statsResponse.json();
+
+        if (stats.success) {
+            const retention = stats.stats.archiveRetentionDays > 0
+                ? `kept ${stats.stats.archiveRetentionDays} days`
+                : 'kept until reverted';
+            document.getElementById('upgradeHistoryStats').innerHTML = `
+                <span><strong>${stats.stats.totalUpgrades}</strong> upgrades</span>
+                <span><strong>${stats.stats.archived}</strong> originals archived (${retention})</span>
+                <span><strong>${stats.stats.reverted}</strong> reverted</span>
+                <span><strong>${stats.stats.heldForReview}</strong> held for review</span>
+            `;
+        }
+
+        if (history.success) {
+            displayUpgradeHistory(history.upgrades);
+        }
+    } catch (error) {
+        console.error('[Upgrader] Error loading upgrade history:', error);
+    }
+}
+
+/**
+ * Display upgrade history with revert actions
+ */
+function displayUpgradeHistory(upgrades) {
+    const container = document.getElementById('upgradeHistoryList');
+    container.innerHTML = '';
+
+    if (upgrades.length === 0) {
+        container.innerHTML = '<div class="no-results">No upgrades yet.</div>';
+        return;
+    }
+
+    upgrades.forEach(upgrade => {
+        const card = document.createElement('div');
+        card.className = 'upgrade-candidate-card';
+
+        let status;
+        if (upgrade.revertedAt) {
+            status = `<span class="badge badge-warning">Reverted ${escapeUpgraderHtml(upgrade.revertedAt)}</span>`;
+        } else if (upgrade.revertible) {
+            status = `<button type="button" class="button-secondary upgrade-revert-btn" data-id="${upgrade.id}">↩️ Revert</button>`;
+        } else {
+            status = '<span class="upgrade-track-subtitle">Original not archived</span>';
+        }
+
+        card.innerHTML = `
+            <div class="upgrade-candidate-header">
+                <div class="upgrade-candidate-info">
+                    <div class="upgrade-track-title">
+                        <strong>${escapeUpgraderHtml(upgrade.metadata.artist)}</strong> - ${escapeUpgraderHtml(upgrade.metadata.title)}
+                    </div>
+                    <div class="upgrade-track-subtitle">${escapeUpgraderHtml(upgrade.filePath)}</div>
+                    <div class="upgrade-track-subtitle">Upgraded ${escapeUpgraderHtml(upgrade.upgradedAt)}</div>
+                </div>
+                ${status}
+            </div>
+            <div class="upgrade-quality-comparison">
+                <div class="quality-current">
+                    <span class="label">Original:</span>
+                    <span class="badge badge-warning">${escapeUpgraderHtml(upgrade.originalCodec)} ${upgrade.originalBitrate}kbps</span>
+                </div>
+                <div class="quality-arrow">→</div>
+                <div class="quality-target">
+                    <span class="label">Upgrade:</span>
+                    <span class="badge badge-success">${escapeUpgraderHtml(upgrade.newCodec)} ${upgrade.newBitrate}kbps</span>
+                </div>
+            </div>
+        `;
+
+        container.appendChild(card);
+    });
+
+    container.querySelectorAll('.upgrade-revert-btn').forEach(button => {
+        button.addEventListener('click', () => handleRevertUpgrade(parseInt(button.dataset.id), button));
+    });
+}
+
+/**
+ * Revert an upgrade: restore the archived original and refresh Plex
+ */
+async function handleRevertUpgrade(upgradeId, button) {
+    if (!confirm('Restore the original file and delete the upgraded one? The track will not be offered for upgrade again.')) {
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Reverting...';
+
+    try {
+        const response = await fetch('http://localhost:3000/api/upgrader/revert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                upgradeId,
+                serverIp: document.getElementById('upgraderPlexServer').value,
+                port: document.getElementById('upgraderPlexPort').value,
+                token: document.getElementById('upgraderPlexToken').value,
+                libraryId: upgraderSelectedLibraryId
+            })
+        });
+
+        const result = await response.json();
+
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        console.log(`[Upgrader] Reverted upgrade ${upgradeId}: ${result.restoredPath}`);
+        if (result.plexRefresh && !result.plexRefresh.success) {
+            alert(`Original restored, but the Plex refresh failed: ${result.plexRefresh.error}`);
+        } else if (!result.plexRefresh) {
+            alert('Original restored. Select a Plex library to have Plex refreshed automatically next time.');
+        }
+    } catch (error) {
+        console.error('[Upgrader] Revert error:', error);
+        alert(`Revert failed: ${error.message}`);
+    }
+
+    loadUpgradeHistory();
+}
+
+/**
+ * Format seconds as M:SS
+ */
+function formatUpgraderDuration(seconds) {
+    const rounded = Math.round(seconds);
+    return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeUpgraderHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
 }
 
 /**
@@ -591,10 +861,10 @@ function displayUpgradeResults() {
 
     upgraderUpgradeResults.forEach(result => {
         const item = document.createElement('div');
-        item.className = `rename-result-item ${result.success ? 'success' : 'error'}`;
+        item.className = `rename-result-item ${result.success ? 'success' : result.skipped ? 'skipped' : 'error'}`;
 
         item.innerHTML = `
-            <div class="status-icon">${result.success ? '✅' : '❌'}</div>
+            <div class="status-icon">${result.success ? '✅' : result.skipped ? '⏭' : '❌'}</div>
             <div class="result-info">
                 <div class="track-name">${result.track.artist} - ${result.track.title}</div>
                 <div class="result-message">${result.message}</div>
@@ -1,7 +1,6 @@
 import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
-import { spawn } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -10,10 +9,25 @@ import { scanDirectory, scanLibraryStructure, groupByArtist, generateScanSummary
 import { testConnection, getLibraries, fetchLibraryTracks, compareWithPlex } from './modules/organizer/plex.js';
 import { searchArtist, searchRelease, searchRecording, getReleaseDetails, getCacheStats, clearCache } from './modules/organizer/musicbrainz.js';
 import { batchMatchFiles, generateRenamePreviews, executeRename, getMatchStatistics, matchArtists, matchAlbums } from './modules/organizer/matcher.js';
+import { getReleasePolicy, setReleasePolicy, DEFAULT_RELEASE_POLICY } from './modules/organizer/release-selector.js';
+import { getNamingSettings, setNamingSettings, previewNaming, NAMING_PRESETS, NAMING_TOKENS, FILESYSTEMS } from './modules/organizer/naming.js';
+import { getArtworkSettings, setArtworkSettings, applyArtwork, COVER_SIZES } from './modules/organizer/artwork.js';
+import { getLyricsSettings, setLyricsSettings, listLyricsProviders, applyLyrics } from './modules/organizer/lyrics.js';
+import { getLoudnessSettings, setLoudnessSettings, isLoudnessAvailable, applyReplayGain, replayGainAfterMove } from './modules/organizer/loudness.js';
+import { verifyAudioFiles, isAnalysisAvailable } from './modules/organizer/audio-analysis.js';
 import { validatePath, isPathWritable, planMoveOperations, executeMoveOperations, rollbackLastOperation, triggerPlexRefresh } from './modules/organizer/organizer.js';
-import { fetchPlexTracksWithRatings, detectLowQuality, isAlreadyUpgraded, searchYouTubeMusicForTrack, downloadAndReplace, getUpgradeStats, initUpgradeDatabase } from './modules/organizer/upgrader.js';
+import { createBatch, recordEntry, finishBatch, listBatches, getBatch, rollbackBatch, purgeQuarantine } from './modules/organizer/journal.js';
+import { fetchPlexTracksWithRatings, detectLowQuality, isAlreadyUpgraded, searchYouTubeMusicForTrack, searchYouTubeMusicCandidates, downloadAndReplace, getUpgradeStats, getUpgradeVerifications, getUpgradeHistory, getUpgrade, revertUpgrade, purgeExpiredArchives, initUpgradeDatabase } from './modules/organizer/upgrader.js';
 import artistRadar from './modules/organizer/artist-radar.js';
+import { startRadarScheduler, configureRadarScheduler, getRadarSchedulerConfig, getRadarSchedulerStatus, runScheduledScan, runManualScan, isRadarScanRunning } from './modules/organizer/radar-scheduler.js';
 import simpleOrganizer from './modules/organizer/simple-organizer.js';
+import { getPlaylistId, getManifest, REMOVED_ACTIONS } from './modules/downloader/playlist-manifest.js';
+import { OUTPUT_PROFILES, DEFAULT_PROFILE, OUTPUT_LAYOUTS, DEFAULT_LAYOUT, listOutputProfiles, setProfileTemplate } from './modules/downloader/output-profiles.js';
+import { approveReviewItem } from './modules/downloader/pipeline.js';
+import { planReleaseDownload } from './modules/downloader/release-handoff.js';
+import { REVIEW_STATUS, listReviewItems, getReviewItem, resolveReviewItem } from './modules/downloader/review-queue.js';
+import { getIngestConfig, configureIngestWatcher, startIngestWatcher, getIngestStatus } from './modules/organizer/ingest-watcher.js';
+import { startDownloadQueue, createJob, getJob, listJobs, reorderJobs, retryJob, pauseJob, resumeJob, deleteJob, subscribe, getRecentEvents, getConcurrency, setConcurrency } from './modules/downloader/download-queue.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,12 +36,10 @@ const app = express();
 const PORT = 3000;
 const DEBUG = true;
 
-// Track active downloads
-const activeDownloads = new Map();
-
-// Create logs directory and file
-await fs.mkdir('logs', { recursive: true });
-const logFile = createWriteStream(path.join(__dirname, 'logs', `download-${Date.now()}.log`), { flags: 'a' });
+// Create logs directory and file (LOG_PATH moves them elsewhere)
+const LOG_PATH = process.env.LOG_PATH || path.join(__dirname, 'logs');
+await fs.mkdir(LOG_PATH, { recursive: true });
+const logFile = createWriteStream(path.join(LOG_PATH, `download-${Date.now()}.log`), { flags: 'a' });
 
 // Enhanced logging function
 function log(message, level = 'INFO') {
@@ -55,30 +67,39 @@ await fs.mkdir('uploads', { recursive: true });
 
 log('Server initialized', 'INFO');
 
+// Resume any download jobs left over from a previous run
+startDownloadQueue({ log, debug: DEBUG });
+
+// Resume watching the staging folder if it was enabled
+startIngestWatcher().catch(error => log(`Could not start staging folder watcher: ${error.message}`, 'ERROR'));
+
+// Background Artist Radar scans by rating tier
+startRadarScheduler();
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
-// Cancel download endpoint
+// Cancel download endpoint (pauses the job so it can be resumed later)
 app.post('/api/cancel', (req, res) => {
   const { downloadId } = req.body;
-  const process = activeDownloads.get(downloadId);
 
-  if (process) {
+  try {
     log(`Cancelling download ${downloadId}`, 'INFO');
-    process.kill('SIGTERM');
-    activeDownloads.delete(downloadId);
+    pauseJob(downloadId);
     res.json({ success: true, message: 'Download cancelled' });
-  } else {
-    res.status(404).json({ error: 'Download not found' });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
   }
 });
 
-// Download playlist endpoint
+/**
+ * POST /api/download
+ * Validate a playlist download request and add it to the job queue
+ */
 app.post('/api/download', upload.single('cookies'), async (req, res) => {
-  const { playlistUrl, outputPath, cookiesPath, poToken } = req.body;
-  const downloadId = Date.now().toString();
+  const { playlistUrl, outputPath, cookiesPath, poToken, sync, removedAction, profile, layout, pipeline, liveLibraryPath, plexServerIp, plexPort, plexToken, plexLibraryId } = req.body;
 
   log('=== NEW DOWNLOAD REQUEST ===', 'INFO');
   log(`Playlist URL: ${playlistUrl}`, 'DEBUG');
@@ -88,33 +109,17 @@ app.post('/api/download', upload.single('cookies'), async (req, res) => {
 
   if (!playlistUrl || !outputPath) {
     log('Missing required parameters', 'ERROR');
-    return res.status(400).json({ error: 'Playlist URL and output path are required' });
+    return res.status(400).json({ success: false, error: 'Playlist URL and output path are required' });
   }
 
-  // Set response headers for streaming
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  const sendProgress = (data) => {
-    if (DEBUG && data.debug) {
-      log(data.debug, 'DEBUG');
-    }
-    // Include downloadId in all progress messages
-    res.write(`data: ${JSON.stringify({ ...data, downloadId })}\n\n`);
-  };
-
   try {
     // Verify output path exists
     try {
       await fs.access(outputPath);
       log(`Output path verified: ${outputPath}`, 'DEBUG');
-      sendProgress({ debug: `Output path verified: ${outputPath}` });
     } catch (error) {
       log(`Output path does not exist: ${outputPath}`, 'ERROR');
-      sendProgress({ error: `Output path does not exist: ${outputPath}` });
-      res.end();
-      return;
+      return res.status(400).json({ success: false, error: `Output path does not exist: ${outputPath}` });
     }
 
     // Verify cookies file exists if provided
@@ -122,341 +127,483 @@ app.post('/api/download', upload.single('cookies'), async (req, res) => {
       try {
         await fs.access(cookiesPath);
         log(`Cookies file verified: ${cookiesPath}`, 'DEBUG');
-        sendProgress({ debug: `Cookies file verified: ${cookiesPath}` });
       } catch (error) {
         log(`Cookies file not found: ${cookiesPath}`, 'ERROR');
-        sendProgress({ error: `Cookies file not found: ${cookiesPath}` });
-        res.end();
-        return;
+        return res.status(400).json({ success: false, error: `Cookies file not found: ${cookiesPath}` });
       }
     }
 
-    sendProgress({ status: 'Starting download...', progress: 0 });
-
-    // Build yt-dlp command
-    // Key insight: YouTube doesn't provide FLAC natively, so we download best audio and convert
-    // Using TV client to bypass signature extraction issues
-    const args = [
-      '-f', 'bestaudio/best',  // Select best audio quality available
-      '-x',  // Extract audio only
-      '--audio-format', 'flac',  // Convert to FLAC
-      '--audio-quality', '0',  // Best quality (0-9, 0 is best)
-      '--output', path.join(outputPath, '%(album_artist,artist)s/%(album)s/%(title)s.%(ext)s'),
-      '--add-metadata',  // Add metadata from video
-      '--embed-thumbnail',  // Embed thumbnail as cover art
-      '--convert-thumbnails', 'jpg',  // Convert WebP to JPG (FLAC-compatible)
-      '--yes-playlist',  // Explicitly download whole playlist
-      '--ignore-errors',  // Continue on download errors
-      '--no-warnings',  // Reduce output noise
-      '--newline',  // Output progress on new lines (better for parsing)
-      '--progress',  // Show progress
-      '--no-check-certificates',  // Sometimes helps with auth issues
-      '--extractor-args', 'youtube:player_client=tv'  // Use TV client to bypass signature issues
-    ];
+    if (removedAction && !REMOVED_ACTIONS.includes(removedAction)) {
+      return res.status(400).json({ success: false, error: `removedAction must be one of: ${REMOVED_ACTIONS.join(', ')}` });
+    }
 
-    if (cookiesPath) {
-      args.push('--cookies', cookiesPath);
-      log('Using cookies file for authentication', 'DEBUG');
+    if (profile && !OUTPUT_PROFILES[profile]) {
+      return res.status(400).json({ success: false, error: `profile must be one of: ${Object.keys(OUTPUT_PROFILES).join(', ')}` });
     }
 
-    // Don't use PO token - it appears to require special format we don't have
-    // if (poToken) {
-    //   args.push('--extractor-args', `youtube:po_token=${poToken}`);
-    //   log('Using PO token for authentication', 'DEBUG');
-    // }
-
-    args.push(playlistUrl);
-
-    const command = `yt-dlp ${args.join(' ')}`;
-    log(`Executing command: ${command.substring(0, 200)}...`, 'DEBUG');
-    sendProgress({ debug: `Command: yt-dlp with ${args.length} arguments`, progress: 2 });
-    sendProgress({ status: 'Fetching playlist information...', progress: 5 });
-
-    const ytdlp = spawn('yt-dlp', args);
-    activeDownloads.set(downloadId, ytdlp);
-
-    // Enhanced tracking variables for status dashboard
-    let totalTracks = 0;
-    let currentTrack = 0;
-    let completedTracks = 0;
-    let failedTracks = [];
-    let unavailableVideos = [];
-    let skippedTracks = 0;
-    let currentTrackInfo = { artist: '', album: '', title: '' };
-    let currentFile = '';
-    let downloadedCount = 0;
-
-    ytdlp.stdout.on('data', (data) => {
-      const output = data.toString();
-      log(`[yt-dlp stdout] ${output}`, 'DEBUG');
-
-      // Send all output to frontend in debug mode
-      if (DEBUG) {
-        sendProgress({ rawOutput: output.trim() });
-      }
+    if (layout && !OUTPUT_LAYOUTS.includes(layout)) {
+      return res.status(400).json({ success: false, error: `layout must be one of: ${OUTPUT_LAYOUTS.join(', ')}` });
+    }
 
-      // 1. Extract total tracks from playlist
-      const playlistMatch = output.match(/\[youtube:tab\] Playlist [^:]+: Downloading (\d+) items of (\d+)/);
-      if (playlistMatch) {
-        totalTracks = parseInt(playlistMatch[2]);
-        sendProgress({
-          totalTracks,
-          status: `Found ${totalTracks} tracks in playlist`,
-          progress: 5
-        });
+    // Optional post-download pipeline into the live library
+    const runPipelineAfter = pipeline === 'true' || pipeline === true;
+    if (runPipelineAfter) {
+      if (!liveLibraryPath) {
+        return res.status(400).json({ success: false, error: 'Live library path is required for the post-download pipeline' });
       }
-
-      // 2. Track current item being downloaded
-      const itemMatch = output.match(/\[download\] Downloading item (\d+) of (\d+)/);
-      if (itemMatch) {
-        currentTrack = parseInt(itemMatch[1]);
-        totalTracks = parseInt(itemMatch[2]);
-        const remaining = totalTracks - currentTrack;
-        sendProgress({
-          currentTrack,
-          totalTracks,
-          remaining,
-          status: `Downloading track ${currentTrack} of ${totalTracks}`
-        });
+      try {
+        validatePath(liveLibraryPath);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
       }
-
-      // 3. Extract track title from metadata parser
-      const trackTitleMatch = output.match(/\[MetadataParser\] Parsed track from '%\(title\)s': '(.+)'/);
-      if (trackTitleMatch) {
-        currentTrackInfo.title = trackTitleMatch[1];
+      if (!(await isPathWritable(liveLibraryPath))) {
+        return res.status(400).json({ success: false, error: 'Live library path is not writable' });
       }
+      log(`Pipeline enabled: live library ${liveLibraryPath}${plexLibraryId ? `, Plex library ${plexLibraryId}` : ''}`, 'DEBUG');
+    }
 
-      // 4. Extract artist and album from destination path
-      if (output.includes('[download] Destination:')) {
-        const fileMatch = output.match(/\[download\] Destination: (.+)/);
-        if (fileMatch) {
-          currentFile = path.basename(fileMatch[1]);
-          log(`Downloading file: ${currentFile}`, 'INFO');
-
-          // Try to extract artist/album from path: /path/to/Artist/Album/file.ext
-          const pathMatch = fileMatch[1].match(/\/([^\/]+)\/([^\/]+)\/[^\/]+$/);
-          if (pathMatch) {
-            currentTrackInfo.artist = pathMatch[1];
-            currentTrackInfo.album = pathMatch[2];
-            log(`Extracted artist: ${currentTrackInfo.artist}, album: ${currentTrackInfo.album}`, 'DEBUG');
-            sendProgress({
-              currentTrackInfo: {...currentTrackInfo},
-              status: `Downloading: ${currentTrackInfo.artist} - ${currentTrackInfo.title || currentFile}`
-            });
+    const job = createJob({
+      playlistUrl,
+      outputPath,
+      cookiesPath,
+      options: {
+        sync: sync !== 'false' && sync !== false,
+        removedAction: removedAction || 'flag',
+        profile: profile || DEFAULT_PROFILE,
+        layout: layout || DEFAULT_LAYOUT,
+        pipeline: runPipelineAfter
+          ? {
+            liveLibraryPath,
+            plex: plexLibraryId
+              ? { serverIp: plexServerIp, port: plexPort, token: plexToken, libraryId: plexLibraryId }
+              : null
           }
-        }
+          : null
       }
+    });
+    res.json({ success: true, job });
 
-      // 5. Parse download progress percentages
-      if (output.includes('[download]') && output.includes('%')) {
-        const percentMatch = output.match(/(\d+\.?\d*)%/);
-        if (percentMatch) {
-          const percent = parseFloat(percentMatch[1]);
-          sendProgress({
-            downloadProgress: percent,
-            status: `Downloading: ${currentTrackInfo.title || currentFile} (${percent.toFixed(1)}%)`,
-            progress: totalTracks > 0 ? Math.min(Math.round((completedTracks / totalTracks) * 100), 99) : Math.min(percent, 99)
-          });
-        }
-      }
+  } catch (error) {
+    log(`Server error: ${error.message}`, 'ERROR');
+    log(`Stack trace: ${error.stack}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // 6. Track completed tracks (audio extraction)
-      if (output.includes('[ExtractAudio]')) {
-        completedTracks++;
-        downloadedCount++; // Keep for compatibility
-        const extractMatch = output.match(/\[ExtractAudio\] Destination: (.+)/);
-        if (extractMatch) {
-          const fileName = path.basename(extractMatch[1]);
-          const progressPercent = totalTracks > 0 ? Math.round((completedTracks / totalTracks) * 100) : 50;
-          log(`Processed track ${completedTracks}`, 'INFO');
-          sendProgress({
-            completedTracks,
-            downloadedCount: completedTracks,
-            lastCompleted: fileName,
-            format: 'FLAC',
-            status: `Completed ${completedTracks}${totalTracks > 0 ? ` of ${totalTracks}` : ''} track(s)`,
-            progress: Math.min(progressPercent, 99)
-          });
-        }
-      }
+/**
+ * GET /api/downloads
+ * List all download jobs in queue order
+ */
+app.get('/api/downloads', (req, res) => {
+  try {
+    res.json({ success: true, jobs: listJobs(), concurrency: getConcurrency() });
+  } catch (error) {
+    log(`Error listing download jobs: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // 7. Track skipped tracks (already downloaded)
-      if (output.includes('has already been downloaded')) {
-        skippedTracks++;
-        completedTracks++; // Count as completed
-        downloadedCount++; // Keep for compatibility
-        const progressPercent = totalTracks > 0 ? Math.round((completedTracks / totalTracks) * 100) : 50;
-        sendProgress({
-          skippedTracks,
-          completedTracks,
-          downloadedCount: completedTracks,
-          status: `Skipped ${skippedTracks} already downloaded track(s)`,
-          progress: Math.min(progressPercent, 99)
-        });
-      }
-    });
+/**
+ * POST /api/downloads/reorder
+ * Reorder the queue. Body: { jobIds: [3, 1, 2] }
+ */
+app.post('/api/downloads/reorder', (req, res) => {
+  const { jobIds } = req.body;
 
-    ytdlp.stderr.on('data', (data) => {
-      const output = data.toString();
-      log(`[yt-dlp stderr] ${output}`, 'DEBUG');
+  if (!Array.isArray(jobIds)) {
+    return res.status(400).json({ success: false, error: 'jobIds array is required' });
+  }
 
-      // Send all stderr to frontend in debug mode
-      if (DEBUG) {
-        sendProgress({ rawOutput: `[stderr] ${output.trim()}` });
-      }
+  try {
+    res.json({ success: true, jobs: reorderJobs(jobIds) });
+  } catch (error) {
+    log(`Error reordering download jobs: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-      // 8. Track unavailable videos count
-      const unavailableMatch = output.match(/(\d+) unavailable videos? (?:is|are) hidden/);
-      if (unavailableMatch) {
-        const unavailableCount = parseInt(unavailableMatch[1]);
-        sendProgress({
-          unavailableCount,
-          warning: `${unavailableCount} unavailable video(s) in playlist`
-        });
-      }
+/**
+ * POST /api/downloads/concurrency
+ * Set how many jobs may run at once. Body: { concurrency: 2 }
+ */
+app.post('/api/downloads/concurrency', (req, res) => {
+  const { concurrency } = req.body;
 
-      // 9. Track individual errors
-      if (output.includes('ERROR:')) {
-        let errorType = 'unknown';
-        let errorMessage = output.trim();
-
-        // Classify error types
-        if (output.includes('Video unavailable')) {
-          errorType = 'unavailable';
-          const videoIdMatch = output.match(/\[youtube\] ([^:]+):/);
-          if (videoIdMatch) {
-            const videoId = videoIdMatch[1];
-            unavailableVideos.push({
-              videoId,
-              message: errorMessage
-            });
-          }
-        } else if (output.includes('Private video')) {
-          errorType = 'private';
-        } else if (output.includes('removed by the uploader')) {
-          errorType = 'removed';
-        } else if (output.includes('403: Forbidden')) {
-          errorType = 'forbidden';
-        }
+  if (!concurrency) {
+    return res.status(400).json({ success: false, error: 'concurrency is required' });
+  }
 
-        failedTracks.push({
-          type: errorType,
-          message: errorMessage,
-          timestamp: new Date().toISOString()
-        });
+  try {
+    res.json({ success: true, concurrency: setConcurrency(concurrency) });
+  } catch (error) {
+    log(`Error setting download concurrency: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-        log(`yt-dlp error: ${output}`, 'ERROR');
-        sendProgress({
-          error: errorMessage,
-          failedCount: failedTracks.length,
-          failedTracks: failedTracks,
-          unavailableVideos: unavailableVideos.map(v => v.videoId)
-        });
-      } else if (output.includes('WARNING:')) {
-        log(`yt-dlp warning: ${output}`, 'WARN');
-        sendProgress({ warning: output.trim() });
-      }
-    });
+/**
+ * POST /api/downloads/release
+ * Queue a MusicBrainz release (e.g. from the Artist Radar) for download from YouTube Music.
+ * Body: { artist, title, releaseGroupId, releaseId, outputPath, cookiesPath, profile, layout }
+ */
+app.post('/api/downloads/release', async (req, res) => {
+  const { artist, title, releaseGroupId, releaseId, outputPath, cookiesPath, profile, layout } = req.body;
 
-    ytdlp.on('close', async (code) => {
-      log(`yt-dlp process exited with code ${code}`, code === 0 ? 'INFO' : 'ERROR');
-      activeDownloads.delete(downloadId);
+  log('=== RELEASE DOWNLOAD REQUEST ===', 'INFO');
+  log(`Release: ${artist} - ${title} (${releaseId || releaseGroupId || 'no MBID'})`, 'DEBUG');
 
-      if (code === 0) {
-        log(`Download completed successfully. Total tracks: ${completedTracks}`, 'INFO');
+  if (!artist || !title || !outputPath) {
+    return res.status(400).json({ success: false, error: 'Artist, title and output path are required' });
+  }
 
-        // Cleanup: Remove leftover JPG thumbnails and empty NA folders
-        try {
-          const fg = (await import('fast-glob')).default;
+  try {
+    await fs.access(outputPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Output path does not exist: ${outputPath}` });
+  }
 
-          // Find and remove JPG files next to FLAC files
-          const jpgFiles = await fg('**/*.jpg', { cwd: outputPath, absolute: true });
-          for (const jpgFile of jpgFiles) {
-            const flacFile = jpgFile.replace(/\.jpg$/, '.flac');
-            if (await fs.access(flacFile).then(() => true).catch(() => false)) {
-              await fs.unlink(jpgFile);
-              log(`Cleaned up thumbnail: ${path.basename(jpgFile)}`, 'DEBUG');
-            }
-          }
+  if (cookiesPath) {
+    try {
+      await fs.access(cookiesPath);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: `Cookies file not found: ${cookiesPath}` });
+    }
+  }
 
-          // Remove NA folder ONLY if it exists and is truly empty
-          // IMPORTANT: Never delete if it contains files - they may have artist info in filenames
-          const naFolder = path.join(outputPath, 'NA');
-          if (await fs.access(naFolder).then(() => true).catch(() => false)) {
-            try {
-              // Check if folder is actually empty before deleting
-              const naContents = await fs.readdir(naFolder);
-              if (naContents.length === 0) {
-                await fs.rmdir(naFolder);
-                log('Cleaned up empty NA folder', 'DEBUG');
-              } else {
-                log(`NA folder contains ${naContents.length} items - preserving for manual processing`, 'INFO');
-              }
-            } catch (err) {
-              log(`Could not check/remove NA folder: ${err.message}`, 'DEBUG');
-            }
-          }
-        } catch (cleanupError) {
-          log(`Cleanup error: ${cleanupError.message}`, 'WARN');
-        }
+  if (profile && !OUTPUT_PROFILES[profile]) {
+    return res.status(400).json({ success: false, error: `profile must be one of: ${Object.keys(OUTPUT_PROFILES).join(', ')}` });
+  }
 
-        sendProgress({
-          status: 'Download completed successfully!',
-          progress: 100,
-          completed: true,
-          totalTracks,
-          completedTracks,
-          skippedTracks,
-          downloadedCount: completedTracks,
-          failedCount: failedTracks.length,
-          failedTracks: failedTracks,
-          unavailableCount: unavailableVideos.length,
-          unavailableVideos: unavailableVideos.map(v => v.videoId)
-        });
-      } else if (code === null || code === 143 || code === 15) {
-        // SIGTERM or killed by user
-        log('Download cancelled by user', 'INFO');
-        sendProgress({
-          status: 'Download cancelled',
-          completed: true,
-          cancelled: true,
-          totalTracks,
-          completedTracks,
-          failedCount: failedTracks.length,
-          failedTracks: failedTracks
-        });
-      } else {
-        log(`Download failed with exit code ${code}`, 'ERROR');
-        sendProgress({
-          error: `Download failed with exit code ${code}`,
-          completed: true,
-          totalTracks,
-          completedTracks,
-          failedCount: failedTracks.length,
-          failedTracks: failedTracks
-        });
+  if (layout && !OUTPUT_LAYOUTS.includes(layout)) {
+    return res.status(400).json({ success: false, error: `layout must be one of: ${OUTPUT_LAYOUTS.join(', ')}` });
+  }
+
+  try {
+    const plan = await planReleaseDownload({ artist, title, releaseGroupId, releaseId }, {
+      cookiesPath,
+      log: (message, level) => log(`[Release] ${message}`, level)
+    });
+
+    const job = createJob({
+      playlistUrl: `https://musicbrainz.org/release/${plan.release.releaseId}`,
+      outputPath,
+      cookiesPath,
+      options: {
+        sync: true,
+        // The tracklist is fixed, nothing is ever removed upstream
+        removedAction: 'ignore',
+        profile: profile || DEFAULT_PROFILE,
+        layout: layout || DEFAULT_LAYOUT,
+        release: plan.release
       }
-      res.end();
     });
 
-    ytdlp.on('error', async (error) => {
-      log(`Failed to start yt-dlp: ${error.message}`, 'ERROR');
-      activeDownloads.delete(downloadId);
-      sendProgress({
-        error: `Failed to start yt-dlp: ${error.message}. Make sure yt-dlp is installed.`,
-        completed: true
-      });
-      res.end();
+    res.json({
+      success: true,
+      job,
+      albumUrl: plan.albumUrl,
+      foundTracks: plan.release.tracks.length,
+      totalTracks: plan.release.totalTracks,
+      missing: plan.missing.map(track => ({ disc: track.disc, number: track.number, title: track.title }))
     });
+  } catch (error) {
+    log(`Release download error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+/**
+ * GET /api/downloads/profiles
+ * List output profiles with their current filename templates
+ */
+app.get('/api/downloads/profiles', (req, res) => {
+  try {
+    res.json({ success: true, profiles: listOutputProfiles(), defaultProfile: DEFAULT_PROFILE });
   } catch (error) {
-    log(`Server error: ${error.message}`, 'ERROR');
-    log(`Stack trace: ${error.stack}`, 'ERROR');
-    sendProgress({
-      error: `Server error: ${error.message}`,
-      completed: true
+    log(`Error listing output profiles: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/downloads/profiles/:id/template
+ * Set a profile's filename template. Body: { template: '%(artist)s/%(album)s/%(title)s.%(ext)s' }
+ * An empty template restores the default.
+ */
+app.post('/api/downloads/profiles/:id/template', (req, res) => {
+  const { template } = req.body;
+
+  if (!OUTPUT_PROFILES[req.params.id]) {
+    return res.status(404).json({ success: false, error: 'Output profile not found' });
+  }
+
+  try {
+    const { codecPattern, ytdlpArgs, ...profile } = setProfileTemplate(req.params.id, template);
+    res.json({ success: true, profile });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/downloads/:id
+ * Get a single download job
+ */
+app.get('/api/downloads/:id', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * GET /api/downloads/:id/events
+ * Stream progress for a job (SSE). Replays recent log lines and the last
+ * known progress snapshot first, so a reloaded page can reattach.
+ */
+app.get('/api/downloads/:id/events', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  const send = (data) => {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  for (const event of getRecentEvents(job.id)) {
+    send({ ...event, downloadId: job.id, jobId: job.id, replay: true });
+  }
+
+  const isActive = job.status === 'running' || job.status === 'queued';
+  send({
+    ...(job.progress || {}),
+    status: job.progress?.lastStatus || `Job ${job.status}`,
+    error: job.status === 'failed' ? job.error : undefined,
+    downloadId: job.id,
+    jobId: job.id,
+    jobStatus: job.status,
+    snapshot: true,
+    completed: !isActive,
+    cancelled: job.status === 'paused'
+  });
+
+  if (!isActive) {
+    return res.end();
+  }
+
+  const unsubscribe = subscribe(job.id, (event) => {
+    send(event);
+    if (event.completed) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/downloads/:id/manifest
+ * Per-track manifest (video ID, status, output path, error) for a job's playlist
+ */
+app.get('/api/downloads/:id/manifest', (req, res) => {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  try {
+    res.json({ success: true, ...getManifest(getPlaylistId(job.playlistUrl)) });
+  } catch (error) {
+    log(`Error loading manifest: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/downloads/:id/retry
+ * Requeue a failed, paused or completed job
+ */
+app.post('/api/downloads/:id/retry', (req, res) => {
+  try {
+    res.json({ success: true, job: retryJob(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/downloads/:id/pause
+ * Pause a queued or running job
+ */
+app.post('/api/downloads/:id/pause', (req, res) => {
+  try {
+    res.json({ success: true, job: pauseJob(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/downloads/:id/resume
+ * Put a paused job back in the queue
+ */
+app.post('/api/downloads/:id/resume', (req, res) => {
+  try {
+    res.json({ success: true, job: resumeJob(req.params.id) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/downloads/:id
+ * Remove a job from the queue, stopping it if it is running
+ */
+app.delete('/api/downloads/:id', (req, res) => {
+  try {
+    deleteJob(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/pipeline/review
+ * Files the post-download pipeline parked for review. Query: ?status=pending
+ */
+app.get('/api/pipeline/review', (req, res) => {
+  const { status } = req.query;
+
+  if (status && !Object.values(REVIEW_STATUS).includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${Object.values(REVIEW_STATUS).join(', ')}` });
+  }
+
+  try {
+    res.json({ success: true, items: listReviewItems(status) });
+  } catch (error) {
+    log(`Error listing review queue: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/pipeline/review/:id/approve
+ * Rename and move a parked file into the live library.
+ * Body (optional, for the Plex refresh): { serverIp, port, token, libraryId }
+ */
+app.post('/api/pipeline/review/:id/approve', async (req, res) => {
+  const { serverIp, port, token, libraryId } = req.body;
+
+  if (!getReviewItem(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Review item not found' });
+  }
+
+  try {
+    const result = await approveReviewItem(req.params.id, {
+      plex: { serverIp, port, token, libraryId },
+      log: (message, level) => log(`[Pipeline] ${message}`, level)
     });
-    res.end();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    log(`Error approving review item ${req.params.id}: ${error.message}`, 'ERROR');
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/pipeline/review/:id/dismiss
+ * Drop a parked file from the review queue (the file stays in the download folder)
+ */
+app.post('/api/pipeline/review/:id/dismiss', (req, res) => {
+  if (!getReviewItem(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Review item not found' });
+  }
+
+  res.json({ success: true, item: resolveReviewItem(req.params.id, REVIEW_STATUS.DISMISSED) });
+});
+
+/**
+ * GET /api/ingest/status
+ * Staging folder watcher state, pending files and activity log
+ */
+app.get('/api/ingest/status', (req, res) => {
+  try {
+    res.json({ success: true, ...getIngestStatus() });
+  } catch (error) {
+    log(`Error reading ingest status: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/ingest/config
+ * Configure and start/stop the staging folder watcher.
+ * Body: { stagingPath, liveLibraryPath, settleSeconds, enabled, plexServerIp, plexPort, plexToken, plexLibraryId }
+ */
+app.post('/api/ingest/config', async (req, res) => {
+  const { stagingPath, liveLibraryPath, settleSeconds, enabled, plexServerIp, plexPort, plexToken, plexLibraryId } = req.body;
+  const watchEnabled = enabled === true || enabled === 'true';
+
+  if (!stagingPath || !liveLibraryPath) {
+    return res.status(400).json({ success: false, error: 'Staging path and live library path are required' });
+  }
+  if (path.resolve(stagingPath) === path.resolve(liveLibraryPath)) {
+    return res.status(400).json({ success: false, error: 'Staging path and live library path must be different' });
+  }
+
+  const settle = settleSeconds === undefined || settleSeconds === '' ? 15 : parseInt(settleSeconds);
+  if (isNaN(settle) || settle < 2 || settle > 600) {
+    return res.status(400).json({ success: false, error: 'settleSeconds must be between 2 and 600' });
+  }
+
+  try {
+    validatePath(stagingPath);
+    validatePath(liveLibraryPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (watchEnabled) {
+    // The watcher renames files inside staging, so both folders must be writable
+    if (!(await isPathWritable(stagingPath))) {
+      return res.status(400).json({ success: false, error: 'Staging path is not writable' });
+    }
+    if (!(await isPathWritable(liveLibraryPath))) {
+      return res.status(400).json({ success: false, error: 'Live library path is not writable' });
+    }
+  }
+
+  // The status endpoint masks the token; keep the saved one when it comes back masked
+  const savedToken = getIngestConfig()?.plex?.token;
+  const token = plexToken && plexToken !== '********' ? plexToken : savedToken;
+
+  try {
+    const status = await configureIngestWatcher({
+      stagingPath,
+      liveLibraryPath,
+      settleSeconds: settle,
+      enabled: watchEnabled,
+      plex: plexLibraryId
+        ? { serverIp: plexServerIp, port: plexPort, token, libraryId: plexLibraryId }
+        : null
+    });
+    log(`Staging folder watcher ${status.running ? `watching ${stagingPath}` : 'stopped'}`, 'INFO');
+    res.json({ success: true, ...status });
+  } catch (error) {
+    log(`Error configuring staging folder watcher: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -972,93 +1119,435 @@ app.get('/api/musicbrainz/cache-stats', async (req, res) => {
   }
 });
 
-app.post('/api/musicbrainz/clear-cache', async (req, res) => {
-  log('=== MUSICBRAINZ CLEAR CACHE REQUEST ===', 'INFO');
+app.post('/api/musicbrainz/clear-cache', async (req, res) => {
+  log('=== MUSICBRAINZ CLEAR CACHE REQUEST ===', 'INFO');
+
+  try {
+    const result = clearCache();
+
+    if (result.success) {
+      log(`Successfully cleared ${result.cleared} cache entries`, 'INFO');
+      res.json(result);
+    } else {
+      log(`Failed to clear cache: ${result.message}`, 'ERROR');
+      res.status(500).json(result);
+    }
+  } catch (error) {
+    log(`Cache clear error: ${error.message}`, 'ERROR');
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: `Failed to clear cache: ${error.message}`
+    });
+  }
+});
+
+// ========================================
+// MATCHER ENDPOINTS (Phase 3.5)
+// ========================================
+
+/**
+ * POST /api/matcher/batch-match
+ * Batch match scanned files to MusicBrainz with SSE progress
+ */
+app.post('/api/matcher/batch-match', async (req, res) => {
+  log('=== BATCH MATCH REQUEST ===', 'INFO');
+
+  const { files } = req.body;
+
+  if (!files || !Array.isArray(files) || files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid files array'
+    });
+  }
+
+  log(`Batch matching ${files.length} files to MusicBrainz`, 'INFO');
+
+  // DEBUG: Log first file to see what fields are present
+  if (files.length > 0) {
+    log(`DEBUG: First file keys: ${Object.keys(files[0]).join(', ')}`, 'INFO');
+    log(`DEBUG: First file filePath: ${files[0].filePath}`, 'INFO');
+    log(`DEBUG: First file path: ${files[0].path}`, 'INFO');
+    log(`DEBUG: First file structure: ${JSON.stringify(files[0], null, 2)}`, 'INFO');
+  }
+
+  // Set up SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+
+  try {
+    const albums = [];
+    const matchResults = await batchMatchFiles(files, (progress) => {
+      // Send progress updates via SSE
+      res.write(`data: ${JSON.stringify({
+        type: 'progress',
+        ...progress
+      })}\n\n`);
+    }, {
+      onAlbumAligned: (report) => albums.push(report)
+    });
+
+    // Get statistics
+    const stats = getMatchStatistics(matchResults);
+
+    // Send completion message
+    res.write(`data: ${JSON.stringify({
+      type: 'complete',
+      results: matchResults,
+      stats: stats,
+      albums,
+      message: `Batch matching complete! Matched ${stats.matched}/${stats.total} files`
+    })}\n\n`);
+
+    res.end();
+    log(`Batch matching complete: ${stats.matched}/${stats.total} files matched`, 'INFO');
+
+  } catch (error) {
+    log(`Batch match error: ${error.message}`, 'ERROR');
+    res.write(`data: ${JSON.stringify({
+      type: 'error',
+      error: error.message
+    })}\n\n`);
+    res.end();
+  }
+});
+
+/**
+ * GET /api/matcher/release-policy
+ * Edition preferences used to pick the MusicBrainz release of a matched album
+ */
+app.get('/api/matcher/release-policy', (req, res) => {
+  try {
+    res.json({ success: true, policy: getReleasePolicy(), defaults: DEFAULT_RELEASE_POLICY });
+  } catch (error) {
+    log(`Release policy error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/matcher/release-policy
+ * Update edition preferences.
+ * Body: any of { yearSource, preferOriginalEdition, preferredCountries, preferJapaneseEditions, preferredFormats, preferOfficial }
+ */
+app.post('/api/matcher/release-policy', (req, res) => {
+  try {
+    const policy = setReleasePolicy(req.body || {});
+    log(`Release policy updated: ${JSON.stringify(policy)}`, 'INFO');
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/naming/settings
+ * Naming template shared by the organizers and the downloader, with the
+ * presets, tokens and filesystem modes the editor offers
+ */
+app.get('/api/naming/settings', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      settings: getNamingSettings(),
+      presets: NAMING_PRESETS,
+      tokens: NAMING_TOKENS,
+      filesystems: Object.keys(FILESYSTEMS)
+    });
+  } catch (error) {
+    log(`Naming settings error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/naming/settings
+ * Update naming settings.
+ * Body: { template?: string, filesystem?: 'posix' | 'ntfs' | 'fat' | 'smb' }
+ */
+app.post('/api/naming/settings', (req, res) => {
+  try {
+    const settings = setNamingSettings(req.body || {});
+    log(`Naming settings updated: ${JSON.stringify(settings)}`, 'INFO');
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/naming/preview
+ * Render sample tracks with an unsaved template.
+ * Body: { template: string, filesystem: string }
+ */
+app.post('/api/naming/preview', (req, res) => {
+  try {
+    const { template, filesystem } = req.body || {};
+    res.json({ success: true, previews: previewNaming({ template, filesystem }) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/artwork/settings
+ * Cover art settings and the embed sizes the Cover Art Archive serves
+ */
+app.get('/api/artwork/settings', (req, res) => {
+  try {
+    res.json({ success: true, settings: getArtworkSettings(), sizes: COVER_SIZES });
+  } catch (error) {
+    log(`Artwork settings error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/artwork/settings
+ * Update cover art settings.
+ * Body: { folderCover?: boolean, embed?: boolean, embedSize?: 250 | 500 | 1200, replaceExisting?: boolean }
+ */
+app.post('/api/artwork/settings', (req, res) => {
+  try {
+    const settings = setArtworkSettings(req.body || {});
+    log(`Artwork settings updated: ${JSON.stringify(settings)}`, 'INFO');
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/artwork/apply
+ * Fetch covers for a library folder whose files carry MusicBrainz release IDs
+ * Body: { musicPath: string }
+ */
+app.post('/api/artwork/apply', async (req, res) => {
+  const { musicPath } = req.body || {};
+
+  if (!musicPath) {
+    return res.status(400).json({ success: false, error: 'Missing required parameter: musicPath' });
+  }
+
+  try {
+    await fs.access(musicPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Music path does not exist: ${musicPath}` });
+  }
+
+  try {
+    const scannedFiles = await scanDirectory(musicPath);
+    const tracks = scannedFiles.map(file => ({
+      filePath: file.filePath,
+      releaseId: file.metadata?.musicbrainz?.releaseId,
+      releaseGroupId: file.metadata?.musicbrainz?.releaseGroupId,
+      hasArtwork: file.metadata?.hasArtwork
+    }));
+
+    const summary = await applyArtwork(tracks);
+    log(`Artwork for ${musicPath}: ${summary.coversWritten} cover(s) written, ${summary.embedded} embedded, ${summary.notFound} not found`, 'INFO');
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log(`Artwork error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/lyrics/settings
+ * Lyrics settings and the registered providers
+ */
+app.get('/api/lyrics/settings', (req, res) => {
+  try {
+    res.json({ success: true, settings: getLyricsSettings(), providers: listLyricsProviders() });
+  } catch (error) {
+    log(`Lyrics settings error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/lyrics/settings
+ * Update lyrics settings.
+ * Body: { provider?: string, autoFetch?: boolean, sidecar?: boolean, embed?: boolean, overwrite?: boolean }
+ */
+app.post('/api/lyrics/settings', (req, res) => {
+  try {
+    const settings = setLyricsSettings(req.body || {});
+    log(`Lyrics settings updated: ${JSON.stringify(settings)}`, 'INFO');
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/lyrics/apply
+ * Look up lyrics for the tracks of a library folder from their tags
+ * Body: { musicPath: string }
+ */
+app.post('/api/lyrics/apply', async (req, res) => {
+  const { musicPath } = req.body || {};
+
+  if (!musicPath) {
+    return res.status(400).json({ success: false, error: 'Missing required parameter: musicPath' });
+  }
+
+  try {
+    await fs.access(musicPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Music path does not exist: ${musicPath}` });
+  }
+
+  try {
+    const scannedFiles = await scanDirectory(musicPath);
+    const tracks = scannedFiles.map(file => ({
+      filePath: file.filePath,
+      artist: file.metadata?.artist,
+      title: file.metadata?.title,
+      album: file.metadata?.album,
+      duration: file.metadata?.duration,
+      lyrics: file.metadata?.lyrics
+    }));
+
+    const summary = await applyLyrics(tracks);
+    log(`Lyrics for ${musicPath}: ${summary.synced} synced, ${summary.plain} plain, ${summary.embedded} embedded, ${summary.notFound} not found`, 'INFO');
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    log(`Lyrics error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/loudness/settings
+ * ReplayGain settings and whether ffmpeg is available
+ */
+app.get('/api/loudness/settings', async (req, res) => {
+  try {
+    res.json({ success: true, settings: getLoudnessSettings(), available: await isLoudnessAvailable() });
+  } catch (error) {
+    log(`Loudness settings error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/loudness/settings
+ * Update ReplayGain settings.
+ * Body: { afterMove?: boolean }
+ */
+app.post('/api/loudness/settings', (req, res) => {
+  try {
+    const settings = setLoudnessSettings(req.body || {});
+    log(`Loudness settings updated: ${JSON.stringify(settings)}`, 'INFO');
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/loudness/analyze
+ * Measure every album of a folder and write ReplayGain tags, with SSE progress
+ * Body: { musicPath: string }
+ */
+app.post('/api/loudness/analyze', async (req, res) => {
+  const { musicPath } = req.body || {};
+
+  if (!musicPath) {
+    return res.status(400).json({ success: false, error: 'Missing required parameter: musicPath' });
+  }
+
+  try {
+    await fs.access(musicPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Music path does not exist: ${musicPath}` });
+  }
+
+  if (!(await isLoudnessAvailable())) {
+    return res.status(400).json({ success: false, error: 'ffmpeg is not installed; loudness analysis is unavailable' });
+  }
+
+  log(`=== LOUDNESS ANALYSIS: ${musicPath} ===`, 'INFO');
+
+  // Set up SSE
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
 
   try {
-    const result = clearCache();
+    const scannedFiles = await scanDirectory(musicPath);
+    const summary = await applyReplayGain(scannedFiles.map(file => file.filePath), {
+      progressCallback: (progress) => {
+        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
+      }
+    });
 
-    if (result.success) {
-      log(`Successfully cleared ${result.cleared} cache entries`, 'INFO');
-      res.json(result);
-    } else {
-      log(`Failed to clear cache: ${result.message}`, 'ERROR');
-      res.status(500).json(result);
-    }
+    res.write(`data: ${JSON.stringify({
+      type: 'complete',
+      ...summary,
+      message: `ReplayGain written to ${summary.tagged} file(s) in ${summary.albums.length} album(s), ${summary.errors.length} error(s)`
+    })}\n\n`);
+    res.end();
+    log(`Loudness analysis complete: ${summary.tagged} tagged, ${summary.errors.length} errors`, 'INFO');
   } catch (error) {
-    log(`Cache clear error: ${error.message}`, 'ERROR');
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      message: `Failed to clear cache: ${error.message}`
-    });
+    log(`Loudness analysis error: ${error.message}`, 'ERROR');
+    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
+    res.end();
   }
 });
 
-// ========================================
-// MATCHER ENDPOINTS (Phase 3.5)
-// ========================================
-
 /**
- * POST /api/matcher/batch-match
- * Batch match scanned files to MusicBrainz with SSE progress
+ * POST /api/analysis/verify
+ * Decode every file of a folder to check integrity and effective quality, with SSE progress
+ * Body: { musicPath: string, force?: boolean }
  */
-app.post('/api/matcher/batch-match', async (req, res) => {
-  log('=== BATCH MATCH REQUEST ===', 'INFO');
+app.post('/api/analysis/verify', async (req, res) => {
+  const { musicPath, force = false } = req.body || {};
 
-  const { files } = req.body;
-
-  if (!files || !Array.isArray(files) || files.length === 0) {
-    return res.status(400).json({
-      success: false,
-      error: 'Missing or invalid files array'
-    });
+  if (!musicPath) {
+    return res.status(400).json({ success: false, error: 'Missing required parameter: musicPath' });
   }
 
-  log(`Batch matching ${files.length} files to MusicBrainz`, 'INFO');
+  try {
+    await fs.access(musicPath);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Music path does not exist: ${musicPath}` });
+  }
 
-  // DEBUG: Log first file to see what fields are present
-  if (files.length > 0) {
-    log(`DEBUG: First file keys: ${Object.keys(files[0]).join(', ')}`, 'INFO');
-    log(`DEBUG: First file filePath: ${files[0].filePath}`, 'INFO');
-    log(`DEBUG: First file path: ${files[0].path}`, 'INFO');
-    log(`DEBUG: First file structure: ${JSON.stringify(files[0], null, 2)}`, 'INFO');
+  if (!(await isAnalysisAvailable())) {
+    return res.status(400).json({ success: false, error: 'ffmpeg is not installed; audio verification is unavailable' });
   }
 
+  log(`=== AUDIO VERIFICATION: ${musicPath} ===`, 'INFO');
+
   // Set up SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
   try {
-    const matchResults = await batchMatchFiles(files, (progress) => {
-      // Send progress updates via SSE
-      res.write(`data: ${JSON.stringify({
-        type: 'progress',
-        ...progress
-      })}\n\n`);
+    const scannedFiles = await scanDirectory(musicPath);
+    const summary = await verifyAudioFiles(scannedFiles.map(file => file.filePath), {
+      force: force === true,
+      progressCallback: (progress) => {
+        res.write(`data: ${JSON.stringify({ type: 'progress', ...progress })}\n\n`);
+      }
     });
 
-    // Get statistics
-    const stats = getMatchStatistics(matchResults);
-
-    // Send completion message
     res.write(`data: ${JSON.stringify({
       type: 'complete',
-      results: matchResults,
-      stats: stats,
-      message: `Batch matching complete! Matched ${stats.matched}/${stats.total} files`
+      ...summary,
+      message: `Verified ${summary.analyzed} file(s): ${summary.damaged} damaged, ${summary.lossySourced} lossy-sourced, ${summary.clipped} clipped`
     })}\n\n`);
-
     res.end();
-    log(`Batch matching complete: ${stats.matched}/${stats.total} files matched`, 'INFO');
-
+    log(`Audio verification complete: ${summary.analyzed} analyzed, ${summary.damaged} damaged, ${summary.lossySourced} lossy-sourced`, 'INFO');
   } catch (error) {
-    log(`Batch match error: ${error.message}`, 'ERROR');
-    res.write(`data: ${JSON.stringify({
-      type: 'error',
-      error: error.message
-    })}\n\n`);
+    log(`Audio verification error: ${error.message}`, 'ERROR');
+    res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
     res.end();
   }
 });
@@ -1286,6 +1775,18 @@ app.post('/api/matcher/execute-rename', async (req, res) => {
     const successCount = results.filter(r => r.status === 'success' || r.status === 'success_dry_run').length;
     const errorCount = results.filter(r => r.status === 'error').length;
     const skippedCount = results.filter(r => r.status === 'skipped').length;
+    const taggedCount = results.filter(r => r.mbidTagsWritten).length;
+
+    // Covers for the albums the renamed files ended up in
+    const artworkTracks = results
+      .map((result, index) => ({ result, release: renameItems[index].mbMatch?.releases?.[0] }))
+      .filter(({ result }) => ['success', 'success_with_suffix', 'skipped'].includes(result.status))
+      .map(({ result, release }) => ({
+        filePath: result.status === 'skipped' ? result.originalPath : result.proposedPath,
+        releaseId: release?.id,
+        releaseGroupId: release?.releaseGroupId
+      }));
+    const artwork = dryRun ? null : await applyArtwork(artworkTracks);
 
     // Send completion message
     res.write(`data: ${JSON.stringify({
@@ -1295,11 +1796,14 @@ app.post('/api/matcher/execute-rename', async (req, res) => {
         total: results.length,
         success: successCount,
         errors: errorCount,
-        skipped: skippedCount
+        skipped: skippedCount,
+        tagged: taggedCount,
+        coversWritten: artwork?.coversWritten || 0,
+        embedded: artwork?.embedded || 0
       },
       message: dryRun
         ? `[DRY RUN] Preview complete: ${successCount} files would be renamed`
-        : `Rename complete: ${successCount} files renamed successfully, ${errorCount} errors`
+        : `Rename complete: ${successCount} files renamed successfully, ${errorCount} errors, ${taggedCount} tagged with MusicBrainz IDs`
     })}\n\n`);
 
     res.end();
@@ -1339,6 +1843,7 @@ app.post('/api/organizer/rename-artists', async (req, res) => {
     const fs = await import('fs/promises');
     const path = await import('path');
     const { updateArtistMetadata } = await import('./modules/organizer/metadata-updater.js');
+    const batchId = createBatch('rename-artists', `Rename ${renames.length} artist folder(s) in ${musicPath}`);
 
     // Placeholder folders that should be handled specially (move files individually, not rename folder)
     const PLACEHOLDER_FOLDERS = ['NA', 'Unknown Artist', 'Unknown', 'Various Artists', 'N/A'];
@@ -1434,11 +1939,12 @@ app.post('/api/organizer/rename-artists', async (req, res) => {
                 const targetFilePath = path.join(targetArtistPath, fileName);
 
                 await fs.rename(fullFilePath, targetFilePath);
+                recordEntry(batchId, { type: 'move', sourcePath: fullFilePath, destinationPath: targetFilePath });
                 log(`Moved file from placeholder: ${relativeFilePath} → ${rename.newArtist}/${fileName}`, 'INFO');
 
                 // Update metadata in the moved file
                 try {
-                  await updateArtistMetadata(targetFilePath, rename.newArtist, { isSingleFile: true });
+                  await updateArtistMetadata(targetFilePath, rename.newArtist, { isSingleFile: true, batchId });
                   metadataUpdatedCount++;
                 } catch (metaError) {
                   log(`Failed to update metadata for ${fileName}: ${metaError.message}`, 'WARN');
@@ -1474,6 +1980,7 @@ app.post('/api/organizer/rename-artists', async (req, res) => {
 
           // Perform rename
           await fs.rename(oldPath, newPath);
+          recordEntry(batchId, { type: 'rename', sourcePath: oldPath, destinationPath: newPath });
           log(`Renamed folder: ${oldPath} → ${newPath}`, 'INFO');
           renamedCount++;
           folderRenamed = true;
@@ -1486,7 +1993,7 @@ app.post('/api/organizer/rename-artists', async (req, res) => {
 
         // Update metadata in all files within the folder (even if folder wasn't renamed)
         try {
-          const updated = await updateArtistMetadata(targetPath, rename.newArtist);
+          const updated = await updateArtistMetadata(targetPath, rename.newArtist, { batchId });
           metadataUpdatedCount += updated;
           log(`Updated metadata in ${updated} files`, 'INFO');
         } catch (metaError) {
@@ -1499,6 +2006,8 @@ app.post('/api/organizer/rename-artists', async (req, res) => {
       }
     }
 
+    finishBatch(batchId);
+
     res.json({
       success: true,
       renamedCount,
@@ -1535,6 +2044,7 @@ app.post('/api/organizer/rename-albums', async (req, res) => {
     const fs = await import('fs/promises');
     const path = await import('path');
     const { updateAlbumMetadata, updateArtistMetadata } = await import('./modules/organizer/metadata-updater.js');
+    const batchId = createBatch('rename-albums', `Rename ${renames.length} album folder(s) in ${musicPath}`);
 
     let renamedCount = 0;
     let metadataUpdatedCount = 0;
@@ -1590,6 +2100,7 @@ app.post('/api/organizer/rename-albums', async (req, res) => {
 
           // Perform rename
           await fs.rename(oldPath, newPath);
+          recordEntry(batchId, { type: 'rename', sourcePath: oldPath, destinationPath: newPath });
           log(`Renamed album folder: ${oldPath} → ${newPath}`, 'INFO');
           renamedCount++;
         } else {
@@ -1601,8 +2112,8 @@ app.post('/api/organizer/rename-albums', async (req, res) => {
         // Update metadata in all files (whether renamed or not)
         try {
           // Update both artist and album metadata for all tracks
-          const artistUpdated = await updateArtistMetadata(targetPath, rename.newArtist);
-          const albumUpdated = await updateAlbumMetadata(targetPath, rename.newAlbum);
+          const artistUpdated = await updateArtistMetadata(targetPath, rename.newArtist, { batchId });
+          const albumUpdated = await updateAlbumMetadata(targetPath, rename.newAlbum, { batchId });
 
           metadataUpdatedCount += Math.max(artistUpdated, albumUpdated); // Avoid double-counting same files
           log(`Updated metadata in ${Math.max(artistUpdated, albumUpdated)} files (artist + album tags)`, 'INFO');
@@ -1636,6 +2147,8 @@ app.post('/api/organizer/rename-albums', async (req, res) => {
       }
     }
 
+    finishBatch(batchId);
+
     res.json({
       success: true,
       renamedCount,
@@ -1781,6 +2294,16 @@ app.post('/api/organizer/execute-move', async (req, res) => {
     const errorCount = results.filter(r => r.status === 'error').length;
     const skippedCount = results.filter(r => r.status === 'skipped').length;
 
+    // Optional ReplayGain step for the albums the files landed in
+    const replayGain = dryRun ? null : await replayGainAfterMove(
+      results.filter(r => r.status === 'success').map(r => r.destinationPath),
+      {
+        progressCallback: (progress) => {
+          res.write(`data: ${JSON.stringify({ type: 'progress', phase: 'loudness', ...progress })}\n\n`);
+        }
+      }
+    );
+
     // Send completion message
     res.write(`data: ${JSON.stringify({
       type: 'complete',
@@ -1789,7 +2312,8 @@ app.post('/api/organizer/execute-move', async (req, res) => {
         total: results.length,
         success: successCount,
         errors: errorCount,
-        skipped: skippedCount
+        skipped: skippedCount,
+        replayGainTagged: replayGain?.tagged || 0
       },
       message: dryRun
         ? `[DRY RUN] Preview complete: ${successCount} files would be moved`
@@ -1809,30 +2333,36 @@ app.post('/api/organizer/execute-move', async (req, res) => {
   }
 });
 
+/**
+ * Summarize rollback results for the API response
+ */
+function summarizeRollback(results) {
+  return {
+    total: results.length,
+    restored: results.filter(r => r.success && r.action !== 'deleted').length,
+    deleted: results.filter(r => r.success && r.action === 'deleted').length,
+    failed: results.filter(r => !r.success).length
+  };
+}
+
 /**
  * POST /api/organizer/rollback
- * Rollback last move operation
+ * Rollback the most recent journal batch
  */
 app.post('/api/organizer/rollback', async (req, res) => {
   log('=== ROLLBACK REQUEST ===', 'INFO');
 
   try {
     const results = await rollbackLastOperation();
+    const summary = summarizeRollback(results);
 
-    const successCount = results.filter(r => r.success).length;
-    const failedCount = results.filter(r => !r.success).length;
-
-    log(`Rollback complete: ${successCount} operations restored, ${failedCount} failed`, 'INFO');
+    log(`Rollback complete: ${summary.restored} restored, ${summary.deleted} deleted, ${summary.failed} failed`, 'INFO');
 
     res.json({
       success: true,
       results,
-      summary: {
-        total: results.length,
-        restored: successCount,
-        failed: failedCount
-      },
-      message: `Rollback complete: ${successCount} operations restored`
+      summary,
+      message: `Rollback complete: ${summary.restored + summary.deleted} operations undone`
     });
 
   } catch (error) {
@@ -1844,6 +2374,91 @@ app.post('/api/organizer/rollback', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/organizer/journal
+ * List journal batches, newest first
+ */
+app.get('/api/organizer/journal', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({ success: true, batches: listBatches(limit) });
+  } catch (error) {
+    log(`Journal list error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/organizer/journal/:batchId
+ * Get a journal batch with its entries
+ */
+app.get('/api/organizer/journal/:batchId', (req, res) => {
+  try {
+    const batch = getBatch(parseInt(req.params.batchId, 10));
+
+    if (!batch) {
+      return res.status(404).json({ success: false, error: 'Batch not found' });
+    }
+
+    res.json({ success: true, batch });
+  } catch (error) {
+    log(`Journal batch error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/organizer/journal/:batchId/rollback
+ * Roll back a journal batch, or only the given entries: { entryIds }
+ */
+app.post('/api/organizer/journal/:batchId/rollback', async (req, res) => {
+  const batchId = parseInt(req.params.batchId, 10);
+  const { entryIds = null } = req.body;
+  log(`=== ROLLBACK BATCH ${batchId} REQUEST ===`, 'INFO');
+
+  if (entryIds !== null && (!Array.isArray(entryIds) || entryIds.length === 0)) {
+    return res.status(400).json({ success: false, error: 'entryIds must be a non-empty array' });
+  }
+
+  if (!getBatch(batchId)) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  try {
+    const results = await rollbackBatch(batchId, entryIds);
+    const summary = summarizeRollback(results);
+
+    log(`Batch ${batchId} rollback: ${summary.restored} restored, ${summary.deleted} deleted, ${summary.failed} failed`, 'INFO');
+
+    res.json({ success: true, results, summary, batch: getBatch(batchId) });
+  } catch (error) {
+    log(`Batch rollback error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/organizer/journal/:batchId/purge
+ * Delete the files a batch quarantined (its replacements can no longer be rolled back)
+ */
+app.post('/api/organizer/journal/:batchId/purge', async (req, res) => {
+  const batchId = parseInt(req.params.batchId, 10);
+
+  if (!getBatch(batchId)) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  try {
+    const deleted = await purgeQuarantine(batchId);
+    log(`Purged ${deleted} quarantined file(s) of batch ${batchId}`, 'INFO');
+
+    res.json({ success: true, deleted, batch: getBatch(batchId) });
+  } catch (error) {
+    log(`Quarantine purge error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * POST /api/organizer/plex-library-path
  * Get filesystem path for a Plex library
@@ -1918,8 +2533,9 @@ app.post('/api/organizer/plex-refresh', async (req, res) => {
  * ========================================
  */
 
-// Initialize upgrade database on startup
+// Initialize upgrade database on startup and drop archived originals past their retention
 initUpgradeDatabase();
+purgeExpiredArchives();
 
 /**
  * POST /api/upgrader/fetch-rated-tracks
@@ -1976,7 +2592,7 @@ app.post('/api/upgrader/fetch-rated-tracks', async (req, res) => {
 app.post('/api/upgrader/detect', async (req, res) => {
   log('=== DETECT UPGRADE CANDIDATES REQUEST ===', 'INFO');
 
-  const { tracks } = req.body;
+  const { tracks, profile } = req.body;
 
   if (!tracks || !Array.isArray(tracks)) {
     return res.status(400).json({
@@ -1985,8 +2601,12 @@ app.post('/api/upgrader/detect', async (req, res) => {
     });
   }
 
+  if (profile && !OUTPUT_PROFILES[profile]) {
+    return res.status(400).json({ success: false, error: `Unknown output profile: ${profile}` });
+  }
+
   try {
-    const candidates = detectLowQuality(tracks);
+    const candidates = detectLowQuality(tracks, profile);
 
     // Filter out already upgraded tracks
     const newCandidates = candidates.filter(track => !isAlreadyUpgraded(track.filePath));
@@ -2055,16 +2675,57 @@ app.post('/api/upgrader/search-youtube', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/upgrader/candidates
+ * Search YouTube Music for a track and return every scored result for review
+ * Body: { track, cookies, poToken, useMusicBrainz }
+ * Each candidate has its channel, length against the Plex track, score and the reasons for it
+ */
+app.post('/api/upgrader/candidates', async (req, res) => {
+  const { track, cookies, poToken, useMusicBrainz } = req.body;
+
+  if (!track) {
+    return res.status(400).json({
+      success: false,
+      error: 'Track data is required'
+    });
+  }
+
+  try {
+    const candidates = await searchYouTubeMusicCandidates(
+      track,
+      cookies,
+      poToken,
+      useMusicBrainz || false
+    );
+
+    log(`YouTube Music candidates for "${track.artist} - ${track.title}": ${candidates.length}`, 'INFO');
+    res.json({
+      success: true,
+      candidates,
+      recommended: candidates.find(candidate => candidate.recommended) || null
+    });
+
+  } catch (error) {
+    log(`YouTube Music candidate search error: ${error.message}`, 'ERROR');
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/upgrader/download-upgrade
- * Download FLAC and replace original file (SSE stream)
+ * Download in the selected output profile and replace original file (SSE stream)
  */
 app.post('/api/upgrader/download-upgrade', async (req, res) => {
   log('=== DOWNLOAD UPGRADE REQUEST ===', 'INFO');
 
-  const { track, youtubeUrl, cookies, poToken } = req.body;
+  const { track, youtubeUrl, cookies, poToken, profile } = req.body;
 
   log(`Track: ${track?.artist} - ${track?.title}`, 'DEBUG');
+  log(`Output profile: ${profile || DEFAULT_PROFILE}`, 'DEBUG');
   log(`YouTube URL: ${youtubeUrl}`, 'DEBUG');
   log(`Cookies path: ${cookies || 'NOT PROVIDED'}`, 'DEBUG');
   log(`PO Token: ${poToken ? 'Provided (' + poToken.substring(0, 10) + '...)' : 'NOT PROVIDED'}`, 'DEBUG');
@@ -2076,6 +2737,10 @@ app.post('/api/upgrader/download-upgrade', async (req, res) => {
     });
   }
 
+  if (profile && !OUTPUT_PROFILES[profile]) {
+    return res.status(400).json({ success: false, error: `Unknown output profile: ${profile}` });
+  }
+
   // Set SSE headers
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -2091,10 +2756,15 @@ app.post('/api/upgrader/download-upgrade', async (req, res) => {
       youtubeUrl,
       cookies,
       poToken,
-      sendProgress
+      sendProgress,
+      profile
     );
 
-    log(`Successfully upgraded: ${result.newPath}`, 'INFO');
+    if (result.success) {
+      log(`Successfully upgraded: ${result.newPath}`, 'INFO');
+    } else {
+      log(`Upgrade held for review: ${result.reviewPath} (${result.verification.reasons.join('; ')})`, 'WARN');
+    }
     res.end();
 
   } catch (error) {
@@ -2109,6 +2779,96 @@ app.post('/api/upgrader/download-upgrade', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/upgrader/verifications
+ * Verification results of upgrade downloads, newest first
+ * Query: ?failed=true for downloads held for review only, &limit=N
+ */
+app.get('/api/upgrader/verifications', (req, res) => {
+  try {
+    const verifications = getUpgradeVerifications({
+      failedOnly: req.query.failed === 'true',
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, verifications });
+  } catch (error) {
+    log(`Get verifications error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/upgrader/history
+ * Upgrades, newest first, with whether their original can still be restored
+ * Query: ?limit=N
+ */
+app.get('/api/upgrader/history', (req, res) => {
+  try {
+    const upgrades = getUpgradeHistory({
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, upgrades });
+  } catch (error) {
+    log(`Get upgrade history error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/upgrader/revert
+ * Restore the archived original of an upgrade, delete the replacement and refresh Plex
+ * Body: { upgradeId, serverIp, port, token, libraryId } (Plex settings optional, no refresh without them)
+ */
+app.post('/api/upgrader/revert', async (req, res) => {
+  log('=== REVERT UPGRADE REQUEST ===', 'INFO');
+
+  const { upgradeId, serverIp, port, token, libraryId } = req.body;
+
+  if (!upgradeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upgrade ID is required'
+    });
+  }
+
+  const upgrade = getUpgrade(upgradeId);
+  if (!upgrade) {
+    return res.status(404).json({ success: false, error: 'Upgrade not found' });
+  }
+  if (upgrade.revertedAt) {
+    return res.status(409).json({ success: false, error: 'Upgrade was already reverted' });
+  }
+
+  let result;
+  try {
+    result = await revertUpgrade(upgradeId);
+    log(`Reverted upgrade ${upgradeId}: restored ${result.restoredPath}`, 'INFO');
+  } catch (error) {
+    log(`Revert upgrade error: ${error.message}`, 'ERROR');
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  // The file is back either way; a failed refresh is only reported
+  let plexRefresh = null;
+  if (serverIp && port && token && libraryId) {
+    try {
+      plexRefresh = await triggerPlexRefresh(serverIp, port, token, libraryId);
+    } catch (error) {
+      log(`Plex refresh after revert failed: ${error.message}`, 'WARN');
+      plexRefresh = { success: false, error: error.message };
+    }
+  }
+
+  res.json({
+    success: true,
+    ...result,
+    plexRefresh
+  });
+});
+
 /**
  * GET /api/upgrader/stats
  * Get upgrade statistics
@@ -2151,6 +2911,10 @@ app.post('/api/radar/scan', async (req, res) => {
     });
   }
 
+  if (isRadarScanRunning()) {
+    return res.status(409).json({ success: false, error: 'A radar scan is already in progress' });
+  }
+
   // Set up SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -2165,20 +2929,14 @@ app.post('/api/radar/scan', async (req, res) => {
 
     const plexConfig = { serverIp, port, token, libraryKey, ratingFilter: ratingFilter || 'all' };
 
-    const dashboard = await artistRadar.buildDashboard(plexConfig, sendProgress);
+    // Results are stored per artist in radar.db for /api/radar/results
+    const dashboard = await runManualScan(plexConfig, sendProgress);
 
     console.log('[Server] Dashboard returned:', {
       newReleasesCount: dashboard.newReleases.length,
       missingAlbumsCount: dashboard.missingAlbums.length
     });
 
-    // Store results in memory for the /api/radar/results endpoint
-    global.radarLastResults = {
-      newReleases: dashboard.newReleases,
-      missingAlbums: dashboard.missingAlbums,
-      timestamp: Date.now()
-    };
-
     // Send only counts via SSE (not the full arrays - too large!)
     const completeData = {
       type: 'complete',
@@ -2204,13 +2962,15 @@ app.post('/api/radar/scan', async (req, res) => {
 
 /**
  * GET /api/radar/results
- * Get the last scan results
+ * Get the stored scan results, flagging what is new since the last visit
  */
 app.get('/api/radar/results', async (req, res) => {
   log('=== GET RADAR RESULTS REQUEST ===', 'INFO');
 
   try {
-    if (!global.radarLastResults) {
+    const results = artistRadar.getRadarResults();
+
+    if (!results.lastScan) {
       return res.status(404).json({
         success: false,
         error: 'No scan results available. Please run a scan first.'
@@ -2219,9 +2979,8 @@ app.get('/api/radar/results', async (req, res) => {
 
     res.json({
       success: true,
-      newReleases: global.radarLastResults.newReleases,
-      missingAlbums: global.radarLastResults.missingAlbums,
-      timestamp: global.radarLastResults.timestamp
+      ...results,
+      timestamp: results.lastScan
     });
 
   } catch (error) {
@@ -2233,6 +2992,80 @@ app.get('/api/radar/results', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/radar/visit
+ * Mark the current results as seen (resets the "new since last visit" diff)
+ */
+app.post('/api/radar/visit', (req, res) => {
+  try {
+    res.json({ success: true, lastVisit: artistRadar.markRadarVisited() });
+  } catch (error) {
+    log(`Mark radar visit error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/radar/schedule
+ * Background scan scheduler state
+ */
+app.get('/api/radar/schedule', (req, res) => {
+  try {
+    res.json({ success: true, ...getRadarSchedulerStatus() });
+  } catch (error) {
+    log(`Get radar schedule error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/radar/schedule
+ * Enable or disable background scans by rating tier
+ * Body: { enabled, serverIp, port, token, libraryKey }
+ */
+app.post('/api/radar/schedule', (req, res) => {
+  const { enabled, serverIp, port, token, libraryKey } = req.body;
+  const scheduleEnabled = enabled === true || enabled === 'true';
+
+  if (scheduleEnabled && (!serverIp || !port || !token || !libraryKey)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required fields: serverIp, port, token, libraryKey'
+    });
+  }
+
+  try {
+    // Keep the saved connection when disabling without one
+    const config = scheduleEnabled
+      ? { enabled: true, serverIp, port, token, libraryKey }
+      : { ...getRadarSchedulerConfig(), enabled: false };
+
+    const status = configureRadarScheduler(config);
+    log(`Radar scheduler ${status.enabled ? `enabled for library ${libraryKey}` : 'disabled'}`, 'INFO');
+    res.json({ success: true, ...status });
+  } catch (error) {
+    log(`Configure radar schedule error: ${error.message}`, 'ERROR');
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/radar/schedule/run
+ * Check for due artists now instead of waiting for the next hourly check
+ */
+app.post('/api/radar/schedule/run', (req, res) => {
+  if (!getRadarSchedulerConfig().enabled) {
+    return res.status(400).json({ success: false, error: 'Radar scheduler is not enabled' });
+  }
+  if (isRadarScanRunning()) {
+    return res.status(409).json({ success: false, error: 'A radar scan is already in progress' });
+  }
+
+  // Runs in the background; poll GET /api/radar/schedule for progress
+  runScheduledScan().catch(error => log(`Scheduled radar scan error: ${error.message}`, 'ERROR'));
+  res.json({ success: true, ...getRadarSchedulerStatus() });
+});
+
 /**
  * GET /api/radar/ignored
  * Get all ignored releases
@@ -2532,5 +3365,5 @@ app.listen(PORT, () => {
   log(`Server running on http://localhost:${PORT}`, 'INFO');
   log('Make sure yt-dlp is installed: pip install yt-dlp', 'INFO');
   log(`Debug mode: ${DEBUG ? 'ENABLED' : 'DISABLED'}`, 'INFO');
-  log(`Log file: ${path.join(__dirname, 'logs', 'download-*.log')}`, 'INFO');
+  log(`Log file: ${path.join(LOG_PATH, 'download-*.log')}`, 'INFO');
 });
@@ -0,0 +1,165 @@
+/**
+ * Test script for fingerprint matching
+ * Runs fpcalc from test/fixtures/fake-fpcalc.js against a local mock AcoustID server, no network needed
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const RESPONSES = {
+    FP_KNOWN: {
+        status: 'ok',
+        results: [
+            {
+                id: 'acoustid-1',
+                score: 0.97,
+                recordings: [
+                    {
+                        id: 'rec-1',
+                        title: 'Known Song',
+                        duration: 201,
+                        artists: [{ id: 'art-1', name: 'Known Artist' }],
+                        releasegroups: [
+                            { id: 'rg-best', type: 'Album', secondarytypes: ['Compilation'], title: 'Best Of', releases: [{ id: 'rel-best', title: 'Best Of', date: { year: 2010 } }] },
+                            {
+                                id: 'rg-debut',
+                                type: 'Album',
+                                title: 'Debut',
+                                releases: [
+                                    { id: 'rel-reissue', title: 'Debut', date: { year: 2015, month: 3, day: 1 } },
+                                    { id: 'rel-original', title: 'Debut', date: { year: 2004, month: 11 } }
+                                ]
+                            }
+                        ]
+                    },
+                    { id: 'rec-bare' }
+                ]
+            },
+            { id: 'acoustid-2', score: 0.3, recordings: [{ id: 'rec-weak', title: 'Weak Match' }] }
+        ]
+    },
+    FP_ERROR: { status: 'error', error: { code: 4, message: 'invalid API key' } }
+};
+
+// Mock AcoustID lookup endpoint
+const requests = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const params = new URLSearchParams(body);
+        requests.push(params);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(RESPONSES[params.get('fingerprint')] || { status: 'ok', results: [] }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Must be set before the modules are imported; the matcher's databases go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acoustid-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.FPCALC_PATH = path.join(__dirname, 'test/fixtures/fake-fpcalc.js');
+process.env.ACOUSTID_API_URL = `http://127.0.0.1:${server.address().port}/v2/lookup`;
+process.env.ACOUSTID_API_KEY = 'test-key';
+fs.chmodSync(process.env.FPCALC_PATH, 0o755);
+
+const { isFingerprintingAvailable, computeFingerprint, lookupFingerprint, calculateFingerprintConfidence, identifyByFingerprint } = await import('./modules/organizer/fingerprint.js');
+const { batchMatchFiles } = await import('./modules/organizer/matcher.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Fingerprint Matching Test Suite');
+console.log('====================================\n');
+
+const knownFile = path.join(tmpDir, 'track01.flac');
+const unknownFile = path.join(tmpDir, 'track02.flac');
+const errorFile = path.join(tmpDir, 'track03.flac');
+fs.writeFileSync(knownFile, 'FP_KNOWN\n200.4');
+fs.writeFileSync(unknownFile, 'FP_NONE\n180');
+fs.writeFileSync(errorFile, 'FP_ERROR\n180');
+
+try {
+    check('fingerprinting is available with fpcalc and a key', await isFingerprintingAvailable());
+
+    // fpcalc
+    const fingerprint = await computeFingerprint(knownFile);
+    check('fingerprint is computed', fingerprint?.fingerprint === 'FP_KNOWN' && fingerprint.duration === 200.4);
+    check('unreadable file gives no fingerprint', await computeFingerprint(path.join(tmpDir, 'missing.flac')) === null);
+
+    // AcoustID lookup
+    const recordings = await lookupFingerprint(fingerprint);
+    const sent = requests[requests.length - 1];
+    check('lookup sends key, rounded duration and metadata request',
+        sent.get('client') === 'test-key' && sent.get('duration') === '200' && sent.get('meta').includes('releasegroups'));
+    check('low scores and bare recordings are dropped', recordings.length === 1 && recordings[0].id === 'rec-1',
+        JSON.stringify(recordings.map(r => r.id)));
+    check('recording is mapped like a MusicBrainz search result',
+        recordings[0].artist === 'Known Artist' && recordings[0].artistId === 'art-1' && recordings[0].length === 201000);
+    check('studio album releases come first, oldest first',
+        recordings[0].releases.map(r => r.id).join(',') === 'rel-original,rel-reissue,rel-best',
+        recordings[0].releases.map(r => r.id).join(','));
+    check('release dates are formatted', recordings[0].releases[0].date === '2004-11');
+
+    let lookupError = null;
+    try {
+        await lookupFingerprint({ duration: 180, fingerprint: 'FP_ERROR' });
+    } catch (error) {
+        lookupError = error;
+    }
+    check('AcoustID errors are raised', lookupError?.message === 'invalid API key');
+    check('identify returns null on lookup errors', await identifyByFingerprint(errorFile) === null);
+
+    // Confidence
+    const recording = recordings[0];
+    check('confidence starts from the AcoustID score', calculateFingerprintConfidence(recording, 200) === 97);
+    check('a different length costs confidence', calculateFingerprintConfidence(recording, 260) === 82);
+    check('agreeing tags add confidence', calculateFingerprintConfidence(recording, 200, { artist: 'Known Artist', title: 'Known Song' }) === 100);
+
+    // Matcher: untagged files (the NA/NA case)
+    const untagged = (filePath) => ({
+        filePath,
+        relativePath: path.basename(filePath),
+        fileName: path.basename(filePath),
+        fileExtension: 'flac',
+        metadata: {}
+    });
+    const results = await batchMatchFiles([untagged(knownFile), untagged(unknownFile)]);
+    const known = results.find(r => r.filePath === knownFile);
+    const unknown = results.find(r => r.filePath === unknownFile);
+
+    check('untagged file is identified by fingerprint', known?.status === 'matched' && known.mbMatch.recordingId === 'rec-1',
+        JSON.stringify(known));
+    check('fingerprint match can be auto-approved', known?.category === 'auto_approve' && known.searchMethod === 'fingerprint');
+    check('fingerprint details are reported', known?.fingerprint?.acoustidScore === 0.97 && known.fingerprint.confirmed === false);
+    check('rename uses the studio album', known?.mbMatch.releases[0].title === 'Debut');
+    check('file without a fingerprint match stays manual', unknown?.status === 'skipped' && unknown.category === 'manual');
+
+    const withoutFingerprint = await batchMatchFiles([untagged(knownFile)], null, { fingerprint: false });
+    check('fingerprinting can be turned off', withoutFingerprint[0].status === 'skipped');
+} finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
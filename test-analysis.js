@@ -0,0 +1,190 @@
+/**
+ * Test script for audio integrity verification and fake-lossless detection
+ * Runs against a fake ffmpeg (`test/fixtures/fake-ffmpeg.js`) that streams the synthetic
+ * PCM stored next to each minimal FLAC file, no encoder or decoder needed
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before the modules are imported; the analysis cache goes to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.FFMPEG_PATH = path.join(__dirname, 'test/fixtures/fake-ffmpeg.js');
+fs.chmodSync(process.env.FFMPEG_PATH, 0o755);
+
+const {
+    isAnalysisAvailable, analyzeAudio, getCachedAnalysis, estimateCutoff, powerSpectrum, readFlacStreamInfo, sourceBitrateForCutoff
+} = await import('./modules/organizer/audio-analysis.js');
+const { calculateQualityScore, compareWithPlex } = await import('./modules/organizer/plex.js');
+const { detectLowQuality } = await import('./modules/organizer/upgrader.js');
+const { processAudioFile } = await import('./modules/organizer/scanner.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Audio Analysis Test Suite');
+console.log('====================================\n');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * One second of stereo s16le "music": a sine every 100 Hz up to topHz with
+ * pseudo-random phases, so every band below the top holds some energy
+ */
+function synthesizePcm(topHz, seconds = 1) {
+    let seed = 12345;
+    const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+    const tones = [];
+    for (let frequency = 100; frequency <= topHz; frequency += 100) {
+        tones.push({ step: (2 * Math.PI * frequency) / SAMPLE_RATE, phase: random() * 2 * Math.PI });
+    }
+
+    const frames = SAMPLE_RATE * seconds;
+    const pcm = Buffer.alloc(frames * 4);
+    for (let i = 0; i < frames; i++) {
+        let value = 0;
+        for (const tone of tones) value += Math.sin(tone.step * i + tone.phase);
+        const sample = Math.max(-32768, Math.min(32767, Math.round(value * 0.02 * 32767)));
+        pcm.writeInt16LE(sample, i * 4);
+        pcm.writeInt16LE(sample, i * 4 + 2);
+    }
+    return pcm;
+}
+
+// Mono samples of the first window, full scale = 1
+function firstWindow(pcm) {
+    return Float64Array.from({ length: 4096 }, (_, i) => pcm.readInt16LE(i * 4) / 32768);
+}
+
+/**
+ * Minimal FLAC whose STREAMINFO announces the PCM the fake ffmpeg decodes
+ * @param {Object} options - { seconds: announced length, md5: 'match' | 'wrong' | 'unset', errors: decoder messages }
+ */
+function writeTrack(name, pcm, { seconds = pcm.length / 4 / SAMPLE_RATE, md5 = 'match', errors = null } = {}) {
+    const filePath = path.join(tmpDir, name);
+    const flac = buildFlac();
+    flac.writeUInt32BE(seconds * SAMPLE_RATE, 8 + 14);
+    if (md5 !== 'unset') {
+        const digest = crypto.createHash('md5').update(md5 === 'match' ? pcm : Buffer.from('other')).digest();
+        digest.copy(flac, 8 + 18);
+    }
+
+    fs.writeFileSync(filePath, flac);
+    fs.writeFileSync(`${filePath}.pcm`, pcm);
+    if (errors) fs.writeFileSync(`${filePath}.errors`, errors);
+    return filePath;
+}
+
+try {
+    check('ffmpeg is detected', await isAnalysisAvailable());
+
+    const fullBand = synthesizePcm(21000);
+    const lowpassed = synthesizePcm(16000);
+
+    const info = readFlacStreamInfo(buildFlac());
+    check('STREAMINFO is read', info.sampleRate === 44100 && info.channels === 2 && info.bitsPerSample === 16 &&
+        info.md5 === null, JSON.stringify(info));
+
+    const fullCutoff = estimateCutoff(powerSpectrum(firstWindow(fullBand)), SAMPLE_RATE);
+    const lowCutoff = estimateCutoff(powerSpectrum(firstWindow(lowpassed)), SAMPLE_RATE);
+    check('full-band audio reaches 21 kHz', fullCutoff >= 20900, String(fullCutoff));
+    check('a 16 kHz lowpass is found', lowCutoff >= 15750 && lowCutoff <= 16500, String(lowCutoff));
+    check('cutoffs map to lossy bitrates', sourceBitrateForCutoff(lowCutoff) === 128 && sourceBitrateForCutoff(20000) === 320);
+
+    const genuine = writeTrack('01 - Genuine.flac', fullBand);
+    const transcoded = writeTrack('02 - Transcoded.flac', lowpassed);
+    const corrupt = writeTrack('03 - Corrupt.flac', fullBand, { md5: 'wrong' });
+    const truncated = writeTrack('04 - Truncated.flac', fullBand, { seconds: 3, md5: 'unset' });
+    const broken = writeTrack('05 - Broken.flac', fullBand, { errors: '[flac @ 0x55d1] invalid residual\n' });
+
+    const clippedPcm = Buffer.from(fullBand);
+    for (let run = 0; run < 20; run++) {
+        for (let i = 0; i < 5; i++) clippedPcm.writeInt16LE(32767, (run * 1000 + i) * 4);
+    }
+    const clipped = writeTrack('06 - Clipped.flac', clippedPcm);
+
+    const genuineResult = await analyzeAudio(genuine);
+    check('intact lossless passes', genuineResult.md5 === 'ok' && !genuineResult.damaged && !genuineResult.lossySourced &&
+        !genuineResult.clipped && genuineResult.sourceBitrate === null, JSON.stringify(genuineResult));
+
+    const transcodedResult = await analyzeAudio(transcoded);
+    check('lossless made from a lossy source is labelled', transcodedResult.lossySourced && transcodedResult.sourceBitrate === 128 &&
+        !transcodedResult.damaged, JSON.stringify(transcodedResult));
+
+    const corruptResult = await analyzeAudio(corrupt);
+    check('an MD5 mismatch marks the file damaged', corruptResult.md5 === 'mismatch' && corruptResult.damaged);
+
+    const truncatedResult = await analyzeAudio(truncated);
+    check('truncated files are damaged', truncatedResult.truncated && truncatedResult.damaged && truncatedResult.md5 === 'unset',
+        JSON.stringify(truncatedResult));
+
+    const brokenResult = await analyzeAudio(broken);
+    check('decode errors are reported', brokenResult.damaged && brokenResult.decodeErrors[0] === '[flac @ 0x55d1] invalid residual');
+
+    const clippedResult = await analyzeAudio(clipped);
+    check('clipping is counted in runs', clippedResult.clipped && clippedResult.clippedRuns === 20 && !clippedResult.damaged,
+        JSON.stringify(clippedResult));
+
+    check('results are cached until the file changes', getCachedAnalysis(transcoded)?.lossySourced === true);
+    fs.appendFileSync(corrupt, Buffer.alloc(1));
+    check('changed files are analyzed again', getCachedAnalysis(corrupt) === null);
+
+    const scanned = await processAudioFile(transcoded, { size: 0 }, tmpDir);
+    check('the scanner reports the cached analysis', scanned.metadata.analysis?.lossySourced === true);
+
+    check('lossy-sourced FLAC scores below a real 320 kbps MP3',
+        calculateQualityScore('flac', 900, transcodedResult) < calculateQualityScore('mp3', 320) &&
+        calculateQualityScore('flac', 900, genuineResult) === calculateQualityScore('flac', 900));
+    check('damaged files score lowest', calculateQualityScore('flac', 900, truncatedResult) < calculateQualityScore('mp3', 96));
+
+    const comparison = compareWithPlex(
+        [{ artist: 'Band', album: 'Album', title: 'Transcoded', format: 'flac', bitrate: 900, filePath: transcoded }],
+        [{ artist: 'Band', album: 'Album', title: 'Transcoded', codec: 'mp3', bitrate: 320, filePath: '/plex/Band/Album/02.mp3' }]
+    );
+    check('compareWithPlex does not call a transcode an upgrade', comparison.conflicts[0].category === 'QUALITY_DOWNGRADE',
+        comparison.conflicts[0].category);
+
+    // Plex paths are the server's; an analysis cached for the same path here says nothing about it
+    const plexSide = compareWithPlex(
+        [{ artist: 'Band', album: 'Album', title: 'Genuine', format: 'flac', bitrate: 900, filePath: genuine }],
+        [{ artist: 'Band', album: 'Album', title: 'Genuine', codec: 'flac', bitrate: 900, filePath: transcoded }]
+    );
+    check('Plex tracks are scored by what Plex reports', plexSide.conflicts[0].category === 'SAME_QUALITY_DUPLICATE',
+        plexSide.conflicts[0].category);
+
+    const candidates = detectLowQuality([
+        { title: 'Real 320', codec: 'mp3', bitrate: 320, filePath: null },
+        { title: 'Real 192', codec: 'mp3', bitrate: 192, filePath: null },
+        { title: 'Transcoded', codec: 'flac', bitrate: 900, filePath: transcoded },
+        { title: 'Genuine', codec: 'flac', bitrate: 900, filePath: genuine }
+    ], 'flac');
+    check('upgrades skip real 320 kbps MP3s and take lossy-sourced FLAC',
+        candidates.map(track => track.title).sort().join(',') === 'Real 192,Transcoded' &&
+        candidates.find(track => track.title === 'Transcoded').currentQuality.lossySourced, JSON.stringify(candidates.map(track => track.title)));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
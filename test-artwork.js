@@ -0,0 +1,130 @@
+/**
+ * Test script for Cover Art Archive fetching
+ * Serves covers from a local mock archive and embeds them into minimal FLAC and MP3 files
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { buildFlac, buildMp3 } from './test/fixtures/audio-samples.js';
+
+const RELEASE_ID = '11111111-1111-1111-1111-111111111111';
+const RELEASE_GROUP_ID = '22222222-2222-2222-2222-222222222222';
+const BARE_RELEASE_ID = '33333333-3333-3333-3333-333333333333';
+const MISSING_RELEASE_ID = '44444444-4444-4444-4444-444444444444';
+
+// A JPEG header is enough: nothing decodes the image
+const jpeg = (label) => Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from(label), Buffer.from([0xff, 0xd9])]);
+const COVERS = {
+    [`/release/${RELEASE_ID}/front-1200`]: jpeg('release-1200'),
+    [`/release/${RELEASE_ID}/front-250`]: jpeg('release-250'),
+    [`/release-group/${RELEASE_GROUP_ID}/front-1200`]: jpeg('group-1200')
+};
+
+// Mock Cover Art Archive: the real one redirects to the image, 404 without a front cover
+const requests = [];
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const cover = COVERS[req.url];
+    if (!cover) {
+        res.statusCode = 404;
+        res.end('Not Found');
+        return;
+    }
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.end(cover);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Must be set before the modules are imported; their databases go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artwork-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.COVERART_API_URL = `http://127.0.0.1:${server.address().port}`;
+
+const { applyArtwork, fetchFrontCover, DEFAULT_ARTWORK_SETTINGS } = await import('./modules/organizer/artwork.js');
+const { getAlbumFolder } = await import('./modules/organizer/naming.js');
+const { readTags, writeTags } = await import('./modules/organizer/tag-writer.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Cover Art Test Suite');
+console.log('====================================\n');
+
+function writeTrack(relativePath, content) {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+try {
+    check('disc folders belong to their album folder',
+        getAlbumFolder('/music/Band/Album (2001)/Disc 2/01 - Song.flac') === '/music/Band/Album (2001)' &&
+        getAlbumFolder('/music/Band/Album (2001)/01 - Song.flac') === '/music/Band/Album (2001)');
+
+    const cover = await fetchFrontCover(RELEASE_ID);
+    check('front cover is fetched by release ID', cover?.equals(COVERS[`/release/${RELEASE_ID}/front-1200`]));
+
+    const requestCount = requests.length;
+    await fetchFrontCover(RELEASE_ID);
+    check('repeated fetches are cached', requests.length === requestCount);
+
+    const groupCover = await fetchFrontCover(BARE_RELEASE_ID, { releaseGroupId: RELEASE_GROUP_ID });
+    check('release group cover is the fallback', groupCover?.equals(COVERS[`/release-group/${RELEASE_GROUP_ID}/front-1200`]));
+
+    check('missing covers are null', await fetchFrontCover(MISSING_RELEASE_ID) === null);
+
+    // Album across two discs, one track already with art
+    const disc1 = writeTrack('Band/Album (2001)/Disc 1/01 - One.flac', buildFlac());
+    const disc2 = writeTrack('Band/Album (2001)/Disc 2/01 - Two.mp3', buildMp3());
+    const unmatched = writeTrack('Other/Unknown/01 - Three.flac', buildFlac());
+    const missing = writeTrack('Other/Missing (1999)/01 - Four.flac', buildFlac());
+    await writeTags(disc2, { title: 'Two', cover: jpeg('youtube-thumbnail') });
+
+    const settings = { ...DEFAULT_ARTWORK_SETTINGS, embed: true, embedSize: 250 };
+    const summary = await applyArtwork([
+        { filePath: disc1, releaseId: RELEASE_ID, releaseGroupId: RELEASE_GROUP_ID },
+        { filePath: disc2, releaseId: RELEASE_ID, releaseGroupId: RELEASE_GROUP_ID },
+        { filePath: unmatched, releaseId: null },
+        { filePath: missing, releaseId: MISSING_RELEASE_ID }
+    ], settings);
+
+    const albumCover = path.join(tmpDir, 'Band', 'Album (2001)', 'cover.jpg');
+    check('cover.jpg is written once per album folder',
+        fs.existsSync(albumCover) && fs.readFileSync(albumCover).equals(COVERS[`/release/${RELEASE_ID}/front-1200`]) &&
+        !fs.existsSync(path.join(tmpDir, 'Band', 'Album (2001)', 'Disc 1', 'cover.jpg')), JSON.stringify(summary));
+    check('unmatched folders are left alone', !fs.existsSync(path.join(tmpDir, 'Other', 'Unknown', 'cover.jpg')));
+    check('releases without a cover are reported', summary.notFound === 1 && summary.albums === 2 && summary.errors.length === 0,
+        JSON.stringify(summary));
+
+    const embedded = readTags(disc1, ['cover']).cover;
+    check('the cover is embedded at the configured size', embedded?.equals(COVERS[`/release/${RELEASE_ID}/front-250`]));
+    check('existing embedded art is kept', readTags(disc2, ['cover', 'title']).cover.equals(jpeg('youtube-thumbnail')) &&
+        summary.embedded === 1);
+
+    const replaced = await applyArtwork([{ filePath: disc2, releaseId: RELEASE_ID, hasArtwork: false }], settings);
+    check('tracks flagged without art get the cover', replaced.embedded === 1 && replaced.coversWritten === 0 &&
+        readTags(disc2, ['cover']).cover.equals(COVERS[`/release/${RELEASE_ID}/front-250`]));
+} finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
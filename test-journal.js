@@ -0,0 +1,139 @@
+/**
+ * Test script for the organizer journal and its rollbacks
+ * Moves, replaces and retags minimal FLAC files in a temporary library; the journal and the
+ * quarantine live in the temporary DATA_PATH
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+// Must be set before the modules are imported
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+
+const {
+    createBatch, recordEntry, finishBatch, getBatch, getLatestBatchId, rollbackBatch, purgeQuarantine, QUARANTINE_PATH
+} = await import('./modules/organizer/journal.js');
+const { executeMoveOperations, rollbackLastOperation } = await import('./modules/organizer/organizer.js');
+const { updateTrackMetadata } = await import('./modules/organizer/metadata-updater.js');
+const { readTags, writeTags } = await import('./modules/organizer/tag-writer.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Journal Test Suite');
+console.log('====================================\n');
+
+/**
+ * Write a file below dir, a minimal FLAC unless content is given
+ */
+function writeTrack(dir, relativePath, content = null) {
+    const filePath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content || buildFlac());
+    return filePath;
+}
+
+const stagingDir = path.join(tmpDir, 'staging');
+const libraryDir = path.join(tmpDir, 'library');
+const staged = name => writeTrack(stagingDir, `${name}.flac`, `new ${name}`);
+const inLibrary = name => path.join(libraryDir, name, `${name}.flac`);
+
+/**
+ * Move staged files into the library in one batch, replacing the library copy when `replace` is set
+ * @returns {Promise<number>} Batch ID
+ */
+async function moveBatch(names, { replace = false } = {}) {
+    const operations = names.map(name => ({
+        sourcePath: staged(name),
+        destinationPath: inLibrary(name),
+        mode: 'move',
+        ...(replace && { action: 'REPLACE', plexMatch: { path: inLibrary(name) } })
+    }));
+    await executeMoveOperations(operations, false, false);
+    return getLatestBatchId();
+}
+
+try {
+    const moved = await moveBatch(['a']);
+    check('a move is journaled in a finished batch', fs.existsSync(inLibrary('a')) && getBatch(moved).finishedAt &&
+        getBatch(moved).items[0].type === 'move');
+
+    writeTrack(libraryDir, 'b/b.flac', 'old b');
+    const replaced = await moveBatch(['b'], { replace: true });
+    const quarantined = path.join(QUARANTINE_PATH, String(replaced), 'b.flac');
+    check('a replaced library file goes to the quarantine', fs.readFileSync(quarantined, 'utf8') === 'old b' &&
+        fs.readFileSync(inLibrary('b'), 'utf8') === 'new b' && getBatch(replaced).counts.replace === 1);
+
+    const tagged = createBatch('tag', 'Retitle a');
+    const taggedPath = writeTrack(libraryDir, 'tagged/tagged.flac');
+    await writeTags(taggedPath, { title: 'Original', genre: null });
+    await updateTrackMetadata(taggedPath, { title: 'Edited', genre: 'Rock' }, { batchId: tagged });
+    finishBatch(tagged);
+
+    writeTrack(libraryDir, 'd/d.flac', 'old d');
+    const purged = await moveBatch(['d'], { replace: true });
+    check('purging deletes the quarantined files', await purgeQuarantine(purged) === 1 &&
+        !fs.existsSync(path.join(QUARANTINE_PATH, String(purged))));
+
+    const broken = await moveBatch(['e']);
+    fs.unlinkSync(inLibrary('e'));
+
+    const unfinished = createBatch('move', 'Still running');
+    recordEntry(unfinished, { type: 'copy', sourcePath: staged('f'), destinationPath: inLibrary('f') });
+    check('batches still being written are not the latest', getLatestBatchId() === broken, String(getLatestBatchId()));
+
+    const unrestorable = await rollbackLastOperation();
+    check('a rollback that fails is recorded', unrestorable.length === 1 && !unrestorable[0].success &&
+        getBatch(broken).items[0].rollbackError?.startsWith('No longer at'), JSON.stringify(unrestorable));
+    check('a failed entry does not block older batches', getLatestBatchId() === purged, String(getLatestBatchId()));
+
+    const afterPurge = await rollbackLastOperation();
+    check('purged replacements are skipped, the rest of the batch is undone', afterPurge.length === 1 &&
+        afterPurge[0].type === 'move' && afterPurge[0].success && fs.existsSync(path.join(stagingDir, 'd.flac')), JSON.stringify(afterPurge));
+
+    const untagged = await rollbackLastOperation();
+    const restored = readTags(taggedPath, ['title', 'genre']);
+    check('tag edits are written back', untagged.length === 1 && untagged[0].action === 'tags_restored' &&
+        restored.title === 'Original' && restored.genre === null, JSON.stringify(restored));
+
+    const unreplaced = await rollbackBatch(replaced);
+    check('rolling back a replacement restores the quarantined original', unreplaced.every(result => result.success) &&
+        fs.readFileSync(inLibrary('b'), 'utf8') === 'old b' && fs.readFileSync(path.join(stagingDir, 'b.flac'), 'utf8') === 'new b' &&
+        !fs.existsSync(path.join(QUARANTINE_PATH, String(replaced))), JSON.stringify(unreplaced));
+    check('a rolled back batch has nothing left', getBatch(replaced).status === 'rolled_back' && getLatestBatchId() === moved);
+
+    writeTrack(libraryDir, 'e/e.flac', 'new e');
+    const retried = await rollbackBatch(broken, [getBatch(broken).items[0].id]);
+    check('a failed entry can be retried explicitly', retried[0].success && getBatch(broken).status === 'rolled_back' &&
+        getBatch(broken).items[0].rollbackError === null, JSON.stringify(retried));
+
+    let nothingLeft = false;
+    try {
+        await rollbackBatch(replaced);
+    } catch (error) {
+        nothingLeft = error.message.startsWith('Nothing left to roll back');
+    }
+    check('a batch is only rolled back once', nothingLeft);
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
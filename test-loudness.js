@@ -0,0 +1,102 @@
+/**
+ * Test script for loudness analysis and ReplayGain tagging
+ * Runs against a fake ffmpeg (`test/fixtures/fake-ffmpeg.js`) that reports the measurement
+ * stored next to each minimal FLAC file, no encoder or decoder needed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before the modules are imported; their databases go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loudness-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.FFMPEG_PATH = path.join(__dirname, 'test/fixtures/fake-ffmpeg.js');
+fs.chmodSync(process.env.FFMPEG_PATH, 0o755);
+
+const { isLoudnessAvailable, measureLoudness, computeReplayGain, applyReplayGain } = await import('./modules/organizer/loudness.js');
+const { readTags } = await import('./modules/organizer/tag-writer.js');
+const { processAudioFile } = await import('./modules/organizer/scanner.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+const near = (value, expected, tolerance = 0.01) => Math.abs(value - expected) < tolerance;
+
+console.log('====================================');
+console.log('Loudness Test Suite');
+console.log('====================================\n');
+
+/**
+ * Minimal FLAC plus the measurement the fake ffmpeg reports for it
+ */
+function writeTrack(relativePath, measurement) {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buildFlac());
+    if (measurement) fs.writeFileSync(`${filePath}.ebur128`, measurement);
+    return filePath;
+}
+
+try {
+    check('ffmpeg is detected', await isLoudnessAvailable());
+
+    const loud = writeTrack('Band/Loud Album (2010)/Disc 1/01 - Loud.flac', '-10.0 -1.0 5.2 100');
+    const quiet = writeTrack('Band/Loud Album (2010)/Disc 2/01 - Quiet.flac', '-20.0 0.5 8.4 100');
+    const single = writeTrack('Band/Old Single (1995)/01 - Single.flac', '-14.3 -0.2 6.1 215.4');
+    const broken = writeTrack('Band/Old Single (1995)/02 - Broken.flac', null);
+
+    const measured = await measureLoudness(single);
+    check('the ebur128 summary is parsed', measured.integrated === -14.3 && measured.truePeak === -0.2 &&
+        measured.range === 6.1 && near(measured.duration, 215.4), JSON.stringify(measured));
+
+    const gains = computeReplayGain([
+        { integrated: -10, truePeak: -1, duration: 100 },
+        { integrated: -20, truePeak: 0.5, duration: 100 }
+    ]);
+    check('track gain is relative to -18 LUFS', gains.tracks[0].gain === -8 && gains.tracks[1].gain === 2);
+    check('album loudness is the energy mean of the tracks', near(gains.album.loudness, -12.596) && near(gains.album.gain, -5.404),
+        JSON.stringify(gains.album));
+    check('peaks are linear true-peak ratios', near(gains.tracks[0].peak, 0.891251, 1e-6) && near(gains.album.peak, 1.059254, 1e-6));
+
+    const summary = await applyReplayGain([loud, quiet, single, broken]);
+    check('both discs count as one album', summary.albums.length === 2 &&
+        summary.albums.find(album => album.folder.endsWith('Loud Album (2010)'))?.tracks === 2, JSON.stringify(summary.albums));
+
+    const loudTags = readTags(loud, ['replayGainTrackGain', 'replayGainTrackPeak', 'replayGainAlbumGain', 'replayGainAlbumPeak']);
+    const quietTags = readTags(quiet, ['replayGainTrackGain', 'replayGainAlbumGain']);
+    check('track and album ReplayGain tags are written',
+        loudTags.replayGainTrackGain === -8 && near(loudTags.replayGainTrackPeak, 0.891251, 1e-6) &&
+        loudTags.replayGainAlbumGain === -5.4 && near(loudTags.replayGainAlbumPeak, 1.059254, 1e-6) &&
+        quietTags.replayGainTrackGain === 2 && quietTags.replayGainAlbumGain === -5.4, JSON.stringify({ loudTags, quietTags }));
+
+    check('undecodable files are reported without blocking their album',
+        summary.tagged === 3 && summary.errors.length === 1 && summary.errors[0].path === broken &&
+        readTags(single, ['replayGainAlbumGain']).replayGainAlbumGain === -3.7, JSON.stringify(summary.errors));
+
+    const scanned = await processAudioFile(quiet, { size: 0 }, tmpDir);
+    check('the scanner reads ReplayGain back', scanned.metadata.replayGain.trackGain === 2 &&
+        scanned.metadata.replayGain.albumGain === -5.4, JSON.stringify(scanned.metadata.replayGain));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
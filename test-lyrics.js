@@ -0,0 +1,126 @@
+/**
+ * Test script for lyrics lookups
+ * Serves lyrics from a local mock LRCLIB API and writes them next to and into minimal FLAC files
+ */
+
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+const SYNCED = '[ar:Band]\n[00:01.00] First line\n[00:05.50] Second line\n';
+const PLAIN = 'First line\nSecond line';
+
+// Mock LRCLIB /api/get, keyed by track name
+const TRACKS = {
+    'Synced Song': { id: 1, trackName: 'Synced Song', instrumental: false, plainLyrics: PLAIN, syncedLyrics: SYNCED },
+    'Plain Song': { id: 2, trackName: 'Plain Song', instrumental: false, plainLyrics: PLAIN, syncedLyrics: null },
+    'Interlude': { id: 3, trackName: 'Interlude', instrumental: true, plainLyrics: null, syncedLyrics: null }
+};
+
+const requests = [];
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    const track = url.pathname === '/api/get' ? TRACKS[url.searchParams.get('track_name')] : null;
+    res.setHeader('Content-Type', 'application/json');
+    if (!track) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ code: 404, name: 'TrackNotFound', message: 'Failed to find specified track' }));
+        return;
+    }
+    res.end(JSON.stringify(track));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Must be set before the modules are imported; their databases go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lyrics-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.LYRICS_API_URL = `http://127.0.0.1:${server.address().port}/api`;
+
+const { fetchLyrics, applyLyrics, getLyricsStatus, registerLyricsProvider, stripLrcTimestamps, DEFAULT_LYRICS_SETTINGS } = await import('./modules/organizer/lyrics.js');
+const { readTags } = await import('./modules/organizer/tag-writer.js');
+const { processAudioFile } = await import('./modules/organizer/scanner.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Lyrics Test Suite');
+console.log('====================================\n');
+
+function writeTrack(name) {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, buildFlac());
+    return filePath;
+}
+
+const track = (filePath, title) => ({ filePath, artist: 'Band', title, album: 'Album', duration: 215.4 });
+
+try {
+    const lyrics = await fetchLyrics({ artist: 'Band', title: 'Synced Song', album: 'Album', duration: 215.4 });
+    const query = requests[requests.length - 1].searchParams;
+    check('lookup sends artist, title, album and rounded duration',
+        query.get('artist_name') === 'Band' && query.get('track_name') === 'Synced Song' &&
+        query.get('album_name') === 'Album' && query.get('duration') === '215', query.toString());
+    check('synced and plain lyrics are returned', lyrics?.synced === SYNCED && lyrics.plain === PLAIN);
+    check('unknown tracks are null', await fetchLyrics({ artist: 'Band', title: 'Nope' }) === null);
+
+    check('timestamps and header tags are stripped for embedding', stripLrcTimestamps(SYNCED) === PLAIN,
+        JSON.stringify(stripLrcTimestamps(SYNCED)));
+
+    const synced = writeTrack('01 - Synced Song.flac');
+    const plain = writeTrack('02 - Plain Song.flac');
+    const instrumental = writeTrack('03 - Interlude.flac');
+    const unknown = writeTrack('04 - Unknown.flac');
+
+    const settings = { ...DEFAULT_LYRICS_SETTINGS, embed: true };
+    const summary = await applyLyrics([
+        track(synced, 'Synced Song'),
+        track(plain, 'Plain Song'),
+        track(instrumental, 'Interlude'),
+        track(unknown, 'Unknown')
+    ], settings);
+
+    check('synced lyrics go to a .lrc sidecar',
+        fs.readFileSync(synced.replace('.flac', '.lrc'), 'utf8') === SYNCED && getLyricsStatus(synced) === 'synced');
+    check('plain lyrics go to a .txt sidecar',
+        fs.readFileSync(plain.replace('.flac', '.txt'), 'utf8') === `${PLAIN}\n` && getLyricsStatus(plain) === 'plain');
+    check('unsynced lyrics are embedded', readTags(synced, ['lyrics']).lyrics === PLAIN && readTags(plain, ['lyrics']).lyrics === PLAIN);
+    check('instrumentals and unknown tracks get no lyrics',
+        getLyricsStatus(instrumental) === null && getLyricsStatus(unknown) === null &&
+        summary.instrumental === 1 && summary.notFound === 1 && summary.errors.length === 0, JSON.stringify(summary));
+
+    const scanned = await processAudioFile(synced, { size: 0 }, tmpDir);
+    check('the scanner reports lyrics coverage', scanned.metadata.lyrics === 'synced');
+
+    const requestCount = requests.length;
+    const again = await applyLyrics([track(synced, 'Synced Song')], settings);
+    check('tracks with lyrics are not looked up again', again.skipped === 1 && requests.length === requestCount);
+
+    // Other providers plug in by name
+    registerLyricsProvider('stub', { label: 'Stub', lookup: async ({ title }) => ({ synced: null, plain: `Lyrics of ${title}`, instrumental: false }) });
+    const stubbed = await applyLyrics([track(unknown, 'Unknown')], { ...settings, provider: 'stub', embed: false });
+    check('registered providers are used', stubbed.plain === 1 &&
+        fs.readFileSync(unknown.replace('.flac', '.txt'), 'utf8') === 'Lyrics of Unknown\n');
+} finally {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
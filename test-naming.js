@@ -0,0 +1,108 @@
+/**
+ * Test script for the library naming template engine
+ * Renders hand-built tracks with explicit settings, no database or files needed
+ */
+
+import path from 'path';
+import {
+    parseTemplate, renderTrackPath, buildTrackPath, sanitizeFilename, sanitizeRelativePath,
+    validateNamingSettings, joinUnderRoot, getPathKey, NAMING_PRESETS
+} from './modules/organizer/naming.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+function throws(fn, pattern) {
+    try {
+        fn();
+        return false;
+    } catch (error) {
+        return pattern.test(error.message);
+    }
+}
+
+console.log('====================================');
+console.log('Naming Template Test Suite');
+console.log('====================================\n');
+
+const prefix = filesystem => ({ template: NAMING_PRESETS.prefix, filesystem });
+const track = {
+    artist: 'Radiohead', album: 'OK Computer', year: 1997, trackNumber: 2, trackTotal: 12, title: 'Paranoid Android'
+};
+
+// Templates
+check('tokens, widths and sections are parsed', JSON.stringify(parseTemplate('{title}[ ({year:4})]')) ===
+    JSON.stringify([{ token: 'title', width: 0 }, { section: [' (', { token: 'year', width: 4 }, ')'] }]));
+check('unknown tokens are rejected', throws(() => parseTemplate('{composer}'), /Unknown token/));
+check('unbalanced brackets are rejected', throws(() => parseTemplate('[{title}'), /Unclosed "\["/) &&
+    throws(() => parseTemplate('{title}]'), /Unexpected "\]"/));
+
+check('the prefix preset renders a single-disc album',
+    renderTrackPath(track, '.flac', prefix('ntfs')) === path.join('Radiohead', 'OK Computer (1997)', '02 - Paranoid Android.flac'));
+check('multi-disc albums get the disc in front of the track number',
+    renderTrackPath({ ...track, discNumber: 2, discTotal: 2 }, '.flac', prefix('ntfs')).endsWith('2-02 - Paranoid Android.flac'));
+check('sections with an empty token are left out',
+    renderTrackPath({ artist: 'Band', album: 'Demo', title: 'Song' }, '.mp3', prefix('ntfs')) === path.join('Band', 'Demo', 'Song.mp3'));
+check('the folder preset puts discs in folders',
+    renderTrackPath({ ...track, discNumber: 1, discTotal: 2 }, '.flac', { template: NAMING_PRESETS.folder, filesystem: 'posix' }) ===
+    path.join('Radiohead', 'OK Computer (1997)', 'Disc 1', '02 - Paranoid Android.flac'));
+
+// Filesystems
+check('tag separators never create folders', renderTrackPath({ artist: 'AC/DC', album: 'Who Made Who?', title: 'Hells Bells...' }, '.mp3', prefix('ntfs')) ===
+    path.join('AC_DC', 'Who Made Who_', 'Hells Bells.mp3'));
+check('posix keeps Windows-only characters and trailing dots',
+    renderTrackPath({ artist: 'AC/DC', album: 'Who: Made', title: 'Bells...' }, '.mp3', prefix('posix')) === path.join('AC_DC', 'Who: Made', 'Bells....mp3'));
+check('reserved Windows names get a suffix', sanitizeFilename('CON', 'fat') === 'CON_' && sanitizeFilename('CON', 'posix') === 'CON');
+
+const longTitle = 'あ'.repeat(200);
+check('posix counts bytes, ntfs UTF-16 characters', Buffer.byteLength(sanitizeFilename(longTitle, 'posix'), 'utf8') <= 255 &&
+    sanitizeFilename(longTitle, 'ntfs').length === 200);
+check('smb limits names by the bytes of the server disk', Buffer.byteLength(sanitizeFilename(longTitle, 'smb'), 'utf8') <= 255);
+
+const deep = { artist: 'A'.repeat(120), album: 'B'.repeat(120), title: 'C'.repeat(120) };
+const fatPath = renderTrackPath(deep, '.flac', prefix('fat'));
+check('fat keeps the path under MAX_PATH by shortening the file name', fatPath.length <= 259 && fatPath.endsWith('C.flac') &&
+    renderTrackPath(deep, '.flac', prefix('ntfs')).length > 259, String(fatPath.length));
+check('folders too long for the path are refused',
+    throws(() => renderTrackPath({ artist: 'A'.repeat(200), album: 'B'.repeat(200), title: 'C' }, '.flac', prefix('fat')), /Path too long for fat/));
+
+check('case-insensitive filesystems key paths by lower case', getPathKey('/m/ABBA/Song.flac', 'fat') === getPathKey('/m/abba/song.flac', 'fat') &&
+    getPathKey('/m/ABBA/Song.flac', 'posix') !== getPathKey('/m/abba/song.flac', 'posix'));
+
+// Traversal
+const dotted = { artist: '..', albumArtist: '..', album: '..', title: 'T' };
+check('".." tag values stay below the root on posix',
+    buildTrackPath(dotted, '/lib', '.flac', prefix('posix')) === path.join('/lib', '__', '__', 'T.flac'),
+    buildTrackPath(dotted, '/lib', '.flac', prefix('posix')));
+check('".." tag values stay below the root on Windows filesystems',
+    buildTrackPath(dotted, '/lib', '.flac', prefix('ntfs')) === path.join('/lib', 'T.flac'));
+check('"." and ".." titles become names', sanitizeFilename('.', 'posix') === '_' && sanitizeFilename('..', 'posix') === '__' &&
+    renderTrackPath({ artist: 'A', album: 'B', title: '..' }, '', prefix('ntfs')) === path.join('A', 'B', 'Unknown'));
+
+const escaping = { template: '{albumartist}/../../{title}', filesystem: 'posix' };
+check('templates with ".." folders are rejected', throws(() => validateNamingSettings(escaping), /"\." or "\.\." folders/) &&
+    throws(() => validateNamingSettings({ template: '{artist}/[../]{title}', filesystem: 'ntfs' }), /folders/) &&
+    throws(() => validateNamingSettings({ template: '{artist}/.[{year}]./{title}', filesystem: 'ntfs' }), /folders/));
+check('a ".." template renders below the root anyway', buildTrackPath({ artist: 'A', title: 'T' }, '/lib', '.flac', escaping) ===
+    path.join('/lib', 'A', '__', '__', 'T.flac'));
+
+check('relative paths cannot climb out', sanitizeRelativePath('../../etc/passwd', 'posix') === path.join('__', '__', 'etc', 'passwd'));
+check('joins outside the root are refused', throws(() => joinUnderRoot('/lib', '../T.flac'), /leaves the library root/) &&
+    throws(() => joinUnderRoot('/lib', '/etc/passwd'), /leaves the library root/) &&
+    joinUnderRoot('/lib', 'A/T.flac') === path.join('/lib', 'A', 'T.flac'));
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
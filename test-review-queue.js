@@ -0,0 +1,113 @@
+/**
+ * Test script for approving files parked in the pipeline's review queue
+ * Parks minimal FLAC files from a temporary download folder and approves them into a
+ * temporary live library, no Plex or MusicBrainz needed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+// Must be set before the modules are imported; the queue and the journal go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-queue-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+// Nothing listens there, a cover lookup fails fast
+process.env.COVERART_API_URL = 'http://127.0.0.1:9';
+
+const { REVIEW_STATUS, addReviewItem, getReviewItem, resolveReviewItem, isInReviewQueue } = await import('./modules/downloader/review-queue.js');
+const { approveReviewItem } = await import('./modules/downloader/pipeline.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Review Queue Test Suite');
+console.log('====================================\n');
+
+const stagingPath = path.join(tmpDir, 'downloads');
+const liveLibraryPath = path.join(tmpDir, 'library');
+const log = () => {};
+
+/**
+ * Park a downloaded file with the given match result fields
+ */
+function park(fileName, matchFields) {
+    const filePath = path.join(stagingPath, 'Band', 'Album', fileName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buildFlac());
+
+    const title = path.basename(fileName, '.flac');
+    return addReviewItem({
+        stagingPath,
+        liveLibraryPath,
+        matchResult: {
+            filePath,
+            fileName,
+            confidence: 0,
+            originalMetadata: { artist: 'Band', album: 'Album', title },
+            ...matchFields
+        }
+    });
+}
+
+async function approveError(itemId) {
+    try {
+        await approveReviewItem(itemId, { log });
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+try {
+    const unmatched = park('Unmatched.flac', { status: 'no_match', category: 'manual' });
+    check('items without a match are not approvable', unmatched.approvable === false);
+    check('approving an item without a match is refused', (await approveError(unmatched.id))?.includes('no MusicBrainz match'));
+    check('the refused item stays pending in the download folder', getReviewItem(unmatched.id).status === 'pending' &&
+        fs.existsSync(unmatched.filePath) && !fs.existsSync(liveLibraryPath));
+
+    const notLooked = park('Skipped.flac', { status: 'skipped', category: 'manual', reason: 'No tags to search with' });
+    check('items the matcher skipped are refused too', (await approveError(notLooked.id))?.includes('no MusicBrainz match') &&
+        getReviewItem(notLooked.id).status === 'pending');
+
+    const lowConfidence = park('01 - Song.flac', {
+        status: 'matched',
+        category: 'review',
+        confidence: 70,
+        mbMatch: { artist: 'Band', title: 'Song', recordingId: '', releases: [{ title: 'Album', date: '2001-05-01' }] }
+    });
+    check('matched items are approvable', lowConfidence.approvable === true);
+
+    const approved = await approveReviewItem(lowConfidence.id, { log });
+    const placedPath = approved.placed[0]?.finalPath;
+    check('an approved match is placed under its release', approved.status === 'approved' && approved.item.status === 'approved' &&
+        placedPath?.startsWith(path.join(liveLibraryPath, 'Band', 'Album (2001)')) && fs.existsSync(placedPath), JSON.stringify(approved.placed));
+    check('approving twice is refused', (await approveError(lowConfidence.id))?.includes('already approved'));
+
+    // Files left in the download folder stay out of the watcher
+    resolveReviewItem(notLooked.id, REVIEW_STATUS.DISMISSED);
+    const duplicate = park('Duplicate.flac', { status: 'matched', category: 'review', mbMatch: { artist: 'Band', title: 'Duplicate', releases: [] } });
+    resolveReviewItem(duplicate.id, REVIEW_STATUS.SKIPPED);
+    check('pending, dismissed and skipped files count as queued', isInReviewQueue(unmatched.filePath) &&
+        isInReviewQueue(notLooked.filePath) && isInReviewQueue(duplicate.filePath));
+    check('approved files do not', !isInReviewQueue(lowConfidence.filePath));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,152 @@
+/**
+ * Test script for the cross-format tag writer
+ * Writes minimal FLAC, MP3, Ogg Opus and M4A files to a temp folder, no encoder needed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildFlac, buildMp3, buildOpus, buildM4a } from './test/fixtures/audio-samples.js';
+
+// Must be set before the modules are imported; the renames are journaled in the temporary folder
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tag-writer-test-'));
+process.env.DATA_PATH = path.join(tempDir, 'data');
+
+const { readTags, writeTags, isTaggable } = await import('./modules/organizer/tag-writer.js');
+const { processAudioFile } = await import('./modules/organizer/scanner.js');
+const { batchMatchFiles, executeRename, getMusicBrainzTags } = await import('./modules/organizer/matcher.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Tag Writer Test Suite');
+console.log('====================================\n');
+
+const samples = {
+    'track.flac': buildFlac(),
+    'track.mp3': buildMp3(),
+    'track.opus': buildOpus(),
+    'track.m4a': buildM4a()
+};
+
+const tags = {
+    title: 'Song "Quoted" $HOME `x`',
+    artist: '"Weird Al" Yankovic',
+    albumArtist: 'Various Artists',
+    album: 'Ünïcödé – Album',
+    year: 2003,
+    track: 4,
+    trackTotal: 12,
+    disc: 2,
+    discTotal: 2,
+    genre: 'Comedy',
+    compilation: true,
+    musicbrainzRecordingId: '11111111-1111-1111-1111-111111111111',
+    musicbrainzReleaseId: '22222222-2222-2222-2222-222222222222',
+    musicbrainzReleaseGroupId: '33333333-3333-3333-3333-333333333333',
+    musicbrainzArtistId: '44444444-4444-4444-4444-444444444444',
+    musicbrainzAlbumArtistId: '55555555-5555-5555-5555-555555555555'
+};
+
+try {
+    check('unsupported formats are reported', !isTaggable('/music/track.wav') && isTaggable('/music/TRACK.FLAC'));
+
+    for (const [fileName, content] of Object.entries(samples)) {
+        const filePath = path.join(tempDir, fileName);
+        fs.writeFileSync(filePath, content);
+
+        try {
+            await writeTags(filePath, tags);
+            const read = readTags(filePath);
+            const wrong = Object.keys(tags).filter(field => read[field] !== tags[field]);
+            check(`${fileName}: every field round-trips`, wrong.length === 0,
+                wrong.map(field => `${field}=${JSON.stringify(read[field])}`).join(', '));
+
+            await writeTags(filePath, { genre: null, compilation: false, year: undefined });
+            const cleared = readTags(filePath, ['genre', 'compilation', 'year', 'title']);
+            check(`${fileName}: null removes, undefined keeps`,
+                cleared.genre === null && cleared.compilation === false && cleared.year === 2003 && cleared.title === tags.title,
+                JSON.stringify(cleared));
+        } catch (error) {
+            check(`${fileName}: tags can be written`, false, error.message);
+        }
+    }
+
+    const id3 = fs.readFileSync(path.join(tempDir, 'track.mp3'));
+    check('MP3 gets an ID3v2.4 tag', id3.toString('latin1', 0, 3) === 'ID3' && id3[3] === 4);
+
+    let unknownRejected = false;
+    try {
+        await writeTags(path.join(tempDir, 'track.flac'), { mood: 'happy' });
+    } catch (error) {
+        unknownRejected = error.message.includes('mood');
+    }
+    check('unknown fields are rejected', unknownRejected);
+
+    // A file taglib can't save is left as it was, without a temp copy
+    const brokenPath = path.join(tempDir, 'broken.flac');
+    const broken = Buffer.from('fLaC not really');
+    fs.writeFileSync(brokenPath, broken);
+    let brokenFailed = false;
+    try {
+        await writeTags(brokenPath, { title: 'x' });
+    } catch (error) {
+        brokenFailed = true;
+    }
+    check('a failed write leaves the original untouched',
+        brokenFailed && fs.readFileSync(brokenPath).equals(broken) && fs.readdirSync(tempDir).every(name => !name.includes('.tagging')),
+        fs.readdirSync(tempDir).join(', '));
+
+    // Accepted matches persist their MBIDs; the next scan and match reuse them
+    const libraryDir = path.join(tempDir, 'library');
+    fs.mkdirSync(path.join(libraryDir, 'Band', 'Album'), { recursive: true });
+    const sourcePath = path.join(libraryDir, 'Band', 'Album', 'song.flac');
+    fs.writeFileSync(sourcePath, buildFlac());
+    await writeTags(sourcePath, { title: 'Song', artist: 'Band', album: 'Album', track: 1 });
+
+    const accepted = {
+        filePath: sourcePath,
+        mbMatch: {
+            recordingId: tags.musicbrainzRecordingId,
+            artistId: tags.musicbrainzArtistId,
+            releases: [{ id: tags.musicbrainzReleaseId, releaseGroupId: 'not-an-mbid', artistId: tags.musicbrainzAlbumArtistId }]
+        }
+    };
+    check('invalid identifiers are not written', !('musicbrainzReleaseGroupId' in getMusicBrainzTags(accepted)),
+        JSON.stringify(getMusicBrainzTags(accepted)));
+
+    const renamedPath = path.join(libraryDir, 'Band', 'Album (2001)', '01 - Song.flac');
+    const [renamed] = await executeRename([{ ...accepted, renamePreview: { originalPath: sourcePath, proposedPath: renamedPath, changed: true } }], false, false);
+    const written = readTags(renamedPath, ['musicbrainzRecordingId', 'musicbrainzReleaseId', 'musicbrainzAlbumArtistId', 'title']);
+    check('executeRename tags the renamed file with the match IDs',
+        renamed.mbidTagsWritten && written.musicbrainzRecordingId === tags.musicbrainzRecordingId &&
+        written.musicbrainzReleaseId === tags.musicbrainzReleaseId && written.title === 'Song', JSON.stringify(written));
+
+    const scanned = await processAudioFile(renamedPath, { size: 0 }, libraryDir);
+    check('the scanner reads the IDs back', scanned.metadata.musicbrainz.recordingId === tags.musicbrainzRecordingId &&
+        scanned.metadata.musicbrainz.albumArtistId === tags.musicbrainzAlbumArtistId, JSON.stringify(scanned.metadata.musicbrainz));
+
+    const [rematched] = await batchMatchFiles([scanned], null, { fingerprint: false, releasePolicy: {} });
+    check('tagged files are matched without a lookup',
+        rematched.searchMethod === 'mbid_tags' && rematched.category === 'auto_approve' &&
+        rematched.mbMatch.releases[0].id === tags.musicbrainzReleaseId, JSON.stringify(rematched.mbMatch));
+} finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
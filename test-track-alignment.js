@@ -0,0 +1,90 @@
+/**
+ * Test script for album track-list alignment
+ * Aligns hand-built files against a release shaped like a MusicBrainz lookup, no network needed
+ */
+
+import { solveAssignment, scoreTrackPair, getReleaseTracks, alignAlbum } from './modules/organizer/track-alignment.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Track Alignment Test Suite');
+console.log('====================================\n');
+
+const track = (position, title, seconds) => ({
+    position,
+    title,
+    length: seconds * 1000,
+    recording: { id: `rec-${title.toLowerCase().replace(/\W+/g, '-')}`, title }
+});
+
+const release = {
+    id: 'rel-1',
+    title: 'Double Album',
+    'artist-credit': [{ name: 'Some Band', artist: { id: 'art-1' } }],
+    media: [
+        { position: 1, tracks: [track(1, 'Intro', 60), track(2, 'Morning Light', 241), track(3, 'Reprise', 180)] },
+        { position: 2, tracks: [track(1, 'Intro', 95), track(2, 'Evening Sky (feat. Guest)', 300)] }
+    ]
+};
+
+const file = (fileName, metadata = {}) => ({ filePath: `/music/${fileName}`, fileName, metadata });
+
+// Assignment solver
+check('solver finds the optimal assignment, not the greedy one',
+    solveAssignment([[90, 80], [85, 10]]).join(',') === '1,0');
+check('solver handles more rows than columns',
+    solveAssignment([[10], [90], [50]]).join(',') === '-1,0,-1');
+check('solver handles more columns than rows',
+    solveAssignment([[10, 20, 95]]).join(',') === '2');
+check('solver handles an empty matrix', solveAssignment([]).length === 0);
+
+// Release tracks
+const tracks = getReleaseTracks(release);
+check('tracks are flattened across discs', tracks.length === 5 && tracks[3].disc === 2 && tracks[3].position === 1);
+check('tracks fall back to the release artist', tracks[0].artist === 'Some Band' && tracks[0].artistId === 'art-1');
+
+// Pair scores
+check('matching title, length and number scores 100',
+    scoreTrackPair(file('02.flac', { title: 'Morning Light', track: 2, duration: 240 }), tracks[1]) === 100);
+check('featured artists are ignored in titles',
+    scoreTrackPair(file('x.flac', { title: 'Evening Sky' }), tracks[4]) === 100);
+check('title is read from the filename without tags',
+    scoreTrackPair(file('03 - Reprise.flac'), tracks[2]) === 100);
+check('a track number alone does not reach the threshold',
+    scoreTrackPair({ filePath: '/music/x', metadata: { track: 2 } }, tracks[1]) < 65);
+
+// Album alignment
+const files = [
+    file('a.flac', { title: 'Intro', track: 1, disk: 2, duration: 95 }),
+    file('b.flac', { title: 'Intro', track: 1, disk: 1, duration: 60 }),
+    file('c.flac', { title: 'Morning Light (Live)', duration: 245 }),
+    file('d.flac', { title: 'Evening Sky', track: 2, duration: 301 }),
+    file('bonus.flac', { title: 'Hidden Track', track: 9, duration: 400 })
+];
+const { assignments, missing, extra } = alignAlbum(files, release);
+const placed = Object.fromEntries(assignments.map(a => [a.file.fileName, `${a.track.disc}-${a.track.position}`]));
+
+check('same titles are told apart by disc and length', placed['a.flac'] === '2-1' && placed['b.flac'] === '1-1',
+    JSON.stringify(placed));
+check('near titles are assigned', placed['c.flac'] === '1-2' && placed['d.flac'] === '2-2', JSON.stringify(placed));
+check('tracks without a file are missing', missing.length === 1 && missing[0].title === 'Reprise',
+    JSON.stringify(missing.map(t => t.title)));
+check('files without a track are extra', extra.length === 1 && extra[0].fileName === 'bonus.flac');
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,147 @@
+/**
+ * Test script for archiving upgraded originals and reverting upgrades
+ * Upgrades minimal MP3 files in a temporary library with downloadAndReplace, using a fake
+ * yt-dlp that "downloads" a prepared FLAC and a fake ffmpeg for the metadata copy.
+ * DATA_PATH points at the temporary folder, so upgrades.db and the archive live there too
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildFlac, buildMp3 } from './test/fixtures/audio-samples.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-archive-test-'));
+const libraryDir = path.join(tmpDir, 'library', 'Band', 'Album');
+const archiveDir = path.join(tmpDir, 'data', 'upgrade-archive');
+
+// Must be set before the modules are imported
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.UPGRADE_ARCHIVE_DAYS = '30';
+process.env.YTDLP_PATH = path.join(__dirname, 'test/fixtures/fake-yt-dlp.js');
+process.env.FFMPEG_PATH = path.join(__dirname, 'test/fixtures/fake-ffmpeg.js');
+// Fingerprints are covered by test-upgrade-verification.js
+process.env.FPCALC_PATH = path.join(tmpDir, 'no-fpcalc');
+process.env.FAKE_YTDLP_SCENARIO = path.join(tmpDir, 'scenario.json');
+fs.chmodSync(process.env.YTDLP_PATH, 0o755);
+fs.chmodSync(process.env.FFMPEG_PATH, 0o755);
+
+const {
+    initUpgradeDatabase, downloadAndReplace, revertUpgrade, getUpgradeHistory, purgeExpiredArchives, isAlreadyUpgraded
+} = await import('./modules/organizer/upgrader.js');
+const { writeTags } = await import('./modules/organizer/tag-writer.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Upgrade Archive Test Suite');
+console.log('====================================\n');
+
+const sha256 = filePath => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * Tagged MP3 original (a cover next to it on request), upgraded to a tagged one-second FLAC
+ * @returns {Promise<Object>} { id, originalPath, originalChecksum, result }
+ */
+async function upgrade(name, { cover = false } = {}) {
+    const tags = { title: name, artist: 'Band', album: 'Album' };
+    fs.mkdirSync(libraryDir, { recursive: true });
+    const originalPath = path.join(libraryDir, `${name}.mp3`);
+    fs.writeFileSync(originalPath, buildMp3());
+    await writeTags(originalPath, tags);
+    if (cover) fs.writeFileSync(path.join(libraryDir, `${name}.jpg`), 'cover');
+
+    const sourceFile = path.join(tmpDir, `${name}.flac`);
+    const flac = buildFlac();
+    flac.writeUInt32BE(44100, 8 + 14);
+    fs.writeFileSync(sourceFile, flac);
+    await writeTags(sourceFile, tags);
+
+    const videoId = name.padEnd(11, '0');
+    fs.writeFileSync(process.env.FAKE_YTDLP_SCENARIO, JSON.stringify({ entries: [{ id: videoId, title: name, ext: 'flac', sourceFile }] }));
+
+    const originalChecksum = sha256(originalPath);
+    const track = { filePath: originalPath, ...tags, currentQuality: { codec: 'mp3', bitrate: 128 }, userRating: 8 };
+    const result = await downloadAndReplace(track, `https://www.youtube.com/watch?v=${videoId}`, null, null, null, 'flac');
+    const entry = getUpgradeHistory().find(upgraded => upgraded.originalPath === originalPath);
+    return { id: entry?.id, originalPath, originalChecksum, result };
+}
+
+async function revertError(id) {
+    try {
+        await revertUpgrade(id);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+try {
+    const song = await upgrade('Song', { cover: true });
+    const { result } = song;
+
+    check('the download takes the original\'s place', result.success && result.newPath === path.join(libraryDir, 'Song.flac') &&
+        fs.existsSync(result.newPath) && !fs.existsSync(song.originalPath) && !fs.existsSync(path.join(libraryDir, 'Song.jpg')),
+        JSON.stringify(result));
+    check('the original is archived under its library path', result.archivePath === path.join(archiveDir, song.originalPath) &&
+        sha256(result.archivePath) === song.originalChecksum, result.archivePath);
+    check('related files are archived with it', fs.readFileSync(path.join(archiveDir, libraryDir, 'Song.jpg'), 'utf8') === 'cover');
+
+    const listed = getUpgradeHistory().find(entry => entry.id === song.id);
+    check('the upgrade is recorded with the checksums of both files', listed?.originalChecksum === song.originalChecksum &&
+        listed.newChecksum === sha256(result.newPath) && listed.newCodec === 'FLAC', JSON.stringify(listed));
+    check('the history lists the upgrade as revertible', listed?.revertible && listed.filePath === result.newPath &&
+        listed.archivePath === result.archivePath, JSON.stringify(listed));
+
+    fs.appendFileSync(result.newPath, ' with ReplayGain tags');
+    const reverted = await revertUpgrade(song.id);
+    check('reverting restores the original and its cover', sha256(song.originalPath) === song.originalChecksum &&
+        fs.readFileSync(path.join(libraryDir, 'Song.jpg'), 'utf8') === 'cover', JSON.stringify(reverted));
+    check('the replacement is deleted even after tag edits', !fs.existsSync(result.newPath) &&
+        reverted.removedPath === result.newPath && reverted.replacementModified);
+    check('archive folders are cleaned up', !fs.existsSync(path.join(archiveDir, tmpDir)));
+    check('a reverted track is not upgraded again', reverted.upgrade.revertedAt && !reverted.upgrade.revertible &&
+        isAlreadyUpgraded(song.originalPath));
+    check('an upgrade is only reverted once', (await revertError(song.id))?.includes('already reverted'));
+
+    const tampered = await upgrade('Tampered');
+    fs.writeFileSync(tampered.result.archivePath, 'something else');
+    check('a changed archive is not restored', (await revertError(tampered.id))?.includes('does not match its checksum') &&
+        fs.existsSync(tampered.result.newPath));
+
+    const old = await upgrade('Old');
+    initUpgradeDatabase().prepare("UPDATE upgrades SET upgraded_at = datetime('now', '-31 days') WHERE id = ?").run(old.id);
+    const recent = await upgrade('Recent');
+    check('archives past the retention are deleted after the next upgrade', !fs.existsSync(old.result.archivePath) &&
+        fs.existsSync(recent.result.archivePath) && purgeExpiredArchives() === 0);
+    check('expired upgrades can no longer be reverted', (await revertError(old.id))?.includes('No archived original') &&
+        fs.existsSync(old.result.newPath));
+
+    // A replacement with the original's file name
+    initUpgradeDatabase().prepare('UPDATE upgrades SET original_path = file_path WHERE id = ?').run(recent.id);
+    const samePath = await revertUpgrade(recent.id);
+    check('a replacement at the original\'s path is swapped for the original', samePath.restoredPath === recent.result.newPath &&
+        sha256(recent.result.newPath) === recent.originalChecksum && !fs.existsSync(`${recent.result.newPath}.reverting`),
+        JSON.stringify(samePath));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,112 @@
+/**
+ * Test script for scoring the upgrader's YouTube Music search results
+ * Runs the search against a fake yt-dlp (`test/fixtures/fake-yt-dlp.js`) that lists the
+ * results of a scenario file instead of searching
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before the module is imported; upgrades.db goes to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-candidates-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.YTDLP_PATH = path.join(__dirname, 'test/fixtures/fake-yt-dlp.js');
+fs.chmodSync(process.env.YTDLP_PATH, 0o755);
+
+const { searchYouTubeMusicCandidates, searchYouTubeMusicForTrack } = await import('./modules/organizer/upgrader.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Upgrade Candidates Test Suite');
+console.log('====================================\n');
+
+process.env.FAKE_YTDLP_SCENARIO = path.join(tmpDir, 'scenario.json');
+
+// Search results the fake yt-dlp lists for the next search
+function searchResults(entries) {
+    fs.writeFileSync(process.env.FAKE_YTDLP_SCENARIO, JSON.stringify({ entries }));
+}
+
+// Plex track of 3:20 (Plex lengths are in milliseconds)
+const TRACK = { artist: 'Band', title: 'Song', duration: 200000 };
+
+try {
+    searchResults([
+        { id: 'video000001', title: 'Band - Song (Official Video)', channel: 'BandVEVO', duration: 230 },
+        { id: 'video000002', title: 'Song', channel: 'Band - Topic', uploader: 'Band - Topic', duration: 201 },
+        { id: 'video000003', title: 'Band - Song (Live at Wembley)', channel: 'BandVEVO', duration: 260 },
+        { id: 'video000004', title: 'Song (Official Audio)', uploader: 'Band', duration: 207 },
+        { id: 'video000005', title: 'Band - Full Album', channel: 'Band - Topic', duration: 2400 },
+        { id: 'video000006', title: 'Song (Deliverance Edit)', channel: 'Fan', duration: 199 }
+    ]);
+
+    const candidates = await searchYouTubeMusicCandidates(TRACK, null, null);
+    const byId = id => candidates.find(candidate => candidate.videoId === id);
+
+    check('every result is returned', candidates.length === 6, String(candidates.length));
+    check('results are sorted by score', candidates.every((candidate, i) => i === 0 || candidates[i - 1].score >= candidate.score),
+        candidates.map(candidate => candidate.score).join(','));
+
+    const topic = byId('video000002');
+    check('the Topic channel at the Plex length is recommended', topic.recommended && topic.score === 18 &&
+        candidates.filter(candidate => candidate.recommended).length === 1, JSON.stringify(topic));
+    check('candidates carry channel, length and delta', topic.channel === 'Band - Topic' && topic.duration === '3:21' &&
+        topic.durationSeconds === 201 && topic.durationDelta === 1 && topic.url === 'https://www.youtube.com/watch?v=video000002');
+    check('every point of the score has a reason', candidates.every(candidate =>
+        candidate.reasons.reduce((sum, reason) => sum + reason.points, 0) === candidate.score));
+
+    check('the uploader stands in for a missing channel', byId('video000004').channel === 'Band' && byId('video000004').score === 8,
+        JSON.stringify(byId('video000004').reasons));
+    check('live versions and lengths far off are penalized', byId('video000003').score === -20,
+        JSON.stringify(byId('video000003').reasons));
+    check('keywords only count as whole words', byId('video000006').score === 10, JSON.stringify(byId('video000006').reasons));
+
+    const album = byId('video000005');
+    check('results over 15 minutes are never eligible', !album.eligible && !album.recommended &&
+        album.reasons.some(reason => reason.text.startsWith('Longer than 15 minutes')), JSON.stringify(album));
+
+    const picked = await searchYouTubeMusicForTrack(TRACK, null, null);
+    check('the automatic search takes the recommended result', picked?.videoId === 'video000002' && picked.title === 'Song',
+        JSON.stringify(picked));
+
+    searchResults([
+        { id: 'video000011', title: 'Band - Song (Live)', channel: 'Band - Topic', duration: 200 },
+        { id: 'video000012', title: 'Band - Song (Live) [Remix]', channel: 'DJ', duration: 200 }
+    ]);
+    const liveCandidates = await searchYouTubeMusicCandidates({ ...TRACK, title: 'Song (Live)' }, null, null);
+    check('keywords in the Plex title are not penalized', liveCandidates[0].videoId === 'video000011' &&
+        liveCandidates[0].score === 18 && liveCandidates[1].score === 0, JSON.stringify(liveCandidates.map(c => c.reasons)));
+
+    searchResults([
+        { id: 'video000021', title: 'Band - Song (10 Hour Loop)', channel: 'Band - Topic', duration: 36000 },
+        { id: 'video000022', title: 'Band - Greatest Hits', channel: 'Band', duration: 3600 }
+    ]);
+    check('nothing is picked when every result is too long',
+        await searchYouTubeMusicForTrack(TRACK, null, null) === null);
+    check('too-long results are still listed for review',
+        (await searchYouTubeMusicCandidates(TRACK, null, null)).every(candidate => !candidate.eligible && !candidate.recommended));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,120 @@
+/**
+ * Test script for the upgrader's verification gate
+ * Compares minimal FLAC files by length and tags, and by fingerprints from a fake fpcalc
+ * (`test/fixtures/fake-fpcalc.js`) that reads them from `.fp` files next to each file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildFlac } from './test/fixtures/audio-samples.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before the modules are imported; their databases go to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-verify-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.FPCALC_PATH = path.join(__dirname, 'test/fixtures/fake-fpcalc.js');
+fs.chmodSync(process.env.FPCALC_PATH, 0o755);
+
+const { compareFingerprints } = await import('./modules/organizer/fingerprint.js');
+const { verifyUpgrade } = await import('./modules/organizer/upgrader.js');
+const { writeTags } = await import('./modules/organizer/tag-writer.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('Upgrade Verification Test Suite');
+console.log('====================================\n');
+
+// Deterministic pseudo-random raw fingerprints (xorshift32)
+function randomFingerprint(seed, length = 300) {
+    let state = seed;
+    return Array.from({ length }, () => {
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return state >>> 0;
+    });
+}
+
+// The same audio encoded differently: a little later and with some bits flipped
+function reencoded(fingerprint, shift = 6) {
+    return [...randomFingerprint(99, shift), ...fingerprint.map((value, i) => (i % 10 === 0 ? value ^ 0x0000F00F : value) >>> 0)];
+}
+
+const TAGS = { title: 'Song', artist: 'Band', album: 'Album' };
+
+/**
+ * Minimal FLAC of the given length with tags and a raw fingerprint for the fake fpcalc
+ */
+async function writeTrack(name, { seconds, tags = TAGS, fingerprint }) {
+    const filePath = path.join(tmpDir, name);
+    const flac = buildFlac();
+    flac.writeUInt32BE(seconds * 44100, 8 + 14);
+    fs.writeFileSync(filePath, flac);
+    if (tags) await writeTags(filePath, tags);
+    fs.writeFileSync(`${filePath}.fp`, `${fingerprint.join(',')}\n${seconds}`);
+    return filePath;
+}
+
+try {
+    const original = randomFingerprint(1);
+    const other = randomFingerprint(2);
+
+    check('re-encoded audio agrees at the best alignment', compareFingerprints(original, reencoded(original)) > 0.95,
+        String(compareFingerprints(original, reencoded(original))));
+    check('different recordings agree on about half the bits', Math.abs(compareFingerprints(original, other) - 0.5) < 0.1,
+        String(compareFingerprints(original, other)));
+    check('fingerprints too short to align are not compared', compareFingerprints(original.slice(0, 20), original.slice(0, 20)) === null);
+
+    const originalPath = await writeTrack('Song.flac', { seconds: 200, fingerprint: original });
+    const good = await writeTrack('good.upgrade.flac', { seconds: 201.5, fingerprint: reencoded(original) });
+    const longer = await writeTrack('extended.upgrade.flac', { seconds: 260, fingerprint: reencoded(original) });
+    const wrongSong = await writeTrack('wrong.upgrade.flac', { seconds: 199, fingerprint: other });
+    const untagged = await writeTrack('untagged.upgrade.flac', { seconds: 200, tags: { title: 'Song' }, fingerprint: original });
+
+    const passedResult = await verifyUpgrade(originalPath, good);
+    check('the same recording with its tags passes', passedResult.passed && passedResult.duration.ok &&
+        passedResult.fingerprint.match && passedResult.metadata.ok, JSON.stringify(passedResult));
+
+    const longerResult = await verifyUpgrade(originalPath, longer);
+    check('a different length fails', !longerResult.passed && longerResult.duration.ok === false &&
+        longerResult.reasons[0].startsWith('Length differs'), JSON.stringify(longerResult.reasons));
+
+    const wrongResult = await verifyUpgrade(originalPath, wrongSong);
+    check('a different song of the same length fails on the fingerprint', !wrongResult.passed && wrongResult.duration.ok &&
+        wrongResult.fingerprint.match === false && wrongResult.reasons.length === 1, JSON.stringify(wrongResult));
+
+    const untaggedResult = await verifyUpgrade(originalPath, untagged);
+    check('tags that were not copied fail', !untaggedResult.passed &&
+        untaggedResult.metadata.missing.join(',') === 'artist,album', JSON.stringify(untaggedResult.metadata));
+
+    const copyFailed = await verifyUpgrade(originalPath, good, { metadataError: 'FFmpeg failed with code 1' });
+    check('a failed metadata copy fails', !copyFailed.passed && copyFailed.reasons[0] === 'Metadata copy failed: FFmpeg failed with code 1');
+
+    fs.writeFileSync(`${good}.fp`, '1,2,3\n201.5');
+    const unfingerprinted = await verifyUpgrade(originalPath, good);
+    check('files that cannot be compared by fingerprint fall back to length and tags',
+        unfingerprinted.passed && unfingerprinted.fingerprint === null, JSON.stringify(unfingerprinted));
+} finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+}
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
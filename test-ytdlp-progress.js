@@ -0,0 +1,155 @@
+/**
+ * Test script for the structured yt-dlp progress parser
+ * Runs the downloader against test/fixtures/fake-yt-dlp.js, no network needed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Must be set before the runner is imported; downloads.db goes to the temporary folder
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytdlp-progress-test-'));
+process.env.DATA_PATH = path.join(tmpDir, 'data');
+process.env.YTDLP_PATH = path.join(__dirname, 'test/fixtures/fake-yt-dlp.js');
+fs.chmodSync(process.env.YTDLP_PATH, 0o755);
+
+const { parseYtDlpLine, createLineSplitter, getDownloadPercent, ITEM_PREFIX, PROGRESS_PREFIX, DONE_PREFIX } = await import('./modules/downloader/ytdlp-progress.js');
+const { runYtDlp } = await import('./modules/downloader/ytdlp-runner.js');
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+    if (condition) {
+        passed++;
+        console.log(`✓ PASS  ${name}`);
+    } else {
+        failed++;
+        console.log(`✗ FAIL  ${name}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+console.log('====================================');
+console.log('yt-dlp Progress Parser Test Suite');
+console.log('====================================\n');
+
+// Line parsing
+const item = parseYtDlpLine(`${ITEM_PREFIX}{"id":"abc12345678","title":"Song","album":"Album","uploader":"Artist - Topic","duration":200}`);
+check('item line is parsed', item?.type === 'item' && item.info.album === 'Album');
+
+const progress = parseYtDlpLine(`${PROGRESS_PREFIX}{"id":"abc12345678","progress":{"status":"downloading","downloaded_bytes":500,"total_bytes":1000,"speed":100.5,"eta":5}}`);
+check('progress line is parsed', progress?.type === 'progress' && progress.videoId === 'abc12345678');
+check('download percent is computed', getDownloadPercent(progress.progress) === 50);
+check('estimated total is used when exact size is unknown', getDownloadPercent({ downloaded_bytes: 25, total_bytes_estimate: 100 }) === 25);
+
+const done = parseYtDlpLine(`${DONE_PREFIX}{"id":"abc12345678","filepath":"/music/A/B/Song.flac","ext":"flac"}`);
+check('done line is parsed', done?.type === 'done' && done.info.filepath === '/music/A/B/Song.flac');
+
+const error = parseYtDlpLine('ERROR: [youtube] abc12345678: Private video. Sign in if you\'ve been granted access');
+check('error is classified', error?.type === 'error' && error.errorType === 'private' && error.videoId === 'abc12345678');
+
+check('malformed JSON falls back to a log line', parseYtDlpLine(`${ITEM_PREFIX}{not json`)?.type === 'log');
+check('blank lines are ignored', parseYtDlpLine('   ') === null);
+
+// Line splitting across chunk boundaries
+const lines = [];
+const splitter = createLineSplitter(line => lines.push(line));
+splitter.push('first li');
+splitter.push('ne\nsecond line\nthi');
+splitter.push('rd');
+splitter.flush();
+check('chunks are split into whole lines', lines.join('|') === 'first line|second line|third', lines.join('|'));
+
+// End-to-end run against the fake binary
+console.log('\nRunning downloader against fake yt-dlp...\n');
+
+const outputPath = path.join(tmpDir, 'playlist');
+const events = [];
+const tracks = [];
+
+const { done: finished } = runYtDlp(
+    { id: 'test', playlistUrl: 'https://music.youtube.com/playlist?list=PLtest', outputPath },
+    {
+        onProgress: data => events.push(data),
+        onTrack: track => tracks.push(track),
+        log: () => {},
+        debug: false
+    }
+);
+const result = await finished;
+
+const itemEvent = events.find(e => e.currentTrackInfo?.videoId === 'aaaaaaaaaaa');
+check('item metadata reaches the frontend', itemEvent?.currentTrackInfo.album === 'Test Album' && itemEvent.currentTrackInfo.uploader === 'Test Artist - Topic' && itemEvent.currentTrackInfo.duration === 215);
+check('total tracks come from n_entries', itemEvent?.totalTracks === 3);
+
+const byteEvent = events.find(e => e.videoId === 'aaaaaaaaaaa' && e.downloadProgress === 50);
+check('bytes, speed and ETA are reported', byteEvent?.downloadedBytes === 2000000 && byteEvent.totalBytes === 4000000 && byteEvent.speed === 1048576 && byteEvent.eta === 2);
+
+check('run fails because one item errored', result.outcome === 'failed', result.outcome);
+check('completed tracks are counted', result.summary.completedTracks === 2, String(result.summary.completedTracks));
+check('already downloaded track is counted as skipped', result.summary.skippedTracks === 1, String(result.summary.skippedTracks));
+check('unavailable video is reported', result.summary.unavailableVideos.includes('ccccccccccc'));
+
+const completedTrack = tracks.find(t => t.videoId === 'aaaaaaaaaaa');
+check('manifest receives final file path', completedTrack?.status === 'completed' && completedTrack.outputPath === path.join(outputPath, 'Test Artist/Test Album (2021)/01 - First Song.flac'), completedTrack?.outputPath);
+check('manifest receives failures', tracks.some(t => t.videoId === 'ccccccccccc' && t.status === 'failed' && t.errorType === 'unavailable'));
+
+// Plex layout: files are moved out of the staging folder
+check('plex layout uses playlist index when there is no track number', fs.existsSync(path.join(outputPath, 'Test Artist/Test Album/02 - Second Song.flac')));
+check('staging folder is removed', !fs.existsSync(path.join(outputPath, '.incoming')));
+
+// Profile filename template layout
+const templateOutputPath = path.join(tmpDir, 'template');
+const templateTracks = [];
+await runYtDlp(
+    { id: 'test-template', playlistUrl: 'https://music.youtube.com/playlist?list=PLtest', outputPath: templateOutputPath, options: { layout: 'template' } },
+    { onProgress: () => {}, onTrack: track => templateTracks.push(track), log: () => {}, debug: false }
+).done;
+
+check('template layout keeps the yt-dlp path', templateTracks.find(t => t.videoId === 'aaaaaaaaaaa')?.outputPath === path.join(templateOutputPath, 'Test Artist/Test Album/First Song.flac'));
+
+// A track that can't be recorded fails alone, the run still finishes
+const failingTracks = [];
+const failing = await runYtDlp(
+    { id: 'test-failing', playlistUrl: 'https://music.youtube.com/playlist?list=PLtest', outputPath: path.join(tmpDir, 'failing') },
+    {
+        onProgress: () => {},
+        onTrack: (track) => {
+            if (track.videoId === 'aaaaaaaaaaa' && track.status === 'completed') throw new Error('manifest is read-only');
+            failingTracks.push(track);
+        },
+        log: () => {},
+        debug: false
+    }
+).done;
+
+check('a placement error fails only its track', failingTracks.some(t => t.videoId === 'aaaaaaaaaaa' && t.status === 'failed' &&
+    t.errorMessage.includes('manifest is read-only')) && failingTracks.some(t => t.videoId === 'bbbbbbbbbbb' && t.status === 'completed'),
+    JSON.stringify(failingTracks));
+check('the run still settles with every failure', failing.outcome === 'failed' && failing.summary.failedCount === 2,
+    JSON.stringify(failing.summary));
+
+// Downloading into a folder that already has the track never replaces it
+const existingPath = path.join(outputPath, 'Test Artist/Test Album (2021)/01 - First Song.flac');
+fs.writeFileSync(existingPath, 'kept');
+const rerunTracks = [];
+await runYtDlp(
+    { id: 'test-rerun', playlistUrl: 'https://music.youtube.com/playlist?list=PLtest', outputPath },
+    { onProgress: () => {}, onTrack: track => rerunTracks.push(track), log: () => {}, debug: false }
+).done;
+
+check('an existing file at the final path is kept', fs.readFileSync(existingPath, 'utf8') === 'kept');
+check('the conflicting track fails and stays in staging', rerunTracks.some(t => t.videoId === 'aaaaaaaaaaa' && t.status === 'failed' &&
+    t.errorMessage.includes('already exists')) && fs.existsSync(path.join(outputPath, '.incoming/aaaaaaaaaaa.flac')),
+    JSON.stringify(rerunTracks));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log('\n====================================');
+console.log(`Test Suite Complete: ${passed} passed, ${failed} failed`);
+console.log('====================================');
+
+process.exit(failed > 0 ? 1 : 0);
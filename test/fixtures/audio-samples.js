@@ -0,0 +1,87 @@
+/**
+ * Minimal audio files for the tag tests: valid containers with (almost) no audio,
+ * built in memory so the tests need no encoder
+ */
+
+// FLAC: marker plus a STREAMINFO block (44.1 kHz, stereo, 16 bit, no frames)
+export function buildFlac() {
+    const info = Buffer.alloc(34);
+    info.writeUInt16BE(4096, 0);
+    info.writeUInt16BE(4096, 2);
+    info.writeUInt32BE((44100 << 12) | (1 << 9) | (15 << 4), 10);
+    return Buffer.concat([Buffer.from('fLaC'), Buffer.from([0x80, 0, 0, 34]), info]);
+}
+
+// MP3: silent MPEG-1 Layer III frames (128 kbps, 44.1 kHz, 417 bytes each)
+export function buildMp3() {
+    const frame = Buffer.alloc(417);
+    frame.set([0xFF, 0xFB, 0x90, 0x64]);
+    return Buffer.concat(new Array(20).fill(frame));
+}
+
+// Ogg page CRC (polynomial 0x04C11DB7, no reflection)
+const CRC_TABLE = Array.from({ length: 256 }, (_, i) => {
+    let r = i << 24;
+    for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04C11DB7 : r << 1;
+    return r >>> 0;
+});
+
+function oggPage(packet, sequence, headerType, granule = 0) {
+    const segments = [];
+    for (let left = packet.length; ; left -= 255) {
+        segments.push(Math.min(left, 255));
+        if (left < 255) break;
+    }
+    const header = Buffer.alloc(27 + segments.length);
+    header.write('OggS', 0);
+    header[5] = headerType;
+    header.writeBigUInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(1, 14);
+    header.writeUInt32LE(sequence, 18);
+    header[26] = segments.length;
+    header.set(segments, 27);
+
+    const page = Buffer.concat([header, packet]);
+    let crc = 0;
+    for (const byte of page) crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+    page.writeUInt32LE(crc, 22);
+    return page;
+}
+
+// Ogg Opus: OpusHead, an empty OpusTags and one silent audio packet
+export function buildOpus() {
+    const head = Buffer.alloc(19);
+    head.write('OpusHead', 0);
+    head[8] = 1;
+    head[9] = 2;
+    head.writeUInt32LE(48000, 12);
+    const tags = Buffer.alloc(20);
+    tags.write('OpusTags', 0);
+    return Buffer.concat([
+        oggPage(head, 0, 2),
+        oggPage(tags, 1, 0),
+        oggPage(Buffer.from([0xF8, 0xFF, 0xFE]), 2, 4, 960)
+    ]);
+}
+
+function atom(type, ...children) {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(body.length + 8, 0);
+    header.write(type, 4);
+    return Buffer.concat([header, body]);
+}
+
+// M4A: file type, a movie header with a one-second duration, the empty iTunes
+// metadata box encoders write, and an empty media box
+export function buildM4a() {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(1000, 16);
+    const hdlr = Buffer.concat([Buffer.alloc(8), Buffer.from('mdirappl'), Buffer.alloc(9)]);
+    return Buffer.concat([
+        atom('ftyp', Buffer.from('M4A \0\0\0\0M4A mp42isom')),
+        atom('moov', atom('mvhd', mvhd), atom('udta', atom('meta', Buffer.alloc(4), atom('hdlr', hdlr), atom('ilst')))),
+        atom('mdat', Buffer.alloc(64))
+    ]);
+}
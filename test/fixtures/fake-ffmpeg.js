@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Fake ffmpeg for offline loudness and audio analysis tests
+ *
+ * Supports `-version`, the ebur128 analysis run, the decode run of the
+ * audio analysis and the upgrader's metadata copy. For the ebur128 run
+ * the measurement is read from a `<input>.ebur128` text file next to the input
+ * ("<integrated LUFS> <true peak dBFS> <LRA LU> <duration s>") and
+ * printed in ffmpeg's summary format. Inputs without one fail like an
+ * undecodable file.
+ *
+ * The decode run streams `<input>.pcm` (s16le stereo) to pipe:3, prints
+ * its MD5 when an md5 output is requested and the lines of an optional
+ * `<input>.errors` file as decode errors.
+ *
+ * The metadata copy (`-map_metadata`) writes the first input unchanged
+ * to the output, so test downloads must already carry their tags.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+const args = process.argv.slice(2);
+
+if (args.includes('-version')) {
+    console.log('ffmpeg version 6.1 (fake)');
+    process.exit(0);
+}
+
+const inputPath = args[args.indexOf('-i') + 1];
+
+if (args.includes('-map_metadata')) {
+    fs.copyFileSync(inputPath, args[args.length - 1]);
+} else if (args.includes('pipe:3')) {
+    let pcm;
+    try {
+        pcm = fs.readFileSync(`${inputPath}.pcm`);
+    } catch (error) {
+        console.error(`${inputPath}: Invalid data found when processing input`);
+        process.exit(1);
+    }
+
+    if (fs.existsSync(`${inputPath}.errors`)) {
+        process.stderr.write(fs.readFileSync(`${inputPath}.errors`, 'utf8'));
+    }
+    if (args.includes('md5')) {
+        process.stdout.write(`MD5=${crypto.createHash('md5').update(pcm).digest('hex')}\n`);
+    }
+    // Exits once the stream is drained
+    fs.createWriteStream(null, { fd: 3 }).end(pcm);
+} else {
+    let measurement;
+    try {
+        measurement = fs.readFileSync(`${inputPath}.ebur128`, 'utf8').trim().split(/\s+/);
+    } catch (error) {
+        console.error(`${inputPath}: Invalid data found when processing input`);
+        process.exit(1);
+    }
+
+    const [integrated, peak, range, duration] = measurement;
+    const seconds = parseFloat(duration) || 200;
+    const clock = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .concat((seconds % 60).toFixed(2).padStart(5, '0'))
+        .join(':');
+
+    console.error(`Input #0, flac, from '${inputPath}':
+  Duration: ${clock}, start: 0.000000, bitrate: 900 kb/s
+  Stream #0:0: Audio: flac, 44100 Hz, stereo, s16
+[Parsed_ebur128_0 @ 0x5581] Summary:
+
+  Integrated loudness:
+    I:         ${integrated} LUFS
+    Threshold: -24.6 LUFS
+
+  Loudness range:
+    LRA:         ${range} LU
+    Threshold:  -34.5 LUFS
+    LRA low:    -19.8 LUFS
+    LRA high:   -13.7 LUFS
+
+  True peak:
+    Peak:        ${peak} dBFS`);
+}
@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+/**
+ * Fake fpcalc for offline tests
+ *
+ * Supports `-version` and `-json [-raw] <file>`. The "fingerprint" is the
+ * first line of the file and the duration its second line (default 200), so
+ * tests control both by writing small text files. A `<file>.fp` text file
+ * next to the input takes precedence, so real audio files can be used too.
+ * With `-raw` the fingerprint line holds comma-separated integers.
+ */
+
+import fs from 'fs';
+
+const args = process.argv.slice(2);
+
+if (args.includes('-version')) {
+    console.log('fpcalc version 1.5.1 (fake)');
+    process.exit(0);
+}
+
+const filePath = args[args.length - 1];
+
+try {
+    const source = fs.existsSync(`${filePath}.fp`) ? `${filePath}.fp` : filePath;
+    const [fingerprint, duration] = fs.readFileSync(source, 'utf8').split('\n');
+    console.log(JSON.stringify({
+        duration: parseFloat(duration) || 200,
+        fingerprint: args.includes('-raw') ? fingerprint.trim().split(',').map(Number) : fingerprint.trim()
+    }));
+} catch (error) {
+    console.error(`ERROR: Could not open the input file (${error.message})`);
+    process.exit(2);
+}
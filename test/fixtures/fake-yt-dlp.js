@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+/**
+ * Fake yt-dlp for offline tests
+ *
+ * Understands the subset of yt-dlp's CLI the downloader uses: it renders
+ * --print and --progress-template output templates (including the
+ * "%(field)j", "%(a,b)s" and "%(.{a,b})j" forms) against a scenario,
+ * honours --download-archive and writes empty output files, or a copy of
+ * the entry's `sourceFile`.
+ *
+ * Scenario: JSON file named by FAKE_YTDLP_SCENARIO, or the built-in one below.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_SCENARIO = {
+    entries: [
+        {
+            id: 'aaaaaaaaaaa',
+            title: 'First Song',
+            track: 'First Song',
+            artist: 'Test Artist',
+            album_artist: 'Test Artist',
+            album: 'Test Album',
+            uploader: 'Test Artist - Topic',
+            channel: 'Test Artist - Topic',
+            duration: 215,
+            release_year: 2021,
+            ext: 'flac',
+            totalBytes: 4000000
+        },
+        {
+            id: 'bbbbbbbbbbb',
+            title: 'Second Song',
+            artist: 'Test Artist',
+            album: 'Test Album',
+            uploader: 'Test Artist - Topic',
+            duration: 187,
+            ext: 'flac',
+            alreadyDownloaded: true
+        },
+        {
+            id: 'ccccccccccc',
+            title: 'Gone Song',
+            error: 'Video unavailable. This video is no longer available'
+        }
+    ]
+};
+
+const WHEN_STAGES = ['pre_process', 'after_filter', 'video', 'before_dl', 'post_process', 'after_move', 'after_video', 'playlist'];
+
+const argv = process.argv.slice(2);
+const scenario = process.env.FAKE_YTDLP_SCENARIO
+    ? JSON.parse(fs.readFileSync(process.env.FAKE_YTDLP_SCENARIO, 'utf8'))
+    : DEFAULT_SCENARIO;
+
+function getArgs(name) {
+    const values = [];
+    argv.forEach((arg, index) => {
+        if (arg === name && index + 1 < argv.length) values.push(argv[index + 1]);
+    });
+    return values;
+}
+
+function splitWhen(template, defaultWhen) {
+    const match = template.match(/^(\w+):(.*)$/s);
+    if (match && (WHEN_STAGES.includes(match[1]) || match[1] === 'download')) {
+        return { when: match[1], template: match[2] };
+    }
+    return { when: defaultWhen, template };
+}
+
+function resolveField(expression, data) {
+    // "%(a,b)s" alternatives: first one that is set
+    for (const alternative of expression.split(/,(?![^{]*})/)) {
+        const subsetMatch = alternative.match(/^(.*?)\.?\{(.+)\}$/);
+        let value;
+
+        if (subsetMatch) {
+            const base = subsetMatch[1] ? resolvePath(subsetMatch[1], data) : data;
+            value = {};
+            for (const key of subsetMatch[2].split(',')) {
+                if (base && base[key] !== undefined) value[key] = base[key];
+            }
+        } else {
+            value = resolvePath(alternative, data);
+        }
+
+        if (value !== undefined && value !== null) return value;
+    }
+    return undefined;
+}
+
+function resolvePath(fieldPath, data) {
+    return fieldPath.split('.').filter(Boolean).reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function render(template, data) {
+    return template.replace(/%\(([^)]+)\)([sjd])/g, (match, expression, conversion) => {
+        const value = resolveField(expression, data);
+        if (conversion === 'j') return JSON.stringify(value === undefined ? null : value);
+        return value === undefined || value === null ? 'NA' : String(value);
+    });
+}
+
+if (argv.includes('--version')) {
+    console.log('2099.01.01-fake');
+    process.exit(0);
+}
+
+const entries = scenario.entries;
+
+// Flat listing used for playlist sync
+if (argv.includes('--flat-playlist')) {
+    const printTemplate = getArgs('--print')[0] || 'id';
+    entries.forEach(entry => {
+        console.log(printTemplate.includes('%(') ? render(printTemplate, entry) : entry[printTemplate]);
+    });
+    process.exit(0);
+}
+
+const prints = getArgs('--print').map(template => splitWhen(template, 'video'));
+const progressTemplates = getArgs('--progress-template').map(template => splitWhen(template, 'download'));
+const outputTemplate = getArgs('--output')[0] || '%(title)s.%(ext)s';
+const archivePath = getArgs('--download-archive')[0];
+const archived = archivePath && fs.existsSync(archivePath)
+    ? fs.readFileSync(archivePath, 'utf8').split('\n').map(line => line.split(' ')[1]).filter(Boolean)
+    : [];
+
+function printStage(when, info) {
+    prints.filter(p => p.when === when).forEach(p => console.log(render(p.template, info)));
+}
+
+function printProgress(info, progress) {
+    progressTemplates.filter(p => p.when === 'download').forEach(p => console.log(render(p.template, { info, progress })));
+}
+
+let failures = 0;
+
+entries.forEach((entry, index) => {
+    if (archived.includes(entry.id)) {
+        return;
+    }
+
+    if (entry.error) {
+        console.error(`ERROR: [youtube] ${entry.id}: ${entry.error}`);
+        failures++;
+        return;
+    }
+
+    const info = {
+        ...entry,
+        playlist_index: index + 1,
+        n_entries: entries.length,
+        webpage_url: `https://www.youtube.com/watch?v=${entry.id}`
+    };
+
+    printStage('video', info);
+
+    const filepath = render(outputTemplate, info);
+    const totalBytes = entry.totalBytes || 1000000;
+
+    if (entry.alreadyDownloaded) {
+        printProgress(info, { status: 'finished', downloaded_bytes: totalBytes, total_bytes: totalBytes, filename: filepath });
+    } else {
+        for (const fraction of [0.25, 0.5, 1]) {
+            printProgress(info, {
+                status: fraction === 1 ? 'finished' : 'downloading',
+                downloaded_bytes: Math.round(totalBytes * fraction),
+                total_bytes: totalBytes,
+                speed: 1048576,
+                eta: Math.round((1 - fraction) * 4),
+                elapsed: fraction * 4
+            });
+        }
+    }
+
+    if (filepath.startsWith('/') || filepath.includes(path.sep)) {
+        fs.mkdirSync(path.dirname(filepath), { recursive: true });
+        if (entry.sourceFile) {
+            fs.copyFileSync(entry.sourceFile, filepath);
+        } else {
+            fs.writeFileSync(filepath, '');
+        }
+    }
+
+    printStage('after_move', { ...info, filepath, filesize: totalBytes, acodec: entry.ext });
+
+    if (archivePath) {
+        fs.appendFileSync(archivePath, `youtube ${entry.id}\n`);
+    }
+});
+
+process.exit(failures > 0 ? 1 : 0);